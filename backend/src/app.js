@@ -29,8 +29,17 @@ import analysisRoutes from "./routes/analysis.routes.js";
 import autofixRoutes from "./routes/autofix.routes.js";
 import analyticsRoutes from "./routes/analytics.routes.js";
 import reportRoutes from "./routes/report.routes.js";
+import reportScheduleRoutes from "./routes/reportSchedule.routes.js";
 import executiveSummaryRoutes from "./routes/executiveSummary.routes.js";
 import userRoutes from "./routes/user.routes.js";
+import shareRoutes from "./routes/share.routes.js";
+import authRoutes from "./routes/auth.routes.js";
+import organizationRoutes from "./routes/organization.routes.js";
+import apiKeyRoutes from "./routes/apiKey.routes.js";
+
+// Middleware imports
+import { authenticate, requireUserSession } from "./middleware/auth.js";
+import { loadOrganization } from "./middleware/organization.js";
 
 // Utility imports
 import { errorResponse } from "./utils/response.js";
@@ -79,7 +88,12 @@ const createApp = () => {
       },
       credentials: true,
       methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-      allowedHeaders: ["Content-Type", "Authorization", "X-Request-ID"],
+      allowedHeaders: [
+        "Content-Type",
+        "Authorization",
+        "X-Request-ID",
+        "X-Share-Password",
+      ],
     })
   );
 
@@ -129,7 +143,19 @@ const createApp = () => {
   // API ROUTES
   // ---------------------------------------------------------------------------
   // All routes are prefixed with /api for clear separation
-  app.use("/api/user", userRoutes);
+  // Public: sign-in and share links
+  app.use("/api/auth", authRoutes);
+  app.use("/api/share", shareRoutes);
+
+  // Everything else requires an access token or API key, and is scoped to
+  // the caller's current organization
+  app.use("/api", authenticate, loadOrganization);
+
+  // Accounts, membership and keys are managed by people, not API keys
+  app.use("/api/user", requireUserSession, userRoutes);
+  app.use("/api/organization", requireUserSession, organizationRoutes);
+  app.use("/api/api-keys", requireUserSession, apiKeyRoutes);
+
   app.use("/api/brandkit", brandKitRoutes);
   app.use("/api/design", designRoutes);
   app.use("/api/designs", designRoutes); // Alias for listing
@@ -137,6 +163,7 @@ const createApp = () => {
   app.use("/api/autofix", autofixRoutes);
   app.use("/api/analytics", analyticsRoutes);
   app.use("/api/report", reportRoutes);
+  app.use("/api/report-schedule", reportScheduleRoutes);
   app.use("/api/executive-summary", executiveSummaryRoutes);
 
   // ---------------------------------------------------------------------------
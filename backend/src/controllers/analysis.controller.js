@@ -9,42 +9,161 @@
  *
  * ANALYSIS FLOW:
  * 1. Fetch brand kit and design
- * 2. Run modular compliance checks (color, font, logo, accessibility, tone)
- * 3. Aggregate results into overall compliance score
- * 4. Save analysis result to database
- * 5. Return scored violations with fix suggestions
+ * 2. Run the brand kit's rule set (see ruleEngine.service.js), Gemini, or
+ *    both (hybrid: rules for measurable checks, Gemini for judgement calls)
+ * 3. Aggregate results into overall compliance score (per page, then rolled up)
+ * 4. Map violations back to canvas elements
+ * 5. Score brand/accessibility/legal risk from the violations
+ * 6. Save analysis result to database
+ * 7. Return scored violations with fix suggestions
+ *
+ * Brand kits, designs and analyses are all scoped to the caller's
+ * organization (req.organization).
+ *
+ * AI output is schema-validated in gemini.service.js before it gets here.
+ * When it cannot be used, the analysis is saved as "failed" with its
+ * schemaErrors and the client gets a 502 - never a mock result.
  *
  * ENDPOINTS:
  * - POST /api/analysis/run     - Run brand analysis
  * - GET  /api/analysis/:id     - Get analysis result
  * - GET  /api/analysis/history - Get analysis history
+ * - GET  /api/analysis/history/export    - Analysis history as CSV/XLSX
+ * - GET  /api/analysis/violations/export - One row per violation as CSV/XLSX
+ * - GET  /api/analysis/rules   - List available compliance rules
  */
 
 import BrandKit from "../models/BrandKit.js";
 import Design from "../models/Design.js";
 import AnalysisResult from "../models/AnalysisResult.js";
 import geminiService from "../services/gemini.service.js";
-import colorCheckService from "../services/colorCheck.service.js";
-import fontCheckService from "../services/fontCheck.service.js";
-import logoCheckService from "../services/logoCheck.service.js";
-import accessibilityService from "../services/accessibility.service.js";
-import toneCheckService from "../services/toneCheck.service.js";
+import ruleEngine from "../services/ruleEngine.service.js";
+import elementService from "../services/element.service.js";
+import scoringService from "../services/scoring.service.js";
+import riskService from "../services/risk.service.js";
+import tabularExportService from "../services/tabularExport.service.js";
 import { successResponse, errorResponse } from "../utils/response.js";
+import {
+  TABULAR_FORMATS,
+  createTabularWriter,
+} from "../utils/tabularWriter.js";
 import { logger } from "../utils/logger.js";
 
+/**
+ * Analysis modes
+ * - rules:  deterministic rule set only
+ * - ai:     Gemini judges everything, scored with the kit's rule weights
+ * - hybrid: rule set for everything measurable, Gemini for judgement calls
+ */
+const ANALYSIS_MODES = ["rules", "ai", "hybrid"];
+
+/**
+ * Run the brand kit's rule set for one analysis input (whole design or one artboard)
+ *
+ * @param {Object} brandKit - Brand kit document
+ * @param {Object} designInput - Design document or artboard analysis input
+ * @param {string} mode - Analysis mode (see ANALYSIS_MODES)
+ * @returns {Promise<Object>} { complianceScore, summary, categoryScores, ruleResults,
+ *                            violations, schemaErrors, failed, schemaFailed, ... }
+ */
+const analyzeDesignInput = async (brandKit, designInput, mode) => {
+  const policy = scoringService.resolveScoringPolicy(brandKit);
+
+  if (mode === "hybrid") {
+    // Measured violations first - they are authoritative
+    const ruleSetResult = await ruleEngine.runRules(brandKit, designInput);
+    const judgement = await geminiService.runJudgementAnalysis(
+      brandKit,
+      designInput,
+      ruleSetResult.violations
+    );
+    const merged = ruleEngine.mergeAIJudgements(
+      brandKit,
+      ruleSetResult,
+      judgement
+    );
+    return {
+      ...merged,
+      summary:
+        judgement.summary ||
+        scoringService.getScoreSummary(
+          merged.complianceScore,
+          policy.labelThresholds
+        ),
+      designType: judgement.designType,
+      positives: judgement.positives || [],
+      usedAI: judgement.usedAI,
+      schemaErrors: judgement.schemaErrors || [],
+    };
+  }
+
+  if (mode === "ai") {
+    // Use Gemini AI for comprehensive analysis, scored with the kit's rule weights
+    const categoryWeights = ruleEngine.getCategoryWeights(
+      ruleEngine.resolveRuleSet(brandKit)
+    );
+    const aiResult = await geminiService.runBrandAnalysis(
+      brandKit,
+      designInput,
+      { categoryWeights }
+    );
+    if (aiResult.failed) return aiResult;
+
+    const ruleSetResult = ruleEngine.applyRuleSetToAIResult(brandKit, aiResult);
+    return {
+      ...aiResult,
+      ...ruleSetResult,
+      summary:
+        aiResult.summary ||
+        scoringService.getScoreSummary(
+          ruleSetResult.complianceScore,
+          policy.labelThresholds
+        ),
+    };
+  }
+
+  // Use modular service-based analysis
+  const ruleSetResult = await ruleEngine.runRules(brandKit, designInput);
+
+  return {
+    ...ruleSetResult,
+    summary: scoringService.getScoreSummary(
+      ruleSetResult.complianceScore,
+      policy.labelThresholds
+    ),
+    usedAI: false,
+    schemaErrors: [],
+  };
+};
+
 /**
  * Run comprehensive brand analysis
  *
+ * MULTI-PAGE DESIGNS:
+ * When the design carries an artboard breakdown, every artboard is analyzed
+ * on its own (own background, own violations, own score) and the document
+ * score is rolled up from the page scores.
+ *
  * @route POST /api/analysis/run
  * @body {string} brandKitId - ID of the brand kit to check against
  * @body {string} designId - ID of the design to analyze
- * @body {boolean} useAI - Whether to use Gemini AI (default: true)
+ * @body {string} mode - "rules" | "ai" | "hybrid" (default: from useAI)
+ * @body {boolean} useAI - Legacy switch: true = "ai", false = "rules" (default: true)
  */
 export const runAnalysis = async (req, res, next) => {
   const startTime = Date.now();
 
   try {
     const { brandKitId, designId, useAI = true } = req.body;
+    const mode = req.body.mode || (useAI ? "ai" : "rules");
+
+    if (!ANALYSIS_MODES.includes(mode)) {
+      return res
+        .status(400)
+        .json(
+          errorResponse(`Mode must be one of: ${ANALYSIS_MODES.join(", ")}`)
+        );
+    }
 
     // Validate required fields
     if (!brandKitId) {
@@ -57,8 +176,8 @@ export const runAnalysis = async (req, res, next) => {
 
     // Fetch brand kit and design
     const [brandKit, design] = await Promise.all([
-      BrandKit.findById(brandKitId),
-      Design.findById(designId),
+      BrandKit.findOne({ _id: brandKitId, organizationId: req.organization._id }),
+      Design.findOne({ _id: designId, organizationId: req.organization._id }),
     ]);
 
     if (!brandKit) {
@@ -82,155 +201,132 @@ export const runAnalysis = async (req, res, next) => {
     // ---------------------------------------------------------------------------
 
     let analysisResult;
+    const scoringPolicy = scoringService.resolveScoringPolicy(brandKit);
+    const artboardInputs = design.toArtboardAnalysisInputs();
+    const schemaErrors = [];
+    let aiFailure = null;
 
-    if (useAI) {
-      // Use Gemini AI for comprehensive analysis
-      analysisResult = await geminiService.runBrandAnalysis(brandKit, design);
-    } else {
-      // Use modular service-based analysis
-      const allViolations = [];
-      const categoryScores = [];
-
-      // 1. Color Check
-      const colorResult = colorCheckService.checkAllColors(
-        design.colorsUsed,
-        brandKit.colors
-      );
-      categoryScores.push({
-        category: "color",
-        score: colorResult.score,
-        weight: 0.3,
-        violations: colorResult.violations.length,
-      });
-      allViolations.push(...colorResult.violations);
+    if (artboardInputs.length === 0) {
+      // No artboard breakdown (older Add-on versions, API clients)
+      const result = await analyzeDesignInput(brandKit, design, mode);
+      schemaErrors.push(...(result.schemaErrors || []));
+      if (result.failed) aiFailure = result;
 
-      // 2. Font Check
-      const fontResult = fontCheckService.checkAllFonts(
-        design.fontsUsed,
-        brandKit.fonts
-      );
-      categoryScores.push({
-        category: "typography",
-        score: fontResult.score,
-        weight: 0.25,
-        violations: fontResult.violations.length,
-      });
-      allViolations.push(...fontResult.violations);
+      analysisResult = {
+        ...result,
+        violations: elementService.attachElementIds(
+          result.violations,
+          design.elements
+        ),
+        pageResults: [],
+      };
+    } else {
+      // Analyze pages sequentially to stay within Gemini rate limits
+      const pageAnalyses = [];
+      for (const artboardInput of artboardInputs) {
+        const result = await analyzeDesignInput(brandKit, artboardInput, mode);
+        schemaErrors.push(
+          ...(result.schemaErrors || []).map((e) => ({
+            ...e,
+            pageId: artboardInput.pageId,
+          }))
+        );
+        if (result.failed) {
+          // One unusable page makes the document score meaningless
+          aiFailure = result;
+          break;
+        }
+
+        const artboardElements = design.elements.filter(
+          (el) => el.artboardId === artboardInput.artboardId
+        );
+
+        pageAnalyses.push({
+          page: artboardInput,
+          result: {
+            ...result,
+            violations: elementService
+              .attachElementIds(result.violations, artboardElements)
+              .map((v) => ({
+                ...v,
+                pageId: artboardInput.pageId,
+                artboardId: artboardInput.artboardId,
+              })),
+          },
+        });
+      }
 
-      // 3. Logo Check
-      const logoResult = logoCheckService.checkAllLogos(
-        design.images,
-        brandKit.logoRules
-      );
-      categoryScores.push({
-        category: "logo",
-        score: logoResult.score,
-        weight: 0.2,
-        violations: logoResult.violations.length,
-      });
-      allViolations.push(...logoResult.violations);
+      if (!aiFailure) {
+        analysisResult = scoringService.rollUpPageResults(
+          pageAnalyses,
+          scoringPolicy
+        );
+        logger.info(
+          `Analyzed ${pageAnalyses.length} artboard(s) for design ${designId}`
+        );
+      }
+    }
 
-      // 4. Accessibility Check
-      const accessibilityResult = accessibilityService.checkDesignAccessibility(
-        design,
-        brandKit.accessibilityRules
-      );
-      categoryScores.push({
-        category: "accessibility",
-        score: accessibilityResult.score,
-        weight: 0.15,
-        violations: accessibilityResult.violations.length,
-      });
-      allViolations.push(...accessibilityResult.violations);
+    // ---------------------------------------------------------------------------
+    // FAILED AI ANALYSIS
+    // ---------------------------------------------------------------------------
 
-      // 5. Tone Check
-      const allText = design.textContent?.map((t) => t.text).join(" ") || "";
-      const toneResult = await toneCheckService.checkToneCompliance(
-        allText,
-        brandKit.toneRules
-      );
-      categoryScores.push({
-        category: "tone",
-        score: toneResult.score,
-        weight: 0.1,
-        violations: toneResult.violations.length,
+    if (aiFailure) {
+      // Unusable output and unreachable providers fail alike - never mock data
+      const failureMessage = aiFailure.schemaFailed
+        ? "AI response did not match the analysis schema"
+        : "AI analysis failed";
+
+      const failedResult = new AnalysisResult({
+        designId: design._id,
+        brandKitId: brandKit._id,
+        organizationId: req.organization._id,
+        userId: req.user._id,
+        complianceScore: 0,
+        violations: [],
+        schemaErrors,
+        scoringPolicy,
+        brandKitVersion: brandKit.version,
+        summary: `${failureMessage}.`,
+        usedAI: true,
+        analysisMode: mode,
+        processingTime: Date.now() - startTime,
+        status: "failed",
+        errorMessage: aiFailure.error,
       });
-      allViolations.push(...toneResult.violations);
-
-      // Calculate weighted overall score
-      const complianceScore = Math.round(
-        categoryScores.reduce((sum, cat) => sum + cat.score * cat.weight, 0)
+      await failedResult.save();
+
+      logger.warn(`Analysis ${failedResult._id} failed: ${aiFailure.error}`);
+      return res.status(502).json(
+        errorResponse(failureMessage, {
+          analysisId: failedResult._id,
+          schemaErrors,
+        })
       );
-
-      // Generate summary
-      let summary;
-      if (complianceScore >= 90) {
-        summary =
-          "Excellent brand compliance. The design follows brand guidelines with minimal deviations.";
-      } else if (complianceScore >= 70) {
-        summary = "Good brand compliance with some minor issues to address.";
-      } else if (complianceScore >= 50) {
-        summary =
-          "Design needs attention. Multiple brand guideline violations detected.";
-      } else {
-        summary =
-          "Significant brand compliance issues found. Major revisions recommended.";
-      }
-
-      analysisResult = {
-        complianceScore,
-        summary,
-        categoryScores,
-        violations: allViolations,
-        usedAI: false,
-      };
     }
 
     // ---------------------------------------------------------------------------
     // SAVE ANALYSIS RESULT
     // ---------------------------------------------------------------------------
 
-    // Transform categoryScores from Gemini object format to array format if needed
-    let formattedCategoryScores = [];
-    if (analysisResult.categoryScores) {
-      if (Array.isArray(analysisResult.categoryScores)) {
-        // Already in array format (from modular analysis)
-        formattedCategoryScores = analysisResult.categoryScores;
-      } else if (typeof analysisResult.categoryScores === "object") {
-        // Object format from Gemini AI - transform to array
-        const weights = {
-          color: 0.3,
-          typography: 0.25,
-          logo: 0.2,
-          accessibility: 0.15,
-          tone: 0.1,
-        };
-        formattedCategoryScores = Object.entries(
-          analysisResult.categoryScores
-        ).map(([category, score]) => ({
-          category,
-          score: typeof score === "number" ? score : 0,
-          weight: weights[category] || 0.2,
-          violations:
-            analysisResult.violations?.filter(
-              (v) =>
-                v.type === category ||
-                (category === "typography" && v.type === "font")
-            ).length || 0,
-        }));
-      }
-    }
-
-    // Sanitize violations to ensure all required fields are present
+    // Violations are normalized by the rule engine (AI output is schema-validated
+    // before that), so only persistence defaults are filled in here
     const sanitizedViolations = (analysisResult.violations || [])
       .filter((v) => v && typeof v === "object")
       .map((violation) => ({
-        type: violation.type || violation.category || "other",
-        severity: violation.severity || "medium",
-        description: violation.description || violation.message || "Violation detected",
-        affectedElement: violation.affectedElement || violation.element || violation.affected || "Unknown element",
-        suggestedFix: violation.suggestedFix || violation.fix || violation.suggestion || null,
+        ruleId: violation.ruleId || null,
+        type: violation.type,
+        severity: violation.severity,
+        description: violation.description,
+        affectedElement: violation.affectedElement ?? "Unknown element",
+        suggestedFix: violation.suggestedFix ?? null,
+        elementIds: violation.elementIds || [],
+        details: violation.details ?? null,
+        pageId: violation.pageId || null,
+        artboardId: violation.artboardId || null,
         autoFixable: violation.autoFixable ?? false,
+        source: violation.source || (mode === "rules" ? "rules" : "ai"),
+        explanation: violation.explanation || null,
         resolved: violation.resolved ?? false,
       }))
       .filter((v) => v.type && v.affectedElement); // Ensure required fields exist
@@ -238,15 +334,32 @@ export const runAnalysis = async (req, res, next) => {
     const savedResult = new AnalysisResult({
       designId: design._id,
       brandKitId: brandKit._id,
+      organizationId: req.organization._id,
+      userId: req.user._id,
       complianceScore: analysisResult.complianceScore || 0,
       violations: sanitizedViolations,
-      categoryScores: formattedCategoryScores,
+      categoryScores: analysisResult.categoryScores,
+      ruleResults: analysisResult.ruleResults || [],
+      pageResults: analysisResult.pageResults,
+      scoringPolicy,
+      appliedCaps: analysisResult.appliedCaps || [],
+      schemaErrors,
+      brandKitVersion: brandKit.version,
       summary: analysisResult.summary || "Analysis complete.",
       usedAI: analysisResult.usedAI !== false,
+      analysisMode: mode,
       processingTime: Date.now() - startTime,
       status: "completed",
     });
 
+    // Risk factors reference the saved violations by id
+    const { riskScores, riskFactors } = riskService.scoreRisks(
+      savedResult.violations,
+      brandKit
+    );
+    savedResult.riskScores = riskScores;
+    savedResult.riskFactors = riskFactors;
+
     await savedResult.save();
 
     // Update design status
@@ -268,15 +381,31 @@ export const runAnalysis = async (req, res, next) => {
           complianceScore: savedResult.complianceScore,
           scoreLabel: savedResult.scoreLabel,
           designType: analysisResult.designType || "mixed",
+          analysisMode: savedResult.analysisMode,
           violations: savedResult.violations.map((v) => ({
+            id: v._id,
+            ruleId: v.ruleId,
             type: v.type,
             severity: v.severity,
             description: v.description,
             affectedElement: v.affectedElement,
             suggestedFix: v.suggestedFix,
             autoFixable: v.autoFixable,
+            elementIds: v.elementIds,
+            details: v.details,
+            pageId: v.pageId,
+            artboardId: v.artboardId,
+            source: v.source,
+            explanation: v.explanation,
           })),
           categoryScores: savedResult.categoryScores,
+          ruleResults: savedResult.ruleResults,
+          pageResults: savedResult.pageResults,
+          scoringPolicy: savedResult.scoringPolicy,
+          appliedCaps: savedResult.appliedCaps,
+          schemaErrors: savedResult.schemaErrors,
+          riskScores: savedResult.riskScores,
+          riskFactors: savedResult.riskFactors,
           summary: savedResult.summary,
           positives: analysisResult.positives || [],
           processingTime: savedResult.processingTime,
@@ -289,6 +418,24 @@ export const runAnalysis = async (req, res, next) => {
   }
 };
 
+/**
+ * List the compliance rules brand kits can configure
+ *
+ * @route GET /api/analysis/rules
+ */
+export const getRules = async (req, res, next) => {
+  try {
+    res.json(
+      successResponse(
+        { rules: ruleEngine.listRules() },
+        "Compliance rules retrieved successfully"
+      )
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get analysis result by ID
  *
@@ -299,7 +446,10 @@ export const getAnalysis = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const analysis = await AnalysisResult.findById(id)
+    const analysis = await AnalysisResult.findOne({
+      _id: id,
+      organizationId: req.organization._id,
+    })
       .populate("designId", "canvasId name colorsUsed fontsUsed")
       .populate("brandKitId", "name");
 
@@ -318,12 +468,31 @@ export const getAnalysis = async (req, res, next) => {
   }
 };
 
+/**
+ * Build the analysis history filter from query parameters
+ * (designId, brandKitId, from, to - dates are inclusive)
+ */
+const buildHistoryQuery = (scopeFilter, { designId, brandKitId, from, to }) => {
+  const query = { ...scopeFilter, status: "completed" };
+  if (designId) query.designId = designId;
+  if (brandKitId) query.brandKitId = brandKitId;
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+  return query;
+};
+
 /**
  * Get analysis history
  *
  * @route GET /api/analysis/history
+ * @query {string} scope - organization (default) or personal
  * @query {string} designId - Filter by design ID
  * @query {string} brandKitId - Filter by brand kit ID
+ * @query {string} from - Only analyses created at or after this date
+ * @query {string} to - Only analyses created at or before this date
  * @query {number} page - Page number (default: 1)
  * @query {number} limit - Items per page (default: 10)
  */
@@ -332,11 +501,7 @@ export const getAnalysisHistory = async (req, res, next) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
-    const { designId, brandKitId } = req.query;
-
-    const query = { status: "completed" };
-    if (designId) query.designId = designId;
-    if (brandKitId) query.brandKitId = brandKitId;
+    const query = buildHistoryQuery(req.scopeFilter, req.query);
 
     const [analyses, total] = await Promise.all([
       AnalysisResult.find(query)
@@ -351,6 +516,7 @@ export const getAnalysisHistory = async (req, res, next) => {
     res.json(
       successResponse(
         {
+          scope: req.scope,
           analyses: analyses.map((a) => ({
             id: a._id,
             design: a.designId,
@@ -375,8 +541,93 @@ export const getAnalysisHistory = async (req, res, next) => {
   }
 };
 
+/**
+ * Stream analyses matching the history filters as a spreadsheet
+ * Analyses are read through a cursor, so long date ranges are never loaded
+ * into memory at once
+ *
+ * @param {string} name - File name prefix
+ * @param {Function} writeRows - tabularExportService writer (writer, cursor)
+ */
+const streamHistoryExport = (name, writeRows) => async (req, res, next) => {
+  const format = String(req.query.format || "csv").toLowerCase();
+  let cursor = null;
+
+  try {
+    if (!TABULAR_FORMATS[format]) {
+      return res
+        .status(400)
+        .json(
+          errorResponse(
+            `Unsupported export format. Supported: ${Object.keys(
+              TABULAR_FORMATS
+            ).join(", ")}`
+          )
+        );
+    }
+
+    cursor = AnalysisResult.find(
+      buildHistoryQuery(req.scopeFilter, req.query)
+    )
+      .sort({ createdAt: -1 })
+      .populate("designId", "canvasId name")
+      .populate("brandKitId", "name")
+      .lean()
+      .cursor();
+
+    const date = new Date().toISOString().substring(0, 10);
+    res.set({
+      "Content-Type": TABULAR_FORMATS[format].contentType,
+      "Content-Disposition": `attachment; filename="${name}-${date}.${TABULAR_FORMATS[format].extension}"`,
+    });
+
+    const writer = createTabularWriter(format, res);
+    const rows = await writeRows(writer, cursor);
+    await writer.end();
+
+    logger.info(`Exported ${rows} ${name} rows (${format})`);
+  } catch (error) {
+    // Once the file has started, the only way to signal failure is to abort
+    if (res.headersSent) {
+      logger.error(`Export of ${name} failed: ${error.message}`);
+      res.destroy(error);
+      return;
+    }
+    next(error);
+  } finally {
+    if (cursor) await cursor.close().catch(() => {});
+  }
+};
+
+/**
+ * Export analysis history as CSV or XLSX (one row per analysis)
+ *
+ * @route GET /api/analysis/history/export
+ * @query {string} format - csv (default) or xlsx
+ * @query {string} scope, designId, brandKitId, from, to - Same filters as history
+ */
+export const exportAnalysisHistory = streamHistoryExport(
+  "analysis-history",
+  tabularExportService.writeAnalyses
+);
+
+/**
+ * Export violations as CSV or XLSX (one row per violation, with its design,
+ * brand kit, severity, category and suggested fix)
+ *
+ * @route GET /api/analysis/violations/export
+ * @query {string} format - csv (default) or xlsx
+ * @query {string} scope, designId, brandKitId, from, to - Same filters as history
+ */
+export const exportViolations = streamHistoryExport(
+  "violations",
+  tabularExportService.writeViolations
+);
+
 export default {
   runAnalysis,
   getAnalysis,
   getAnalysisHistory,
+  exportAnalysisHistory,
+  exportViolations,
 };
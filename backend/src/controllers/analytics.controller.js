@@ -6,11 +6,14 @@
  * ARCHITECTURE DECISION:
  * This controller provides aggregated analytics for brand compliance.
  * It uses MongoDB aggregation pipeline for efficient data processing.
+ * Figures cover the caller's organization, or only what the caller created
+ * when asked for ?scope=personal (req.scopeFilter, see resolveScope()).
  *
  * ENDPOINTS:
  * - GET /api/analytics - Get aggregated analytics
  */
 
+import mongoose from "mongoose";
 import AnalysisResult from "../models/AnalysisResult.js";
 import Design from "../models/Design.js";
 import BrandKit from "../models/BrandKit.js";
@@ -21,6 +24,7 @@ import { logger } from "../utils/logger.js";
  * Get aggregated analytics
  *
  * @route GET /api/analytics
+ * @query {string} scope - organization (default) or personal
  * @query {string} startDate - Filter start date (ISO 8601)
  * @query {string} endDate - Filter end date (ISO 8601)
  * @query {string} brandKitId - Filter by brand kit
@@ -28,9 +32,10 @@ import { logger } from "../utils/logger.js";
 export const getAnalytics = async (req, res, next) => {
   try {
     const { startDate, endDate, brandKitId } = req.query;
+    const scopeFilter = req.scopeFilter;
 
     // Build match query
-    const match = { status: "completed" };
+    const match = { ...scopeFilter, status: "completed" };
 
     if (startDate || endDate) {
       match.createdAt = {};
@@ -39,7 +44,11 @@ export const getAnalytics = async (req, res, next) => {
     }
 
     if (brandKitId) {
-      match.brandKitId = brandKitId;
+      // Aggregation pipelines are not cast by Mongoose
+      if (!mongoose.isValidObjectId(brandKitId)) {
+        return res.status(400).json(errorResponse("Invalid brandKitId"));
+      }
+      match.brandKitId = new mongoose.Types.ObjectId(brandKitId);
     }
 
     // Run aggregations in parallel
@@ -137,9 +146,9 @@ export const getAnalytics = async (req, res, next) => {
 
       // Entity counts
       Promise.all([
-        Design.countDocuments(),
-        BrandKit.countDocuments({ isArchived: false }),
-        AnalysisResult.countDocuments({ status: "completed" }),
+        Design.countDocuments(scopeFilter),
+        BrandKit.countDocuments({ ...scopeFilter, isArchived: false }),
+        AnalysisResult.countDocuments({ ...scopeFilter, status: "completed" }),
       ]),
     ]);
 
@@ -179,6 +188,7 @@ export const getAnalytics = async (req, res, next) => {
     res.json(
       successResponse(
         {
+          scope: req.scope,
           overview: {
             totalScans: stats.totalScans,
             averageComplianceScore: Math.round(stats.averageScore * 10) / 10,
@@ -215,17 +225,20 @@ export const getAnalytics = async (req, res, next) => {
  * Get quick stats for dashboard
  *
  * @route GET /api/analytics/quick
+ * @query {string} scope - organization (default) or personal
  */
 export const getQuickStats = async (req, res, next) => {
   try {
+    const scopeFilter = req.scopeFilter;
     const [recentAnalysis, designCount, brandKitCount, last24hScans] =
       await Promise.all([
-        AnalysisResult.findOne({ status: "completed" })
+        AnalysisResult.findOne({ ...scopeFilter, status: "completed" })
           .sort({ createdAt: -1 })
           .select("complianceScore violations createdAt"),
-        Design.countDocuments(),
-        BrandKit.countDocuments({ isArchived: false }),
+        Design.countDocuments(scopeFilter),
+        BrandKit.countDocuments({ ...scopeFilter, isArchived: false }),
         AnalysisResult.countDocuments({
+          ...scopeFilter,
           createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) },
         }),
       ]);
@@ -233,6 +246,7 @@ export const getQuickStats = async (req, res, next) => {
     res.json(
       successResponse(
         {
+          scope: req.scope,
           lastAnalysis: recentAnalysis
             ? {
                 score: recentAnalysis.complianceScore,
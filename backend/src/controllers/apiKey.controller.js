@@ -0,0 +1,197 @@
+/**
+ * =============================================================================
+ * Epsilon - API Key Controller
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * Keys belong to the caller's current organization. The key itself is only
+ * returned by create and rotate; listings show its prefix and usage.
+ *
+ * ENDPOINTS:
+ * - GET    /api/api-keys            - List the organization's keys and usage
+ * - POST   /api/api-keys            - Create a key
+ * - PUT    /api/api-keys/:id        - Rename or re-scope a key
+ * - POST   /api/api-keys/:id/rotate - Replace a key's secret
+ * - DELETE /api/api-keys/:id        - Revoke a key
+ */
+
+import ApiKey from "../models/ApiKey.js";
+import apiKeyService from "../services/apiKey.service.js";
+import { successResponse, errorResponse } from "../utils/response.js";
+import { logger } from "../utils/logger.js";
+
+const SCOPES = ApiKey.schema.path("scope").enumValues;
+
+/**
+ * Find an active key of the caller's organization, or send 404
+ */
+const findActiveKey = async (req, res) => {
+  const apiKey = await ApiKey.findOne({
+    _id: req.params.id,
+    organizationId: req.organization._id,
+    revokedAt: null,
+  });
+
+  if (!apiKey) {
+    res.status(404).json(errorResponse("API key not found"));
+  }
+  return apiKey;
+};
+
+const invalidScopeResponse = (res) =>
+  res
+    .status(400)
+    .json(errorResponse(`Scope must be one of: ${SCOPES.join(", ")}`));
+
+/**
+ * List the organization's keys, revoked ones last
+ *
+ * @route GET /api/api-keys
+ */
+export const listApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await ApiKey.find({
+      organizationId: req.organization._id,
+    }).sort({ revokedAt: 1, createdAt: -1 });
+
+    res.json(
+      successResponse({
+        apiKeys: apiKeys.map((apiKey) => apiKey.toClientResponse()),
+      })
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a key
+ *
+ * @route POST /api/api-keys
+ * @body {string} name
+ * @body {string} scope - read (default) | analyze | admin
+ */
+export const createApiKey = async (req, res, next) => {
+  try {
+    const { name, scope = "read" } = req.body;
+
+    if (!name) {
+      return res.status(400).json(errorResponse("API key name is required"));
+    }
+    if (!SCOPES.includes(scope)) {
+      return invalidScopeResponse(res);
+    }
+
+    const { apiKey, key } = await apiKeyService.createApiKey(
+      req.organization,
+      req.user,
+      { name, scope }
+    );
+
+    logger.info(
+      `API key created: ${apiKey._id} (${apiKey.prefix}, ${scope}) in organization ${req.organization._id}`
+    );
+
+    res
+      .status(201)
+      .json(
+        successResponse(
+          { apiKey: apiKey.toClientResponse(), key },
+          "API key created - copy it now, it will not be shown again"
+        )
+      );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rename or re-scope a key
+ *
+ * @route PUT /api/api-keys/:id
+ * @body {string} name - Optional
+ * @body {string} scope - Optional
+ */
+export const updateApiKey = async (req, res, next) => {
+  try {
+    const { name, scope } = req.body;
+
+    if (scope !== undefined && !SCOPES.includes(scope)) {
+      return invalidScopeResponse(res);
+    }
+
+    const apiKey = await findActiveKey(req, res);
+    if (!apiKey) return;
+
+    if (name !== undefined) apiKey.name = name;
+    if (scope !== undefined) apiKey.scope = scope;
+    await apiKey.save();
+
+    res.json(
+      successResponse(
+        { apiKey: apiKey.toClientResponse() },
+        "API key updated successfully"
+      )
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace a key's secret
+ *
+ * @route POST /api/api-keys/:id/rotate
+ */
+export const rotateApiKey = async (req, res, next) => {
+  try {
+    const existing = await findActiveKey(req, res);
+    if (!existing) return;
+
+    const { apiKey, key } = await apiKeyService.rotateApiKey(existing);
+
+    logger.info(`API key rotated: ${apiKey._id} (now ${apiKey.prefix})`);
+
+    res.json(
+      successResponse(
+        { apiKey: apiKey.toClientResponse(), key },
+        "API key rotated - copy it now, it will not be shown again"
+      )
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke a key
+ *
+ * @route DELETE /api/api-keys/:id
+ */
+export const revokeApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await findActiveKey(req, res);
+    if (!apiKey) return;
+
+    await apiKeyService.revokeApiKey(apiKey);
+
+    logger.info(`API key revoked: ${apiKey._id} (${apiKey.prefix})`);
+
+    res.json(
+      successResponse(
+        { apiKey: apiKey.toClientResponse() },
+        "API key revoked successfully"
+      )
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  listApiKeys,
+  createApiKey,
+  updateApiKey,
+  rotateApiKey,
+  revokeApiKey,
+};
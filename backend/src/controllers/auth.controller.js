@@ -0,0 +1,417 @@
+/**
+ * =============================================================================
+ * Epsilon - Auth Controller
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * Sign-in endpoints return the same shape whatever the method:
+ *   { user, accessToken, refreshToken, expiresIn }
+ * Clients send the access token as "Authorization: Bearer <token>" and call
+ * /refresh when it expires (401).
+ *
+ * ENDPOINTS:
+ * - POST /api/auth/register   - Create a password account
+ * - POST /api/auth/login      - Sign in with email + password
+ * - POST /api/auth/google     - Sign in with a Google ID token
+ * - POST /api/auth/refresh    - Rotate the refresh token
+ * - POST /api/auth/logout     - End this session (authenticated)
+ * - POST /api/auth/logout-all - End every session (authenticated)
+ * - POST /api/auth/google/link - Link Google to this account (authenticated)
+ * - PUT  /api/auth/password   - Set or change the password (authenticated)
+ * - GET  /api/auth/me         - Current user (authenticated)
+ * - GET  /api/auth/sessions   - Active sessions (authenticated)
+ * - DELETE /api/auth/sessions/:id - Revoke a session (authenticated)
+ */
+
+import Session from "../models/Session.js";
+import authService, {
+  PASSWORD_MIN_LENGTH,
+  PASSWORD_MAX_LENGTH,
+} from "../services/auth.service.js";
+import { successResponse, errorResponse } from "../utils/response.js";
+import { logger } from "../utils/logger.js";
+
+const EMAIL_PATTERN = /^\S+@\S+\.\S+$/;
+
+const clientInfo = (req) => ({
+  userAgent: req.get("User-Agent"),
+  ip: req.ip,
+});
+
+/**
+ * Validate a new password
+ */
+const validatePassword = (password) => {
+  if (typeof password !== "string" || password.length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+  }
+  if (password.length > PASSWORD_MAX_LENGTH) {
+    return `Password cannot exceed ${PASSWORD_MAX_LENGTH} characters`;
+  }
+  return null;
+};
+
+/**
+ * Register with email and password
+ *
+ * @route POST /api/auth/register
+ * @body {string} email
+ * @body {string} password - At least 8 characters
+ * @body {string} name
+ * @body {string} organization - Optional
+ */
+export const register = async (req, res, next) => {
+  try {
+    const { email, password, name, organization } = req.body;
+
+    if (typeof email !== "string" || !email || !name) {
+      return res.status(400).json(errorResponse("Email and name are required"));
+    }
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json(errorResponse("Invalid email format"));
+    }
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json(errorResponse(passwordError));
+    }
+
+    const user = await authService.registerWithPassword({
+      email,
+      password,
+      name,
+      organization,
+    });
+    if (!user) {
+      return res
+        .status(409)
+        .json(errorResponse("An account with this email already exists"));
+    }
+
+    const auth = await authService.createSession(
+      user,
+      "password",
+      clientInfo(req)
+    );
+
+    res.status(201).json(successResponse(auth, "User registered successfully"));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign in with email and password
+ *
+ * @route POST /api/auth/login
+ * @body {string} email
+ * @body {string} password
+ */
+export const login = async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    if (
+      typeof email !== "string" ||
+      !email ||
+      typeof password !== "string" ||
+      !password
+    ) {
+      return res
+        .status(400)
+        .json(errorResponse("Email and password are required"));
+    }
+    if (password.length > PASSWORD_MAX_LENGTH) {
+      return res.status(401).json(errorResponse("Invalid email or password"));
+    }
+
+    const user = await authService.authenticateWithPassword(email, password);
+    if (!user) {
+      return res.status(401).json(errorResponse("Invalid email or password"));
+    }
+    if (!user.isActive) {
+      return res.status(403).json(errorResponse("Account is disabled"));
+    }
+
+    const auth = await authService.createSession(
+      user,
+      "password",
+      clientInfo(req)
+    );
+
+    logger.info(`User logged in: ${user.email}`);
+
+    res.json(successResponse(auth, "User logged in successfully"));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign in with Google
+ * The ID token is verified here - profile data from the client is ignored
+ *
+ * @route POST /api/auth/google
+ * @body {string} credential - Google ID token
+ */
+export const googleLogin = async (req, res, next) => {
+  try {
+    const { credential } = req.body;
+
+    if (!credential) {
+      return res
+        .status(400)
+        .json(errorResponse("Google credential is required"));
+    }
+
+    let claims;
+    try {
+      claims = await authService.verifyGoogleIdToken(credential);
+    } catch (error) {
+      logger.warn(`Google sign-in rejected: ${error.message}`);
+      return res
+        .status(401)
+        .json(errorResponse(`Google sign-in failed: ${error.message}`));
+    }
+
+    const user = await authService.findOrCreateGoogleUser(claims);
+    if (!user) {
+      return res
+        .status(409)
+        .json(
+          errorResponse(
+            "An account with this email already exists. Sign in with your password and link Google from there"
+          )
+        );
+    }
+    if (!user.isActive) {
+      return res.status(403).json(errorResponse("Account is disabled"));
+    }
+
+    const auth = await authService.createSession(
+      user,
+      "google",
+      clientInfo(req)
+    );
+
+    logger.info(`User logged in with Google: ${user.email}`);
+
+    res.json(successResponse(auth, "User logged in successfully"));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Link a Google account to the signed-in user
+ *
+ * @route POST /api/auth/google/link
+ * @body {string} credential - Google ID token for the user's email
+ */
+export const linkGoogle = async (req, res, next) => {
+  try {
+    const { credential } = req.body;
+
+    if (!credential) {
+      return res
+        .status(400)
+        .json(errorResponse("Google credential is required"));
+    }
+
+    let claims;
+    try {
+      claims = await authService.verifyGoogleIdToken(credential);
+    } catch (error) {
+      logger.warn(`Google link rejected: ${error.message}`);
+      return res
+        .status(401)
+        .json(errorResponse(`Google sign-in failed: ${error.message}`));
+    }
+
+    const user = await authService.linkGoogleAccount(req.user, claims);
+    if (!user) {
+      return res
+        .status(409)
+        .json(
+          errorResponse(
+            "This Google account does not match your email or is linked to another account"
+          )
+        );
+    }
+
+    res.json(
+      successResponse({ user: user.toPublicJSON() }, "Google account linked")
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set or change the signed-in user's password
+ * Accounts without a password (Google or the old passwordless login) can set
+ * one once their email is verified by Google sign-in
+ *
+ * @route PUT /api/auth/password
+ * @body {string} password - New password
+ * @body {string} currentPassword - Required when the account has a password
+ */
+export const changePassword = async (req, res, next) => {
+  try {
+    const { password, currentPassword } = req.body;
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json(errorResponse(passwordError));
+    }
+
+    const updated = await authService.setPassword(
+      req.user,
+      { password, currentPassword },
+      req.authSession
+    );
+    if (!updated) {
+      return res
+        .status(403)
+        .json(
+          errorResponse(
+            "Enter your current password, or sign in with Google first to verify your email"
+          )
+        );
+    }
+
+    res.json(
+      successResponse(null, "Password updated; other sessions were signed out")
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Exchange a refresh token for new tokens
+ *
+ * @route POST /api/auth/refresh
+ * @body {string} refreshToken
+ */
+export const refresh = async (req, res, next) => {
+  try {
+    const auth = await authService.refreshSession(req.body.refreshToken);
+
+    if (!auth) {
+      return res
+        .status(401)
+        .json(errorResponse("Invalid or expired refresh token"));
+    }
+
+    res.json(successResponse(auth, "Tokens refreshed successfully"));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * End the current session
+ *
+ * @route POST /api/auth/logout
+ */
+export const logout = async (req, res, next) => {
+  try {
+    await authService.revokeSession(req.authSession._id);
+
+    res.json(successResponse(null, "Logged out successfully"));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * End every session of the current user
+ *
+ * @route POST /api/auth/logout-all
+ */
+export const logoutAll = async (req, res, next) => {
+  try {
+    const revoked = await authService.revokeAllSessions(req.user._id);
+
+    logger.info(`All sessions revoked for ${req.user.email} (${revoked})`);
+
+    res.json(
+      successResponse({ revoked }, "Logged out of all sessions successfully")
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Current user
+ *
+ * @route GET /api/auth/me
+ */
+export const getMe = async (req, res) => {
+  res.json(successResponse({ user: req.user.toPublicJSON() }));
+};
+
+/**
+ * Active sessions of the current user
+ *
+ * @route GET /api/auth/sessions
+ */
+export const listSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+
+    res.json(
+      successResponse({
+        sessions: sessions.map((session) => ({
+          ...session.toClientResponse(),
+          current: session._id.equals(req.authSession._id),
+        })),
+      })
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke one of the current user's sessions
+ *
+ * @route DELETE /api/auth/sessions/:id
+ */
+export const revokeUserSession = async (req, res, next) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
+    if (!session) {
+      return res.status(404).json(errorResponse("Session not found"));
+    }
+
+    await authService.revokeSession(session._id);
+
+    res.json(successResponse(null, "Session revoked successfully"));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  register,
+  login,
+  googleLogin,
+  linkGoogle,
+  changePassword,
+  refresh,
+  logout,
+  logoutAll,
+  getMe,
+  listSessions,
+  revokeUserSession,
+};
@@ -6,6 +6,8 @@
  * ARCHITECTURE DECISION:
  * This controller handles automatic fix application for brand violations.
  * It uses the autoFix service to apply safe, reversible fixes to designs.
+ * The returned fixPlan is applied to the live canvas by the Add-on's
+ * Document Sandbox - the backend never touches the Adobe Express document.
  *
  * ENDPOINTS:
  * - POST /api/autofix/apply   - Apply auto-fixes to a design
@@ -25,10 +27,12 @@ import { logger } from "../utils/logger.js";
  * @body {string} analysisId - ID of the analysis with violations
  * @body {string} designId - ID of the design to fix
  * @body {Array} fixTypes - Optional: specific fix types to apply (color, font, etc.)
+ * @body {Array} violationIds - Optional: only fix these violations (ids from the analysis)
  */
 export const applyAutoFix = async (req, res, next) => {
   try {
-    const { analysisId, designId, fixTypes } = req.body;
+    const { analysisId, designId, fixTypes, violationIds } = req.body;
+    const organizationId = req.organization._id;
 
     // Validate input
     if (!analysisId && !designId) {
@@ -42,18 +46,18 @@ export const applyAutoFix = async (req, res, next) => {
     let design;
 
     if (analysisId) {
-      analysis = await AnalysisResult.findById(analysisId);
+      analysis = await AnalysisResult.findOne({ _id: analysisId, organizationId });
       if (!analysis) {
         return res.status(404).json(errorResponse("Analysis result not found"));
       }
-      design = await Design.findById(analysis.designId);
+      design = await Design.findOne({ _id: analysis.designId, organizationId });
     } else {
-      design = await Design.findById(designId);
+      design = await Design.findOne({ _id: designId, organizationId });
       if (!design) {
         return res.status(404).json(errorResponse("Design not found"));
       }
       // Get most recent analysis for this design
-      analysis = await AnalysisResult.findOne({ designId }).sort({
+      analysis = await AnalysisResult.findOne({ designId, organizationId }).sort({
         createdAt: -1,
       });
 
@@ -79,6 +83,11 @@ export const applyAutoFix = async (req, res, next) => {
         fixTypes.includes(v.type)
       );
     }
+    if (violationIds && Array.isArray(violationIds)) {
+      violationsToFix = violationsToFix.filter((v) =>
+        violationIds.includes(String(v._id))
+      );
+    }
 
     // Get auto-fixable violations only
     const autoFixableViolations = violationsToFix.filter((v) => v.autoFixable);
@@ -89,11 +98,12 @@ export const applyAutoFix = async (req, res, next) => {
           {
             fixedDesign: design.toAnalysisInput(),
             appliedFixes: [],
+            fixPlan: autoFixService.buildFixPlan([]),
             skippedFixes: violationsToFix.map((v) => ({
               type: v.type,
               description: v.description,
               reason: v.autoFixable
-                ? "Not included in fix types"
+                ? "Not included in the requested fixes"
                 : "Requires manual review",
             })),
             message: "No auto-fixable violations found",
@@ -125,7 +135,7 @@ export const applyAutoFix = async (req, res, next) => {
     // Mark violations as resolved in analysis
     const resolvedViolationIds = fixResult.appliedFixes
       .map((fix) => {
-        const matchingViolation = analysis.violations.find(
+        const matchingViolation = autoFixableViolations.find(
           (v) => v.type === fix.type && !v.resolved
         );
         if (matchingViolation) {
@@ -144,6 +154,7 @@ export const applyAutoFix = async (req, res, next) => {
           fixedDesign: fixResult.fixedDesign,
           appliedFixes: fixResult.appliedFixes,
           skippedFixes: fixResult.skippedFixes,
+          fixPlan: fixResult.fixPlan,
           statistics: autoFixService.getFixStatistics(fixResult.appliedFixes),
           processingTime: fixResult.processingTime,
         },
@@ -169,12 +180,13 @@ export const previewAutoFix = async (req, res, next) => {
       return res.status(400).json(errorResponse("Analysis ID is required"));
     }
 
-    const analysis = await AnalysisResult.findById(analysisId);
+    const organizationId = req.organization._id;
+    const analysis = await AnalysisResult.findOne({ _id: analysisId, organizationId });
     if (!analysis) {
       return res.status(404).json(errorResponse("Analysis result not found"));
     }
 
-    const design = await Design.findById(analysis.designId);
+    const design = await Design.findOne({ _id: analysis.designId, organizationId });
     if (!design) {
       return res.status(404).json(errorResponse("Design not found"));
     }
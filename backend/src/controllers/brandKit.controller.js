@@ -7,6 +7,10 @@
  * Controllers handle HTTP request/response orchestration only.
  * All business logic is delegated to services.
  *
+ * Brand kits belong to an organization: every query is scoped to the
+ * caller's (req.organization), and changes need the manage_brand permission
+ * (see brandKit.routes.js).
+ *
  * ENDPOINTS:
  * - POST   /api/brandkit     - Create new brand kit
  * - GET    /api/brandkit/:id - Get brand kit by ID
@@ -16,9 +20,21 @@
  */
 
 import BrandKit from "../models/BrandKit.js";
+import ruleEngine from "../services/ruleEngine.service.js";
 import { successResponse, errorResponse } from "../utils/response.js";
 import { logger } from "../utils/logger.js";
 
+/**
+ * Find rule configs that reference rules the engine does not know
+ *
+ * @param {Array} rules - BrandKit.rules input
+ * @returns {Array<string>} Unknown rule ids
+ */
+const findUnknownRuleIds = (rules) =>
+  (rules || [])
+    .map((config) => config?.ruleId)
+    .filter((ruleId) => !ruleEngine.getRule(ruleId));
+
 /**
  * Create a new brand kit
  *
@@ -46,8 +62,19 @@ export const createBrandKit = async (req, res, next) => {
         .json(errorResponse("At least one font is required"));
     }
 
+    const unknownRules = findUnknownRuleIds(brandKitData.rules);
+    if (unknownRules.length > 0) {
+      return res
+        .status(400)
+        .json(errorResponse(`Unknown rule(s): ${unknownRules.join(", ")}`));
+    }
+
     // Create brand kit
-    const brandKit = new BrandKit(brandKitData);
+    const brandKit = new BrandKit({
+      ...brandKitData,
+      organizationId: req.organization._id,
+      userId: req.user._id,
+    });
     await brandKit.save();
 
     logger.info(`Brand kit created: ${brandKit._id} - ${brandKit.name}`);
@@ -70,7 +97,10 @@ export const getBrandKit = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const brandKit = await BrandKit.findById(id);
+    const brandKit = await BrandKit.findOne({
+      _id: id,
+      organizationId: req.organization._id,
+    });
 
     if (!brandKit) {
       return res.status(404).json(errorResponse("Brand kit not found"));
@@ -99,8 +129,18 @@ export const updateBrandKit = async (req, res, next) => {
     const updateData = req.body;
     const { changeNote = "" } = req.query;
 
+    const unknownRules = findUnknownRuleIds(updateData.rules);
+    if (unknownRules.length > 0) {
+      return res
+        .status(400)
+        .json(errorResponse(`Unknown rule(s): ${unknownRules.join(", ")}`));
+    }
+
     // Fetch current brand kit first
-    const brandKit = await BrandKit.findById(id);
+    const brandKit = await BrandKit.findOne({
+      _id: id,
+      organizationId: req.organization._id,
+    });
 
     if (!brandKit) {
       return res.status(404).json(errorResponse("Brand kit not found"));
@@ -120,6 +160,8 @@ export const updateBrandKit = async (req, res, next) => {
     delete updateData.createdAt;
     delete updateData.version;
     delete updateData.versionHistory;
+    delete updateData.organizationId;
+    delete updateData.userId;
 
     // Apply updates
     Object.assign(brandKit, updateData);
@@ -150,9 +192,10 @@ export const getBrandKitVersions = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const brandKit = await BrandKit.findById(id).select(
-      "name version versionHistory"
-    );
+    const brandKit = await BrandKit.findOne({
+      _id: id,
+      organizationId: req.organization._id,
+    }).select("name version versionHistory");
 
     if (!brandKit) {
       return res.status(404).json(errorResponse("Brand kit not found"));
@@ -201,7 +244,10 @@ export const getBrandKitVersion = async (req, res, next) => {
     const { id, version } = req.params;
     const versionNum = parseInt(version);
 
-    const brandKit = await BrandKit.findById(id);
+    const brandKit = await BrandKit.findOne({
+      _id: id,
+      organizationId: req.organization._id,
+    });
 
     if (!brandKit) {
       return res.status(404).json(errorResponse("Brand kit not found"));
@@ -242,8 +288,8 @@ export const deleteBrandKit = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const brandKit = await BrandKit.findByIdAndUpdate(
-      id,
+    const brandKit = await BrandKit.findOneAndUpdate(
+      { _id: id, organizationId: req.organization._id },
       { isArchived: true },
       { new: true }
     );
@@ -275,7 +321,7 @@ export const listBrandKits = async (req, res, next) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    const query = { isArchived: false };
+    const query = { organizationId: req.organization._id, isArchived: false };
 
     const [brandKits, total] = await Promise.all([
       BrandKit.find(query)
@@ -53,19 +53,33 @@ export const extractBrandKit = async (req, res, next) => {
 Format your response as valid JSON only, no markdown or explanations.`;
 
     let extractedData;
+    let schemaErrors = [];
     try {
-      // Use Gemini to analyze the brand kit image
-      const analysis = await geminiService.analyzeImageWithPrompt(
+      // Use the LLM to analyze the brand kit image (validated against
+      // BRAND_EXTRACTION_SCHEMA)
+      const extraction = await geminiService.extractBrandData(
         fileData,
         fileType,
         prompt
       );
 
-      // Parse Gemini's response
-      extractedData = JSON.parse(analysis);
-      logger.info("Brand data extracted successfully via Gemini");
-    } catch (parseError) {
-      logger.warn("Failed to parse Gemini response, using fallback extraction");
+      extractedData = extraction.data;
+      schemaErrors = extraction.schemaErrors;
+      logger.info("Brand data extracted successfully via AI");
+    } catch (extractError) {
+      // The model answered with unusable data - report it instead of a made-up kit
+      if (extractError.schemaErrors) {
+        return res
+          .status(502)
+          .json(
+            errorResponse(
+              "AI response did not match the brand extraction schema",
+              { schemaErrors: extractError.schemaErrors }
+            )
+          );
+      }
+
+      logger.warn("AI extraction unavailable, using fallback extraction");
       // Fallback: Create basic brand kit if AI fails
       extractedData = {
         colors: [
@@ -155,6 +169,8 @@ Format your response as valid JSON only, no markdown or explanations.`;
       isActive: true,
       sourceFile: fileName,
       extractedViaAI: true,
+      organizationId: req.organization._id,
+      userId: req.user._id,
     };
 
     // Save to database
@@ -165,7 +181,7 @@ Format your response as valid JSON only, no markdown or explanations.`;
 
     res.status(201).json(
       successResponse(
-        { brandKit, extractedData },
+        { brandKit, extractedData, schemaErrors },
         "Brand kit extracted and created successfully"
       )
     );
@@ -6,6 +6,8 @@
  * ARCHITECTURE DECISION:
  * This controller handles design submissions from Adobe Express Add-on.
  * The Add-on sends canvas data in JSON format which is stored for analysis.
+ * Designs belong to the caller's organization; a canvas resubmitted within
+ * the same organization updates its design.
  *
  * ENDPOINTS:
  * - POST /api/design     - Submit new design (from Adobe Express)
@@ -24,6 +26,7 @@ import { logger } from "../utils/logger.js";
  * @body {Object} Design data from Adobe Express canvas
  *        - canvasId: string
  *        - colorsUsed: string[]
+ *        - colorUsages: [{ color, role, elementId, coverage }]
  *        - fontsUsed: string[]
  *        - textContent: array
  *        - images: array
@@ -39,7 +42,10 @@ export const submitDesign = async (req, res, next) => {
     }
 
     // Check if design with same canvasId exists
-    let design = await Design.findOne({ canvasId: designData.canvasId });
+    let design = await Design.findOne({
+      organizationId: req.organization._id,
+      canvasId: designData.canvasId,
+    });
 
     if (design) {
       // Update existing design
@@ -47,6 +53,8 @@ export const submitDesign = async (req, res, next) => {
         ...designData,
         status: "pending", // Reset status for re-analysis
         rawData: designData, // Store raw data for reference
+        organizationId: req.organization._id,
+        userId: design.userId ?? req.user._id, // Keep the original submitter
       });
       await design.save();
 
@@ -63,7 +71,9 @@ export const submitDesign = async (req, res, next) => {
       design = new Design({
         ...designData,
         rawData: designData,
-        source: "adobe-express",
+        source: req.apiKey ? "api" : "adobe-express",
+        organizationId: req.organization._id,
+        userId: req.user._id,
       });
       await design.save();
 
@@ -95,7 +105,10 @@ export const getDesign = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const design = await Design.findById(id);
+    const design = await Design.findOne({
+      _id: id,
+      organizationId: req.organization._id,
+    });
 
     if (!design) {
       return res.status(404).json(errorResponse("Design not found"));
@@ -117,7 +130,10 @@ export const getDesignByCanvasId = async (req, res, next) => {
   try {
     const { canvasId } = req.params;
 
-    const design = await Design.findOne({ canvasId });
+    const design = await Design.findOne({
+      organizationId: req.organization._id,
+      canvasId,
+    });
 
     if (!design) {
       return res.status(404).json(errorResponse("Design not found"));
@@ -144,7 +160,7 @@ export const listDesigns = async (req, res, next) => {
     const skip = (page - 1) * limit;
     const status = req.query.status;
 
-    const query = {};
+    const query = { organizationId: req.organization._id };
     if (status) {
       query.status = status;
     }
@@ -187,8 +203,8 @@ export const deleteDesign = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const design = await Design.findByIdAndUpdate(
-      id,
+    const design = await Design.findOneAndUpdate(
+      { _id: id, organizationId: req.organization._id },
       { status: "archived" },
       { new: true }
     );
@@ -6,12 +6,14 @@
  * ARCHITECTURE DECISION:
  * This controller generates AI-powered executive summaries for brand governance.
  * It aggregates data from analyses, identifies trends, and uses Gemini AI to
- * produce actionable insights for stakeholders.
+ * produce actionable insights for stakeholders. It covers the caller's
+ * organization, or only what the caller created with ?scope=personal.
  *
  * ENDPOINTS:
  * - GET /api/executive-summary - Generate comprehensive executive summary
  */
 
+import mongoose from "mongoose";
 import AnalysisResult from "../models/AnalysisResult.js";
 import BrandKit from "../models/BrandKit.js";
 import Design from "../models/Design.js";
@@ -25,6 +27,7 @@ import { logger } from "../utils/logger.js";
  * @route GET /api/executive-summary
  * @query {string} brandKitId - Optional: filter by brand kit
  * @query {string} period - Time period: 'week', 'month', 'quarter' (default: week)
+ * @query {string} scope - organization (default) or personal
  */
 export const getExecutiveSummary = async (req, res, next) => {
   try {
@@ -40,12 +43,18 @@ export const getExecutiveSummary = async (req, res, next) => {
     const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
 
     // Build query
+    const scopeFilter = req.scopeFilter;
     const match = {
+      ...scopeFilter,
       status: "completed",
       createdAt: { $gte: startDate },
     };
     if (brandKitId) {
-      match.brandKitId = brandKitId;
+      // Aggregation pipelines are not cast by Mongoose
+      if (!mongoose.isValidObjectId(brandKitId)) {
+        return res.status(400).json(errorResponse("Invalid brandKitId"));
+      }
+      match.brandKitId = new mongoose.Types.ObjectId(brandKitId);
     }
 
     // Run aggregations in parallel
@@ -114,8 +123,8 @@ export const getExecutiveSummary = async (req, res, next) => {
         .populate("brandKitId", "name"),
 
       // Entity counts
-      BrandKit.countDocuments({ isArchived: false }),
-      Design.countDocuments(),
+      BrandKit.countDocuments({ ...scopeFilter, isArchived: false }),
+      Design.countDocuments(scopeFilter),
     ]);
 
     // Format statistics
@@ -165,30 +174,25 @@ export const getExecutiveSummary = async (req, res, next) => {
       });
     }
 
-    // Generate AI executive insight if Gemini is available
+    // Generate executive insight (configured LLM provider, or mock)
     let aiInsight = null;
-    const geminiStatus = geminiService.getServiceStatus();
-    if (geminiStatus.available && stats.totalScans > 0) {
+    if (stats.totalScans > 0) {
       try {
-        const insightPrompt = `Generate a 2-3 sentence executive summary for brand governance. Stats: ${
-          stats.totalScans
-        } scans, ${Math.round(stats.averageScore)}% avg compliance, ${
-          stats.totalViolations
-        } violations, trend: ${complianceTrend}. Top issue: ${
-          violationsByType[0]?._id || "none"
-        }.`;
-        // Note: Using mock for hackathon demo
-        aiInsight = `Over the past ${period}, brand compliance has been ${complianceTrend} with an average score of ${Math.round(
-          stats.averageScore
-        )}%. ${
-          violationsByType[0]
-            ? `The most common issue is ${violationsByType[0]._id} violations (${violationsByType[0].count} occurrences).`
-            : ""
-        } ${
-          topRisks.length > 0
-            ? `Key risk area: ${topRisks[0].type}.`
-            : "No significant risks detected."
-        }`;
+        const { insight } = await geminiService.generateExecutiveInsight({
+          period,
+          totalScans: stats.totalScans,
+          averageScore: Math.round(stats.averageScore),
+          totalViolations: stats.totalViolations,
+          complianceTrend,
+          topViolation: violationsByType[0]
+            ? {
+                type: violationsByType[0]._id,
+                count: violationsByType[0].count,
+              }
+            : null,
+          topRisk: topRisks[0]?.type || null,
+        });
+        aiInsight = insight;
       } catch (error) {
         logger.warn("Failed to generate AI insight:", error.message);
       }
@@ -196,6 +200,7 @@ export const getExecutiveSummary = async (req, res, next) => {
 
     // Build response
     const executiveSummary = {
+      scope: req.scope,
       period: {
         name: period,
         startDate: startDate.toISOString(),
@@ -0,0 +1,512 @@
+/**
+ * =============================================================================
+ * Epsilon - Organization Controller
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * "The organization" is always the caller's current one (req.organization,
+ * set by middleware/organization.js); only listing and switching look at
+ * the caller's other memberships and invitations. Members are existing
+ * users, invited by email; they join only when they accept, and accepting
+ * does not switch them to the organization.
+ *
+ * ENDPOINTS:
+ * - GET    /api/organization                      - Current organization
+ * - PUT    /api/organization                      - Rename it
+ * - POST   /api/organization                      - Create one (and switch to it)
+ * - GET    /api/organization/mine                 - Organizations I belong to
+ * - POST   /api/organization/:id/switch           - Switch current organization
+ * - POST   /api/organization/invitations          - Invite a user
+ * - DELETE /api/organization/invitations/:userId  - Withdraw an invitation
+ * - GET    /api/organization/invitations/mine     - Invitations I have received
+ * - POST   /api/organization/:id/accept           - Accept an invitation
+ * - POST   /api/organization/:id/decline          - Decline an invitation
+ * - PUT    /api/organization/members/:userId      - Change a member's role
+ * - DELETE /api/organization/members/:userId      - Remove a member (or leave)
+ */
+
+import Organization from "../models/Organization.js";
+import User from "../models/User.js";
+import organizationService from "../services/organization.service.js";
+import { revokeMemberApiKeys } from "../services/apiKey.service.js";
+import { successResponse, errorResponse } from "../utils/response.js";
+import { logger } from "../utils/logger.js";
+
+const ROLES = Organization.schema
+  .path("members")
+  .schema.path("role").enumValues;
+
+/**
+ * Current organization with its members and pending invitations
+ */
+const toOrganizationResponse = async (organization, role) => {
+  await organization.populate([
+    { path: "members.userId", select: "name email" },
+    { path: "invitations.userId", select: "name email" },
+  ]);
+  return { organization: organization.toClientResponse({ role }) };
+};
+
+const invalidRoleResponse = (res) =>
+  res
+    .status(400)
+    .json(errorResponse(`Role must be one of: ${ROLES.join(", ")}`));
+
+/**
+ * Get the current organization
+ *
+ * @route GET /api/organization
+ */
+export const getOrganization = async (req, res, next) => {
+  try {
+    res.json(
+      successResponse(
+        await toOrganizationResponse(req.organization, req.organizationRole),
+        "Organization retrieved successfully"
+      )
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rename the current organization
+ *
+ * @route PUT /api/organization
+ * @body {string} name
+ */
+export const updateOrganization = async (req, res, next) => {
+  try {
+    const { name } = req.body;
+
+    if (!name) {
+      return res
+        .status(400)
+        .json(errorResponse("Organization name is required"));
+    }
+
+    req.organization.name = name;
+    await req.organization.save();
+
+    res.json(
+      successResponse(
+        await toOrganizationResponse(req.organization, req.organizationRole),
+        "Organization updated successfully"
+      )
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create an organization owned by the caller, and switch to it
+ *
+ * @route POST /api/organization
+ * @body {string} name
+ */
+export const createOrganization = async (req, res, next) => {
+  try {
+    const { name } = req.body;
+
+    if (!name) {
+      return res
+        .status(400)
+        .json(errorResponse("Organization name is required"));
+    }
+
+    const organization = await organizationService.createOrganization(
+      req.user,
+      name
+    );
+    await organizationService.setCurrentOrganization(req.user, organization);
+
+    logger.info(`Organization created: ${organization._id} - ${name}`);
+
+    res
+      .status(201)
+      .json(
+        successResponse(
+          await toOrganizationResponse(organization, "owner"),
+          "Organization created successfully"
+        )
+      );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the organizations the caller belongs to
+ *
+ * @route GET /api/organization/mine
+ */
+export const listMyOrganizations = async (req, res, next) => {
+  try {
+    const organizations = await Organization.findByMember(req.user._id);
+
+    res.json(
+      successResponse({
+        organizations: organizations.map((organization) => ({
+          id: organization._id,
+          name: organization.name,
+          role: organization.getMember(req.user._id).role,
+          memberCount: organization.members.length,
+          current: organization._id.equals(req.organization._id),
+        })),
+      })
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Switch the caller's current organization
+ *
+ * @route POST /api/organization/:id/switch
+ */
+export const switchOrganization = async (req, res, next) => {
+  try {
+    const organization = await Organization.findOne({
+      _id: req.params.id,
+      "members.userId": req.user._id,
+    });
+
+    if (!organization) {
+      return res.status(404).json(errorResponse("Organization not found"));
+    }
+
+    await organizationService.setCurrentOrganization(req.user, organization);
+
+    res.json(
+      successResponse(
+        await toOrganizationResponse(
+          organization,
+          organization.getMember(req.user._id).role
+        ),
+        `Switched to ${organization.name}`
+      )
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Invite an existing user to the current organization
+ *
+ * @route POST /api/organization/invitations
+ * @body {string} email - The user's account email
+ * @body {string} role - owner | brand_manager | designer | viewer
+ */
+export const inviteMember = async (req, res, next) => {
+  try {
+    const { email, role } = req.body;
+
+    if (!email || typeof email !== "string") {
+      return res.status(400).json(errorResponse("Email is required"));
+    }
+    if (!ROLES.includes(role)) {
+      return invalidRoleResponse(res);
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+    if (!user) {
+      return res
+        .status(404)
+        .json(
+          errorResponse(
+            "No account uses this email - ask them to sign up first"
+          )
+        );
+    }
+
+    const organization = req.organization;
+    if (organization.getMember(user._id)) {
+      return res
+        .status(409)
+        .json(errorResponse("This user is already a member"));
+    }
+    if (organization.getInvitation(user._id)) {
+      return res
+        .status(409)
+        .json(errorResponse("This user has already been invited"));
+    }
+
+    organization.invitations.push({
+      userId: user._id,
+      role,
+      invitedBy: req.user._id,
+    });
+    await organization.save();
+
+    logger.info(
+      `Invitation to organization ${organization._id}: ${user.email} (${role})`
+    );
+
+    res
+      .status(201)
+      .json(
+        successResponse(
+          await toOrganizationResponse(organization, req.organizationRole),
+          "Invitation sent - they join once they accept it"
+        )
+      );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Withdraw a pending invitation
+ *
+ * @route DELETE /api/organization/invitations/:userId
+ */
+export const cancelInvitation = async (req, res, next) => {
+  try {
+    const organization = req.organization;
+    const invitation = organization.getInvitation(req.params.userId);
+    if (!invitation) {
+      return res.status(404).json(errorResponse("Invitation not found"));
+    }
+
+    organization.invitations = organization.invitations.filter(
+      (entry) => entry !== invitation
+    );
+    await organization.save();
+
+    res.json(
+      successResponse(
+        await toOrganizationResponse(organization, req.organizationRole),
+        "Invitation withdrawn"
+      )
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the invitations the caller has received
+ *
+ * @route GET /api/organization/invitations/mine
+ */
+export const listMyInvitations = async (req, res, next) => {
+  try {
+    const organizations = await Organization.findByInvitee(req.user._id);
+
+    res.json(
+      successResponse({
+        invitations: organizations.map((organization) => {
+          const invitation = organization.getInvitation(req.user._id);
+          return {
+            organizationId: organization._id,
+            name: organization.name,
+            role: invitation.role,
+            invitedAt: invitation.invitedAt,
+          };
+        }),
+      })
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Find the organization behind one of the caller's invitations
+ */
+const findInvitingOrganization = (req) =>
+  Organization.findOne({
+    _id: req.params.id,
+    "invitations.userId": req.user._id,
+  });
+
+/**
+ * Accept an invitation and become a member
+ * The caller stays in their current organization; switch to use the new one.
+ *
+ * @route POST /api/organization/:id/accept
+ */
+export const acceptInvitation = async (req, res, next) => {
+  try {
+    const organization = await findInvitingOrganization(req);
+    if (!organization) {
+      return res.status(404).json(errorResponse("Invitation not found"));
+    }
+
+    const invitation = organization.getInvitation(req.user._id);
+    organization.invitations = organization.invitations.filter(
+      (entry) => entry !== invitation
+    );
+    organization.members.push({
+      userId: req.user._id,
+      role: invitation.role,
+      addedBy: invitation.invitedBy,
+    });
+    await organization.save();
+
+    logger.info(
+      `Member joined organization ${organization._id}: ${req.user.email} (${invitation.role})`
+    );
+
+    res.json(
+      successResponse(
+        await toOrganizationResponse(organization, invitation.role),
+        `You joined ${organization.name}`
+      )
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Decline an invitation
+ *
+ * @route POST /api/organization/:id/decline
+ */
+export const declineInvitation = async (req, res, next) => {
+  try {
+    const organization = await findInvitingOrganization(req);
+    if (!organization) {
+      return res.status(404).json(errorResponse("Invitation not found"));
+    }
+
+    organization.invitations = organization.invitations.filter(
+      (entry) => !entry.userId.equals(req.user._id)
+    );
+    await organization.save();
+
+    res.json(
+      successResponse(
+        { organizationId: organization._id },
+        "Invitation declined"
+      )
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change a member's role
+ *
+ * @route PUT /api/organization/members/:userId
+ * @body {string} role
+ */
+export const updateMember = async (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return invalidRoleResponse(res);
+    }
+
+    const organization = req.organization;
+    const member = organization.getMember(req.params.userId);
+    if (!member) {
+      return res.status(404).json(errorResponse("Member not found"));
+    }
+
+    if (
+      member.role === "owner" &&
+      role !== "owner" &&
+      organization.countOwners() === 1
+    ) {
+      return res
+        .status(400)
+        .json(errorResponse("An organization must keep at least one owner"));
+    }
+
+    member.role = role;
+    await organization.save();
+
+    res.json(
+      successResponse(
+        await toOrganizationResponse(
+          organization,
+          organization.getMember(req.user._id).role
+        ),
+        "Member updated successfully"
+      )
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a member; any member may remove themselves (leave)
+ *
+ * @route DELETE /api/organization/members/:userId
+ */
+export const removeMember = async (req, res, next) => {
+  try {
+    const organization = req.organization;
+    const isSelf = req.user._id.equals(req.params.userId);
+
+    if (
+      !isSelf &&
+      !Organization.roleHasPermission(req.organizationRole, "manage_members")
+    ) {
+      return res
+        .status(403)
+        .json(
+          errorResponse(
+            `Your role (${req.organizationRole}) does not allow this action`
+          )
+        );
+    }
+
+    const member = organization.getMember(req.params.userId);
+    if (!member) {
+      return res.status(404).json(errorResponse("Member not found"));
+    }
+
+    if (member.role === "owner" && organization.countOwners() === 1) {
+      return res
+        .status(400)
+        .json(errorResponse("An organization must keep at least one owner"));
+    }
+
+    organization.members = organization.members.filter(
+      (entry) => entry !== member
+    );
+    await organization.save();
+
+    // Keys act for their creator; they must not outlive the membership
+    const revokedKeys = await revokeMemberApiKeys(organization, member.userId);
+
+    logger.info(
+      `Member removed from organization ${organization._id}: ${req.params.userId}` +
+        (revokedKeys ? ` (${revokedKeys} API keys revoked)` : "")
+    );
+
+    res.json(
+      successResponse(
+        { userId: req.params.userId },
+        isSelf ? "You left the organization" : "Member removed successfully"
+      )
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  getOrganization,
+  updateOrganization,
+  createOrganization,
+  listMyOrganizations,
+  switchOrganization,
+  inviteMember,
+  cancelInvitation,
+  listMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+  updateMember,
+  removeMember,
+};
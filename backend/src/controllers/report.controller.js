@@ -5,20 +5,31 @@
  *
  * ARCHITECTURE DECISION:
  * This controller handles generation and retrieval of compliance reports.
- * Reports aggregate multiple analyses into shareable documents.
+ * Reports aggregate multiple analyses into shareable documents. Reports
+ * belong to the organization of their brand kit and are only visible inside
+ * it (share links aside); deleting and sharing need manage_reports.
  *
  * ENDPOINTS:
  * - POST /api/report/generate - Generate new report
  * - GET  /api/report/:id      - Get report by ID
+ * - GET  /api/report/:id/export - Download report (pdf, xlsx, csv)
+ * - POST/GET /api/report/:id/share, PUT/DELETE /api/report/:id/share/:linkId
+ *   - Manage public share links (read through GET /api/share/:token)
  * - GET  /api/report          - List reports
  */
 
 import Report from "../models/Report.js";
 import AnalysisResult from "../models/AnalysisResult.js";
 import BrandKit from "../models/BrandKit.js";
+import reportService from "../services/report.service.js";
+import reportExportService from "../services/reportExport.service.js";
+import tabularExportService from "../services/tabularExport.service.js";
 import { successResponse, errorResponse } from "../utils/response.js";
+import { hashPassword } from "../utils/password.js";
 import { logger } from "../utils/logger.js";
 
+const SHARE_PASSWORD_MIN_LENGTH = 6;
+
 /**
  * Generate a new compliance report
  *
@@ -27,10 +38,13 @@ import { logger } from "../utils/logger.js";
  * @body {string} brandKitId - Brand kit to report on
  * @body {string} analysisId - Single analysis to include (optional)
  * @body {Object} dateRange - Date range for multiple analyses { start, end }
+ * @body {Object} format - { includeViolationDetails, includeSuggestions, includeCharts }
+ *                         (all default to true)
  */
 export const generateReport = async (req, res, next) => {
   try {
-    const { title, description, brandKitId, analysisId, dateRange } = req.body;
+    const { title, description, brandKitId, analysisId, dateRange, format } =
+      req.body;
 
     // Validate required fields
     if (!title) {
@@ -42,76 +56,30 @@ export const generateReport = async (req, res, next) => {
     }
 
     // Verify brand kit exists
-    const brandKit = await BrandKit.findById(brandKitId);
+    const brandKit = await BrandKit.findOne({
+      _id: brandKitId,
+      organizationId: req.organization._id,
+    });
     if (!brandKit) {
       return res.status(404).json(errorResponse("Brand kit not found"));
     }
 
-    // Build query for analyses
-    const analysisQuery = { brandKitId, status: "completed" };
-
-    if (analysisId) {
-      // Single analysis report
-      analysisQuery._id = analysisId;
-    } else if (dateRange) {
-      // Date range report
-      if (dateRange.start) {
-        analysisQuery.createdAt = { $gte: new Date(dateRange.start) };
-      }
-      if (dateRange.end) {
-        analysisQuery.createdAt = {
-          ...analysisQuery.createdAt,
-          $lte: new Date(dateRange.end),
-        };
-      }
-    }
-
-    // Fetch analyses
-    const analyses = await AnalysisResult.find(analysisQuery)
-      .sort({ createdAt: -1 })
-      .limit(100) // Limit to prevent massive reports
-      .populate("designId", "canvasId name");
+    const report = await reportService.createReport({
+      brandKit,
+      title,
+      description,
+      analysisId,
+      dateRange,
+      format,
+      userId: req.user._id,
+    });
 
-    if (analyses.length === 0) {
+    if (!report) {
       return res
         .status(404)
         .json(errorResponse("No analyses found for this brand kit"));
     }
 
-    // Create analysis snapshots
-    const analysisSnapshots = analyses.map((a) => ({
-      analysisId: a._id,
-      designId: a.designId._id || a.designId,
-      score: a.complianceScore,
-      violationsCount: a.violations.length,
-      analyzedAt: a.createdAt,
-    }));
-
-    // Create report
-    const report = new Report({
-      title,
-      description,
-      brandKitId,
-      analyses: analysisSnapshots,
-      type: analysisId ? "single" : dateRange ? "periodic" : "batch",
-      dateRange: dateRange
-        ? {
-            start: dateRange.start ? new Date(dateRange.start) : null,
-            end: dateRange.end ? new Date(dateRange.end) : null,
-          }
-        : null,
-      format: {
-        includeViolationDetails: true,
-        includeSuggestions: true,
-        includeCharts: true,
-      },
-    });
-
-    // Calculate summary
-    report.calculateSummary();
-
-    await report.save();
-
     logger.info(`Report generated: ${report._id} - ${report.title}`);
 
     res.status(201).json(
@@ -126,6 +94,7 @@ export const generateReport = async (req, res, next) => {
             },
             summary: report.summary,
             analysesCount: report.analyses.length,
+            format: report.format,
             generatedAt: report.generatedAt,
           },
         },
@@ -147,10 +116,10 @@ export const getReport = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const report = await Report.findById(id).populate(
-      "brandKitId",
-      "name colors fonts"
-    );
+    const report = await Report.findOne({
+      _id: id,
+      organizationId: req.organization._id,
+    }).populate("brandKitId", "name colors fonts");
 
     if (!report) {
       return res.status(404).json(errorResponse("Report not found"));
@@ -177,10 +146,10 @@ export const getFullReport = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const report = await Report.findById(id).populate(
-      "brandKitId",
-      "name colors fonts logoRules accessibilityRules"
-    );
+    const report = await Report.findOne({
+      _id: id,
+      organizationId: req.organization._id,
+    }).populate("brandKitId", "name colors fonts logoRules accessibilityRules");
 
     if (!report) {
       return res.status(404).json(errorResponse("Report not found"));
@@ -190,6 +159,7 @@ export const getFullReport = async (req, res, next) => {
     const analysisIds = report.analyses.map((a) => a.analysisId);
     const fullAnalyses = await AnalysisResult.find({
       _id: { $in: analysisIds },
+      organizationId: req.organization._id,
     }).populate("designId", "canvasId name colorsUsed fontsUsed");
 
     res.json(
@@ -197,6 +167,7 @@ export const getFullReport = async (req, res, next) => {
         {
           report: {
             ...report.toClientResponse(),
+            analyses: report.analyses,
             fullAnalyses: fullAnalyses.map((a) => a.toClientResponse()),
           },
         },
@@ -208,12 +179,340 @@ export const getFullReport = async (req, res, next) => {
   }
 };
 
+/**
+ * Export a report as a file (rendered from the report's snapshots)
+ *
+ * @route GET /api/report/:id/export
+ * @param {string} id - Report ID
+ * @query {string} format - pdf (default), xlsx or csv
+ * @query {string} table - CSV only: designs, analyses (default) or violations
+ */
+export const exportReport = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const format = String(req.query.format || "pdf").toLowerCase();
+    const { table } = req.query;
+
+    if (!reportExportService.EXPORT_FORMATS[format]) {
+      return res
+        .status(400)
+        .json(
+          errorResponse(
+            `Unsupported export format. Supported: ${Object.keys(
+              reportExportService.EXPORT_FORMATS
+            ).join(", ")}`
+          )
+        );
+    }
+
+    if (table && !tabularExportService.REPORT_TABLES.includes(table)) {
+      return res
+        .status(400)
+        .json(
+          errorResponse(
+            `Unknown table. Supported: ${tabularExportService.REPORT_TABLES.join(
+              ", "
+            )}`
+          )
+        );
+    }
+
+    const report = await Report.findOne({
+      _id: id,
+      organizationId: req.organization._id,
+    }).populate("brandKitId", "name colors scoringPolicy");
+
+    if (!report) {
+      return res.status(404).json(errorResponse("Report not found"));
+    }
+
+    res.set({
+      "Content-Type": reportExportService.EXPORT_FORMATS[format].contentType,
+      "Content-Disposition": `attachment; filename="${reportExportService.getExportFilename(
+        report,
+        format
+      )}"`,
+    });
+    await reportExportService.exportReport(report, format, res, { table });
+
+    logger.info(`Report exported: ${report._id} (${format})`);
+  } catch (error) {
+    // Once the file has started, the only way to signal failure is to abort
+    if (res.headersSent) {
+      logger.error(`Report export failed: ${error.message}`);
+      res.destroy(error);
+      return;
+    }
+    next(error);
+  }
+};
+
+// ---------------------------------------------------------------------------
+// SHARE LINKS
+// ---------------------------------------------------------------------------
+
+/**
+ * Public URL of a share link
+ * SHARE_LINK_BASE_URL points links at a viewer page; by default they point
+ * at this API's GET /api/share/:token
+ */
+const getShareUrl = (req, token) => {
+  const base =
+    process.env.SHARE_LINK_BASE_URL ||
+    `${req.protocol}://${req.get("host")}/api/share`;
+  return `${base.replace(/\/+$/, "")}/${token}`;
+};
+
+/**
+ * Owner view of a share link (never includes the password hash)
+ */
+const toShareLinkResponse = (req, link) => ({
+  id: link._id,
+  label: link.label,
+  token: link.token,
+  url: getShareUrl(req, link.token),
+  status: link.status,
+  passwordProtected: Boolean(link.passwordHash),
+  expiresAt: link.expiresAt,
+  revokedAt: link.revokedAt,
+  viewCount: link.viewCount,
+  lastViewedAt: link.lastViewedAt,
+  createdAt: link.createdAt,
+});
+
+/**
+ * Read expiry from { expiresAt } or { expiresInDays }
+ *
+ * @returns {Object} { expiresAt } (null = never; undefined = not given)
+ *                   or { error }
+ */
+const parseExpiry = ({ expiresAt, expiresInDays }) => {
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = Number(expiresInDays);
+    if (!Number.isFinite(days) || days <= 0) {
+      return { error: "expiresInDays must be a positive number" };
+    }
+    return { expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000) };
+  }
+
+  if (expiresAt === null) return { expiresAt: null };
+  if (expiresAt === undefined) return { expiresAt: undefined };
+
+  const date = new Date(expiresAt);
+  if (Number.isNaN(date.getTime())) {
+    return { error: "expiresAt must be a valid date" };
+  }
+  return { expiresAt: date };
+};
+
+/**
+ * Validate a share password (null/undefined = none)
+ */
+const validateSharePassword = (password) => {
+  if (password === undefined || password === null) return null;
+  if (
+    typeof password !== "string" ||
+    password.length < SHARE_PASSWORD_MIN_LENGTH
+  ) {
+    return `Password must be at least ${SHARE_PASSWORD_MIN_LENGTH} characters`;
+  }
+  return null;
+};
+
+/**
+ * Create a public share link for a report
+ *
+ * @route POST /api/report/:id/share
+ * @param {string} id - Report ID
+ * @body {string} label - Who the link is for (optional)
+ * @body {number} expiresInDays - Expire after this many days (optional)
+ * @body {string} expiresAt - Or expire at this date (optional; default never)
+ * @body {string} password - Require this password to view (optional)
+ */
+export const createShareLink = async (req, res, next) => {
+  try {
+    const { label, password } = req.body;
+
+    const expiry = parseExpiry(req.body);
+    if (expiry.error) {
+      return res.status(400).json(errorResponse(expiry.error));
+    }
+    if (expiry.expiresAt && expiry.expiresAt <= new Date()) {
+      return res
+        .status(400)
+        .json(errorResponse("Expiry must be in the future"));
+    }
+
+    const passwordError = validateSharePassword(password);
+    if (passwordError) {
+      return res.status(400).json(errorResponse(passwordError));
+    }
+
+    const report = await Report.findOne({
+      _id: req.params.id,
+      organizationId: req.organization._id,
+    });
+    if (!report) {
+      return res.status(404).json(errorResponse("Report not found"));
+    }
+
+    const link = report.createShareLink({
+      label: label || null,
+      expiresAt: expiry.expiresAt ?? null,
+      passwordHash: password ? await hashPassword(password) : null,
+    });
+    await report.save();
+
+    logger.info(`Share link created for report ${report._id}`);
+
+    res
+      .status(201)
+      .json(
+        successResponse(
+          { link: toShareLinkResponse(req, link) },
+          "Share link created successfully"
+        )
+      );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List a report's share links (including expired and revoked ones)
+ *
+ * @route GET /api/report/:id/share
+ * @param {string} id - Report ID
+ */
+export const listShareLinks = async (req, res, next) => {
+  try {
+    const report = await Report.findOne({
+      _id: req.params.id,
+      organizationId: req.organization._id,
+    }).select("sharing");
+    if (!report) {
+      return res.status(404).json(errorResponse("Report not found"));
+    }
+
+    res.json(
+      successResponse(
+        {
+          links: [...report.sharing.links]
+            .reverse()
+            .map((link) => toShareLinkResponse(req, link)),
+        },
+        "Share links retrieved successfully"
+      )
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a share link: change its expiry (expire it now with
+ * expiresAt = now), label or password
+ *
+ * @route PUT /api/report/:id/share/:linkId
+ * @body {string|null} expiresAt - New expiry (null = never)
+ * @body {number} expiresInDays - Or expire this many days from now
+ * @body {string|null} password - New password (null removes it)
+ * @body {string} label - New label
+ */
+export const updateShareLink = async (req, res, next) => {
+  try {
+    const { label, password } = req.body;
+
+    const expiry = parseExpiry(req.body);
+    if (expiry.error) {
+      return res.status(400).json(errorResponse(expiry.error));
+    }
+
+    const passwordError = validateSharePassword(password);
+    if (passwordError) {
+      return res.status(400).json(errorResponse(passwordError));
+    }
+
+    const report = await Report.findOne({
+      _id: req.params.id,
+      organizationId: req.organization._id,
+    });
+    if (!report) {
+      return res.status(404).json(errorResponse("Report not found"));
+    }
+
+    const link = report.sharing.links.id(req.params.linkId);
+    if (!link) {
+      return res.status(404).json(errorResponse("Share link not found"));
+    }
+    if (link.revokedAt) {
+      return res
+        .status(409)
+        .json(errorResponse("Revoked share links cannot be changed"));
+    }
+
+    if (expiry.expiresAt !== undefined) link.expiresAt = expiry.expiresAt;
+    if (label !== undefined) link.label = label || null;
+    if (password !== undefined) {
+      link.passwordHash = password ? await hashPassword(password) : null;
+    }
+    await report.save();
+
+    res.json(
+      successResponse(
+        { link: toShareLinkResponse(req, link) },
+        "Share link updated successfully"
+      )
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke a share link (it stops working immediately and stays listed)
+ *
+ * @route DELETE /api/report/:id/share/:linkId
+ */
+export const revokeShareLink = async (req, res, next) => {
+  try {
+    const report = await Report.findOne({
+      _id: req.params.id,
+      organizationId: req.organization._id,
+    });
+    if (!report) {
+      return res.status(404).json(errorResponse("Report not found"));
+    }
+
+    const link = report.sharing.links.id(req.params.linkId);
+    if (!link) {
+      return res.status(404).json(errorResponse("Share link not found"));
+    }
+
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      await report.save();
+      logger.info(`Share link revoked for report ${report._id}`);
+    }
+
+    res.json(
+      successResponse(
+        { link: toShareLinkResponse(req, link) },
+        "Share link revoked successfully"
+      )
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * List all reports
  *
  * @route GET /api/report
  * @query {number} page - Page number (default: 1)
  * @query {number} limit - Items per page (default: 10)
+ * @query {string} scheduleId - Only reports generated by this schedule
  */
 export const listReports = async (req, res, next) => {
   try {
@@ -221,13 +520,16 @@ export const listReports = async (req, res, next) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
+    const query = { organizationId: req.organization._id };
+    if (req.query.scheduleId) query.scheduleId = req.query.scheduleId;
+
     const [reports, total] = await Promise.all([
-      Report.find()
+      Report.find(query)
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limit)
         .populate("brandKitId", "name"),
-      Report.countDocuments(),
+      Report.countDocuments(query),
     ]);
 
     res.json(
@@ -239,6 +541,8 @@ export const listReports = async (req, res, next) => {
             brandKit: r.brandKitId,
             analysesCount: r.analyses.length,
             summary: r.summary,
+            type: r.type,
+            scheduleId: r.scheduleId,
             createdAt: r.createdAt,
           })),
           pagination: {
@@ -266,7 +570,10 @@ export const deleteReport = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const report = await Report.findByIdAndDelete(id);
+    const report = await Report.findOneAndDelete({
+      _id: id,
+      organizationId: req.organization._id,
+    });
 
     if (!report) {
       return res.status(404).json(errorResponse("Report not found"));
@@ -284,6 +591,11 @@ export default {
   generateReport,
   getReport,
   getFullReport,
+  exportReport,
+  createShareLink,
+  listShareLinks,
+  updateShareLink,
+  revokeShareLink,
   listReports,
   deleteReport,
 };
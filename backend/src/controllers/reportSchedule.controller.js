@@ -0,0 +1,259 @@
+/**
+ * =============================================================================
+ * Epsilon - Report Schedule Controller
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * Schedules are plain documents; the in-process scheduler
+ * (services/reportScheduler.service.js) picks them up by nextRunAt. This
+ * controller only keeps nextRunAt in step with the timing fields.
+ * Schedules belong to the organization of their brand kit.
+ *
+ * ENDPOINTS:
+ * - POST   /api/report-schedule     - Create schedule
+ * - GET    /api/report-schedule     - List schedules
+ * - GET    /api/report-schedule/:id - Get schedule with run history
+ * - PUT    /api/report-schedule/:id - Update schedule
+ * - DELETE /api/report-schedule/:id - Delete schedule (keeps its reports)
+ */
+
+import ReportSchedule from "../models/ReportSchedule.js";
+import BrandKit from "../models/BrandKit.js";
+import { getNextRunAt } from "../services/reportScheduler.service.js";
+import { successResponse, errorResponse } from "../utils/response.js";
+import { logger } from "../utils/logger.js";
+
+// Fields that decide when a schedule runs
+const TIMING_FIELDS = ["frequency", "dayOfWeek", "dayOfMonth", "hour"];
+
+const UPDATABLE_FIELDS = [
+  "title",
+  "description",
+  ...TIMING_FIELDS,
+  "format",
+  "enabled",
+];
+
+const FREQUENCIES = ReportSchedule.schema.path("frequency").enumValues;
+
+/**
+ * Default title of a brand kit's schedule, e.g. "Acme Weekly Compliance
+ * Report"
+ */
+const defaultTitle = (brandKit, frequency) =>
+  `${brandKit.name} ${
+    frequency.charAt(0).toUpperCase() + frequency.slice(1)
+  } Compliance Report`.slice(0, 150);
+
+/**
+ * Create a report schedule
+ *
+ * @route POST /api/report-schedule
+ * @body {string} brandKitId - Brand kit to report on
+ * @body {string} frequency - weekly, monthly or quarterly
+ * @body {string} title - Report title (optional; the period is appended)
+ * @body {number} dayOfWeek - Weekly: 0 (Sunday) - 6 (default: 1, Monday)
+ * @body {number} dayOfMonth - Monthly/quarterly: 1 - 28 (default: 1)
+ * @body {number} hour - Hour of day, UTC (default: 6)
+ * @body {Object} format - Report format flags
+ */
+export const createSchedule = async (req, res, next) => {
+  try {
+    const { brandKitId, frequency, title } = req.body;
+
+    if (!brandKitId) {
+      return res.status(400).json(errorResponse("Brand Kit ID is required"));
+    }
+
+    if (!FREQUENCIES.includes(frequency)) {
+      return res
+        .status(400)
+        .json(
+          errorResponse(`Frequency must be one of: ${FREQUENCIES.join(", ")}`)
+        );
+    }
+
+    const brandKit = await BrandKit.findOne({
+      _id: brandKitId,
+      organizationId: req.organization._id,
+    });
+    if (!brandKit) {
+      return res.status(404).json(errorResponse("Brand kit not found"));
+    }
+
+    const schedule = new ReportSchedule({
+      ...Object.fromEntries(
+        UPDATABLE_FIELDS.filter((field) => req.body[field] !== undefined).map(
+          (field) => [field, req.body[field]]
+        )
+      ),
+      title: title || defaultTitle(brandKit, frequency),
+      userId: req.user._id,
+      organizationId: req.organization._id,
+      brandKitId: brandKit._id,
+    });
+    schedule.nextRunAt = getNextRunAt(schedule);
+
+    await schedule.save();
+    await schedule.populate("brandKitId", "name");
+
+    logger.info(
+      `Report schedule created: ${schedule._id} (${schedule.frequency})`
+    );
+
+    res
+      .status(201)
+      .json(
+        successResponse(
+          { schedule: schedule.toClientResponse() },
+          "Report schedule created successfully"
+        )
+      );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List report schedules
+ *
+ * @route GET /api/report-schedule
+ * @query {string} brandKitId - Only this brand kit's schedules
+ */
+export const listSchedules = async (req, res, next) => {
+  try {
+    const query = { organizationId: req.organization._id };
+    if (req.query.brandKitId) query.brandKitId = req.query.brandKitId;
+
+    const schedules = await ReportSchedule.find(query)
+      .sort({ createdAt: -1 })
+      .populate("brandKitId", "name");
+
+    res.json(
+      successResponse(
+        { schedules: schedules.map((s) => s.toClientResponse()) },
+        "Report schedules retrieved successfully"
+      )
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a report schedule with its run history
+ *
+ * @route GET /api/report-schedule/:id
+ */
+export const getSchedule = async (req, res, next) => {
+  try {
+    const schedule = await ReportSchedule.findOne({
+      _id: req.params.id,
+      organizationId: req.organization._id,
+    }).populate("brandKitId", "name");
+
+    if (!schedule) {
+      return res.status(404).json(errorResponse("Report schedule not found"));
+    }
+
+    res.json(
+      successResponse(
+        { schedule: schedule.toClientResponse({ includeRuns: true }) },
+        "Report schedule retrieved successfully"
+      )
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a report schedule
+ * Changing its timing, or re-enabling it, moves nextRunAt to the next
+ * occurrence from now (periods missed while disabled are not run)
+ *
+ * @route PUT /api/report-schedule/:id
+ * @body {Object} - Any of title, description, frequency, dayOfWeek,
+ *                  dayOfMonth, hour, format, enabled
+ */
+export const updateSchedule = async (req, res, next) => {
+  try {
+    const { frequency } = req.body;
+    if (frequency !== undefined && !FREQUENCIES.includes(frequency)) {
+      return res
+        .status(400)
+        .json(
+          errorResponse(`Frequency must be one of: ${FREQUENCIES.join(", ")}`)
+        );
+    }
+
+    const schedule = await ReportSchedule.findOne({
+      _id: req.params.id,
+      organizationId: req.organization._id,
+    });
+    if (!schedule) {
+      return res.status(404).json(errorResponse("Report schedule not found"));
+    }
+
+    const wasEnabled = schedule.enabled;
+    for (const field of UPDATABLE_FIELDS) {
+      if (req.body[field] !== undefined) schedule.set(field, req.body[field]);
+    }
+
+    if (
+      TIMING_FIELDS.some((field) => schedule.isModified(field)) ||
+      (schedule.enabled && !wasEnabled)
+    ) {
+      schedule.nextRunAt = getNextRunAt(schedule);
+    }
+
+    await schedule.save();
+    await schedule.populate("brandKitId", "name");
+
+    res.json(
+      successResponse(
+        { schedule: schedule.toClientResponse() },
+        "Report schedule updated successfully"
+      )
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a report schedule (reports it generated are kept)
+ *
+ * @route DELETE /api/report-schedule/:id
+ */
+export const deleteSchedule = async (req, res, next) => {
+  try {
+    const schedule = await ReportSchedule.findOneAndDelete({
+      _id: req.params.id,
+      organizationId: req.organization._id,
+    });
+
+    if (!schedule) {
+      return res.status(404).json(errorResponse("Report schedule not found"));
+    }
+
+    logger.info(`Report schedule deleted: ${schedule._id}`);
+
+    res.json(
+      successResponse(
+        { scheduleId: schedule._id },
+        "Report schedule deleted successfully"
+      )
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  createSchedule,
+  listSchedules,
+  getSchedule,
+  updateSchedule,
+  deleteSchedule,
+};
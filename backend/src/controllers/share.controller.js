@@ -0,0 +1,142 @@
+/**
+ * =============================================================================
+ * Epsilon - Share Controller
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * Public, read-only access to reports through share links. The token is the
+ * only credential, so this controller never returns anything a stakeholder
+ * outside the workspace should not see: the response comes from
+ * Report.toSharedResponse(), which drops internal IDs, sharing settings and
+ * the owner.
+ *
+ * Links are managed through /api/report/:id/share (report.controller.js).
+ *
+ * Wrong X-Share-Password attempts are limited per token and per client IP
+ * (utils/attemptLimiter.js); once either limit is reached the link answers
+ * 429 until the window ends, without checking the password.
+ *
+ * ENDPOINTS:
+ * - GET /api/share/:token - View a shared report
+ */
+
+import Report from "../models/Report.js";
+import { successResponse, errorResponse } from "../utils/response.js";
+import { verifyPassword } from "../utils/password.js";
+import { createAttemptLimiter } from "../utils/attemptLimiter.js";
+
+// ---------------------------------------------------------------------------
+// CONFIGURATION
+// ---------------------------------------------------------------------------
+
+const PASSWORD_WINDOW_MS = 15 * 60 * 1000;
+
+// Per link: caps guessing against one report from any number of addresses
+const tokenLimiter = createAttemptLimiter({
+  maxAttempts: 20,
+  windowMs: PASSWORD_WINDOW_MS,
+});
+
+// Per client: caps guessing from one address across all links
+const ipLimiter = createAttemptLimiter({
+  maxAttempts: 10,
+  windowMs: PASSWORD_WINDOW_MS,
+});
+
+/**
+ * View a shared report
+ * Password-protected links expect the password in the X-Share-Password
+ * header; a missing or wrong password gets 401 with passwordRequired: true,
+ * too many wrong passwords get 429 with a Retry-After header
+ *
+ * @route GET /api/share/:token
+ * @param {string} token - Share link token
+ */
+export const getSharedReport = async (req, res, next) => {
+  try {
+    // Shared reports must not be cached by proxies or indexed
+    res.set("Cache-Control", "no-store");
+    res.set("X-Robots-Tag", "noindex, nofollow");
+
+    const report = await Report.findByShareToken(req.params.token).populate(
+      "brandKitId",
+      "name"
+    );
+    const link = report?.findShareLink(req.params.token);
+    if (!link) {
+      return res.status(404).json(errorResponse("Shared report not found"));
+    }
+
+    if (link.status !== "active") {
+      return res
+        .status(410)
+        .json(
+          errorResponse(
+            link.status === "revoked"
+              ? "This share link has been revoked"
+              : "This share link has expired"
+          )
+        );
+    }
+
+    if (link.passwordHash) {
+      const password = req.get("X-Share-Password");
+
+      const limit = [
+        tokenLimiter.check(req.params.token),
+        ipLimiter.check(req.ip),
+      ].find((result) => result.blocked);
+      if (password && limit) {
+        res.set("Retry-After", String(Math.ceil(limit.retryAfterMs / 1000)));
+        return res.status(429).json(
+          errorResponse("Too many incorrect passwords, try again later", {
+            passwordRequired: true,
+          })
+        );
+      }
+
+      if (!password || !(await verifyPassword(password, link.passwordHash))) {
+        if (password) {
+          tokenLimiter.recordFailure(req.params.token);
+          ipLimiter.recordFailure(req.ip);
+        }
+        return res
+          .status(401)
+          .json(
+            errorResponse(
+              password
+                ? "Incorrect password"
+                : "This report is password protected",
+              { passwordRequired: true }
+            )
+          );
+      }
+    }
+
+    // Atomic so concurrent views are all counted
+    const viewedAt = new Date();
+    await Report.updateOne(
+      { _id: report._id, "sharing.links._id": link._id },
+      {
+        $inc: { "sharing.links.$.viewCount": 1 },
+        $set: { "sharing.links.$.lastViewedAt": viewedAt },
+      }
+    );
+
+    res.json(
+      successResponse(
+        {
+          report: report.toSharedResponse(),
+          expiresAt: link.expiresAt,
+        },
+        "Shared report retrieved successfully"
+      )
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  getSharedReport,
+};
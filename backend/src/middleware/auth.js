@@ -0,0 +1,98 @@
+/**
+ * =============================================================================
+ * Epsilon - Authentication Middleware
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * authenticate() guards every /api route except sign-in (/api/auth) and
+ * share links (/api/share); app.js mounts those first. It sets:
+ * - req.user:        the signed-in User document
+ * - req.authSession: the Session the access token belongs to
+ * Bearer tokens starting with "epk_" are API keys instead; they set
+ * req.apiKey, and req.user to the key's creator.
+ *
+ * requireRole() narrows a route to given roles after authenticate().
+ * requireUserSession() keeps API keys out of account and membership routes.
+ */
+
+import { authenticateAccessToken } from "../services/auth.service.js";
+import { authenticateApiKey, isApiKey } from "../services/apiKey.service.js";
+import { errorResponse } from "../utils/response.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Require a valid "Authorization: Bearer <access token | API key>"
+ */
+export const authenticate = async (req, res, next) => {
+  const [scheme, token] = (req.get("Authorization") || "").split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    return res.status(401).json(errorResponse("Authentication required"));
+  }
+
+  const usingApiKey = isApiKey(token);
+
+  try {
+    if (usingApiKey) {
+      const { apiKey, user } = await authenticateApiKey(token, {
+        ip: req.ip,
+      });
+      req.user = user;
+      req.apiKey = apiKey;
+    } else {
+      const { user, session } = await authenticateAccessToken(token);
+      req.user = user;
+      req.authSession = session;
+    }
+    next();
+  } catch (error) {
+    // Database failures are server errors, not bad credentials
+    if (error.name?.startsWith("Mongo")) return next(error);
+
+    // The reason stays in the log - it can describe token internals
+    logger.warn(`Authentication failed: ${error.message}`);
+    res
+      .status(401)
+      .json(
+        errorResponse(
+          usingApiKey
+            ? "Invalid or revoked API key"
+            : "Invalid or expired token"
+        )
+      );
+  }
+};
+
+/**
+ * Require a signed-in user rather than an API key
+ */
+export const requireUserSession = (req, res, next) => {
+  if (!req.authSession) {
+    return res
+      .status(403)
+      .json(errorResponse("API keys cannot be used for this endpoint"));
+  }
+  next();
+};
+
+/**
+ * Require one of the given roles
+ *
+ * @param {...string} roles - Allowed User roles
+ */
+export const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res
+        .status(403)
+        .json(errorResponse("You do not have permission to do this"));
+    }
+    next();
+  };
+
+export default {
+  authenticate,
+  requireRole,
+  requireUserSession,
+};
@@ -0,0 +1,113 @@
+/**
+ * =============================================================================
+ * Epsilon - Organization Middleware
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * loadOrganization() runs after authenticate() on every /api route and sets:
+ * - req.organization:     the caller's current Organization
+ * - req.organizationRole: their role in it
+ * Controllers scope every query to req.organization._id. Requests made with
+ * an API key work in the key's organization, with the role of its scope -
+ * but never more than its creator's current role there, and not at all once
+ * the creator has left.
+ *
+ * requirePermission() guards routes that change data; the permissions each
+ * role grants are defined in models/Organization.js.
+ *
+ * resolveScope() lets read-only views (analytics, history, executive summary)
+ * narrow the organization's data to what the caller created (?scope=personal).
+ */
+
+import Organization from "../models/Organization.js";
+import { resolveOrganization } from "../services/organization.service.js";
+import { errorResponse } from "../utils/response.js";
+
+/**
+ * Views a read-only endpoint can be asked for with ?scope=
+ */
+const DATA_SCOPES = ["organization", "personal"];
+
+/**
+ * Load the caller's current organization
+ */
+export const loadOrganization = async (req, res, next) => {
+  try {
+    if (req.apiKey) {
+      req.organization = await Organization.findById(req.apiKey.organizationId);
+      if (!req.organization) {
+        return res
+          .status(401)
+          .json(errorResponse("The API key's organization no longer exists"));
+      }
+
+      const creator = req.organization.getMember(req.apiKey.createdBy);
+      if (!creator) {
+        return res
+          .status(401)
+          .json(
+            errorResponse(
+              "The API key's creator is no longer a member of its organization"
+            )
+          );
+      }
+      req.organizationRole = Organization.lowerRole(
+        req.apiKey.role,
+        creator.role
+      );
+      return next();
+    }
+
+    const { organization, role } = await resolveOrganization(req.user);
+    req.organization = organization;
+    req.organizationRole = role;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Require a permission in the current organization
+ *
+ * @param {string} permission - e.g. "manage_brand"
+ */
+export const requirePermission = (permission) => (req, res, next) => {
+  if (!Organization.roleHasPermission(req.organizationRole, permission)) {
+    const grant = req.apiKey
+      ? `This API key (${req.apiKey.scope} scope, acting as ${req.organizationRole})`
+      : `Your role (${req.organizationRole})`;
+    return res
+      .status(403)
+      .json(errorResponse(`${grant} does not allow this action`));
+  }
+  next();
+};
+
+/**
+ * Resolve ?scope= (organization by default) into:
+ * - req.scope:       "organization" | "personal"
+ * - req.scopeFilter: query filter on organizationId (and userId when personal)
+ */
+export const resolveScope = (req, res, next) => {
+  const scope = req.query.scope || "organization";
+
+  if (!DATA_SCOPES.includes(scope)) {
+    return res
+      .status(400)
+      .json(errorResponse(`Scope must be one of: ${DATA_SCOPES.join(", ")}`));
+  }
+
+  req.scope = scope;
+  req.scopeFilter =
+    scope === "personal"
+      ? { organizationId: req.organization._id, userId: req.user._id }
+      : { organizationId: req.organization._id };
+  next();
+};
+
+export default {
+  loadOrganization,
+  requirePermission,
+  resolveScope,
+};
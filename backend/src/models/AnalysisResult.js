@@ -11,7 +11,7 @@
  * - Category-wise scores for granular insight
  * - Timestamps for historical tracking
  *
- * SCORING SYSTEM:
+ * SCORING SYSTEM (default thresholds - brand kits can override them):
  * - 90-100: Excellent - Design fully follows brand guidelines
  * - 70-89: Good - Minor deviations, easily fixable
  * - 50-69: Needs Work - Multiple violations requiring attention
@@ -19,6 +19,7 @@
  */
 
 import mongoose from "mongoose";
+import { getScoreLabel } from "../services/scoring.service.js";
 
 // ---------------------------------------------------------------------------
 // SUB-SCHEMAS
@@ -29,6 +30,14 @@ import mongoose from "mongoose";
  */
 const violationSchema = new mongoose.Schema(
   {
+    /**
+     * Rule that produced the violation (see ruleEngine.service.js)
+     */
+    ruleId: {
+      type: String,
+      default: null,
+    },
+
     /**
      * Type of violation
      */
@@ -83,6 +92,54 @@ const violationSchema = new mongoose.Schema(
       default: null,
     },
 
+    /**
+     * Canvas node ids (Design.elements[].id) that caused this violation
+     * Used by the Add-on to select/highlight the offending elements
+     */
+    elementIds: {
+      type: [String],
+      default: [],
+    },
+
+    /**
+     * Check-specific measurements (metric, contrast ratio, coverage, logo
+     * index, ...) - shape depends on the rule
+     */
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+
+    /**
+     * Page and artboard the violation was found on (multi-page designs)
+     */
+    pageId: {
+      type: String,
+      default: null,
+    },
+    artboardId: {
+      type: String,
+      default: null,
+    },
+
+    /**
+     * Engine that produced the violation
+     * "rules" = deterministic check (authoritative), "ai" = Gemini judgement
+     */
+    source: {
+      type: String,
+      enum: ["rules", "ai"],
+      default: "rules",
+    },
+
+    /**
+     * Plain-language explanation of why the violation matters (hybrid mode)
+     */
+    explanation: {
+      type: String,
+      default: null,
+    },
+
     /**
      * Whether this violation can be auto-fixed
      */
@@ -121,7 +178,7 @@ const categoryScoreSchema = new mongoose.Schema(
     weight: {
       type: Number,
       default: 1,
-      min: 0.1,
+      min: 0,
       max: 5,
     },
     violations: {
@@ -132,6 +189,173 @@ const categoryScoreSchema = new mongoose.Schema(
   { _id: false }
 );
 
+/**
+ * Score of one rule from the brand kit's rule set
+ */
+const ruleResultSchema = new mongoose.Schema(
+  {
+    ruleId: {
+      type: String,
+      required: true,
+    },
+    category: {
+      type: String,
+      required: true,
+    },
+    score: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100,
+    },
+    weight: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 1,
+    },
+    violations: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Per-page (artboard) result for multi-page designs
+ * The document complianceScore is rolled up from these
+ */
+const pageResultSchema = new mongoose.Schema(
+  {
+    pageId: {
+      type: String,
+      default: null,
+    },
+    pageIndex: {
+      type: Number,
+      default: 0,
+    },
+    pageName: {
+      type: String,
+      default: null,
+    },
+    artboardId: {
+      type: String,
+      required: true,
+    },
+    artboardIndex: {
+      type: Number,
+      default: 0,
+    },
+    backgroundColor: {
+      type: String,
+      default: null,
+    },
+    complianceScore: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100,
+    },
+    scoreLabel: {
+      type: String,
+      enum: ["excellent", "good", "needs_work", "poor"],
+    },
+    categoryScores: {
+      type: [categoryScoreSchema],
+      default: [],
+    },
+    violationsCount: {
+      type: Number,
+      default: 0,
+    },
+    summary: {
+      type: String,
+      maxlength: 1000,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * One violation's contribution to a risk score (see risk.service.js)
+ */
+const riskFactorSchema = new mongoose.Schema(
+  {
+    risk: {
+      type: String,
+      required: true,
+      enum: ["brand", "accessibility", "legal"],
+    },
+    points: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    violationId: {
+      type: String,
+      default: null,
+    },
+    violationIndex: {
+      type: Number,
+      default: null,
+    },
+    type: String,
+    severity: String,
+    ruleId: {
+      type: String,
+      default: null,
+    },
+    description: String,
+    /**
+     * Brand kit risk tag that added these points (null = violation type)
+     */
+    tag: {
+      type: String,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * AI output that did not match its response schema (services/llm/schemas.js)
+ * and what was done about it
+ */
+const schemaErrorSchema = new mongoose.Schema(
+  {
+    operation: {
+      type: String,
+      required: true,
+    },
+    path: {
+      type: String,
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    /**
+     * repaired: fixed mechanically (renamed field, enum casing...)
+     * reasked:  sent back to the model with the errors
+     * dropped:  invalid list item removed
+     * failed:   response unusable - analysis failed
+     */
+    resolution: {
+      type: String,
+      enum: ["repaired", "reasked", "dropped", "failed"],
+      required: true,
+    },
+    pageId: {
+      type: String,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
 // ---------------------------------------------------------------------------
 // MAIN ANALYSIS RESULT SCHEMA
 // ---------------------------------------------------------------------------
@@ -167,6 +391,14 @@ const analysisResultSchema = new mongoose.Schema(
       index: true,
     },
 
+    /**
+     * Organization this analysis belongs to
+     */
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+    },
+
     /**
      * Overall compliance score (0-100)
      * CRITICAL: This is the main metric shown to users
@@ -203,6 +435,22 @@ const analysisResultSchema = new mongoose.Schema(
       default: [],
     },
 
+    /**
+     * Per-rule score breakdown (the rule set that ran, with resolved weights)
+     */
+    ruleResults: {
+      type: [ruleResultSchema],
+      default: [],
+    },
+
+    /**
+     * Per-page breakdown (empty for designs without artboard data)
+     */
+    pageResults: {
+      type: [pageResultSchema],
+      default: [],
+    },
+
     /**
      * Summary text for quick overview
      */
@@ -211,6 +459,15 @@ const analysisResultSchema = new mongoose.Schema(
       maxlength: 1000,
     },
 
+    /**
+     * How the analysis ran: "rules", "ai" or "hybrid"
+     */
+    analysisMode: {
+      type: String,
+      enum: ["rules", "ai", "hybrid"],
+      default: "ai",
+    },
+
     /**
      * Whether AI (Gemini) was used for this analysis
      */
@@ -244,6 +501,39 @@ const analysisResultSchema = new mongoose.Schema(
       default: null,
     },
 
+    /**
+     * Scoring policy the score was computed with (audit trail)
+     * Resolved BrandKit.scoringPolicy including defaults
+     */
+    scoringPolicy: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+
+    /**
+     * Score caps that lowered complianceScore
+     */
+    appliedCaps: {
+      type: [
+        {
+          severity: String,
+          category: { type: String, default: null },
+          maxScore: Number,
+          _id: false,
+        },
+      ],
+      default: [],
+    },
+
+    /**
+     * Schema problems in the AI output behind this result
+     * Non-empty with status "failed" when the output could not be used
+     */
+    schemaErrors: {
+      type: [schemaErrorSchema],
+      default: [],
+    },
+
     /**
      * Brand kit version used for this analysis (audit trail)
      */
@@ -253,7 +543,7 @@ const analysisResultSchema = new mongoose.Schema(
     },
 
     /**
-     * Risk Scoring Breakdown
+     * Risk Scoring Breakdown (risk.service.js)
      * Each risk score is 0-100, where 100 means high risk
      */
     riskScores: {
@@ -277,6 +567,14 @@ const analysisResultSchema = new mongoose.Schema(
       },
     },
 
+    /**
+     * Violations behind riskScores, biggest contributors first per risk
+     */
+    riskFactors: {
+      type: [riskFactorSchema],
+      default: [],
+    },
+
     /**
      * AI-generated executive insight (high-level summary for stakeholders)
      */
@@ -298,6 +596,7 @@ const analysisResultSchema = new mongoose.Schema(
 // ---------------------------------------------------------------------------
 analysisResultSchema.index({ designId: 1, brandKitId: 1 });
 analysisResultSchema.index({ userId: 1, createdAt: -1 });
+analysisResultSchema.index({ organizationId: 1, createdAt: -1 });
 analysisResultSchema.index({ complianceScore: 1 });
 analysisResultSchema.index({ createdAt: -1 });
 
@@ -305,36 +604,47 @@ analysisResultSchema.index({ createdAt: -1 });
 // PRE-SAVE MIDDLEWARE
 // ---------------------------------------------------------------------------
 /**
- * Calculate score label before saving
+ * Calculate score labels (document and pages) before saving
+ * Uses the thresholds of the scoring policy the analysis ran with
  */
 analysisResultSchema.pre("save", function (next) {
-  const score = this.complianceScore;
-  if (score >= 90) {
-    this.scoreLabel = "excellent";
-  } else if (score >= 70) {
-    this.scoreLabel = "good";
-  } else if (score >= 50) {
-    this.scoreLabel = "needs_work";
-  } else {
-    this.scoreLabel = "poor";
-  }
+  const thresholds = this.scoringPolicy?.labelThresholds;
+  this.scoreLabel = getScoreLabel(this.complianceScore, thresholds);
+  this.pageResults.forEach((page) => {
+    page.scoreLabel = getScoreLabel(page.complianceScore, thresholds);
+  });
   next();
 });
 
 // ---------------------------------------------------------------------------
 // STATICS
 // ---------------------------------------------------------------------------
+
 /**
- * Get analytics aggregation for a user
+ * Cast the ids of a filter - aggregation pipelines are not cast by Mongoose
+ */
+const toObjectIds = (filter) =>
+  Object.fromEntries(
+    Object.entries(filter).map(([key, id]) => [
+      key,
+      new mongoose.Types.ObjectId(id),
+    ])
+  );
+
+/**
+ * Get analytics aggregation for an organization or one of its users
+ *
+ * @param {Object} scopeFilter - { organizationId, userId? } (req.scopeFilter)
+ * @param {Object} [options] - { startDate, endDate }
  */
 analysisResultSchema.statics.getAnalytics = async function (
-  userId,
+  scopeFilter,
   options = {}
 ) {
   const { startDate, endDate } = options;
 
   const match = {
-    userId: new mongoose.Types.ObjectId(userId),
+    ...toObjectIds(scopeFilter),
     status: "completed",
   };
   if (startDate || endDate) {
@@ -370,15 +680,18 @@ analysisResultSchema.statics.getAnalytics = async function (
 
 /**
  * Get top violation categories
+ *
+ * @param {Object} scopeFilter - { organizationId, userId? } (req.scopeFilter)
+ * @param {number} [limit]
  */
 analysisResultSchema.statics.getTopViolationCategories = async function (
-  userId,
+  scopeFilter,
   limit = 5
 ) {
   const results = await this.aggregate([
     {
       $match: {
-        userId: new mongoose.Types.ObjectId(userId),
+        ...toObjectIds(scopeFilter),
         status: "completed",
       },
     },
@@ -407,17 +720,33 @@ analysisResultSchema.methods.toClientResponse = function () {
     id: this._id,
     complianceScore: this.complianceScore,
     scoreLabel: this.scoreLabel,
+    analysisMode: this.analysisMode,
     violations: this.violations.map((v) => ({
       id: v._id,
+      ruleId: v.ruleId,
       type: v.type,
       severity: v.severity,
       description: v.description,
       affectedElement: v.affectedElement,
       suggestedFix: v.suggestedFix,
       autoFixable: v.autoFixable,
+      elementIds: v.elementIds,
+      details: v.details,
+      pageId: v.pageId,
+      artboardId: v.artboardId,
+      source: v.source,
+      explanation: v.explanation,
     })),
     categoryScores: this.categoryScores,
+    ruleResults: this.ruleResults,
+    pageResults: this.pageResults,
+    scoringPolicy: this.scoringPolicy,
+    appliedCaps: this.appliedCaps,
+    schemaErrors: this.schemaErrors,
+    riskScores: this.riskScores,
+    riskFactors: this.riskFactors,
     summary: this.summary,
+    status: this.status,
     createdAt: this.createdAt,
   };
 };
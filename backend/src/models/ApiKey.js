@@ -0,0 +1,184 @@
+/**
+ * =============================================================================
+ * Epsilon - API Key Model
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * API keys let servers (CI jobs, DAM systems) call the API without a user
+ * session. A key belongs to an organization and is sent like an access
+ * token: "Authorization: Bearer epk_...".
+ *
+ * Only a SHA-256 hash of the key is stored; the key itself is shown once,
+ * when it is created or rotated. The prefix is kept so people can tell
+ * their keys apart.
+ *
+ * SCOPES:
+ * A key's scope maps onto an organization role, so routes guarded with
+ * requirePermission() need nothing key-specific:
+ * - read:    viewer
+ * - analyze: designer (submit designs, run analyses and auto-fixes)
+ * - admin:   brand_manager (also manage brand kits, reports and schedules)
+ * Keys never manage members or other keys.
+ */
+
+import mongoose from "mongoose";
+
+// ---------------------------------------------------------------------------
+// CONFIGURATION
+// ---------------------------------------------------------------------------
+
+/**
+ * Organization role each scope acts with
+ */
+const SCOPE_ROLES = {
+  read: "viewer",
+  analyze: "designer",
+  admin: "brand_manager",
+};
+
+/**
+ * Days of daily usage included in client responses
+ */
+const USAGE_DAYS = 30;
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+      index: true,
+    },
+
+    name: {
+      type: String,
+      required: [true, "API key name is required"],
+      trim: true,
+      maxlength: [100, "API key name cannot exceed 100 characters"],
+    },
+
+    scope: {
+      type: String,
+      enum: Object.keys(SCOPE_ROLES),
+      default: "read",
+    },
+
+    /**
+     * SHA-256 of the key
+     */
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+
+    /**
+     * Start of the key, for display (e.g. "epk_3fA9xQ2b")
+     */
+    prefix: {
+      type: String,
+      required: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+
+    rotatedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // -------------------------------------------------------------------------
+    // USAGE
+    // -------------------------------------------------------------------------
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      default: null,
+    },
+    requestCount: {
+      type: Number,
+      default: 0,
+    },
+
+    /**
+     * Requests per UTC day, keyed "YYYY-MM-DD"
+     */
+    dailyUsage: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ---------------------------------------------------------------------------
+// VIRTUALS
+// ---------------------------------------------------------------------------
+/**
+ * Whether the key can still be used
+ */
+apiKeySchema.virtual("isActive").get(function () {
+  return !this.revokedAt;
+});
+
+/**
+ * Organization role the key acts with
+ */
+apiKeySchema.virtual("role").get(function () {
+  return SCOPE_ROLES[this.scope];
+});
+
+// ---------------------------------------------------------------------------
+// METHODS
+// ---------------------------------------------------------------------------
+/**
+ * Get client-friendly response, with the last 30 days of usage
+ */
+apiKeySchema.methods.toClientResponse = function () {
+  const daily = [];
+  for (let daysAgo = USAGE_DAYS - 1; daysAgo >= 0; daysAgo--) {
+    const date = new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000)
+      .toISOString()
+      .substring(0, 10);
+    daily.push({ date, count: this.dailyUsage?.get(date) || 0 });
+  }
+
+  return {
+    id: this._id,
+    name: this.name,
+    scope: this.scope,
+    prefix: this.prefix,
+    active: this.isActive,
+    createdBy: this.createdBy,
+    createdAt: this.createdAt,
+    rotatedAt: this.rotatedAt,
+    revokedAt: this.revokedAt,
+    lastUsedAt: this.lastUsedAt,
+    lastUsedIp: this.lastUsedIp,
+    usage: {
+      total: this.requestCount,
+      last30Days: daily.reduce((sum, day) => sum + day.count, 0),
+      daily,
+    },
+  };
+};
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema);
+
+export default ApiKey;
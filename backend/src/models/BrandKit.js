@@ -7,10 +7,13 @@
  * The Brand Kit is the central configuration for brand compliance checking.
  * It defines all the rules that designs must follow, including:
  * - Color palette with tolerance for color matching
+ * - Forbidden and required color pairings
  * - Typography rules with approved fonts and fallbacks
  * - Logo usage guidelines (minimum sizes, spacing)
  * - Accessibility requirements (WCAG contrast ratios)
  * - Tone and voice guidelines
+ * - Rule set configuration (which checks run and how they are weighted)
+ * - Scoring policy (weights, severity penalties, label thresholds, caps)
  *
  * DESIGN PRINCIPLE:
  * Each rule type is stored as a structured subdocument to allow for granular
@@ -25,11 +28,15 @@ import mongoose from "mongoose";
 
 /**
  * Color definition with tolerance for fuzzy matching
- * TOLERANCE: Allowed deviation in Delta-E color space (0-100)
+ * TOLERANCE: Allowed Delta-E (0-100), in the units of the kit's colorMetric.
+ * For the default CIE76:
  * - 0: Exact match required
  * - 5: Barely noticeable difference
  * - 10: Small but noticeable difference
  * - 20: Large difference
+ * CIE94 and CIEDE2000 give smaller values for the same pair (roughly 1 is
+ * just noticeable, 2-3 a close match, 5+ a different shade) - see
+ * services/colorCheck.service.js.
  */
 const colorSchema = new mongoose.Schema(
   {
@@ -49,11 +56,153 @@ const colorSchema = new mongoose.Schema(
       min: 0,
       max: 100,
     },
+    /**
+     * Roles the color may play: text only in text, primary and "any" colors;
+     * backgrounds only in background, primary, secondary and "any" colors
+     * (see COLOR_ROLE_USAGES in services/colorCheck.service.js)
+     */
     usage: {
       type: String,
       enum: ["primary", "secondary", "accent", "background", "text", "any"],
       default: "any",
     },
+    /**
+     * Approved tints (mixed with white) and shades (mixed with black), as the
+     * percent of the brand color kept - a 40 tint is the color at 40% on white
+     */
+    tints: {
+      type: [{ type: Number, min: 1, max: 99 }],
+      default: [],
+    },
+    shades: {
+      type: [{ type: Number, min: 1, max: 99 }],
+      default: [],
+    },
+    /**
+     * Share of the canvas (percent) the color must / may cover, e.g. 60/30/10
+     * for primary/secondary/accent. Null = no limit
+     */
+    minCoverage: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: null,
+    },
+    maxCoverage: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: null,
+      validate: {
+        validator: function (v) {
+          return v == null || this.minCoverage == null || v >= this.minCoverage;
+        },
+        message: "maxCoverage cannot be less than minCoverage",
+      },
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Approved gradient: stops in order, compared by Delta-E within tolerance
+ * (either direction, positions within 10 points)
+ */
+const gradientSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    stops: {
+      type: [
+        {
+          _id: false,
+          hex: {
+            type: String,
+            required: true,
+            match: [
+              /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/,
+              "Invalid hex color format",
+            ],
+          },
+          /**
+           * Position along the gradient (0-100)
+           */
+          position: {
+            type: Number,
+            required: true,
+            min: 0,
+            max: 100,
+          },
+        },
+      ],
+      validate: {
+        validator: (stops) => stops.length >= 2,
+        message: "A gradient needs at least two stops",
+      },
+    },
+    tolerance: {
+      type: Number,
+      default: 10,
+      min: 0,
+      max: 100,
+    },
+  },
+  { _id: false }
+);
+
+const COLOR_USAGES = ["primary", "secondary", "accent", "background", "text"];
+
+/**
+ * Forbidden or required color combination. Each side is a hex color (matched
+ * by Delta-E within tolerance) or a color usage standing for every brand
+ * color with that usage, e.g. ["accent", "accent"] for two accents together.
+ * - forbidden: the two colors must not be used together
+ * - required:  every element in the first color must sit on or next to the
+ *              second color
+ * relation picks what "together" means: "overlap" (one drawn on the other),
+ * "adjacent" (side by side, not overlapping) or "any"
+ */
+const colorPairingSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["forbidden", "required"],
+      required: true,
+    },
+    colors: {
+      type: [String],
+      validate: {
+        validator: (colors) =>
+          colors.length === 2 &&
+          colors.every(
+            (c) =>
+              /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/.test(c) ||
+              COLOR_USAGES.includes(c)
+          ),
+        message:
+          "A color pairing needs two colors, each a hex color or a color usage",
+      },
+    },
+    relation: {
+      type: String,
+      enum: ["overlap", "adjacent", "any"],
+      default: "any",
+    },
+    tolerance: {
+      type: Number,
+      default: 10,
+      min: 0,
+      max: 100,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+      default: null,
+    },
   },
   { _id: false }
 );
@@ -186,6 +335,157 @@ const toneRulesSchema = new mongoose.Schema(
   { _id: false }
 );
 
+/**
+ * Per-kit configuration of one compliance rule (see ruleEngine.service.js)
+ * Rules without an entry run with their registered defaults
+ */
+const ruleConfigSchema = new mongoose.Schema(
+  {
+    ruleId: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    weight: {
+      type: Number,
+      default: null, // null means the rule's default weight
+      min: 0,
+    },
+    /**
+     * Remap the severities a rule reports, e.g. { medium: "high" }
+     */
+    severityMap: {
+      type: Map,
+      of: {
+        type: String,
+        enum: ["critical", "high", "medium", "low"],
+      },
+      default: undefined,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Scoring policy (see scoring.service.js for the defaults)
+ * Applied the same way to Gemini and modular analysis
+ */
+const penaltyField = { type: Number, min: 0, max: 100 };
+const thresholdField = { type: Number, min: 0, max: 100 };
+
+const scoringPolicySchema = new mongoose.Schema(
+  {
+    /**
+     * Overall-score weight per category, e.g. { color: 0.4 }
+     * Categories without a weight keep the combined weight of their rules
+     */
+    categoryWeights: {
+      type: Map,
+      of: { type: Number, min: 0 },
+      default: undefined,
+    },
+    /**
+     * Points a rule loses per violation of each severity
+     */
+    severityPenalties: {
+      critical: penaltyField,
+      high: penaltyField,
+      medium: penaltyField,
+      low: penaltyField,
+    },
+    /**
+     * Minimum score for each label (below needsWork is "poor")
+     */
+    labelThresholds: {
+      type: new mongoose.Schema(
+        {
+          excellent: thresholdField,
+          good: thresholdField,
+          needsWork: thresholdField,
+        },
+        { _id: false }
+      ),
+      default: undefined,
+      validate: {
+        validator: function (t) {
+          const { excellent = 90, good = 70, needsWork = 50 } = t || {};
+          return excellent > good && good > needsWork;
+        },
+        message: "Label thresholds must satisfy excellent > good > needsWork",
+      },
+    },
+    /**
+     * Caps on the overall score, e.g. any critical violation caps it at 49
+     */
+    scoreCaps: {
+      type: [
+        {
+          severity: {
+            type: String,
+            required: true,
+            enum: ["critical", "high", "medium", "low"],
+          },
+          category: { type: String, default: null }, // null = any category
+          maxScore: { type: Number, required: true, min: 0, max: 100 },
+          _id: false,
+        },
+      ],
+      default: undefined,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Risk tag - routes matching violations to a risk (see risk.service.js)
+ * e.g. { name: "trademark", risk: "legal", types: ["logo"] }
+ * A violation matches on any listed type, rule id or term
+ */
+const riskTagSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50,
+    },
+    risk: {
+      type: String,
+      required: true,
+      enum: ["brand", "accessibility", "legal"],
+    },
+    /**
+     * Share of the violation's risk points added (1 = full)
+     */
+    weight: {
+      type: Number,
+      default: 1,
+      min: 0,
+      max: 5,
+    },
+    types: {
+      type: [String],
+      default: [],
+    },
+    ruleIds: {
+      type: [String],
+      default: [],
+    },
+    /**
+     * Words matched against the violation description and affected element
+     */
+    terms: {
+      type: [{ type: String, trim: true, lowercase: true }],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
 // ---------------------------------------------------------------------------
 // MAIN BRAND KIT SCHEMA
 // ---------------------------------------------------------------------------
@@ -221,6 +521,14 @@ const brandKitSchema = new mongoose.Schema(
       index: true,
     },
 
+    /**
+     * Organization this brand kit belongs to
+     */
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+    },
+
     /**
      * Approved brand colors
      */
@@ -234,6 +542,32 @@ const brandKitSchema = new mongoose.Schema(
       },
     },
 
+    /**
+     * Color-difference formula used with the colors' tolerances
+     * cie76 keeps results comparable with kits tuned before the others existed
+     */
+    colorMetric: {
+      type: String,
+      enum: ["cie76", "cie94", "ciede2000"],
+      default: "cie76",
+    },
+
+    /**
+     * Approved gradients
+     */
+    gradients: {
+      type: [gradientSchema],
+      default: [],
+    },
+
+    /**
+     * Forbidden and required color combinations
+     */
+    colorPairings: {
+      type: [colorPairingSchema],
+      default: [],
+    },
+
     /**
      * Approved fonts
      */
@@ -248,7 +582,8 @@ const brandKitSchema = new mongoose.Schema(
     },
 
     /**
-     * Logo usage rules
+     * Logo usage rules - left at their defaults, the kit has no logo
+     * guidance and analyses skip the logo check (logoCheck.service.js)
      */
     logoRules: {
       type: logoRulesSchema,
@@ -271,6 +606,30 @@ const brandKitSchema = new mongoose.Schema(
       default: () => ({}),
     },
 
+    /**
+     * Rule set configuration (enable/disable, weights, severity remapping)
+     */
+    rules: {
+      type: [ruleConfigSchema],
+      default: [],
+    },
+
+    /**
+     * Scoring policy (category weights, severity penalties, labels, caps)
+     */
+    scoringPolicy: {
+      type: scoringPolicySchema,
+      default: () => ({}),
+    },
+
+    /**
+     * Risk tags (extra brand/accessibility/legal risk for matching violations)
+     */
+    riskTags: {
+      type: [riskTagSchema],
+      default: [],
+    },
+
     /**
      * Version number (auto-incremented on updates)
      */
@@ -319,6 +678,7 @@ const brandKitSchema = new mongoose.Schema(
 // INDEXES
 // ---------------------------------------------------------------------------
 brandKitSchema.index({ userId: 1, isArchived: 1 });
+brandKitSchema.index({ organizationId: 1, isArchived: 1 });
 brandKitSchema.index({ name: "text", description: "text" });
 brandKitSchema.index({ version: 1 });
 
@@ -363,6 +723,25 @@ brandKitSchema.methods.toAnalysisPrompt = function () {
       hex: c.hex,
       tolerance: c.tolerance,
       usage: c.usage,
+      minCoverage: c.minCoverage,
+      maxCoverage: c.maxCoverage,
+      tints: c.tints,
+      shades: c.shades,
+    })),
+    colorMetric: this.colorMetric,
+    gradients: this.gradients.map((g) => ({
+      name: g.name,
+      stops: g.stops.map((stop) => ({
+        hex: stop.hex,
+        position: stop.position,
+      })),
+      tolerance: g.tolerance,
+    })),
+    colorPairings: this.colorPairings.map((p) => ({
+      type: p.type,
+      colors: p.colors,
+      relation: p.relation,
+      reason: p.reason,
     })),
     fonts: this.fonts.map((f) => ({
       name: f.name,
@@ -394,6 +773,13 @@ brandKitSchema.methods.createVersionSnapshot = function (changeNote = "") {
     name: this.name,
     description: this.description,
     colors: this.colors.map((c) => ({ ...(c.toObject ? c.toObject() : c) })),
+    colorMetric: this.colorMetric,
+    gradients: this.gradients.map((g) => ({
+      ...(g.toObject ? g.toObject() : g),
+    })),
+    colorPairings: this.colorPairings.map((p) => ({
+      ...(p.toObject ? p.toObject() : p),
+    })),
     fonts: this.fonts.map((f) => ({ ...(f.toObject ? f.toObject() : f) })),
     logoRules: this.logoRules.toObject
       ? this.logoRules.toObject()
@@ -404,6 +790,13 @@ brandKitSchema.methods.createVersionSnapshot = function (changeNote = "") {
     toneRules: this.toneRules.toObject
       ? this.toneRules.toObject()
       : this.toneRules,
+    rules: this.rules.map((r) => ({ ...(r.toObject ? r.toObject() : r) })),
+    scoringPolicy: this.scoringPolicy?.toObject
+      ? this.scoringPolicy.toObject()
+      : this.scoringPolicy,
+    riskTags: this.riskTags.map((t) => ({
+      ...(t.toObject ? t.toObject() : t),
+    })),
   };
 
   this.versionHistory.push({
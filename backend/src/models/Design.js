@@ -12,11 +12,16 @@
  *
  * ADOBE EXPRESS INTEGRATION:
  * The Add-on reads the active canvas and extracts:
- * - Colors used in the design
+ * - Colors used in the design, and the role of each use (text, fill,
+ *   stroke, background) with its opacity and rendered color (gradient stops
+ *   come only from API clients; the SDK exposes solid fills only)
  * - Fonts used in text elements
- * - Text content with font mapping
+ * - Text content with font mapping (per styled run)
  * - Image dimensions (for logo checking)
  * - Layout information
+ * - Element tree (one record per canvas node) so violations can be traced
+ *   back to the node that caused them
+ * - Per-artboard breakdown so multi-page designs are analyzed page by page
  */
 
 import mongoose from "mongoose";
@@ -25,8 +30,51 @@ import mongoose from "mongoose";
 // SUB-SCHEMAS
 // ---------------------------------------------------------------------------
 
+/**
+ * One styled run inside a text element
+ * start/length are character offsets into the node's full text
+ */
+const textRunSchema = new mongoose.Schema(
+  {
+    start: {
+      type: Number,
+      default: 0,
+    },
+    length: {
+      type: Number,
+      default: 0,
+    },
+    text: {
+      type: String,
+      default: "",
+    },
+    font: {
+      type: String,
+      default: "Unknown",
+    },
+    fontWeight: {
+      type: Number,
+      default: 400,
+    },
+    fontSize: {
+      type: Number,
+      default: null,
+    },
+    color: {
+      type: String,
+      default: null,
+    },
+    isItalic: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
 /**
  * Text element from the design
+ * font/fontSize/color describe the first run; runs carry every styled range
  */
 const textContentSchema = new mongoose.Schema(
   {
@@ -54,6 +102,20 @@ const textContentSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    /**
+     * Styled runs (mixed fonts, sizes and colors within one node)
+     */
+    runs: {
+      type: [textRunSchema],
+      default: [],
+    },
+    /**
+     * Id of the canvas node this text came from (see elements)
+     */
+    elementId: {
+      type: String,
+      default: null,
+    },
   },
   { _id: false }
 );
@@ -86,6 +148,244 @@ const imageSchema = new mongoose.Schema(
       x: { type: Number, default: 0 },
       y: { type: Number, default: 0 },
     },
+    /**
+     * Id of the canvas node this image came from (see elements)
+     */
+    elementId: {
+      type: String,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Canvas node record from the Add-on's Document Sandbox
+ * IDs are Adobe Express node ids - stable across sessions, so the panel can
+ * select the node again when a violation is clicked
+ */
+const elementSchema = new mongoose.Schema(
+  {
+    id: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      default: "Unknown",
+    },
+    pageId: {
+      type: String,
+      default: null,
+    },
+    artboardId: {
+      type: String,
+      default: null,
+    },
+    parentId: {
+      type: String,
+      default: null,
+    },
+    /**
+     * Bounds in the parent artboard's coordinate space
+     */
+    bounds: {
+      x: { type: Number, default: 0 },
+      y: { type: Number, default: 0 },
+      width: { type: Number, default: 0 },
+      height: { type: Number, default: 0 },
+    },
+    fillColor: {
+      type: String,
+      match: [/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, "Invalid hex color format"],
+      default: null,
+    },
+    strokeColor: {
+      type: String,
+      match: [/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, "Invalid hex color format"],
+      default: null,
+    },
+    /**
+     * Text nodes only
+     */
+    text: {
+      type: String,
+      default: null,
+    },
+    textStyle: {
+      fontFamily: { type: String, default: null },
+      fontSize: { type: Number, default: null },
+      color: { type: String, default: null },
+      fontFamilies: { type: [String], default: [] },
+      colors: { type: [String], default: [] },
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * One stop of a gradient fill
+ */
+const gradientStopSchema = new mongoose.Schema(
+  {
+    color: {
+      type: String,
+      required: true,
+      match: [/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, "Invalid hex color format"],
+    },
+    /**
+     * Position along the gradient (0-1)
+     */
+    offset: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: null,
+    },
+    /**
+     * The stop color's own alpha (0-1)
+     */
+    opacity: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: 1,
+    },
+    renderedColor: {
+      type: String,
+      match: [/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, "Invalid hex color format"],
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * One use of a color on the canvas and the role it plays there
+ * Lets the color check verify brand color usage (e.g. accents not used as
+ * large backgrounds)
+ */
+const colorUsageSchema = new mongoose.Schema(
+  {
+    color: {
+      type: String,
+      required: true,
+      match: [/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, "Invalid hex color format"],
+    },
+    role: {
+      type: String,
+      enum: ["text", "fill", "stroke", "background"],
+      required: true,
+    },
+    /**
+     * Id of the canvas node using the color (see elements)
+     */
+    elementId: {
+      type: String,
+      default: null,
+    },
+    /**
+     * Share of the artboard's area the node covers (0-1), for fills
+     */
+    coverage: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: null,
+    },
+    /**
+     * Fill alpha times the opacity of the node and its ancestors (0-1)
+     */
+    opacity: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: 1,
+    },
+    /**
+     * The color as it shows, blended over the artboard background at its
+     * opacity (null = same as color)
+     */
+    renderedColor: {
+      type: String,
+      match: [/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, "Invalid hex color format"],
+      default: null,
+    },
+    /**
+     * Gradient fills only - color is the first stop. Sent by API clients;
+     * the Add-on only sees solid fills
+     */
+    gradientStops: {
+      type: [gradientStopSchema],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * One artboard (page/slide) of the design with its own extracted data
+ * Document-level colorsUsed/colorUsages/fontsUsed/textContent/images are the
+ * union of these
+ */
+const artboardSchema = new mongoose.Schema(
+  {
+    id: {
+      type: String,
+      required: true,
+    },
+    pageId: {
+      type: String,
+      default: null,
+    },
+    pageIndex: {
+      type: Number,
+      default: 0,
+    },
+    pageName: {
+      type: String,
+      default: null,
+    },
+    index: {
+      type: Number,
+      default: 0,
+    },
+    backgroundColor: {
+      type: String,
+      match: [/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, "Invalid hex color format"],
+      default: null,
+    },
+    dimensions: {
+      width: { type: Number, default: null },
+      height: { type: Number, default: null },
+    },
+    colorsUsed: [
+      {
+        type: String,
+        match: [
+          /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/,
+          "Invalid hex color format",
+        ],
+      },
+    ],
+    colorUsages: {
+      type: [colorUsageSchema],
+      default: [],
+    },
+    fontsUsed: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    textContent: {
+      type: [textContentSchema],
+      default: [],
+    },
+    images: {
+      type: [imageSchema],
+      default: [],
+    },
   },
   { _id: false }
 );
@@ -125,6 +425,14 @@ const designSchema = new mongoose.Schema(
       index: true,
     },
 
+    /**
+     * Organization this design belongs to
+     */
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+    },
+
     /**
      * All colors used in the design (hex values)
      */
@@ -138,6 +446,14 @@ const designSchema = new mongoose.Schema(
       },
     ],
 
+    /**
+     * Each color use with its role (text, fill, stroke, background)
+     */
+    colorUsages: {
+      type: [colorUsageSchema],
+      default: [],
+    },
+
     /**
      * All fonts used in the design
      */
@@ -164,6 +480,22 @@ const designSchema = new mongoose.Schema(
       default: [],
     },
 
+    /**
+     * Flat element tree - one record per canvas node, linked by parentId
+     */
+    elements: {
+      type: [elementSchema],
+      default: [],
+    },
+
+    /**
+     * Per-artboard breakdown (pages, carousel slides)
+     */
+    artboards: {
+      type: [artboardSchema],
+      default: [],
+    },
+
     /**
      * Layout type of the design
      */
@@ -243,6 +575,8 @@ const designSchema = new mongoose.Schema(
 // ---------------------------------------------------------------------------
 designSchema.index({ userId: 1, status: 1 });
 designSchema.index({ canvasId: 1, userId: 1 });
+designSchema.index({ organizationId: 1, canvasId: 1 });
+designSchema.index({ organizationId: 1, createdAt: -1 });
 designSchema.index({ createdAt: -1 });
 
 // ---------------------------------------------------------------------------
@@ -321,6 +655,37 @@ designSchema.methods.toAnalysisInput = function () {
   };
 };
 
+/**
+ * Get one analysis input per artboard
+ * Each input has the same shape as the design itself, so every check can run
+ * on a single artboard with its own background
+ */
+designSchema.methods.toArtboardAnalysisInputs = function () {
+  return this.artboards.map((artboard) => ({
+    canvasId: `${this.canvasId}#${artboard.id}`,
+    artboardId: artboard.id,
+    pageId: artboard.pageId,
+    pageIndex: artboard.pageIndex,
+    pageName: artboard.pageName,
+    artboardIndex: artboard.index,
+    colorsUsed: artboard.colorsUsed,
+    colorUsages: artboard.colorUsages.map((u) =>
+      u.toObject ? u.toObject() : u
+    ),
+    elements: this.elements
+      .filter((el) => el.artboardId === artboard.id)
+      .map((el) => (el.toObject ? el.toObject() : el)),
+    fontsUsed: artboard.fontsUsed,
+    textContent: artboard.textContent.map((t) =>
+      t.toObject ? t.toObject() : t
+    ),
+    images: artboard.images.map((i) => (i.toObject ? i.toObject() : i)),
+    layout: this.layout,
+    dimensions: artboard.dimensions,
+    backgroundColor: artboard.backgroundColor || this.backgroundColor,
+  }));
+};
+
 /**
  * Get all text as a single string for tone analysis
  */
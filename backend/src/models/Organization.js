@@ -0,0 +1,253 @@
+/**
+ * =============================================================================
+ * Epsilon - Organization Model
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * Organizations own all brand data: brand kits, designs, analyses, reports
+ * and report schedules carry an organizationId, and every query is scoped to
+ * the caller's current organization (middleware/organization.js).
+ *
+ * Membership lives here, one entry per user with a role. A user can belong
+ * to several organizations; User.organizationId is the one they are working
+ * in. Users who belong to none get a personal organization they own on their
+ * first request.
+ *
+ * Owners invite users rather than add them: an invitation (invitations[])
+ * grants nothing until the invitee accepts it, so nobody is put into an
+ * organization, or shown its data, without agreeing to it.
+ *
+ * ROLES:
+ * - owner:         everything, including members, API keys and organization
+ *                  settings
+ * - brand_manager: manage brand kits, reports, share links and schedules
+ * - designer:      submit designs, run analyses and auto-fixes, generate reports
+ * - viewer:        read-only
+ */
+
+import mongoose from "mongoose";
+
+// ---------------------------------------------------------------------------
+// CONFIGURATION
+// ---------------------------------------------------------------------------
+
+/**
+ * Permissions granted by each role, most privileged role first
+ * EXTENSION POINT: Add permissions here and guard routes with
+ * requirePermission() from middleware/organization.js
+ */
+const ROLE_PERMISSIONS = {
+  owner: [
+    "view",
+    "analyze",
+    "manage_brand",
+    "manage_reports",
+    "manage_members",
+    "manage_api_keys",
+  ],
+  brand_manager: ["view", "analyze", "manage_brand", "manage_reports"],
+  designer: ["view", "analyze"],
+  viewer: ["view"],
+};
+
+// ---------------------------------------------------------------------------
+// SUB-SCHEMAS
+// ---------------------------------------------------------------------------
+
+const memberSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: Object.keys(ROLE_PERMISSIONS),
+      required: true,
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const invitationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: Object.keys(ROLE_PERMISSIONS),
+      required: true,
+    },
+    invitedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Organization name is required"],
+      trim: true,
+      minlength: [2, "Organization name must be at least 2 characters"],
+      maxlength: [200, "Organization name cannot exceed 200 characters"],
+    },
+
+    members: {
+      type: [memberSchema],
+      default: [],
+    },
+
+    /**
+     * Pending invitations - the user becomes a member on accepting
+     */
+    invitations: {
+      type: [invitationSchema],
+      default: [],
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ---------------------------------------------------------------------------
+// INDEXES
+// ---------------------------------------------------------------------------
+organizationSchema.index({ "members.userId": 1 });
+organizationSchema.index({ "invitations.userId": 1 });
+
+// ---------------------------------------------------------------------------
+// STATICS
+// ---------------------------------------------------------------------------
+
+/**
+ * Whether a role grants a permission
+ *
+ * @param {string} role - Member role
+ * @param {string} permission - e.g. "manage_brand"
+ * @returns {boolean}
+ */
+organizationSchema.statics.roleHasPermission = function (role, permission) {
+  return ROLE_PERMISSIONS[role]?.includes(permission) ?? false;
+};
+
+/**
+ * The less privileged of two roles
+ *
+ * @param {string} a - Member role
+ * @param {string} b - Member role
+ * @returns {string}
+ */
+organizationSchema.statics.lowerRole = function (a, b) {
+  const roles = Object.keys(ROLE_PERMISSIONS);
+  return roles.indexOf(a) > roles.indexOf(b) ? a : b;
+};
+
+/**
+ * Organizations a user belongs to, oldest first
+ */
+organizationSchema.statics.findByMember = function (userId) {
+  return this.find({ "members.userId": userId }).sort({ createdAt: 1 });
+};
+
+/**
+ * Organizations with a pending invitation for a user, oldest first
+ */
+organizationSchema.statics.findByInvitee = function (userId) {
+  return this.find({ "invitations.userId": userId }).sort({ createdAt: 1 });
+};
+
+// ---------------------------------------------------------------------------
+// METHODS
+// ---------------------------------------------------------------------------
+
+/**
+ * Membership entry of a user, or null
+ */
+organizationSchema.methods.getMember = function (userId) {
+  return this.members.find((member) => member.userId.equals(userId)) || null;
+};
+
+/**
+ * Pending invitation of a user, or null
+ */
+organizationSchema.methods.getInvitation = function (userId) {
+  return (
+    this.invitations.find((invitation) => invitation.userId.equals(userId)) ||
+    null
+  );
+};
+
+/**
+ * Number of owners (an organization must keep at least one)
+ */
+organizationSchema.methods.countOwners = function () {
+  return this.members.filter((member) => member.role === "owner").length;
+};
+
+/**
+ * Get client-friendly response
+ * Members and invitations are included as populated when their userId was
+ * populated
+ *
+ * @param {Object} [options]
+ * @param {string} [options.role] - The caller's role, to include permissions
+ */
+organizationSchema.methods.toClientResponse = function ({ role } = {}) {
+  return {
+    id: this._id,
+    name: this.name,
+    members: this.members.map((member) => ({
+      userId: member.userId?._id ?? member.userId,
+      name: member.userId?.name,
+      email: member.userId?.email,
+      role: member.role,
+      addedAt: member.addedAt,
+    })),
+    invitations: this.invitations.map((invitation) => ({
+      userId: invitation.userId?._id ?? invitation.userId,
+      name: invitation.userId?.name,
+      email: invitation.userId?.email,
+      role: invitation.role,
+      invitedAt: invitation.invitedAt,
+    })),
+    ...(role && {
+      role,
+      permissions: ROLE_PERMISSIONS[role] || [],
+    }),
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+  };
+};
+
+const Organization = mongoose.model("Organization", organizationSchema);
+
+export default Organization;
@@ -13,14 +13,86 @@
  * - Track brand compliance trends over time
  * - Share compliance status with team members
  * - Archive historical analysis data
+ *
+ * SNAPSHOTS:
+ * Each included analysis is copied into the report when it is generated
+ * (score, severity/type counts, category scores and - if
+ * format.includeViolationDetails - the violations themselves), so a report
+ * keeps reading the same after analyses are re-run, resolved or deleted.
+ *
+ * SHARING:
+ * A report can have several share links, each with its own random token,
+ * optional expiry and password, and view count. Revoked links are kept (with
+ * revokedAt) so the owner can still see who had access. Shared reads get
+ * toSharedResponse() - no ids, owner or sharing details.
+ *
+ * SCHEDULED REPORTS:
+ * Reports generated by a ReportSchedule keep its scheduleId. The unique
+ * (scheduleId, dateRange.start) index makes each scheduled period produce at
+ * most one report, even if a run is retried after a crash.
  */
 
+import crypto from "crypto";
 import mongoose from "mongoose";
+import { averageCategoryScores } from "../services/scoring.service.js";
 
 // ---------------------------------------------------------------------------
 // SUB-SCHEMAS
 // ---------------------------------------------------------------------------
 
+const SEVERITIES = ["critical", "high", "medium", "low"];
+
+// Violation types listed in the summary
+const TOP_VIOLATION_TYPES_LIMIT = 5;
+
+/**
+ * Violation copied from an analysis (format.includeViolationDetails)
+ */
+const violationSnapshotSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+    },
+    severity: {
+      type: String,
+      enum: SEVERITIES,
+      required: true,
+    },
+    description: {
+      type: String,
+      default: null,
+    },
+    /**
+     * Only kept with format.includeSuggestions
+     */
+    suggestedFix: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    ruleId: {
+      type: String,
+      default: null,
+    },
+    pageId: {
+      type: String,
+      default: null,
+    },
+    resolved: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
+const severityCountsField = {
+  critical: { type: Number, default: 0 },
+  high: { type: Number, default: 0 },
+  medium: { type: Number, default: 0 },
+  low: { type: Number, default: 0 },
+};
+
 /**
  * Analysis snapshot for historical reference
  */
@@ -46,6 +118,32 @@ const analysisSnapshotSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    designName: {
+      type: String,
+      default: null,
+    },
+    /**
+     * Counts are kept even without violation details so summaries work
+     */
+    severityCounts: severityCountsField,
+    violationTypes: [
+      {
+        type: { type: String },
+        count: Number,
+        _id: false,
+      },
+    ],
+    categoryScores: [
+      {
+        category: String,
+        score: Number,
+        _id: false,
+      },
+    ],
+    violations: {
+      type: [violationSnapshotSchema],
+      default: undefined,
+    },
     analyzedAt: {
       type: Date,
       required: true,
@@ -54,6 +152,91 @@ const analysisSnapshotSchema = new mongoose.Schema(
   { _id: false }
 );
 
+/**
+ * One row of the per-design table
+ */
+const designBreakdownSchema = new mongoose.Schema(
+  {
+    designId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Design",
+    },
+    designName: {
+      type: String,
+      default: null,
+    },
+    analysesCount: Number,
+    latestScore: Number,
+    averageScore: Number,
+    totalViolations: Number,
+    criticalViolations: Number,
+    topViolationType: {
+      type: String,
+      default: null,
+    },
+    lastAnalyzedAt: Date,
+  },
+  { _id: false }
+);
+
+/**
+ * Public share link (GET /api/share/:token)
+ */
+const shareLinkSchema = new mongoose.Schema(
+  {
+    token: {
+      type: String,
+      required: true,
+    },
+    label: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Label cannot exceed 100 characters"],
+      default: null,
+    },
+    /**
+     * null = never expires
+     */
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    /**
+     * utils/password.js hash; null = no password
+     */
+    passwordHash: {
+      type: String,
+      default: null,
+    },
+    viewCount: {
+      type: Number,
+      default: 0,
+    },
+    lastViewedAt: {
+      type: Date,
+      default: null,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: true }
+);
+
+/**
+ * Link state: "active", "expired" or "revoked"
+ */
+shareLinkSchema.virtual("status").get(function () {
+  if (this.revokedAt) return "revoked";
+  if (this.expiresAt && this.expiresAt <= new Date()) return "expired";
+  return "active";
+});
+
 /**
  * Summary statistics for the report
  */
@@ -75,12 +258,28 @@ const reportSummarySchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    severityCounts: severityCountsField,
     topViolationTypes: [
       {
         type: { type: String },
         count: Number,
       },
     ],
+    /**
+     * Average score per category across the included analyses
+     */
+    categoryAverages: [
+      {
+        category: String,
+        averageScore: Number,
+        violations: Number,
+        _id: false,
+      },
+    ],
+    designBreakdown: {
+      type: [designBreakdownSchema],
+      default: [],
+    },
     complianceTrend: {
       type: String,
       enum: ["improving", "declining", "stable", "insufficient_data"],
@@ -125,6 +324,14 @@ const reportSchema = new mongoose.Schema(
       index: true,
     },
 
+    /**
+     * Organization this report belongs to
+     */
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+    },
+
     /**
      * Brand kit this report is based on
      */
@@ -174,6 +381,15 @@ const reportSchema = new mongoose.Schema(
       },
     },
 
+    /**
+     * Schedule that generated this report (null for manual reports)
+     */
+    scheduleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ReportSchedule",
+      default: null,
+    },
+
     /**
      * Report status
      */
@@ -205,13 +421,9 @@ const reportSchema = new mongoose.Schema(
      * Share settings
      */
     sharing: {
-      isPublic: {
-        type: Boolean,
-        default: false,
-      },
-      shareToken: {
-        type: String,
-        default: null,
+      links: {
+        type: [shareLinkSchema],
+        default: [],
       },
       sharedWith: [
         {
@@ -240,8 +452,16 @@ const reportSchema = new mongoose.Schema(
 // INDEXES
 // ---------------------------------------------------------------------------
 reportSchema.index({ userId: 1, createdAt: -1 });
+reportSchema.index({ organizationId: 1, createdAt: -1 });
 reportSchema.index({ brandKitId: 1 });
-reportSchema.index({ "sharing.shareToken": 1 });
+reportSchema.index({ "sharing.links.token": 1 });
+reportSchema.index(
+  { scheduleId: 1, "dateRange.start": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { scheduleId: { $type: "objectId" } },
+  }
+);
 
 // ---------------------------------------------------------------------------
 // VIRTUALS
@@ -257,16 +477,71 @@ reportSchema.virtual("analysesCount").get(function () {
 // STATICS
 // ---------------------------------------------------------------------------
 /**
- * Generate a shareable token for the report
+ * Build the snapshot of one analysis
+ *
+ * @param {Object} analysis - AnalysisResult document (designId populated or id)
+ * @param {Object} [format] - Report format flags
+ * @returns {Object} analysisSnapshotSchema data
+ */
+reportSchema.statics.buildAnalysisSnapshot = function (analysis, format = {}) {
+  const { includeViolationDetails = true, includeSuggestions = true } = format;
+  const violations = analysis.violations || [];
+  const design = analysis.designId;
+
+  const severityCounts = Object.fromEntries(
+    SEVERITIES.map((severity) => [
+      severity,
+      violations.filter((v) => v.severity === severity).length,
+    ])
+  );
+
+  const typeCounts = violations.reduce((counts, v) => {
+    counts.set(v.type, (counts.get(v.type) || 0) + 1);
+    return counts;
+  }, new Map());
+
+  return {
+    analysisId: analysis._id,
+    designId: design?._id || design,
+    designName: design?.name || design?.canvasId || null,
+    score: analysis.complianceScore,
+    violationsCount: violations.length,
+    severityCounts,
+    violationTypes: [...typeCounts].map(([type, count]) => ({ type, count })),
+    categoryScores: (analysis.categoryScores || []).map((c) => ({
+      category: c.category,
+      score: c.score,
+    })),
+    violations: includeViolationDetails
+      ? violations.map((v) => ({
+          type: v.type,
+          severity: v.severity,
+          description: v.description,
+          suggestedFix: includeSuggestions ? v.suggestedFix ?? null : null,
+          ruleId: v.ruleId || null,
+          pageId: v.pageId || null,
+          resolved: v.resolved ?? false,
+        }))
+      : undefined,
+    analyzedAt: analysis.createdAt,
+  };
+};
+
+/**
+ * Generate an unguessable share token (192 random bits, URL-safe)
  */
 reportSchema.statics.generateShareToken = function () {
-  const chars =
-    "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
-  let token = "";
-  for (let i = 0; i < 32; i++) {
-    token += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return token;
+  return crypto.randomBytes(24).toString("base64url");
+};
+
+/**
+ * Find the report a share token belongs to
+ *
+ * @param {string} token - Share token
+ * @returns {Query} Report query (null if no link has this token)
+ */
+reportSchema.statics.findByShareToken = function (token) {
+  return this.findOne({ "sharing.links.token": String(token) });
 };
 
 /**
@@ -294,13 +569,20 @@ reportSchema.methods.calculateSummary = function () {
       averageComplianceScore: 0,
       totalViolations: 0,
       criticalViolations: 0,
+      severityCounts: {},
       topViolationTypes: [],
+      categoryAverages: [],
+      designBreakdown: [],
       complianceTrend: "insufficient_data",
     };
     return;
   }
 
-  const scores = this.analyses.map((a) => a.score);
+  // Oldest first, so the trend compares earlier analyses with later ones
+  const chronological = [...this.analyses].sort(
+    (a, b) => new Date(a.analyzedAt) - new Date(b.analyzedAt)
+  );
+  const scores = chronological.map((a) => a.score);
   const avgScore = scores.reduce((a, b) => a + b, 0) / scores.length;
   const totalViolations = this.analyses.reduce(
     (sum, a) => sum + a.violationsCount,
@@ -326,26 +608,124 @@ reportSchema.methods.calculateSummary = function () {
     trend = "insufficient_data";
   }
 
+  const severityCounts = Object.fromEntries(
+    SEVERITIES.map((severity) => [
+      severity,
+      this.analyses.reduce(
+        (sum, a) => sum + (a.severityCounts?.[severity] || 0),
+        0
+      ),
+    ])
+  );
+
+  const typeCounts = new Map();
+  this.analyses.forEach((a) =>
+    (a.violationTypes || []).forEach(({ type, count }) =>
+      typeCounts.set(type, (typeCounts.get(type) || 0) + count)
+    )
+  );
+  const topViolationTypes = [...typeCounts]
+    .map(([type, count]) => ({ type, count }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, TOP_VIOLATION_TYPES_LIMIT);
+
+  const categoryAverages = averageCategoryScores(
+    this.analyses.map((a) =>
+      (a.categoryScores || []).map((c) => ({
+        category: c.category,
+        score: c.score,
+      }))
+    )
+  ).map(({ category, score }) => ({
+    category,
+    averageScore: score,
+    // "font" violations belong to the typography category
+    violations:
+      (typeCounts.get(category) || 0) +
+      (category === "typography" ? typeCounts.get("font") || 0 : 0),
+  }));
+
+  // Per-design table, latest analysis first within each design
+  const byDesign = new Map();
+  chronological.forEach((a) => {
+    const key = String(a.designId);
+    const rows = byDesign.get(key) || [];
+    rows.push(a);
+    byDesign.set(key, rows);
+  });
+  const designBreakdown = [...byDesign.values()]
+    .map((rows) => {
+      const latest = rows[rows.length - 1];
+      const designTypes = new Map();
+      rows.forEach((a) =>
+        (a.violationTypes || []).forEach(({ type, count }) =>
+          designTypes.set(type, (designTypes.get(type) || 0) + count)
+        )
+      );
+      const [topViolationType = null] = [...designTypes]
+        .sort((a, b) => b[1] - a[1])
+        .map(([type]) => type);
+
+      return {
+        designId: latest.designId,
+        designName: latest.designName,
+        analysesCount: rows.length,
+        latestScore: latest.score,
+        averageScore:
+          Math.round(
+            (rows.reduce((sum, a) => sum + a.score, 0) / rows.length) * 10
+          ) / 10,
+        totalViolations: rows.reduce((sum, a) => sum + a.violationsCount, 0),
+        criticalViolations: rows.reduce(
+          (sum, a) => sum + (a.severityCounts?.critical || 0),
+          0
+        ),
+        topViolationType,
+        lastAnalyzedAt: latest.analyzedAt,
+      };
+    })
+    .sort((a, b) => a.latestScore - b.latestScore); // Worst designs first
+
   this.summary = {
     totalDesignsAnalyzed: this.analyses.length,
     averageComplianceScore: Math.round(avgScore * 10) / 10,
     totalViolations,
-    criticalViolations: 0, // Would need violation details to calculate
-    topViolationTypes: [],
+    criticalViolations: severityCounts.critical,
+    severityCounts,
+    topViolationTypes,
+    categoryAverages,
+    designBreakdown,
     complianceTrend: trend,
   };
 };
 
 /**
- * Generate a public shareable link
+ * Add a share link (not saved)
+ *
+ * @param {Object} [options] - { label, expiresAt, passwordHash }
+ * @returns {Object} The new link subdocument
+ */
+reportSchema.methods.createShareLink = function ({
+  label = null,
+  expiresAt = null,
+  passwordHash = null,
+} = {}) {
+  this.sharing.links.push({
+    token: this.constructor.generateShareToken(),
+    label,
+    expiresAt,
+    passwordHash,
+  });
+  return this.sharing.links[this.sharing.links.length - 1];
+};
+
+/**
+ * Find a share link by token
  */
-reportSchema.methods.enableSharing = async function () {
-  if (!this.sharing.shareToken) {
-    this.sharing.shareToken = this.constructor.generateShareToken();
-    this.sharing.isPublic = true;
-    await this.save();
-  }
-  return this.sharing.shareToken;
+reportSchema.methods.findShareLink = function (token) {
+  return (
+    this.sharing.links.find((link) => link.token === String(token)) || null
+  );
 };
 
 /**
@@ -359,14 +739,56 @@ reportSchema.methods.toClientResponse = function () {
     brandKit: this.brandKitId,
     summary: this.summary,
     analysesCount: this.analyses.length,
+    format: this.format,
     type: this.type,
     dateRange: this.dateRange,
+    scheduleId: this.scheduleId,
     status: this.status,
     generatedAt: this.generatedAt,
     createdAt: this.createdAt,
   };
 };
 
+/**
+ * Redacted, read-only view for share links: no ids, owner, sharing details
+ * or rule internals - only what the report shows
+ */
+reportSchema.methods.toSharedResponse = function () {
+  const { summary } = this.toObject();
+  const brandKit = this.brandKitId;
+
+  return {
+    title: this.title,
+    description: this.description,
+    brandKit: brandKit?.name ? { name: brandKit.name } : null,
+    type: this.type,
+    dateRange: this.dateRange,
+    generatedAt: this.generatedAt,
+    summary: {
+      ...summary,
+      designBreakdown: (summary.designBreakdown || []).map(
+        ({ designId, ...row }) => row
+      ),
+    },
+    analyses: this.analyses.map((a) => ({
+      designName: a.designName,
+      score: a.score,
+      violationsCount: a.violationsCount,
+      severityCounts: a.severityCounts,
+      violationTypes: a.violationTypes,
+      categoryScores: a.categoryScores,
+      violations: a.violations?.map((v) => ({
+        type: v.type,
+        severity: v.severity,
+        description: v.description,
+        suggestedFix: v.suggestedFix,
+        resolved: v.resolved,
+      })),
+      analyzedAt: a.analyzedAt,
+    })),
+  };
+};
+
 const Report = mongoose.model("Report", reportSchema);
 
 export default Report;
@@ -0,0 +1,283 @@
+/**
+ * =============================================================================
+ * Epsilon - Report Schedule Model
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * A schedule generates a periodic report for one brand kit every week, month
+ * or quarter, covering the period that just ended: the seven days before the
+ * run day, or the previous calendar month or quarter. Times are in UTC.
+ *
+ * The scheduler (services/reportScheduler.service.js) runs in-process, so
+ * several API instances - or one restarting mid-run - may see the same due
+ * schedule. A run first claims the schedule by setting a short lease
+ * (lockedUntil/lockedBy) in one atomic update; a crashed run's lease expires
+ * and the run is retried, and Report's unique (scheduleId, dateRange.start)
+ * index keeps the retry from producing a second report.
+ *
+ * RUN HISTORY:
+ * The latest runs are kept on the schedule (capped), with their period,
+ * outcome and the report they produced.
+ */
+
+import mongoose from "mongoose";
+
+// ---------------------------------------------------------------------------
+// CONFIGURATION
+// ---------------------------------------------------------------------------
+
+const SCHEDULE_FREQUENCIES = ["weekly", "monthly", "quarterly"];
+
+const RUN_STATUSES = ["completed", "skipped", "failed"];
+
+// ---------------------------------------------------------------------------
+// SUB-SCHEMAS
+// ---------------------------------------------------------------------------
+
+/**
+ * One execution of a schedule
+ */
+const scheduleRunSchema = new mongoose.Schema(
+  {
+    /**
+     * Occurrence this run was for
+     */
+    scheduledFor: {
+      type: Date,
+      required: true,
+    },
+    periodStart: {
+      type: Date,
+      required: true,
+    },
+    periodEnd: {
+      type: Date,
+      required: true,
+    },
+    /**
+     * completed: report generated; skipped: no analyses in the period;
+     * failed: see error
+     */
+    status: {
+      type: String,
+      enum: RUN_STATUSES,
+      required: true,
+    },
+    reportId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Report",
+      default: null,
+    },
+    analysesCount: {
+      type: Number,
+      default: 0,
+    },
+    /**
+     * Earlier occurrences passed over because the server was down
+     */
+    missedRuns: {
+      type: Number,
+      default: 0,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: true }
+);
+
+// ---------------------------------------------------------------------------
+// MAIN SCHEDULE SCHEMA
+// ---------------------------------------------------------------------------
+
+const reportScheduleSchema = new mongoose.Schema(
+  {
+    /**
+     * Title of the generated reports (the period is appended)
+     */
+    title: {
+      type: String,
+      required: [true, "Schedule title is required"],
+      trim: true,
+      maxlength: [150, "Title cannot exceed 150 characters"],
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Description cannot exceed 1000 characters"],
+    },
+
+    /**
+     * Owner of the schedule and its reports
+     */
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+    },
+
+    /**
+     * Organization this schedule belongs to
+     */
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+    },
+
+    brandKitId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BrandKit",
+      required: [true, "Brand kit is required"],
+      index: true,
+    },
+
+    frequency: {
+      type: String,
+      enum: SCHEDULE_FREQUENCIES,
+      required: [true, "Frequency is required"],
+    },
+
+    /**
+     * Weekly: day to run on (0 = Sunday ... 6 = Saturday)
+     */
+    dayOfWeek: {
+      type: Number,
+      min: 0,
+      max: 6,
+      default: 1,
+    },
+
+    /**
+     * Monthly: day of the month to run on; quarterly: day of the quarter's
+     * first month. Capped at 28 so every month has it.
+     */
+    dayOfMonth: {
+      type: Number,
+      min: 1,
+      max: 28,
+      default: 1,
+    },
+
+    /**
+     * Hour of the day to run at (UTC)
+     */
+    hour: {
+      type: Number,
+      min: 0,
+      max: 23,
+      default: 6,
+    },
+
+    /**
+     * Format flags of the generated reports
+     */
+    format: {
+      includeViolationDetails: {
+        type: Boolean,
+        default: true,
+      },
+      includeSuggestions: {
+        type: Boolean,
+        default: true,
+      },
+      includeCharts: {
+        type: Boolean,
+        default: true,
+      },
+    },
+
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+
+    /**
+     * Next occurrence to run
+     */
+    nextRunAt: {
+      type: Date,
+      required: true,
+    },
+
+    lastRunAt: {
+      type: Date,
+      default: null,
+    },
+
+    /**
+     * Lease held by the scheduler instance running this schedule
+     */
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+
+    runs: {
+      type: [scheduleRunSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ---------------------------------------------------------------------------
+// INDEXES
+// ---------------------------------------------------------------------------
+// Due-schedule lookup
+reportScheduleSchema.index({ enabled: 1, nextRunAt: 1 });
+reportScheduleSchema.index({ organizationId: 1 });
+
+// ---------------------------------------------------------------------------
+// METHODS
+// ---------------------------------------------------------------------------
+/**
+ * Get client-friendly response
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.includeRuns=false] - Include the run history
+ *                                                (newest first)
+ */
+reportScheduleSchema.methods.toClientResponse = function ({
+  includeRuns = false,
+} = {}) {
+  const lastRun = this.runs[this.runs.length - 1] || null;
+
+  return {
+    id: this._id,
+    title: this.title,
+    description: this.description,
+    brandKit: this.brandKitId,
+    frequency: this.frequency,
+    dayOfWeek: this.frequency === "weekly" ? this.dayOfWeek : undefined,
+    dayOfMonth: this.frequency === "weekly" ? undefined : this.dayOfMonth,
+    hour: this.hour,
+    timezone: "UTC",
+    format: this.format,
+    enabled: this.enabled,
+    nextRunAt: this.enabled ? this.nextRunAt : null,
+    lastRunAt: this.lastRunAt,
+    lastRunStatus: lastRun?.status || null,
+    runs: includeRuns ? [...this.runs].reverse() : undefined,
+    createdAt: this.createdAt,
+  };
+};
+
+const ReportSchedule = mongoose.model("ReportSchedule", reportScheduleSchema);
+
+export default ReportSchedule;
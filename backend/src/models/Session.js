@@ -0,0 +1,120 @@
+/**
+ * =============================================================================
+ * Epsilon - Session Model
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * Every sign-in creates a session. Access tokens are short-lived JWTs naming
+ * their session (sid), and the auth middleware checks the session on every
+ * request - so logging out, or revoking a session, takes effect immediately
+ * rather than when the access token expires.
+ *
+ * REFRESH TOKENS:
+ * A refresh token is "<session id>.<random secret>"; only a SHA-256 hash of
+ * the secret is stored. Each refresh rotates the secret. Presenting an old
+ * secret means the token was copied, so the whole session is revoked.
+ *
+ * Expired sessions are removed by a TTL index.
+ */
+
+import mongoose from "mongoose";
+
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    /**
+     * SHA-256 of the current refresh token secret
+     */
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+
+    /**
+     * How the user signed in
+     */
+    authMethod: {
+      type: String,
+      enum: ["password", "google"],
+      required: true,
+    },
+
+    /**
+     * End of the refresh token's lifetime (sliding: each refresh extends it)
+     */
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    /**
+     * Client details, to help users recognize their sessions
+     */
+    userAgent: {
+      type: String,
+      maxlength: 500,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ---------------------------------------------------------------------------
+// INDEXES
+// ---------------------------------------------------------------------------
+// Delete sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ---------------------------------------------------------------------------
+// VIRTUALS
+// ---------------------------------------------------------------------------
+/**
+ * Whether the session can still be used
+ */
+sessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// ---------------------------------------------------------------------------
+// METHODS
+// ---------------------------------------------------------------------------
+/**
+ * Get client-friendly response
+ */
+sessionSchema.methods.toClientResponse = function () {
+  return {
+    id: this._id,
+    authMethod: this.authMethod,
+    userAgent: this.userAgent,
+    ip: this.ip,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+  };
+};
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
@@ -4,13 +4,13 @@
  * =============================================================================
  *
  * ARCHITECTURE DECISION:
- * Simple user model for multi-tenancy support. In a full production system,
- * this would include authentication, roles, and team management. For the
- * hackathon, we keep it minimal but extensible.
+ * Simple user model for multi-tenancy support. Users sign in with a password
+ * (scrypt hash, never selected by default) and/or a Google account verified
+ * server-side (googleId); see services/auth.service.js.
  *
  * USAGE:
- * Users own Brand Kits and Designs. This allows for data isolation and
- * personalized analytics per user/organization.
+ * Brand data belongs to organizations (see Organization.js); a user works in
+ * one of the organizations they are a member of at a time (organizationId).
  */
 
 import mongoose from "mongoose";
@@ -41,7 +41,7 @@ const userSchema = new mongoose.Schema(
     },
 
     /**
-     * Organization or company name
+     * Organization or company name (names the user's personal organization)
      */
     organization: {
       type: String,
@@ -49,6 +49,39 @@ const userSchema = new mongoose.Schema(
       maxlength: [200, "Organization name cannot exceed 200 characters"],
     },
 
+    /**
+     * Organization the user is currently working in
+     */
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
+
+    /**
+     * Password hash (utils/password.js) - null for Google-only accounts
+     */
+    passwordHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
+
+    /**
+     * Google account ID ("sub" of a verified Google ID token)
+     */
+    googleId: {
+      type: String,
+    },
+
+    /**
+     * Whether the email is verified (by Google sign-in)
+     */
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+
     /**
      * User's role for future authorization
      * EXTENSION POINT: Add more roles as needed
@@ -99,7 +132,14 @@ const userSchema = new mongoose.Schema(
   },
   {
     timestamps: true, // Adds createdAt and updatedAt
-    toJSON: { virtuals: true },
+    toJSON: {
+      virtuals: true,
+      // Never serialize the password hash, even when it was selected
+      transform: (doc, ret) => {
+        delete ret.passwordHash;
+        return ret;
+      },
+    },
     toObject: { virtuals: true },
   }
 );
@@ -110,6 +150,7 @@ const userSchema = new mongoose.Schema(
 userSchema.index({ email: 1 });
 userSchema.index({ organization: 1 });
 userSchema.index({ adobeExpressId: 1 });
+userSchema.index({ googleId: 1 }, { unique: true, sparse: true });
 
 // ---------------------------------------------------------------------------
 // VIRTUALS
@@ -136,7 +177,9 @@ userSchema.methods.toPublicJSON = function () {
     email: this.email,
     name: this.name,
     organization: this.organization,
+    organizationId: this.organizationId,
     role: this.role,
+    emailVerified: this.emailVerified,
     createdAt: this.createdAt,
   };
 };
@@ -15,31 +15,59 @@ import {
   runAnalysis,
   getAnalysis,
   getAnalysisHistory,
+  exportAnalysisHistory,
+  exportViolations,
+  getRules,
 } from "../controllers/analysis.controller.js";
+import { requirePermission, resolveScope } from "../middleware/organization.js";
 
 const router = Router();
 
 /**
  * @route   POST /api/analysis/run
  * @desc    Run brand compliance analysis on a design
- * @access  Public
- * @body    { brandKitId, designId, useAI? }
- * @returns { analysisId, complianceScore, violations, categoryScores, summary }
+ * @access  Authenticated (analyze)
+ * @body    { brandKitId, designId, mode?: "rules" | "ai" | "hybrid", useAI? }
+ * @returns { analysisId, complianceScore, violations, categoryScores, ruleResults, summary }
  */
-router.post("/run", runAnalysis);
+router.post("/run", requirePermission("analyze"), runAnalysis);
 
 /**
  * @route   GET /api/analysis/history
  * @desc    Get analysis history with filters
- * @access  Public
- * @query   designId, brandKitId, page, limit
+ * @access  Authenticated
+ * @query   scope (organization | personal), designId, brandKitId, from, to, page, limit
  */
-router.get("/history", getAnalysisHistory);
+router.get("/history", resolveScope, getAnalysisHistory);
+
+/**
+ * @route   GET /api/analysis/history/export
+ * @desc    Download analysis history as a spreadsheet (one row per analysis)
+ * @access  Authenticated
+ * @query   format (csv | xlsx), scope, designId, brandKitId, from, to
+ */
+router.get("/history/export", resolveScope, exportAnalysisHistory);
+
+/**
+ * @route   GET /api/analysis/violations/export
+ * @desc    Download violations as a spreadsheet (one row per violation)
+ * @access  Authenticated
+ * @query   format (csv | xlsx), scope, designId, brandKitId, from, to
+ */
+router.get("/violations/export", resolveScope, exportViolations);
+
+/**
+ * @route   GET /api/analysis/rules
+ * @desc    List compliance rules with their default weights
+ * @access  Authenticated
+ * @returns { rules: [{ id, category, defaultWeight, severityMap, description }] }
+ */
+router.get("/rules", getRules);
 
 /**
  * @route   GET /api/analysis/:id
  * @desc    Get a single analysis result by ID
- * @access  Public
+ * @access  Authenticated
  * @param   id - Analysis result ObjectId
  */
 router.get("/:id", getAnalysis);
@@ -14,24 +14,26 @@ import {
   getAnalytics,
   getQuickStats,
 } from "../controllers/analytics.controller.js";
+import { resolveScope } from "../middleware/organization.js";
 
 const router = Router();
 
 /**
  * @route   GET /api/analytics
  * @desc    Get comprehensive analytics with aggregations
- * @access  Public
- * @query   startDate, endDate, brandKitId
- * @returns { overview, topViolationCategories, scoreDistribution, trend, entityCounts }
+ * @access  Authenticated
+ * @query   scope (organization | personal), startDate, endDate, brandKitId
+ * @returns { scope, overview, topViolationCategories, scoreDistribution, trend, entityCounts }
  */
-router.get("/", getAnalytics);
+router.get("/", resolveScope, getAnalytics);
 
 /**
  * @route   GET /api/analytics/quick
  * @desc    Get quick stats for dashboard
- * @access  Public
- * @returns { lastAnalysis, totalDesigns, totalBrandKits, scansLast24h }
+ * @access  Authenticated
+ * @query   scope (organization | personal)
+ * @returns { scope, lastAnalysis, totalDesigns, totalBrandKits, scansLast24h }
  */
-router.get("/quick", getQuickStats);
+router.get("/quick", resolveScope, getQuickStats);
 
 export default router;
@@ -0,0 +1,67 @@
+/**
+ * =============================================================================
+ * Epsilon - API Key Routes
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * Managing keys needs a signed-in owner (manage_api_keys); app.js keeps
+ * API keys themselves out of these routes.
+ *
+ * BASE PATH: /api/api-keys
+ */
+
+import { Router } from "express";
+import {
+  listApiKeys,
+  createApiKey,
+  updateApiKey,
+  rotateApiKey,
+  revokeApiKey,
+} from "../controllers/apiKey.controller.js";
+import { requirePermission } from "../middleware/organization.js";
+
+const router = Router();
+
+router.use(requirePermission("manage_api_keys"));
+
+/**
+ * @route   GET /api/api-keys
+ * @desc    List the organization's API keys with their usage
+ * @access  Authenticated (manage_api_keys)
+ * @returns { apiKeys: [{ id, name, scope, prefix, active, lastUsedAt, usage }] }
+ */
+router.get("/", listApiKeys);
+
+/**
+ * @route   POST /api/api-keys
+ * @desc    Create an API key; the key is only returned here
+ * @access  Authenticated (manage_api_keys)
+ * @body    { name, scope?: "read" | "analyze" | "admin" }
+ * @returns { apiKey, key }
+ */
+router.post("/", createApiKey);
+
+/**
+ * @route   PUT /api/api-keys/:id
+ * @desc    Rename or re-scope an API key
+ * @access  Authenticated (manage_api_keys)
+ * @body    { name?, scope? }
+ */
+router.put("/:id", updateApiKey);
+
+/**
+ * @route   POST /api/api-keys/:id/rotate
+ * @desc    Replace an API key's secret; the old key stops working
+ * @access  Authenticated (manage_api_keys)
+ * @returns { apiKey, key }
+ */
+router.post("/:id/rotate", rotateApiKey);
+
+/**
+ * @route   DELETE /api/api-keys/:id
+ * @desc    Revoke an API key
+ * @access  Authenticated (manage_api_keys)
+ */
+router.delete("/:id", revokeApiKey);
+
+export default router;
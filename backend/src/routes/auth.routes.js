@@ -0,0 +1,121 @@
+/**
+ * =============================================================================
+ * Epsilon - Auth Routes
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * Sign-in and token refresh are the only public /api endpoints besides share
+ * links. Session management below them requires an access token.
+ *
+ * BASE PATH: /api/auth
+ */
+
+import { Router } from "express";
+import {
+  register,
+  login,
+  googleLogin,
+  linkGoogle,
+  changePassword,
+  refresh,
+  logout,
+  logoutAll,
+  getMe,
+  listSessions,
+  revokeUserSession,
+} from "../controllers/auth.controller.js";
+import { authenticate, requireUserSession } from "../middleware/auth.js";
+
+const router = Router();
+
+/**
+ * @route   POST /api/auth/register
+ * @desc    Create an account with email and password
+ * @access  Public
+ * @body    { email, password, name, organization? }
+ * @returns { user, accessToken, refreshToken, expiresIn }
+ */
+router.post("/register", register);
+
+/**
+ * @route   POST /api/auth/login
+ * @desc    Sign in with email and password
+ * @access  Public
+ * @body    { email, password }
+ * @returns { user, accessToken, refreshToken, expiresIn }
+ */
+router.post("/login", login);
+
+/**
+ * @route   POST /api/auth/google
+ * @desc    Sign in with a Google ID token (verified server-side)
+ * @access  Public
+ * @body    { credential }
+ * @returns { user, accessToken, refreshToken, expiresIn }
+ */
+router.post("/google", googleLogin);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Get a new access token; the refresh token is rotated
+ * @access  Public (refresh token)
+ * @body    { refreshToken }
+ * @returns { user, accessToken, refreshToken, expiresIn }
+ */
+router.post("/refresh", refresh);
+
+router.use(authenticate, requireUserSession);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    End the current session
+ * @access  Authenticated
+ */
+router.post("/logout", logout);
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    End every session of the current user
+ * @access  Authenticated
+ */
+router.post("/logout-all", logoutAll);
+
+/**
+ * @route   POST /api/auth/google/link
+ * @desc    Link a Google account with the same email; verifies the email
+ * @access  Authenticated
+ * @body    { credential }
+ * @returns { user }
+ */
+router.post("/google/link", linkGoogle);
+
+/**
+ * @route   PUT /api/auth/password
+ * @desc    Set or change the password; ends the user's other sessions
+ * @access  Authenticated
+ * @body    { password, currentPassword? }
+ */
+router.put("/password", changePassword);
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Get the current user
+ * @access  Authenticated
+ */
+router.get("/me", getMe);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the current user's active sessions
+ * @access  Authenticated
+ */
+router.get("/sessions", listSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Revoke one of the current user's sessions
+ * @access  Authenticated
+ */
+router.delete("/sessions/:id", revokeUserSession);
+
+export default router;
@@ -14,22 +14,23 @@ import {
   applyAutoFix,
   previewAutoFix,
 } from "../controllers/autofix.controller.js";
+import { requirePermission } from "../middleware/organization.js";
 
 const router = Router();
 
 /**
  * @route   POST /api/autofix/apply
  * @desc    Apply auto-fixes to a design based on analysis violations
- * @access  Public
- * @body    { analysisId, designId?, fixTypes? }
- * @returns { fixedDesign, appliedFixes, skippedFixes, statistics }
+ * @access  Authenticated (analyze)
+ * @body    { analysisId, designId?, fixTypes?, violationIds? }
+ * @returns { fixedDesign, appliedFixes, skippedFixes, fixPlan, statistics }
  */
-router.post("/apply", applyAutoFix);
+router.post("/apply", requirePermission("analyze"), applyAutoFix);
 
 /**
  * @route   POST /api/autofix/preview
  * @desc    Preview auto-fixes without applying them
- * @access  Public
+ * @access  Authenticated
  * @body    { analysisId }
  * @returns { preview, currentScore, violationsCount }
  */
@@ -21,29 +21,30 @@ import {
   getBrandKitVersion,
 } from "../controllers/brandKit.controller.js";
 import { extractBrandKit } from "../controllers/brandKitExtract.controller.js";
+import { requirePermission } from "../middleware/organization.js";
 
 const router = Router();
 
 /**
  * @route   POST /api/brandkit/extract
  * @desc    Extract brand kit from uploaded file using AI
- * @access  Public
+ * @access  Authenticated (analyze)
  * @body    { fileName, fileType, fileData }
  */
-router.post("/extract", extractBrandKit);
+router.post("/extract", requirePermission("analyze"), extractBrandKit);
 
 /**
  * @route   POST /api/brandkit
  * @desc    Create a new brand kit
- * @access  Public (for hackathon - would be authenticated in production)
+ * @access  Authenticated (manage_brand)
  * @body    { name, colors, fonts, logoRules, accessibilityRules, toneRules }
  */
-router.post("/", createBrandKit);
+router.post("/", requirePermission("manage_brand"), createBrandKit);
 
 /**
  * @route   GET /api/brandkit
  * @desc    List all brand kits with pagination
- * @access  Public
+ * @access  Authenticated
  * @query   page, limit
  */
 router.get("/", listBrandKits);
@@ -51,7 +52,7 @@ router.get("/", listBrandKits);
 /**
  * @route   GET /api/brandkit/:id
  * @desc    Get a single brand kit by ID
- * @access  Public
+ * @access  Authenticated
  * @param   id - Brand kit ObjectId
  */
 router.get("/:id", getBrandKit);
@@ -59,7 +60,7 @@ router.get("/:id", getBrandKit);
 /**
  * @route   GET /api/brandkit/:id/versions
  * @desc    Get version history for a brand kit
- * @access  Public
+ * @access  Authenticated
  * @param   id - Brand kit ObjectId
  */
 router.get("/:id/versions", getBrandKitVersions);
@@ -67,7 +68,7 @@ router.get("/:id/versions", getBrandKitVersions);
 /**
  * @route   GET /api/brandkit/:id/version/:version
  * @desc    Get a specific version of a brand kit
- * @access  Public
+ * @access  Authenticated
  * @param   id - Brand kit ObjectId
  * @param   version - Version number
  */
@@ -76,19 +77,19 @@ router.get("/:id/version/:version", getBrandKitVersion);
 /**
  * @route   PUT /api/brandkit/:id
  * @desc    Update a brand kit (creates version snapshot)
- * @access  Public
+ * @access  Authenticated (manage_brand)
  * @param   id - Brand kit ObjectId
  * @query   changeNote - Optional note describing the change
  * @body    { name?, colors?, fonts?, logoRules?, accessibilityRules?, toneRules? }
  */
-router.put("/:id", updateBrandKit);
+router.put("/:id", requirePermission("manage_brand"), updateBrandKit);
 
 /**
  * @route   DELETE /api/brandkit/:id
  * @desc    Delete (archive) a brand kit
- * @access  Public
+ * @access  Authenticated (manage_brand)
  * @param   id - Brand kit ObjectId
  */
-router.delete("/:id", deleteBrandKit);
+router.delete("/:id", requirePermission("manage_brand"), deleteBrandKit);
 
 export default router;
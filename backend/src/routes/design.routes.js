@@ -18,22 +18,23 @@ import {
   listDesigns,
   deleteDesign,
 } from "../controllers/design.controller.js";
+import { requirePermission } from "../middleware/organization.js";
 
 const router = Router();
 
 /**
  * @route   POST /api/design
  * @desc    Submit a new design from Adobe Express
- * @access  Public
+ * @access  Authenticated (analyze)
  * @body    { canvasId, colorsUsed, fontsUsed, textContent, images, layout }
  */
-router.post("/", submitDesign);
+router.post("/", requirePermission("analyze"), submitDesign);
 
 /**
  * @route   GET /api/design
  * @alias   GET /api/designs
  * @desc    List all designs with pagination
- * @access  Public
+ * @access  Authenticated
  * @query   page, limit, status
  */
 router.get("/", listDesigns);
@@ -41,7 +42,7 @@ router.get("/", listDesigns);
 /**
  * @route   GET /api/design/:id
  * @desc    Get a single design by ID
- * @access  Public
+ * @access  Authenticated
  * @param   id - Design ObjectId
  */
 router.get("/:id", getDesign);
@@ -49,7 +50,7 @@ router.get("/:id", getDesign);
 /**
  * @route   GET /api/design/canvas/:canvasId
  * @desc    Get a design by Adobe Express canvas ID
- * @access  Public
+ * @access  Authenticated
  * @param   canvasId - Adobe Express canvas ID
  */
 router.get("/canvas/:canvasId", getDesignByCanvasId);
@@ -57,9 +58,9 @@ router.get("/canvas/:canvasId", getDesignByCanvasId);
 /**
  * @route   DELETE /api/design/:id
  * @desc    Archive a design
- * @access  Public
+ * @access  Authenticated (analyze)
  * @param   id - Design ObjectId
  */
-router.delete("/:id", deleteDesign);
+router.delete("/:id", requirePermission("analyze"), deleteDesign);
 
 export default router;
@@ -8,16 +8,18 @@
 
 import { Router } from "express";
 import { getExecutiveSummary } from "../controllers/executiveSummary.controller.js";
+import { resolveScope } from "../middleware/organization.js";
 
 const router = Router();
 
 /**
  * @route   GET /api/executive-summary
  * @desc    Generate AI-powered executive summary for brand governance
- * @access  Public
+ * @access  Authenticated
  * @query   brandKitId - Optional: filter by brand kit
  * @query   period - Time period: 'week', 'month', 'quarter' (default: week)
+ * @query   scope - 'organization' (default) or 'personal'
  */
-router.get("/", getExecutiveSummary);
+router.get("/", resolveScope, getExecutiveSummary);
 
 export default router;
@@ -0,0 +1,128 @@
+/**
+ * =============================================================================
+ * Epsilon - Organization Routes
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * Routes for the caller's organizations and their members. Everything else
+ * under /api is scoped to the current organization managed here.
+ *
+ * BASE PATH: /api/organization
+ */
+
+import { Router } from "express";
+import {
+  getOrganization,
+  updateOrganization,
+  createOrganization,
+  listMyOrganizations,
+  switchOrganization,
+  inviteMember,
+  cancelInvitation,
+  listMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+  updateMember,
+  removeMember,
+} from "../controllers/organization.controller.js";
+import { requirePermission } from "../middleware/organization.js";
+
+const router = Router();
+
+/**
+ * @route   GET /api/organization
+ * @desc    Get the current organization, its members and your permissions
+ * @access  Authenticated
+ */
+router.get("/", getOrganization);
+
+/**
+ * @route   PUT /api/organization
+ * @desc    Rename the current organization
+ * @access  Authenticated (manage_members)
+ * @body    { name }
+ */
+router.put("/", requirePermission("manage_members"), updateOrganization);
+
+/**
+ * @route   POST /api/organization
+ * @desc    Create an organization you own and switch to it
+ * @access  Authenticated
+ * @body    { name }
+ */
+router.post("/", createOrganization);
+
+/**
+ * @route   GET /api/organization/mine
+ * @desc    List the organizations you belong to
+ * @access  Authenticated
+ */
+router.get("/mine", listMyOrganizations);
+
+/**
+ * @route   POST /api/organization/:id/switch
+ * @desc    Make another of your organizations the current one
+ * @access  Authenticated (member of :id)
+ */
+router.post("/:id/switch", switchOrganization);
+
+/**
+ * @route   GET /api/organization/invitations/mine
+ * @desc    List the invitations you have received
+ * @access  Authenticated
+ */
+router.get("/invitations/mine", listMyInvitations);
+
+/**
+ * @route   POST /api/organization/:id/accept
+ * @desc    Accept an invitation; your current organization does not change
+ * @access  Authenticated (invited to :id)
+ */
+router.post("/:id/accept", acceptInvitation);
+
+/**
+ * @route   POST /api/organization/:id/decline
+ * @desc    Decline an invitation
+ * @access  Authenticated (invited to :id)
+ */
+router.post("/:id/decline", declineInvitation);
+
+/**
+ * @route   POST /api/organization/invitations
+ * @desc    Invite an existing user to the current organization
+ * @access  Authenticated (manage_members)
+ * @body    { email, role: owner | brand_manager | designer | viewer }
+ */
+router.post("/invitations", requirePermission("manage_members"), inviteMember);
+
+/**
+ * @route   DELETE /api/organization/invitations/:userId
+ * @desc    Withdraw a pending invitation
+ * @access  Authenticated (manage_members)
+ */
+router.delete(
+  "/invitations/:userId",
+  requirePermission("manage_members"),
+  cancelInvitation
+);
+
+/**
+ * @route   PUT /api/organization/members/:userId
+ * @desc    Change a member's role
+ * @access  Authenticated (manage_members)
+ * @body    { role }
+ */
+router.put(
+  "/members/:userId",
+  requirePermission("manage_members"),
+  updateMember
+);
+
+/**
+ * @route   DELETE /api/organization/members/:userId
+ * @desc    Remove a member, or leave (your own userId)
+ * @access  Authenticated (manage_members, or yourself)
+ */
+router.delete("/members/:userId", removeMember);
+
+export default router;
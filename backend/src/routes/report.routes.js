@@ -14,25 +14,31 @@ import {
   generateReport,
   getReport,
   getFullReport,
+  exportReport,
+  createShareLink,
+  listShareLinks,
+  updateShareLink,
+  revokeShareLink,
   listReports,
   deleteReport,
 } from "../controllers/report.controller.js";
+import { requirePermission } from "../middleware/organization.js";
 
 const router = Router();
 
 /**
  * @route   POST /api/report/generate
  * @desc    Generate a new compliance report
- * @access  Public
+ * @access  Authenticated (analyze)
  * @body    { title, description?, brandKitId, analysisId?, dateRange? }
  * @returns { report: { id, title, brandKit, summary, analysesCount, generatedAt } }
  */
-router.post("/generate", generateReport);
+router.post("/generate", requirePermission("analyze"), generateReport);
 
 /**
  * @route   GET /api/report
  * @desc    List all reports with pagination
- * @access  Public
+ * @access  Authenticated
  * @query   page, limit
  */
 router.get("/", listReports);
@@ -40,7 +46,7 @@ router.get("/", listReports);
 /**
  * @route   GET /api/report/:id
  * @desc    Get a report by ID
- * @access  Public
+ * @access  Authenticated
  * @param   id - Report ObjectId
  */
 router.get("/:id", getReport);
@@ -48,17 +54,69 @@ router.get("/:id", getReport);
 /**
  * @route   GET /api/report/:id/full
  * @desc    Get a full report with all analysis details
- * @access  Public
+ * @access  Authenticated
  * @param   id - Report ObjectId
  */
 router.get("/:id/full", getFullReport);
 
+/**
+ * @route   GET /api/report/:id/export
+ * @desc    Download a report as a file (branded PDF or spreadsheet)
+ * @access  Authenticated
+ * @param   id - Report ObjectId
+ * @query   format - pdf (default), xlsx, csv
+ * @query   table - CSV only: designs, analyses (default), violations
+ * @returns Report file as an attachment
+ */
+router.get("/:id/export", exportReport);
+
+/**
+ * @route   POST /api/report/:id/share
+ * @desc    Create a public share link (read via GET /api/share/:token)
+ * @access  Authenticated (manage_reports)
+ * @param   id - Report ObjectId
+ * @body    { label?, expiresInDays? | expiresAt?, password? }
+ * @returns { link: { id, token, url, status, passwordProtected, expiresAt, viewCount } }
+ */
+router.post("/:id/share", requirePermission("manage_reports"), createShareLink);
+
+/**
+ * @route   GET /api/report/:id/share
+ * @desc    List a report's share links with their status and view counts
+ * @access  Authenticated (manage_reports)
+ * @param   id - Report ObjectId
+ */
+router.get("/:id/share", requirePermission("manage_reports"), listShareLinks);
+
+/**
+ * @route   PUT /api/report/:id/share/:linkId
+ * @desc    Change a share link's expiry, label or password
+ * @access  Authenticated (manage_reports)
+ * @body    { expiresAt? | expiresInDays?, label?, password? (null removes) }
+ */
+router.put(
+  "/:id/share/:linkId",
+  requirePermission("manage_reports"),
+  updateShareLink
+);
+
+/**
+ * @route   DELETE /api/report/:id/share/:linkId
+ * @desc    Revoke a share link
+ * @access  Authenticated (manage_reports)
+ */
+router.delete(
+  "/:id/share/:linkId",
+  requirePermission("manage_reports"),
+  revokeShareLink
+);
+
 /**
  * @route   DELETE /api/report/:id
  * @desc    Delete a report
- * @access  Public
+ * @access  Authenticated (manage_reports)
  * @param   id - Report ObjectId
  */
-router.delete("/:id", deleteReport);
+router.delete("/:id", requirePermission("manage_reports"), deleteReport);
 
 export default router;
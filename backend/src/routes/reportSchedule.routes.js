@@ -0,0 +1,65 @@
+/**
+ * =============================================================================
+ * Epsilon - Report Schedule Routes
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * Routes for periodic report schedules. Reports the schedules generate are
+ * ordinary reports (GET /api/report?scheduleId=...).
+ *
+ * BASE PATH: /api/report-schedule
+ */
+
+import { Router } from "express";
+import {
+  createSchedule,
+  listSchedules,
+  getSchedule,
+  updateSchedule,
+  deleteSchedule,
+} from "../controllers/reportSchedule.controller.js";
+import { requirePermission } from "../middleware/organization.js";
+
+const router = Router();
+
+/**
+ * @route   POST /api/report-schedule
+ * @desc    Create a weekly, monthly or quarterly report schedule
+ * @access  Authenticated (manage_reports)
+ * @body    { brandKitId, frequency, title?, description?, dayOfWeek?, dayOfMonth?, hour?, format? }
+ * @returns { schedule: { id, title, frequency, nextRunAt, ... } }
+ */
+router.post("/", requirePermission("manage_reports"), createSchedule);
+
+/**
+ * @route   GET /api/report-schedule
+ * @desc    List report schedules
+ * @access  Authenticated
+ * @query   brandKitId? - Filter by brand kit
+ */
+router.get("/", listSchedules);
+
+/**
+ * @route   GET /api/report-schedule/:id
+ * @desc    Get a schedule with its run history (newest first)
+ * @access  Authenticated
+ * @param   id - ReportSchedule ObjectId
+ */
+router.get("/:id", getSchedule);
+
+/**
+ * @route   PUT /api/report-schedule/:id
+ * @desc    Update a schedule (timing changes move nextRunAt)
+ * @access  Authenticated (manage_reports)
+ * @body    { title?, description?, frequency?, dayOfWeek?, dayOfMonth?, hour?, format?, enabled? }
+ */
+router.put("/:id", requirePermission("manage_reports"), updateSchedule);
+
+/**
+ * @route   DELETE /api/report-schedule/:id
+ * @desc    Delete a schedule (its reports are kept)
+ * @access  Authenticated (manage_reports)
+ */
+router.delete("/:id", requirePermission("manage_reports"), deleteSchedule);
+
+export default router;
@@ -0,0 +1,29 @@
+/**
+ * =============================================================================
+ * Epsilon - Share Routes
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * Unauthenticated, read-only access to reports shared by link. Creating and
+ * revoking links lives under /api/report/:id/share.
+ *
+ * BASE PATH: /api/share
+ */
+
+import { Router } from "express";
+import { getSharedReport } from "../controllers/share.controller.js";
+
+const router = Router();
+
+/**
+ * @route   GET /api/share/:token
+ * @desc    View a shared report (redacted, read-only)
+ * @access  Public (token; X-Share-Password header for protected links)
+ * @param   token - Share link token
+ * @returns { report: { title, brandKit, summary, analyses, ... }, expiresAt }
+ * @errors  401 password required/incorrect, 404 unknown link,
+ *          410 expired or revoked link, 429 too many incorrect passwords
+ */
+router.get("/:token", getSharedReport);
+
+export default router;
@@ -3,76 +3,36 @@
  * Epsilon - User Routes
  * =============================================================================
  *
- * Simple user authentication routes for the Epsilon Add-on.
- * For hackathon purposes, this uses a simplified login flow without passwords.
+ * User profile routes. Sign-in lives in auth.routes.js; every route here
+ * requires an access token, and users can only read or change their own
+ * profile unless they are admins.
  */
 
 import express from "express";
 import User from "../models/User.js";
 import { successResponse, errorResponse } from "../utils/response.js";
 import { logger } from "../utils/logger.js";
+import { requireRole } from "../middleware/auth.js";
 
 const router = express.Router();
 
 /**
- * @route   POST /api/user/login
- * @desc    Login or register a user (simplified auth)
- * @access  Public
+ * Whether the signed-in user may access a user's profile
  */
-router.post("/login", async (req, res) => {
-  try {
-    const { email, name, organization } = req.body;
-
-    if (!email || !name) {
-      return res.status(400).json(errorResponse("Email and name are required"));
-    }
-
-    // Validate email format
-    if (!/^\S+@\S+\.\S+$/.test(email)) {
-      return res.status(400).json(errorResponse("Invalid email format"));
-    }
-
-    // Find existing user or create new one
-    let user = await User.findOne({ email: email.toLowerCase() });
-
-    if (user) {
-      // Update existing user's name/org if provided
-      if (name) user.name = name;
-      if (organization) user.organization = organization;
-      user.lastLoginAt = new Date();
-      await user.save();
-      logger.info(`User logged in: ${email}`);
-    } else {
-      // Create new user
-      user = await User.create({
-        email: email.toLowerCase(),
-        name,
-        organization: organization || "",
-      });
-      logger.info(`New user registered: ${email}`);
-    }
-
-    res.json(
-      successResponse(
-        { user: user.toJSON() },
-        user.createdAt === user.updatedAt
-          ? "User registered successfully"
-          : "User logged in successfully"
-      )
-    );
-  } catch (error) {
-    logger.error("Login error:", error);
-    res.status(500).json(errorResponse("Login failed: " + error.message));
-  }
-});
+const canAccessUser = (req, userId) =>
+  req.user.role === "admin" || req.user._id.toString() === userId;
 
 /**
  * @route   GET /api/user/:id
  * @desc    Get user by ID
- * @access  Public (would be authenticated in production)
+ * @access  Authenticated (own profile, or admin)
  */
 router.get("/:id", async (req, res) => {
   try {
+    if (!canAccessUser(req, req.params.id)) {
+      return res.status(403).json(errorResponse("You can only view your own profile"));
+    }
+
     const user = await User.findById(req.params.id);
 
     if (!user) {
@@ -89,9 +49,9 @@ router.get("/:id", async (req, res) => {
 /**
  * @route   GET /api/user/email/:email
  * @desc    Get user by email
- * @access  Public (would be authenticated in production)
+ * @access  Admin
  */
-router.get("/email/:email", async (req, res) => {
+router.get("/email/:email", requireRole("admin"), async (req, res) => {
   try {
     const user = await User.findOne({ email: req.params.email.toLowerCase() });
 
@@ -109,10 +69,14 @@ router.get("/email/:email", async (req, res) => {
 /**
  * @route   PUT /api/user/:id
  * @desc    Update user profile
- * @access  Public (would be authenticated in production)
+ * @access  Authenticated (own profile, or admin)
  */
 router.put("/:id", async (req, res) => {
   try {
+    if (!canAccessUser(req, req.params.id)) {
+      return res.status(403).json(errorResponse("You can only update your own profile"));
+    }
+
     const { name, organization, preferences } = req.body;
 
     const updateData = {};
@@ -10,14 +10,22 @@
  * STARTUP SEQUENCE:
  * 1. Load environment variables
  * 2. Connect to MongoDB (with retry logic)
- * 3. Create Express app
- * 4. Start HTTP server
- * 5. Set up graceful shutdown handlers
+ * 3. Assign records from before organizations to one (database only)
+ * 4. Create Express app
+ * 5. Start HTTP server
+ * 6. Start the report scheduler (database only)
+ * 7. Set up graceful shutdown handlers
  */
 
 import dotenv from "dotenv";
 import mongoose from "mongoose";
 import createApp from "./app.js";
+import { assertAuthConfig } from "./services/auth.service.js";
+import { assignLegacyRecords } from "./services/organization.service.js";
+import {
+  startReportScheduler,
+  stopReportScheduler,
+} from "./services/reportScheduler.service.js";
 import { logger } from "./utils/logger.js";
 
 // Load environment variables FIRST - before anything else
@@ -30,6 +38,10 @@ const PORT = process.env.PORT || 3000;
 const MONGODB_URI =
   process.env.MONGODB_URI || "mongodb://localhost:27017/brandguard";
 const NODE_ENV = process.env.NODE_ENV || "development";
+const REPORT_SCHEDULER_ENABLED =
+  process.env.REPORT_SCHEDULER_ENABLED !== "false";
+const REPORT_SCHEDULER_INTERVAL_MS =
+  parseInt(process.env.REPORT_SCHEDULER_INTERVAL_MS) || 60000;
 
 // ---------------------------------------------------------------------------
 // DATABASE CONNECTION
@@ -94,6 +106,9 @@ const gracefulShutdown = async (signal, server) => {
   server.close(async () => {
     logger.info("HTTP server closed");
 
+    // Let a report run in progress finish before the database goes away
+    await stopReportScheduler();
+
     // Close database connection
     try {
       await mongoose.connection.close();
@@ -125,18 +140,28 @@ const startServer = async () => {
   logger.info(
     `   Mock AI: ${process.env.USE_MOCK_AI === "true" ? "ENABLED" : "DISABLED"}`
   );
+  logger.info(`   LLM Provider: ${process.env.LLM_PROVIDER || "gemini"}`);
   logger.info("");
 
+  // Fail fast: auth cannot work without a signing secret in production
+  assertAuthConfig();
+
   // Step 1: Connect to database
   const dbConnected = await connectDatabase();
 
-  // Step 2: Create Express app
+  // Step 2: Records created before organizations are invisible to every
+  // organization-scoped query until they belong to one
+  if (dbConnected) {
+    await assignLegacyRecords();
+  }
+
+  // Step 3: Create Express app
   const app = createApp();
 
-  // Step 3: Add database status to app for health checks
+  // Step 4: Add database status to app for health checks
   app.locals.dbConnected = dbConnected;
 
-  // Step 4: Start HTTP server
+  // Step 5: Start HTTP server
   const server = app.listen(PORT, () => {
     logger.info("");
     logger.info("=".repeat(60));
@@ -146,16 +171,24 @@ const startServer = async () => {
     logger.info(`   Health:  http://localhost:${PORT}/health`);
     logger.info("");
     logger.info("📡 API Endpoints:");
+    logger.info(`   POST /api/auth/login      - Sign in`);
     logger.info(`   POST /api/brandkit        - Create brand kit`);
     logger.info(`   POST /api/design          - Submit design`);
     logger.info(`   POST /api/analysis/run    - Run brand analysis`);
     logger.info(`   POST /api/autofix/apply   - Apply auto-fixes`);
     logger.info(`   GET  /api/analytics       - Get analytics`);
     logger.info(`   POST /api/report/generate - Generate report`);
+    logger.info(`   POST /api/report-schedule - Schedule reports`);
     logger.info("=".repeat(60));
   });
 
-  // Step 5: Set up graceful shutdown handlers
+  // Step 6: Start the report scheduler - schedules live in MongoDB, so there
+  // is nothing to run in mock mode
+  if (dbConnected && REPORT_SCHEDULER_ENABLED) {
+    startReportScheduler({ intervalMs: REPORT_SCHEDULER_INTERVAL_MS });
+  }
+
+  // Step 7: Set up graceful shutdown handlers
   process.on("SIGTERM", () => gracefulShutdown("SIGTERM", server));
   process.on("SIGINT", () => gracefulShutdown("SIGINT", server));
 
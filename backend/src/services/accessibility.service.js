@@ -18,6 +18,7 @@
 
 import { logger } from "../utils/logger.js";
 import { hexToRgb } from "./colorCheck.service.js";
+import { getTextRuns, truncateText } from "../utils/textRuns.js";
 
 // ---------------------------------------------------------------------------
 // CONTRAST CALCULATION
@@ -98,12 +99,14 @@ export const checkContrastCompliance = (
 // ---------------------------------------------------------------------------
 
 /**
- * Check text element accessibility
+ * Check text accessibility (contrast and size)
+ * Each styled run is checked on its own - one light-colored word in a
+ * dark heading is still a contrast issue
  *
- * @param {Object} textElement - Text element with color, fontSize, and potentially backgroundColor
- * @param {string} backgroundColor - Default background color
+ * @param {Object} textElement - Text element with color, fontSize and runs
+ * @param {string} backgroundColor - Background color (hex)
  * @param {Object} accessibilityRules - Brand kit accessibility rules
- * @returns {Object} Accessibility check result
+ * @returns {Object} Text accessibility check result
  */
 export const checkTextAccessibility = (
   textElement,
@@ -111,66 +114,82 @@ export const checkTextAccessibility = (
   accessibilityRules
 ) => {
   const violations = [];
-  const details = {};
-
-  const textColor = textElement.color || "#000000";
+  const details = { runs: [] };
+  const elementIds = textElement.elementId ? [textElement.elementId] : [];
   const bgColor = textElement.backgroundColor || backgroundColor || "#FFFFFF";
-  const fontSize = textElement.fontSize || 16;
-  const isBold = textElement.isBold || false;
-
-  // Determine if text is "large" per WCAG
-  // Large text: 18pt (24px) regular or 14pt (18.66px) bold
-  const isLargeText = fontSize >= 24 || (fontSize >= 18.66 && isBold);
-  details.isLargeText = isLargeText;
-
-  // Calculate contrast
-  const contrastRatio = calculateContrastRatio(textColor, bgColor);
-  details.contrastRatio = contrastRatio;
 
-  // Check against minimum requirement
   const minRequired = accessibilityRules?.minContrastRatio || 4.5;
   const largeTextMin = accessibilityRules?.largeTextMinContrast || 3;
-  const required = isLargeText ? largeTextMin : minRequired;
-
-  if (contrastRatio < required) {
-    violations.push({
-      type: "accessibility",
-      severity: contrastRatio < required * 0.7 ? "high" : "medium",
-      description: `Text contrast ratio (${contrastRatio}:1) is below WCAG ${
-        isLargeText ? "large text" : "normal text"
-      } requirement (${required}:1)`,
-      affectedElement: {
-        text: textElement.text?.substring(0, 50),
-        textColor,
-        backgroundColor: bgColor,
-        fontSize,
-      },
-      suggestedFix: `Increase contrast by using darker text or lighter background. Required: ${required}:1`,
-      autoFixable: false,
-    });
-  }
-
-  // Check minimum font size
   const minFontSize = 12;
-  if (fontSize < minFontSize) {
-    violations.push({
-      type: "accessibility",
-      severity: "medium",
-      description: `Font size (${fontSize}px) may be too small for comfortable reading`,
-      affectedElement: {
-        text: textElement.text?.substring(0, 50),
-        fontSize,
-      },
-      suggestedFix: `Increase font size to at least ${minFontSize}px`,
-      autoFixable: true,
-    });
-  }
+
+  let lowestContrast = null;
+
+  getTextRuns(textElement).forEach((run) => {
+    const textColor = run.color || "#000000";
+    const fontSize = run.fontSize || 16;
+    const isBold = run.fontWeight >= 700;
+    const range = { start: run.start, length: run.length };
+
+    // Determine if text is "large" per WCAG
+    // Large text: 18pt (24px) regular or 14pt (18.66px) bold
+    const isLargeText = fontSize >= 24 || (fontSize >= 18.66 && isBold);
+
+    // Calculate contrast
+    const contrastRatio = calculateContrastRatio(textColor, bgColor);
+    details.runs.push({ ...range, contrastRatio, isLargeText });
+
+    if (lowestContrast === null || contrastRatio < lowestContrast) {
+      lowestContrast = contrastRatio;
+      details.contrastRatio = contrastRatio;
+      details.isLargeText = isLargeText;
+    }
+
+    // Check against minimum requirement
+    const required = isLargeText ? largeTextMin : minRequired;
+
+    if (contrastRatio < required) {
+      violations.push({
+        type: "accessibility",
+        severity: contrastRatio < required * 0.7 ? "high" : "medium",
+        description: `Text contrast ratio (${contrastRatio}:1) is below WCAG ${
+          isLargeText ? "large text" : "normal text"
+        } requirement (${required}:1)`,
+        affectedElement: {
+          text: truncateText(run.text),
+          textColor,
+          backgroundColor: bgColor,
+          fontSize,
+          range,
+        },
+        suggestedFix: `Increase contrast by using darker text or lighter background. Required: ${required}:1`,
+        autoFixable: false,
+        elementIds,
+      });
+    }
+
+    // Check minimum font size
+    if (fontSize < minFontSize) {
+      violations.push({
+        type: "accessibility",
+        severity: "medium",
+        description: `Font size (${fontSize}px) may be too small for comfortable reading`,
+        affectedElement: {
+          text: truncateText(run.text),
+          fontSize,
+          range,
+        },
+        suggestedFix: `Increase font size to at least ${minFontSize}px`,
+        autoFixable: true,
+        elementIds,
+      });
+    }
+  });
 
   return {
     isCompliant: violations.length === 0,
     violations,
     details,
-    contrastRatio,
+    contrastRatio: lowestContrast,
     message:
       violations.length === 0
         ? "Text meets accessibility requirements"
@@ -216,6 +235,7 @@ export const checkImageAccessibility = (images, accessibilityRules) => {
           },
           suggestedFix: "Add descriptive alt text for screen readers",
           autoFixable: false,
+          elementIds: image.elementId ? [image.elementId] : [],
         });
       }
     });
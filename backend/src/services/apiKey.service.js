@@ -0,0 +1,169 @@
+/**
+ * =============================================================================
+ * Epsilon - API Key Service
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * Keys are "epk_" followed by 32 random bytes (base64url). They are looked
+ * up by their SHA-256 hash, so a stolen database does not yield usable keys,
+ * and the "epk_" prefix tells the auth middleware a bearer token is a key
+ * rather than a JWT.
+ *
+ * Requests made with a key are attributed to the user who created it
+ * (req.user), and work in the key's organization with its scope's role,
+ * capped at the creator's own role (middleware/organization.js). Removing a
+ * member revokes the keys they created, so rejoining does not revive them.
+ */
+
+import crypto from "crypto";
+import ApiKey from "../models/ApiKey.js";
+import User from "../models/User.js";
+
+// ---------------------------------------------------------------------------
+// CONFIGURATION
+// ---------------------------------------------------------------------------
+
+export const API_KEY_PREFIX = "epk_";
+
+// Characters of the key kept in clear for display
+const DISPLAY_PREFIX_LENGTH = 12;
+
+// ---------------------------------------------------------------------------
+// HELPERS
+// ---------------------------------------------------------------------------
+
+const sha256 = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex");
+
+/**
+ * Generate a key
+ *
+ * @returns {Object} { key, keyHash, prefix }
+ */
+const newKey = () => {
+  const key = API_KEY_PREFIX + crypto.randomBytes(32).toString("base64url");
+  return {
+    key,
+    keyHash: sha256(key),
+    prefix: key.substring(0, DISPLAY_PREFIX_LENGTH),
+  };
+};
+
+/**
+ * Whether a bearer token is an API key
+ */
+export const isApiKey = (token) => token.startsWith(API_KEY_PREFIX);
+
+// ---------------------------------------------------------------------------
+// KEYS
+// ---------------------------------------------------------------------------
+
+/**
+ * Create a key for an organization
+ *
+ * @param {Object} organization - Organization document
+ * @param {Object} user - Creating user
+ * @param {Object} data - { name, scope }
+ * @returns {Promise<Object>} { apiKey, key } - key is only available now
+ */
+export const createApiKey = async (organization, user, { name, scope }) => {
+  const { key, keyHash, prefix } = newKey();
+
+  const apiKey = await ApiKey.create({
+    organizationId: organization._id,
+    name,
+    scope,
+    keyHash,
+    prefix,
+    createdBy: user._id,
+  });
+
+  return { apiKey, key };
+};
+
+/**
+ * Replace a key's secret; the old key stops working immediately
+ *
+ * @param {Object} apiKey - ApiKey document
+ * @returns {Promise<Object>} { apiKey, key }
+ */
+export const rotateApiKey = async (apiKey) => {
+  const { key, keyHash, prefix } = newKey();
+
+  apiKey.keyHash = keyHash;
+  apiKey.prefix = prefix;
+  apiKey.rotatedAt = new Date();
+  await apiKey.save();
+
+  return { apiKey, key };
+};
+
+/**
+ * Revoke a key; it stays listed with its usage
+ *
+ * @param {Object} apiKey - ApiKey document
+ */
+export const revokeApiKey = async (apiKey) => {
+  apiKey.revokedAt = new Date();
+  await apiKey.save();
+  return apiKey;
+};
+
+/**
+ * Revoke every key a member created in an organization, e.g. when they
+ * are removed from it
+ *
+ * @param {Object} organization - Organization document
+ * @param {Object} userId - The member's user id
+ * @returns {Promise<number>} Number of keys revoked
+ */
+export const revokeMemberApiKeys = async (organization, userId) => {
+  const { modifiedCount } = await ApiKey.updateMany(
+    { organizationId: organization._id, createdBy: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return modifiedCount;
+};
+
+/**
+ * Resolve an API key and record its use
+ *
+ * @param {string} key - Bearer token starting with "epk_"
+ * @param {Object} [client] - { ip }
+ * @returns {Promise<Object>} { apiKey, user }
+ * @throws {Error} If the key is unknown or revoked, or its creator disabled
+ */
+export const authenticateApiKey = async (key, { ip } = {}) => {
+  const apiKey = await ApiKey.findOne({ keyHash: sha256(key) });
+  if (!apiKey?.isActive) {
+    throw new Error("Unknown or revoked API key");
+  }
+
+  const user = await User.findById(apiKey.createdBy);
+  if (!user?.isActive) {
+    throw new Error("The account that created this API key is disabled");
+  }
+
+  const now = new Date();
+  await ApiKey.updateOne(
+    { _id: apiKey._id },
+    {
+      $set: { lastUsedAt: now, lastUsedIp: ip ?? null },
+      $inc: {
+        requestCount: 1,
+        [`dailyUsage.${now.toISOString().substring(0, 10)}`]: 1,
+      },
+    }
+  );
+
+  return { apiKey, user };
+};
+
+export default {
+  isApiKey,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  revokeMemberApiKeys,
+  authenticateApiKey,
+};
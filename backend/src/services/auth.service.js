@@ -0,0 +1,502 @@
+/**
+ * =============================================================================
+ * Epsilon - Authentication Service
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * The API is stateless per request except for one session lookup:
+ * - Access token:  HS256 JWT (15 minutes) with the user (sub) and session
+ *                  (sid), sent as "Authorization: Bearer <token>"
+ * - Refresh token: opaque, rotated on every use, stored hashed on the
+ *                  Session (models/Session.js)
+ * Checking the session on every request is what makes logout and
+ * revocation immediate.
+ *
+ * SIGN-IN METHODS:
+ * - Email + password (scrypt, utils/password.js)
+ * - Google: the client sends the Google ID token and this service verifies
+ *   its signature against Google's published keys, its issuer, audience
+ *   (GOOGLE_CLIENT_ID) and email_verified - the profile in the token is
+ *   never trusted unverified.
+ *
+ * ACCOUNT LINKING:
+ * Password sign-up does not verify email, so an email alone never hands an
+ * account to someone else. Registration refuses every existing email, and
+ * Google sign-in only joins an existing account whose email is verified or
+ * that has no password (accounts from the old passwordless login). Anyone
+ * else links Google while signed in with their password. Accounts without a
+ * password set one only after Google has proven their email.
+ *
+ * ROLES:
+ * Roles come from the database. ADMIN_EMAILS grants admin only to emails
+ * proven by Google sign-in, since password sign-up does not verify email.
+ */
+
+import crypto from "crypto";
+import Session from "../models/Session.js";
+import User from "../models/User.js";
+import { signJwt, verifyJwt } from "../utils/jwt.js";
+import { hashPassword, verifyPassword } from "../utils/password.js";
+import { logger } from "../utils/logger.js";
+
+// ---------------------------------------------------------------------------
+// CONFIGURATION
+// ---------------------------------------------------------------------------
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+export const PASSWORD_MIN_LENGTH = 8;
+// scrypt cost grows with input; cap what we are willing to hash
+export const PASSWORD_MAX_LENGTH = 128;
+
+const GOOGLE_CERTS_URL = "https://www.googleapis.com/oauth2/v3/certs";
+const GOOGLE_ISSUERS = ["accounts.google.com", "https://accounts.google.com"];
+const GOOGLE_CERTS_TIMEOUT_MS = 5000;
+// Minimum time between refetches of Google's keys for an unknown kid
+const GOOGLE_CERTS_MIN_REFRESH_MS = 60 * 1000;
+
+let devSecret = null;
+
+/**
+ * Access token signing secret
+ * JWT_SECRET is required in production. In development a random secret is
+ * generated per process (tokens stop working on restart).
+ */
+const getJwtSecret = () => {
+  if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("JWT_SECRET must be set in production");
+  }
+  if (!devSecret) {
+    devSecret = crypto.randomBytes(32).toString("hex");
+    logger.warn(
+      "JWT_SECRET not set - using a random secret; sessions end on restart"
+    );
+  }
+  return devSecret;
+};
+
+/**
+ * Fail fast at startup when auth cannot work
+ */
+export const assertAuthConfig = () => {
+  getJwtSecret();
+};
+
+const sha256 = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex");
+
+/**
+ * Emails granted admin on verified (Google) sign-in
+ */
+const getAdminEmails = () =>
+  (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((email) => email.trim().toLowerCase())
+    .filter(Boolean);
+
+// ---------------------------------------------------------------------------
+// SESSIONS & TOKENS
+// ---------------------------------------------------------------------------
+
+/**
+ * Create a new refresh token secret for a session
+ *
+ * @returns {Object} { secret, hash }
+ */
+const newRefreshSecret = () => {
+  const secret = crypto.randomBytes(32).toString("base64url");
+  return { secret, hash: sha256(secret) };
+};
+
+const issueAccessToken = (user, session) =>
+  signJwt(
+    { sub: user._id.toString(), sid: session._id.toString(), typ: "access" },
+    getJwtSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+
+/**
+ * Auth response returned by every sign-in and refresh
+ */
+const toAuthResponse = (user, session, refreshSecret) => ({
+  user: user.toPublicJSON(),
+  accessToken: issueAccessToken(user, session),
+  refreshToken: `${session._id}.${refreshSecret}`,
+  expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+});
+
+/**
+ * Start a session for a signed-in user
+ *
+ * @param {Object} user - User document
+ * @param {string} authMethod - "password" or "google"
+ * @param {Object} [client] - { userAgent, ip }
+ * @returns {Promise<Object>} { user, accessToken, refreshToken, expiresIn }
+ */
+export const createSession = async (user, authMethod, client = {}) => {
+  const { secret, hash } = newRefreshSecret();
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hash,
+    authMethod,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    userAgent: client.userAgent?.substring(0, 500) || null,
+    ip: client.ip || null,
+  });
+
+  user.lastLoginAt = new Date();
+  await user.save();
+
+  return toAuthResponse(user, session, secret);
+};
+
+/**
+ * Exchange a refresh token for new tokens (rotating the refresh token)
+ *
+ * @param {string} refreshToken - "<session id>.<secret>"
+ * @returns {Promise<Object|null>} New tokens, or null if the token is not
+ *          valid (reuse of a rotated token also revokes the session)
+ */
+export const refreshSession = async (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+  if (!sessionId || !secret || !/^[0-9a-f]{24}$/i.test(sessionId)) {
+    return null;
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session?.isActive) return null;
+
+  const { secret: nextSecret, hash: nextHash } = newRefreshSecret();
+
+  // Rotate atomically so two concurrent refreshes cannot both succeed
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: sha256(secret), revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: nextHash,
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+      },
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    // A rotated-out token was presented: treat the session as compromised
+    await revokeSession(session._id);
+    logger.warn(
+      `Refresh token reuse detected - session ${session._id} revoked`
+    );
+    return null;
+  }
+
+  const user = await User.findById(rotated.userId);
+  if (!user?.isActive) return null;
+
+  return toAuthResponse(user, rotated, nextSecret);
+};
+
+/**
+ * Revoke one session
+ */
+export const revokeSession = (sessionId) =>
+  Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+
+/**
+ * Revoke every session of a user (sign out everywhere)
+ *
+ * @returns {Promise<number>} Sessions revoked
+ */
+export const revokeAllSessions = async (userId) => {
+  const result = await Session.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Resolve an access token to its user and session
+ *
+ * @param {string} accessToken - Bearer token
+ * @returns {Promise<Object>} { user, session }
+ * @throws {Error} If the token, session or user is not valid
+ */
+export const authenticateAccessToken = async (accessToken) => {
+  const payload = await verifyJwt(accessToken, getJwtSecret());
+  if (payload.typ !== "access") {
+    throw new Error("Not an access token");
+  }
+
+  const session = await Session.findById(payload.sid);
+  if (!session?.isActive || session.userId.toString() !== payload.sub) {
+    throw new Error("Session has ended");
+  }
+
+  const user = await User.findById(payload.sub);
+  if (!user?.isActive) {
+    throw new Error("Account is disabled");
+  }
+
+  return { user, session };
+};
+
+// ---------------------------------------------------------------------------
+// PASSWORD SIGN-IN
+// ---------------------------------------------------------------------------
+
+// Hash to compare against when the email is unknown, so response time does
+// not reveal which emails have accounts
+let dummyPasswordHash = null;
+
+/**
+ * Register a password account
+ *
+ * @param {Object} data - { email, password, name, organization }
+ * @returns {Promise<Object|null>} User, or null if the email is taken
+ */
+export const registerWithPassword = async ({
+  email,
+  password,
+  name,
+  organization,
+}) => {
+  const normalizedEmail = email.toLowerCase().trim();
+
+  // Existing accounts - including passwordless ones - are never claimed here
+  if (await User.exists({ email: normalizedEmail })) {
+    return null;
+  }
+
+  const user = new User({ email: normalizedEmail, name });
+  if (organization !== undefined) user.organization = organization;
+  user.passwordHash = await hashPassword(password);
+  await user.save();
+
+  logger.info(`User registered: ${normalizedEmail}`);
+  return user;
+};
+
+/**
+ * Check an email and password
+ *
+ * @returns {Promise<Object|null>} User, or null if they do not match
+ */
+export const authenticateWithPassword = async (email, password) => {
+  const user = await User.findOne({
+    email: String(email).toLowerCase().trim(),
+  }).select("+passwordHash");
+
+  if (!user?.passwordHash) {
+    dummyPasswordHash ??= await hashPassword(crypto.randomUUID());
+    await verifyPassword(password, dummyPasswordHash);
+    return null;
+  }
+
+  return (await verifyPassword(password, user.passwordHash)) ? user : null;
+};
+
+/**
+ * Set or change a user's password
+ * Changing one needs the current password. Setting the first one needs an
+ * email proven by Google sign-in, so nobody can add a password to an
+ * account they only know the email of. Other sessions are ended.
+ *
+ * @param {Object} user - Signed-in user
+ * @param {Object} data - { password, currentPassword }
+ * @param {Object} currentSession - Session to keep
+ * @returns {Promise<boolean>} False if the user may not set the password
+ */
+export const setPassword = async (
+  user,
+  { password, currentPassword },
+  currentSession
+) => {
+  const account = await User.findById(user._id).select("+passwordHash");
+  if (!account) return false;
+
+  if (account.passwordHash) {
+    if (
+      typeof currentPassword !== "string" ||
+      !(await verifyPassword(currentPassword, account.passwordHash))
+    ) {
+      return false;
+    }
+  } else if (!account.emailVerified) {
+    return false;
+  }
+
+  account.passwordHash = await hashPassword(password);
+  await account.save();
+
+  await Session.updateMany(
+    { userId: account._id, revokedAt: null, _id: { $ne: currentSession?._id } },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  logger.info(`Password set for ${account.email}`);
+  return true;
+};
+
+// ---------------------------------------------------------------------------
+// GOOGLE SIGN-IN
+// ---------------------------------------------------------------------------
+
+const googleKeys = { keys: new Map(), expiresAt: 0, fetchedAt: 0 };
+
+/**
+ * Fetch Google's ID token signing keys (cached per Cache-Control max-age)
+ */
+const fetchGoogleKeys = async () => {
+  const response = await fetch(GOOGLE_CERTS_URL, {
+    signal: AbortSignal.timeout(GOOGLE_CERTS_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`Google keys request failed: ${response.status}`);
+  }
+
+  const { keys } = await response.json();
+  const maxAge = Number(
+    /max-age=(\d+)/.exec(response.headers.get("cache-control") || "")?.[1] ||
+      3600
+  );
+
+  googleKeys.keys = new Map(
+    keys.map((jwk) => [
+      jwk.kid,
+      crypto.createPublicKey({ key: jwk, format: "jwk" }),
+    ])
+  );
+  googleKeys.fetchedAt = Date.now();
+  googleKeys.expiresAt = Date.now() + maxAge * 1000;
+};
+
+/**
+ * Public key for a Google ID token header
+ */
+const getGoogleKey = async ({ kid }) => {
+  const expired = Date.now() >= googleKeys.expiresAt;
+  const unknownKid =
+    !googleKeys.keys.has(kid) &&
+    Date.now() - googleKeys.fetchedAt >= GOOGLE_CERTS_MIN_REFRESH_MS;
+
+  if (expired || unknownKid) {
+    await fetchGoogleKeys();
+  }
+  return googleKeys.keys.get(kid) || null;
+};
+
+/**
+ * Verify a Google ID token
+ *
+ * @param {string} idToken - Credential from Google Identity Services
+ * @returns {Promise<Object>} Verified claims ({ sub, email, name, picture })
+ * @throws {Error} If the token is not a valid ID token for our client
+ */
+export const verifyGoogleIdToken = async (idToken) => {
+  const audience = process.env.GOOGLE_CLIENT_ID;
+  if (!audience) {
+    throw new Error("Google sign-in is not configured");
+  }
+
+  const claims = await verifyJwt(idToken, getGoogleKey, {
+    algorithms: ["RS256"],
+    issuer: GOOGLE_ISSUERS,
+    audience,
+  });
+
+  if (!claims.email || claims.email_verified !== true) {
+    throw new Error("Google account email is not verified");
+  }
+  return claims;
+};
+
+/**
+ * Find or create the user for verified Google claims
+ * Joins an existing account with the same email only when that account's
+ * email is verified or it has no password - an unverified password account
+ * may have been registered by someone else to capture this sign-in
+ *
+ * @param {Object} claims - From verifyGoogleIdToken()
+ * @returns {Promise<Object|null>} User, or null if an unverified password
+ *   account holds the email (link from that account instead)
+ */
+export const findOrCreateGoogleUser = async (claims) => {
+  const email = claims.email.toLowerCase();
+
+  let user = await User.findOne({ googleId: claims.sub });
+  if (!user) {
+    user = await User.findOne({ email }).select("+passwordHash");
+    if (user && !user.emailVerified && user.passwordHash) {
+      logger.warn(`Google sign-in refused for unverified account: ${email}`);
+      return null;
+    }
+  }
+
+  if (!user) {
+    user = new User({
+      email,
+      name: claims.name || email.split("@")[0],
+    });
+    logger.info(`User registered with Google: ${email}`);
+  }
+
+  user.googleId = claims.sub;
+  user.emailVerified = true;
+  if (getAdminEmails().includes(email)) {
+    user.role = "admin";
+  }
+
+  await user.save();
+  return user;
+};
+
+/**
+ * Link a Google account to the signed-in user
+ * The Google email must be the user's email; it becomes verified
+ *
+ * @param {Object} user - Signed-in user
+ * @param {Object} claims - From verifyGoogleIdToken()
+ * @returns {Promise<Object|null>} User, or null if the emails differ or the
+ *   Google account belongs to another user
+ */
+export const linkGoogleAccount = async (user, claims) => {
+  const email = claims.email.toLowerCase();
+  if (email !== user.email) return null;
+
+  const owner = await User.findOne({ googleId: claims.sub });
+  if (owner && !owner._id.equals(user._id)) return null;
+
+  user.googleId = claims.sub;
+  user.emailVerified = true;
+  if (getAdminEmails().includes(email)) {
+    user.role = "admin";
+  }
+
+  await user.save();
+  logger.info(`Google account linked: ${email}`);
+  return user;
+};
+
+export default {
+  PASSWORD_MIN_LENGTH,
+  PASSWORD_MAX_LENGTH,
+  assertAuthConfig,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  authenticateAccessToken,
+  registerWithPassword,
+  authenticateWithPassword,
+  setPassword,
+  verifyGoogleIdToken,
+  findOrCreateGoogleUser,
+  linkGoogleAccount,
+};
@@ -9,6 +9,7 @@
  * - Analyzes violations to determine fix strategies
  * - Generates fix recommendations
  * - Applies fixes to design JSON
+ * - Builds a fix plan the Add-on applies to the live canvas
  * - Tracks what was changed for reporting
  *
  * AUTO-FIXABLE VIOLATIONS:
@@ -288,6 +289,29 @@ const applyFontSizeFixes = (design, fontSizeFixes) => {
   return { design, appliedFixes };
 };
 
+/**
+ * Build the fix plan consumed by the Add-on's Document Sandbox
+ * (applyFixes in brandguard-addon/src/code.js). Only the fields the sandbox
+ * needs to find and rewrite canvas nodes are included.
+ *
+ * @param {Array} fixes - Fix specifications from generateFixes
+ * @returns {Object} Fix plan { version, fixes: [{ type, original, replacement }] }
+ */
+export const buildFixPlan = (fixes) => {
+  return {
+    version: 1,
+    fixes: fixes
+      .filter(
+        (fix) => fix.replacement !== undefined && fix.replacement !== null
+      )
+      .map((fix) => ({
+        type: fix.type,
+        original: fix.original,
+        replacement: fix.replacement,
+      })),
+  };
+};
+
 /**
  * Apply all auto-fixes to a design
  *
@@ -307,6 +331,7 @@ export const applyAutoFixes = (design, violations) => {
       fixedDesign: design,
       appliedFixes: [],
       skippedFixes: manualReview,
+      fixPlan: buildFixPlan([]),
       message: "No auto-fixes applied",
       processingTime: Date.now() - startTime,
     };
@@ -348,6 +373,7 @@ export const applyAutoFixes = (design, violations) => {
     fixedDesign,
     appliedFixes: allAppliedFixes,
     skippedFixes: manualReview,
+    fixPlan: buildFixPlan(fixes),
     message: `Applied ${allAppliedFixes.length} auto-fix(es)`,
     processingTime: Date.now() - startTime,
   };
@@ -410,6 +436,7 @@ export const getFixStatistics = (appliedFixes) => {
 export default {
   generateFixes,
   applyAutoFixes,
+  buildFixPlan,
   previewFixes,
   getFixStatistics,
 };
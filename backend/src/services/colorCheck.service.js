@@ -9,14 +9,49 @@
  * - Color distance calculation (Delta-E)
  * - Tolerance-based matching
  * - Closest brand color suggestions
+ * - Color roles (a palette color used where its usage does not allow it)
+ * - Color proportions (share of the canvas each brand color covers)
+ * - Tints, shades, opacity and gradients
  *
  * COLOR MATCHING ALGORITHM:
- * Uses Delta-E (CIE76) color difference formula which models human color
- * perception. A Delta-E of:
- * - 0: Exact match
- * - 1-2: Perceptible through close observation
- * - 2-10: Perceptible at a glance
- * - 10+: Colors are more similar than opposite
+ * Colors are compared by Delta-E in CIELAB, with the formula chosen per brand
+ * kit (BrandKit.colorMetric). A color passes when its Delta-E to a brand
+ * color is within that color's tolerance, in the units of the kit's metric:
+ * - cie76 (default): straight-line Lab distance. Simple and what existing
+ *   kits were tuned with, but overstates differences between saturated
+ *   colors (blues especially) and understates them near grey.
+ *   ~2.3 is just noticeable; 10 is a small but visible difference.
+ * - cie94: weights chroma and hue differences by the brand color's chroma,
+ *   so saturated colors get more room. ~1 is just noticeable.
+ * - ciede2000: CIE94 plus corrections for blue hues and near-neutrals; the
+ *   most uniform across the palette. ~1 is just noticeable; 2-3 is a close
+ *   match for most brand work; 5+ is clearly a different shade.
+ * CIE94 and CIEDE2000 values are smaller than CIE76 for the same pair of
+ * saturated colors, so a kit switching metrics usually needs tighter
+ * tolerances. Switching back to cie76 reproduces earlier results.
+ *
+ * COLOR ROLES:
+ * The Add-on records how each color is used (Design.colorUsages): text, fill,
+ * stroke or artboard background. Text may only use text, primary and "any"
+ * colors; backgrounds - including fills covering half their artboard - only
+ * background, primary, secondary and "any" colors, so accents stay small.
+ * A misused color is pointed at the nearest color approved for the role.
+ *
+ * COLOR PROPORTIONS:
+ * Brand colors may limit how much of the canvas they cover (minCoverage /
+ * maxCoverage, e.g. 60/30/10). Coverage comes from the fills' bounding boxes,
+ * so rotated and non-rectangular shapes count as their bounds.
+ *
+ * TINTS, OPACITY AND GRADIENTS:
+ * Colors are checked as rendered. The Add-on blends translucent colors (fill
+ * alpha x node opacity) over their artboard's background, so a 40% brand red
+ * is checked as the pink it shows. Brand colors list approved tints (mixed
+ * with white) and shades (mixed with black) in percent; a 40% tint is what
+ * the color looks like at 40% opacity on white. Gradient stops (sent only by
+ * API clients - the Add-on sees solid fills only) are checked like colors
+ * unless the gradient matches one of the kit's approved gradients. Blend
+ * modes other than normal and shapes overlapping other shapes are blended
+ * over the background only.
  */
 
 import { logger } from "../utils/logger.js";
@@ -84,22 +119,170 @@ export const rgbToLab = (rgb) => {
   };
 };
 
+// ---------------------------------------------------------------------------
+// COLOR DIFFERENCE METRICS
+// ---------------------------------------------------------------------------
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
 /**
- * Calculate Delta-E (CIE76) color difference
- * @param {string} hex1 - First hex color
- * @param {string} hex2 - Second hex color
+ * Delta-E CIE76: Euclidean distance in Lab
+ * @param {Object} lab1 - LAB values { l, a, b }
+ * @param {Object} lab2 - LAB values { l, a, b }
+ * @returns {number} Delta-E
+ */
+export const deltaE76 = (lab1, lab2) => {
+  const deltaL = lab1.l - lab2.l;
+  const deltaA = lab1.a - lab2.a;
+  const deltaB = lab1.b - lab2.b;
+
+  return Math.sqrt(deltaL * deltaL + deltaA * deltaA + deltaB * deltaB);
+};
+
+/**
+ * Delta-E CIE94 (graphic arts weights: kL = 1, K1 = 0.045, K2 = 0.015)
+ * Not symmetric: chroma and hue tolerances scale with the reference color
+ * @param {Object} reference - LAB values of the reference (brand) color
+ * @param {Object} sample - LAB values of the sample (design) color
+ * @returns {number} Delta-E
+ */
+export const deltaE94 = (reference, sample) => {
+  const c1 = Math.hypot(reference.a, reference.b);
+  const c2 = Math.hypot(sample.a, sample.b);
+
+  const deltaL = reference.l - sample.l;
+  const deltaC = c1 - c2;
+  const deltaA = reference.a - sample.a;
+  const deltaB = reference.b - sample.b;
+  // ΔH² can come out slightly negative from rounding
+  const deltaH2 = Math.max(
+    0,
+    deltaA * deltaA + deltaB * deltaB - deltaC * deltaC
+  );
+
+  const sC = 1 + 0.045 * c1;
+  const sH = 1 + 0.015 * c1;
+
+  return Math.sqrt(deltaL * deltaL + (deltaC / sC) ** 2 + deltaH2 / (sH * sH));
+};
+
+/**
+ * Delta-E CIEDE2000 (kL = kC = kH = 1)
+ * Follows Sharma, Wu & Dalal (2005), "The CIEDE2000 Color-Difference
+ * Formula: Implementation Notes"
+ * @param {Object} lab1 - LAB values { l, a, b }
+ * @param {Object} lab2 - LAB values { l, a, b }
+ * @returns {number} Delta-E
+ */
+export const deltaE2000 = (lab1, lab2) => {
+  // Adjust a* so neutrals are treated consistently
+  const cBar = (Math.hypot(lab1.a, lab1.b) + Math.hypot(lab2.a, lab2.b)) / 2;
+  const cBar7 = cBar ** 7;
+  const g = 0.5 * (1 - Math.sqrt(cBar7 / (cBar7 + 25 ** 7)));
+
+  const a1 = lab1.a * (1 + g);
+  const a2 = lab2.a * (1 + g);
+  const c1 = Math.hypot(a1, lab1.b);
+  const c2 = Math.hypot(a2, lab2.b);
+  const hueAngle = (a, b) =>
+    a === 0 && b === 0 ? 0 : (toDegrees(Math.atan2(b, a)) + 360) % 360;
+  const h1 = hueAngle(a1, lab1.b);
+  const h2 = hueAngle(a2, lab2.b);
+
+  // Differences
+  const deltaL = lab2.l - lab1.l;
+  const deltaC = c2 - c1;
+  let deltaH = 0;
+  if (c1 * c2 !== 0) {
+    deltaH = h2 - h1;
+    if (deltaH > 180) deltaH -= 360;
+    else if (deltaH < -180) deltaH += 360;
+  }
+  const deltaBigH = 2 * Math.sqrt(c1 * c2) * Math.sin(toRadians(deltaH / 2));
+
+  // Means
+  const lBar = (lab1.l + lab2.l) / 2;
+  const cBarPrime = (c1 + c2) / 2;
+  let hBar = h1 + h2;
+  if (c1 * c2 !== 0) {
+    if (Math.abs(h1 - h2) <= 180) hBar = (h1 + h2) / 2;
+    else if (h1 + h2 < 360) hBar = (h1 + h2 + 360) / 2;
+    else hBar = (h1 + h2 - 360) / 2;
+  }
+
+  // Weighting functions
+  const t =
+    1 -
+    0.17 * Math.cos(toRadians(hBar - 30)) +
+    0.24 * Math.cos(toRadians(2 * hBar)) +
+    0.32 * Math.cos(toRadians(3 * hBar + 6)) -
+    0.2 * Math.cos(toRadians(4 * hBar - 63));
+  const lBar50 = (lBar - 50) ** 2;
+  const sL = 1 + (0.015 * lBar50) / Math.sqrt(20 + lBar50);
+  const sC = 1 + 0.045 * cBarPrime;
+  const sH = 1 + 0.015 * cBarPrime * t;
+
+  // Rotation term for the blue region
+  const deltaTheta = 30 * Math.exp(-(((hBar - 275) / 25) ** 2));
+  const cBarPrime7 = cBarPrime ** 7;
+  const rC = 2 * Math.sqrt(cBarPrime7 / (cBarPrime7 + 25 ** 7));
+  const rT = -Math.sin(toRadians(2 * deltaTheta)) * rC;
+
+  const termL = deltaL / sL;
+  const termC = deltaC / sC;
+  const termH = deltaBigH / sH;
+
+  return Math.sqrt(
+    termL * termL + termC * termC + termH * termH + rT * termC * termH
+  );
+};
+
+/**
+ * Supported color-difference metrics
+ * EXTENSION POINT: Add a metric here and to the BrandKit.colorMetric enum
+ */
+export const COLOR_METRICS = {
+  cie76: {
+    difference: deltaE76,
+    // Differences above this are reported as high severity
+    highSeverityAbove: 30,
+  },
+  cie94: {
+    difference: deltaE94,
+    highSeverityAbove: 20,
+  },
+  ciede2000: {
+    difference: deltaE2000,
+    highSeverityAbove: 20,
+  },
+};
+
+export const DEFAULT_COLOR_METRIC = "cie76";
+
+/**
+ * Metric definition by name, falling back to the default
+ */
+const getMetric = (metric) =>
+  COLOR_METRICS[metric] || COLOR_METRICS[DEFAULT_COLOR_METRIC];
+
+/**
+ * Calculate the Delta-E color difference
+ * @param {string} hex1 - Reference hex color (the brand color)
+ * @param {string} hex2 - Compared hex color
+ * @param {string} metric - cie76 (default) | cie94 | ciede2000
  * @returns {number} Delta-E value (0 = identical, higher = more different)
  */
-export const calculateColorDifference = (hex1, hex2) => {
+export const calculateColorDifference = (
+  hex1,
+  hex2,
+  metric = DEFAULT_COLOR_METRIC
+) => {
   try {
     const lab1 = rgbToLab(hexToRgb(hex1));
     const lab2 = rgbToLab(hexToRgb(hex2));
 
-    const deltaL = lab1.l - lab2.l;
-    const deltaA = lab1.a - lab2.a;
-    const deltaB = lab1.b - lab2.b;
-
-    return Math.sqrt(deltaL * deltaL + deltaA * deltaA + deltaB * deltaB);
+    return getMetric(metric).difference(lab1, lab2);
   } catch (error) {
     logger.error("Error calculating color difference:", error);
     return 100; // Return max difference on error
@@ -124,6 +307,132 @@ export const normalizeHex = (hex) => {
   return `#${full}`;
 };
 
+// ---------------------------------------------------------------------------
+// TINTS, OPACITY AND GRADIENTS
+// ---------------------------------------------------------------------------
+
+/**
+ * Mix a color with another
+ * @param {string} hex - Hex color
+ * @param {string} withHex - Hex color mixed in (white for tints, black for shades)
+ * @param {number} strength - Share of the first color (0-1)
+ * @returns {string} Normalized hex color
+ */
+export const mixHex = (hex, withHex, strength) => {
+  const color = hexToRgb(hex);
+  const other = hexToRgb(withHex);
+  const channel = (a, b) =>
+    Math.round(a * strength + b * (1 - strength))
+      .toString(16)
+      .padStart(2, "0");
+  return `#${channel(color.r, other.r)}${channel(color.g, other.g)}${channel(
+    color.b,
+    other.b
+  )}`;
+};
+
+/**
+ * Brand palette with each color's approved tints and shades as colors of
+ * their own (same tolerance and usage, baseHex pointing at the brand color)
+ * @param {Array} brandColors - Array of brand color objects
+ * @returns {Array} Brand colors followed by their tints and shades
+ */
+export const expandBrandPalette = (brandColors) => {
+  const palette = [...(brandColors || [])];
+  for (const brandColor of brandColors || []) {
+    const variants = [
+      ...(brandColor.tints || []).map((percent) => [
+        "tint",
+        "#ffffff",
+        percent,
+      ]),
+      ...(brandColor.shades || []).map((percent) => [
+        "shade",
+        "#000000",
+        percent,
+      ]),
+    ];
+    for (const [kind, withHex, percent] of variants) {
+      palette.push({
+        name: `${brandColor.name} ${percent}% ${kind}`,
+        hex: mixHex(brandColor.hex, withHex, percent / 100),
+        tolerance: brandColor.tolerance,
+        usage: brandColor.usage,
+        baseHex: brandColor.hex,
+      });
+    }
+  }
+  return palette;
+};
+
+/**
+ * Flatten color usages to the colors actually rendered
+ * Translucent colors use the Add-on's renderedColor (blended over the
+ * artboard background); gradients become one entry per stop, sharing the
+ * usage's coverage
+ * @param {Array} colorUsages - Design.colorUsages
+ * @returns {Array} [{ color, baseColor, opacity, gradient, role, elementId, coverage }]
+ */
+export const expandColorUsages = (colorUsages) =>
+  (colorUsages || []).flatMap((usage) => {
+    const stops = usage.gradientStops || [];
+    const colors =
+      stops.length > 0
+        ? stops.map((stop) => ({
+            color: stop.renderedColor || stop.color,
+            baseColor: stop.color,
+            opacity: (stop.opacity ?? 1) * (usage.opacity ?? 1),
+          }))
+        : [
+            {
+              color: usage.renderedColor || usage.color,
+              baseColor: usage.color,
+              opacity: usage.opacity ?? 1,
+            },
+          ];
+
+    return colors
+      .filter((entry) => normalizeHex(entry.color))
+      .map((entry) => ({
+        ...entry,
+        gradient: stops.length > 0,
+        role: usage.role,
+        elementId: usage.elementId ?? null,
+        coverage:
+          usage.coverage == null ? null : usage.coverage / colors.length,
+      }));
+  });
+
+/**
+ * Distinct rendered colors of a design, for checkAllColors
+ * @param {Array} colorUsages - Design.colorUsages
+ * @returns {Array} [{ color, baseColor, opacity, gradient, elementIds }]
+ */
+export const getRenderedColors = (colorUsages) => {
+  const colors = new Map();
+  for (const entry of expandColorUsages(colorUsages)) {
+    const key = [
+      normalizeHex(entry.color),
+      normalizeHex(entry.baseColor),
+      entry.gradient,
+    ].join(":");
+    if (!colors.has(key)) {
+      colors.set(key, {
+        color: entry.color,
+        baseColor: entry.baseColor,
+        opacity: entry.opacity,
+        gradient: entry.gradient,
+        elementIds: [],
+      });
+    }
+    const rendered = colors.get(key);
+    if (entry.elementId && !rendered.elementIds.includes(entry.elementId)) {
+      rendered.elementIds.push(entry.elementId);
+    }
+  }
+  return [...colors.values()];
+};
+
 // ---------------------------------------------------------------------------
 // COLOR CHECKING SERVICE
 // ---------------------------------------------------------------------------
@@ -133,9 +442,11 @@ export const normalizeHex = (hex) => {
  *
  * @param {string} color - Hex color from the design
  * @param {Array} brandColors - Array of brand color objects with hex and tolerance
+ * @param {Object} options
+ * @param {string} options.metric - Color-difference metric (see COLOR_METRICS)
  * @returns {Object} Check result with match status and details
  */
-export const checkColorCompliance = (color, brandColors) => {
+export const checkColorCompliance = (color, brandColors, { metric } = {}) => {
   const normalizedColor = normalizeHex(color);
 
   if (!normalizedColor) {
@@ -164,10 +475,11 @@ export const checkColorCompliance = (color, brandColors) => {
       };
     }
 
-    // Calculate color difference
+    // Calculate color difference (the brand color is the reference)
     const difference = calculateColorDifference(
+      normalizedBrandColor,
       normalizedColor,
-      normalizedBrandColor
+      metric
     );
 
     // Check if within tolerance
@@ -197,14 +509,36 @@ export const checkColorCompliance = (color, brandColors) => {
   };
 };
 
+/**
+ * Describe where a rendered color comes from, for violation messages
+ */
+const describeDesignColor = (entry, color) => {
+  if (entry.gradient) return `Gradient stop ${color}`;
+  if (entry.baseColor && normalizeHex(entry.baseColor) !== color) {
+    const percent = Math.round((entry.opacity ?? 1) * 100);
+    return `Color ${color} (${entry.baseColor} at ${percent}% opacity)`;
+  }
+  return `Color ${color}`;
+};
+
 /**
  * Check all colors in a design against brand guidelines
+ * Brand colors' approved tints and shades count as palette colors
  *
- * @param {Array} designColors - Array of hex colors used in the design
+ * @param {Array} designColors - Hex colors used in the design, or rendered
+ *   colors from getRenderedColors()
  * @param {Array} brandColors - Array of brand color objects
+ * @param {Object} options
+ * @param {string} options.metric - Color-difference metric (default cie76)
  * @returns {Object} Full color compliance report
  */
-export const checkAllColors = (designColors, brandColors) => {
+export const checkAllColors = (
+  designColors,
+  brandColors,
+  { metric = DEFAULT_COLOR_METRIC } = {}
+) => {
+  const { highSeverityAbove } = getMetric(metric);
+
   if (!designColors || designColors.length === 0) {
     return {
       score: 100,
@@ -231,13 +565,16 @@ export const checkAllColors = (designColors, brandColors) => {
     };
   }
 
+  const palette = expandBrandPalette(brandColors);
   const results = [];
   const violations = [];
   const compliantColors = [];
 
   // Check each design color
-  designColors.forEach((color) => {
-    const result = checkColorCompliance(color, brandColors);
+  designColors.forEach((designColor) => {
+    const entry =
+      typeof designColor === "string" ? { color: designColor } : designColor;
+    const result = checkColorCompliance(entry.color, palette, { metric });
     results.push(result);
 
     if (result.isCompliant) {
@@ -249,14 +586,23 @@ export const checkAllColors = (designColors, brandColors) => {
     } else {
       violations.push({
         type: "color",
-        severity: result.difference > 30 ? "high" : "medium",
-        description: `Color ${result.color} is not in the approved brand palette`,
+        severity: result.difference > highSeverityAbove ? "high" : "medium",
+        description: `${describeDesignColor(
+          entry,
+          result.color
+        )} is not in the approved brand palette`,
         affectedElement: result.color,
         suggestedFix: result.suggestedFix,
-        autoFixable: true,
+        // Auto-fix swaps solid colors; gradients and translucent colors
+        // need the designer
+        autoFixable:
+          !entry.gradient &&
+          (!entry.baseColor || normalizeHex(entry.baseColor) === result.color),
+        ...(entry.elementIds?.length && { elementIds: entry.elementIds }),
         details: {
           closestMatch: result.closestBrandColor?.hex,
           difference: result.difference,
+          metric,
         },
       });
     }
@@ -272,6 +618,7 @@ export const checkAllColors = (designColors, brandColors) => {
     violations,
     compliantColors,
     totalChecked: designColors.length,
+    metric,
     message:
       violations.length === 0
         ? "All colors are brand-compliant"
@@ -279,6 +626,399 @@ export const checkAllColors = (designColors, brandColors) => {
   };
 };
 
+// ---------------------------------------------------------------------------
+// COLOR ROLE CHECKING
+// ---------------------------------------------------------------------------
+
+/**
+ * Brand color usages approved for each design role
+ * Roles come from Design.colorUsages; fill and stroke are unrestricted.
+ * EXTENSION POINT: Add a role here to restrict it
+ */
+export const COLOR_ROLE_USAGES = {
+  text: ["text", "primary", "any"],
+  background: ["background", "primary", "secondary", "any"],
+};
+
+// Fills covering at least this share of their artboard count as backgrounds
+export const LARGE_FILL_COVERAGE = 0.5;
+
+const ROLE_LABELS = {
+  text: "text",
+  background: "backgrounds",
+};
+
+/**
+ * Role a color usage is checked as
+ * @param {Object} usage - { role, coverage }
+ * @returns {string} text | fill | stroke | background
+ */
+export const getEffectiveColorRole = (usage) =>
+  usage.role === "fill" && usage.coverage >= LARGE_FILL_COVERAGE
+    ? "background"
+    : usage.role;
+
+/**
+ * Check that palette colors are only used in the roles their usage allows
+ * Rendered colors are checked (see expandColorUsages); tints and shades play
+ * their brand color's roles. Off-palette colors are skipped (checkAllColors
+ * reports them), as are roles the kit approves no color for.
+ *
+ * @param {Array} colorUsages - Design.colorUsages
+ * @param {Array} brandColors - Array of brand color objects
+ * @param {Object} options
+ * @param {string} options.metric - Color-difference metric (default cie76)
+ * @returns {Object} { violations, totalChecked }
+ */
+export const checkColorRoles = (
+  colorUsages,
+  brandColors,
+  { metric = DEFAULT_COLOR_METRIC } = {}
+) => {
+  if (!colorUsages?.length || !brandColors?.length) {
+    return { violations: [], totalChecked: 0 };
+  }
+
+  const palette = expandBrandPalette(brandColors);
+
+  // One entry per color and role, with every element using it that way
+  const groups = new Map();
+  for (const usage of expandColorUsages(colorUsages)) {
+    const role = getEffectiveColorRole(usage);
+    const color = normalizeHex(usage.color);
+    if (!COLOR_ROLE_USAGES[role] || !color) continue;
+
+    const key = `${role}:${color}`;
+    if (!groups.has(key)) groups.set(key, { role, color, elementIds: [] });
+    const group = groups.get(key);
+    if (usage.elementId && !group.elementIds.includes(usage.elementId)) {
+      group.elementIds.push(usage.elementId);
+    }
+  }
+
+  const violations = [];
+  for (const { role, color, elementIds } of groups.values()) {
+    const allowedUsages = COLOR_ROLE_USAGES[role];
+    const roleColors = palette.filter((c) =>
+      allowedUsages.includes(c.usage || "any")
+    );
+    if (roleColors.length === 0) continue;
+
+    const roleMatch = checkColorCompliance(color, roleColors, { metric });
+    if (roleMatch.isCompliant) continue;
+
+    const paletteMatch = checkColorCompliance(color, palette, { metric });
+    if (!paletteMatch.isCompliant) continue;
+
+    const matched = paletteMatch.matchedBrandColor;
+    const usage = matched.usage || "any";
+    violations.push({
+      type: "color",
+      severity: "medium",
+      description: `${usage.charAt(0).toUpperCase()}${usage.slice(1)} color ${
+        matched.name
+      } (${color}) is not approved for ${ROLE_LABELS[role]}`,
+      affectedElement: color,
+      suggestedFix: roleMatch.suggestedFix,
+      // Swapping the color everywhere would also change its approved uses
+      autoFixable: false,
+      elementIds,
+      details: {
+        role,
+        usage,
+        allowedUsages,
+        closestMatch: roleMatch.closestBrandColor?.hex,
+        difference: roleMatch.difference,
+        metric,
+      },
+    });
+  }
+
+  return { violations, totalChecked: groups.size };
+};
+
+// ---------------------------------------------------------------------------
+// COLOR PROPORTIONS
+// ---------------------------------------------------------------------------
+
+/**
+ * Share of the canvas each rendered color covers
+ * Fills are painted over the artboard background, so their coverage is taken
+ * from the background's. Overlapping fills each count in full; when the
+ * total exceeds the canvas, shares are scaled down to sum to 1. Gradient
+ * stops split their fill's coverage evenly.
+ *
+ * @param {Array} colorUsages - Design.colorUsages
+ * @returns {Array} [{ color, share }] largest first (empty without coverage)
+ */
+export const getColorCoverage = (colorUsages) => {
+  const surfaces = expandColorUsages(colorUsages).filter(
+    (u) =>
+      (u.role === "fill" || u.role === "background") &&
+      u.coverage > 0 &&
+      normalizeHex(u.color)
+  );
+  const fills = surfaces.filter((u) => u.role === "fill");
+  const backgrounds = surfaces.filter((u) => u.role === "background");
+
+  const areas = new Map();
+  const addArea = (color, area) => {
+    const hex = normalizeHex(color);
+    areas.set(hex, (areas.get(hex) || 0) + area);
+  };
+
+  fills.forEach((u) => addArea(u.color, u.coverage));
+
+  const fillTotal = fills.reduce((sum, u) => sum + u.coverage, 0);
+  const backgroundTotal = backgrounds.reduce((sum, u) => sum + u.coverage, 0);
+  const visibleBackground = Math.max(0, backgroundTotal - fillTotal);
+  backgrounds.forEach((u) =>
+    addArea(u.color, (visibleBackground * u.coverage) / backgroundTotal)
+  );
+
+  const total = [...areas.values()].reduce((sum, area) => sum + area, 0);
+  if (total === 0) return [];
+
+  return [...areas.entries()]
+    .map(([color, area]) => ({ color, share: area / Math.max(1, total) }))
+    .sort((a, b) => b.share - a.share);
+};
+
+/**
+ * Check brand colors' share of the canvas against their coverage limits
+ * (BrandKit colors' minCoverage/maxCoverage, in percent)
+ *
+ * @param {Array} colorUsages - [{ color, role, elementId, coverage }]
+ * @param {Array} brandColors - Array of brand color objects
+ * @param {Object} options
+ * @param {string} options.metric - Color-difference metric (default cie76)
+ * @returns {Object} { violations, coverage: [{ hex, name, percent }] }
+ */
+export const checkColorProportions = (
+  colorUsages,
+  brandColors,
+  { metric = DEFAULT_COLOR_METRIC } = {}
+) => {
+  const limited = (brandColors || []).filter(
+    (c) => c.minCoverage != null || c.maxCoverage != null
+  );
+  const designCoverage = getColorCoverage(colorUsages);
+
+  if (limited.length === 0 || designCoverage.length === 0) {
+    return {
+      violations: [],
+      coverage: [],
+      message:
+        limited.length === 0
+          ? "No coverage limits defined in brand kit"
+          : "No fill coverage to check",
+    };
+  }
+
+  // Each design color counts towards the brand color it matches (tints and
+  // shades towards their base color)
+  const palette = expandBrandPalette(brandColors);
+  const shares = new Map();
+  const designColorsByBrand = new Map();
+  for (const { color, share } of designCoverage) {
+    const match = checkColorCompliance(color, palette, { metric });
+    if (!match.isCompliant) continue;
+    const matched = match.matchedBrandColor;
+    const hex = normalizeHex(matched.baseHex || matched.hex);
+    shares.set(hex, (shares.get(hex) || 0) + share);
+    designColorsByBrand.set(hex, [
+      ...(designColorsByBrand.get(hex) || []),
+      color,
+    ]);
+  }
+
+  const violations = [];
+  const coverage = limited.map((brandColor) => {
+    const hex = normalizeHex(brandColor.hex);
+    const percent = Math.round((shares.get(hex) || 0) * 1000) / 10;
+    const { minCoverage, maxCoverage } = brandColor;
+    const label = `${brandColor.name} (${brandColor.hex})`;
+
+    if (minCoverage != null && percent < minCoverage) {
+      violations.push({
+        type: "color",
+        severity: "medium",
+        description: `${label} covers ${percent}% of the canvas; at least ${minCoverage}% expected`,
+        affectedElement: brandColor.hex,
+        suggestedFix: `Use ${label} for at least ${minCoverage}% of the layout`,
+        autoFixable: false,
+        details: { percent, minCoverage, metric },
+      });
+    } else if (maxCoverage != null && percent > maxCoverage) {
+      // Point at the fills so the panel can select them
+      const colors = designColorsByBrand.get(hex) || [];
+      const elementIds = [
+        ...new Set(
+          expandColorUsages(colorUsages)
+            .filter(
+              (u) =>
+                u.role === "fill" &&
+                u.elementId &&
+                colors.includes(normalizeHex(u.color))
+            )
+            .map((u) => u.elementId)
+        ),
+      ];
+      violations.push({
+        type: "color",
+        severity: "medium",
+        description: `${label} covers ${percent}% of the canvas; at most ${maxCoverage}% allowed`,
+        affectedElement: brandColor.hex,
+        suggestedFix: `Reduce ${label} to at most ${maxCoverage}% of the layout`,
+        autoFixable: false,
+        elementIds,
+        details: { percent, maxCoverage, metric },
+      });
+    }
+
+    return { hex: brandColor.hex, name: brandColor.name, percent };
+  });
+
+  return {
+    violations,
+    coverage,
+    message:
+      violations.length === 0
+        ? "Color proportions are within the brand limits"
+        : `${violations.length} color proportion(s) out of balance`,
+  };
+};
+
+// ---------------------------------------------------------------------------
+// APPROVED GRADIENTS
+// ---------------------------------------------------------------------------
+
+// How far (percent of the gradient's length) a stop may sit from its brand stop
+const GRADIENT_POSITION_TOLERANCE = 10;
+
+/**
+ * Compare a design gradient's stops with a brand gradient, in both directions
+ * (a reversed gradient is the same gradient at another angle)
+ * @returns {Object|null} { matches, difference } - difference is the average
+ *   stop Delta-E; null when the stop counts differ
+ */
+const compareGradient = (stops, gradient, metric) => {
+  if (stops.length !== gradient.stops.length) return null;
+
+  const tolerance = gradient.tolerance ?? 10;
+  const forward = gradient.stops.map((s) => ({
+    hex: s.hex,
+    position: s.position,
+  }));
+  const reversed = [...forward]
+    .reverse()
+    .map((s) => ({ hex: s.hex, position: 100 - s.position }));
+
+  let best = null;
+  for (const brandStops of [forward, reversed]) {
+    const differences = stops.map((stop, i) =>
+      calculateColorDifference(
+        brandStops[i].hex,
+        stop.renderedColor || stop.color,
+        metric
+      )
+    );
+    const positionsMatch = stops.every(
+      (stop, i) =>
+        stop.offset == null ||
+        Math.abs(stop.offset * 100 - brandStops[i].position) <=
+          GRADIENT_POSITION_TOLERANCE
+    );
+    const result = {
+      matches: positionsMatch && differences.every((d) => d <= tolerance),
+      difference:
+        differences.reduce((sum, d) => sum + d, 0) / differences.length,
+    };
+    if (
+      !best ||
+      (result.matches && !best.matches) ||
+      (result.matches === best.matches && result.difference < best.difference)
+    ) {
+      best = result;
+    }
+  }
+  return best;
+};
+
+const describeStops = (stops) =>
+  stops
+    .map((stop) => normalizeHex(stop.renderedColor || stop.color || stop.hex))
+    .join(" → ");
+
+/**
+ * Check gradients against the brand kit's approved gradients
+ * Only runs when the kit defines gradients; otherwise gradient stops are
+ * checked as individual colors
+ *
+ * @param {Array} colorUsages - Design.colorUsages
+ * @param {Array} gradients - BrandKit.gradients
+ * @param {Object} options
+ * @param {string} options.metric - Color-difference metric (default cie76)
+ * @returns {Object} { violations, approvedUsages } - approved usages are
+ *   exempt from the palette and role checks
+ */
+export const checkGradients = (
+  colorUsages,
+  gradients,
+  { metric = DEFAULT_COLOR_METRIC } = {}
+) => {
+  const gradientUsages = (colorUsages || []).filter(
+    (u) => u.gradientStops?.length > 1
+  );
+  if (!gradients?.length || gradientUsages.length === 0) {
+    return { violations: [], approvedUsages: [] };
+  }
+
+  const approvedUsages = [];
+  const violationsByStops = new Map();
+
+  for (const usage of gradientUsages) {
+    const comparisons = gradients
+      .map((gradient) => ({
+        gradient,
+        result: compareGradient(usage.gradientStops, gradient, metric),
+      }))
+      .filter((c) => c.result);
+
+    if (comparisons.some((c) => c.result.matches)) {
+      approvedUsages.push(usage);
+      continue;
+    }
+
+    const stops = describeStops(usage.gradientStops);
+    if (!violationsByStops.has(stops)) {
+      const closest = comparisons.sort(
+        (a, b) => a.result.difference - b.result.difference
+      )[0]?.gradient;
+      violationsByStops.set(stops, {
+        type: "color",
+        severity: "medium",
+        description: `Gradient ${stops} is not an approved brand gradient`,
+        affectedElement: stops,
+        suggestedFix: closest
+          ? `Use the ${closest.name} gradient (${describeStops(closest.stops)})`
+          : `Use an approved gradient: ${gradients
+              .map((g) => g.name)
+              .join(", ")}`,
+        autoFixable: false,
+        elementIds: [],
+        details: { closestGradient: closest?.name ?? null, metric },
+      });
+    }
+    const violation = violationsByStops.get(stops);
+    if (usage.elementId && !violation.elementIds.includes(usage.elementId)) {
+      violation.elementIds.push(usage.elementId);
+    }
+  }
+
+  return { violations: [...violationsByStops.values()], approvedUsages };
+};
+
 /**
  * Get suggested color replacements for fixing violations
  *
@@ -300,7 +1040,19 @@ export const getColorFixSuggestions = (violations, brandColors) => {
 export default {
   checkColorCompliance,
   checkAllColors,
+  checkColorRoles,
+  getEffectiveColorRole,
+  getColorCoverage,
+  checkColorProportions,
+  checkGradients,
+  expandBrandPalette,
+  expandColorUsages,
+  getRenderedColors,
+  mixHex,
   calculateColorDifference,
+  deltaE76,
+  deltaE94,
+  deltaE2000,
   getColorFixSuggestions,
   hexToRgb,
   normalizeHex,
@@ -0,0 +1,320 @@
+/**
+ * =============================================================================
+ * Epsilon - Color Pairing Service
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * Palette and role checks look at one color at a time. Some brands also rule
+ * on combinations - no red on green, never two accents side by side, the
+ * yellow only ever on navy. Brand kits declare these as BrandKit.colorPairings
+ * and this service checks them against where colors actually meet on the
+ * canvas, using the element records the Add-on extracts (Design.elements).
+ *
+ * GEOMETRY:
+ * Two elements are together when their bounds overlap (one drawn on the
+ * other, including anything on a filled artboard or container) or sit within
+ * ADJACENT_GAP of each other. Bounds are bounding boxes, so rotated and
+ * non-rectangular shapes count as their bounds. Colors within one element
+ * (e.g. a fill and its stroke) are not pairs.
+ *
+ * Element colors are the rendered colors (and, from API clients, gradient
+ * stops) from Design.colorUsages when the client sent them, otherwise the
+ * element's own fill, stroke and text colors. Designs without element records
+ * (API clients, older Add-ons) are not checked.
+ */
+
+import {
+  calculateColorDifference,
+  checkColorCompliance,
+  expandBrandPalette,
+  expandColorUsages,
+  normalizeHex,
+  DEFAULT_COLOR_METRIC,
+} from "./colorCheck.service.js";
+import { calculateContrastRatio } from "./accessibility.service.js";
+
+// ---------------------------------------------------------------------------
+// CONFIGURATION
+// ---------------------------------------------------------------------------
+
+// Largest gap (canvas px) between two elements that still counts as adjacent
+export const ADJACENT_GAP = 16;
+
+// Forbidden colors drawn on each other below this contrast are high severity
+// (WCAG minimum for large text)
+const LOW_CONTRAST_RATIO = 3;
+
+// ---------------------------------------------------------------------------
+// HELPERS
+// ---------------------------------------------------------------------------
+
+/**
+ * How two elements relate on the canvas
+ * @param {Object} a - Element bounds { x, y, width, height }
+ * @param {Object} b - Element bounds
+ * @returns {string|null} "overlap", "adjacent" or null when apart
+ */
+export const getElementRelation = (a, b) => {
+  const gapX = Math.max(a.x, b.x) - Math.min(a.x + a.width, b.x + b.width);
+  const gapY = Math.max(a.y, b.y) - Math.min(a.y + a.height, b.y + b.height);
+  if (gapX < 0 && gapY < 0) return "overlap";
+  if (Math.max(gapX, gapY) <= ADJACENT_GAP) return "adjacent";
+  return null;
+};
+
+/**
+ * Colors an element renders, normalized and de-duplicated
+ */
+const getElementColors = (element, usages) => {
+  const colors = usages?.length
+    ? expandColorUsages(usages).map((u) => u.color)
+    : [
+        element.fillColor,
+        element.strokeColor,
+        element.textStyle?.color,
+        ...(element.textStyle?.colors || []),
+      ];
+  return [...new Set(colors.map(normalizeHex).filter(Boolean))];
+};
+
+/**
+ * Whether a design color matches one side of a pairing
+ * @param {string} color - Normalized design color
+ * @param {string} side - Hex color or color usage
+ * @param {Object} context - { palette, tolerance, metric }
+ */
+const matchesSide = (color, side, { palette, tolerance, metric }) => {
+  if (side.startsWith("#")) {
+    return (
+      calculateColorDifference(normalizeHex(side), color, metric) <= tolerance
+    );
+  }
+  const brandColors = palette.filter((c) => c.usage === side);
+  return (
+    brandColors.length > 0 &&
+    checkColorCompliance(color, brandColors, { metric }).isCompliant
+  );
+};
+
+/**
+ * Name a design color after the brand color it matches ("Coral (#ff6b6b)")
+ */
+const describeColor = (color, palette, metric) => {
+  const match = checkColorCompliance(color, palette, { metric });
+  return match.isCompliant
+    ? `${match.matchedBrandColor.name} (${color})`
+    : color;
+};
+
+/**
+ * Name a pairing side for messages ("#1a73e8", "an accent color")
+ */
+const describeSide = (side, palette, metric) => {
+  if (side.startsWith("#")) {
+    return describeColor(normalizeHex(side), palette, metric);
+  }
+  return `${/^[aeiou]/.test(side) ? "an" : "a"} ${side} color`;
+};
+
+const RELATION_WORDS = {
+  overlap: "on",
+  adjacent: "next to",
+  any: "on or next to",
+};
+
+// ---------------------------------------------------------------------------
+// COLOR PAIRING SERVICE
+// ---------------------------------------------------------------------------
+
+/**
+ * Check a design's elements against the brand kit's color pairings
+ *
+ * @param {Array} elements - Design element records (one artboard)
+ * @param {Array} colorUsages - Design.colorUsages (optional)
+ * @param {Object} brandKit - Brand kit with colorPairings and colors
+ * @returns {Object} { violations, pairsChecked, message }
+ */
+export const checkColorPairings = (elements, colorUsages, brandKit) => {
+  const pairings = brandKit?.colorPairings || [];
+  const metric = brandKit?.colorMetric || DEFAULT_COLOR_METRIC;
+  const palette = expandBrandPalette(brandKit?.colors);
+
+  const usagesByElement = new Map();
+  for (const usage of colorUsages || []) {
+    if (!usage.elementId) continue;
+    if (!usagesByElement.has(usage.elementId)) {
+      usagesByElement.set(usage.elementId, []);
+    }
+    usagesByElement.get(usage.elementId).push(usage);
+  }
+
+  const nodes = (elements || [])
+    .filter((el) => el.bounds?.width > 0 && el.bounds?.height > 0)
+    .map((el) => ({
+      id: el.id,
+      artboardId: el.artboardId ?? null,
+      bounds: el.bounds,
+      area: el.bounds.width * el.bounds.height,
+      colors: getElementColors(el, usagesByElement.get(el.id)),
+    }))
+    .filter((node) => node.colors.length > 0);
+
+  if (pairings.length === 0 || nodes.length < 2) {
+    return {
+      violations: [],
+      pairsChecked: 0,
+      message: "No color pairings to check",
+    };
+  }
+
+  // Every pair of elements that touch, the smaller one first (drawn on top).
+  // Bounds are per artboard, so elements on different artboards never touch
+  const pairs = [];
+  for (let i = 0; i < nodes.length; i++) {
+    for (let j = i + 1; j < nodes.length; j++) {
+      if (nodes[i].artboardId !== nodes[j].artboardId) continue;
+      const relation = getElementRelation(nodes[i].bounds, nodes[j].bounds);
+      if (!relation) continue;
+      const [top, bottom] =
+        nodes[i].area <= nodes[j].area
+          ? [nodes[i], nodes[j]]
+          : [nodes[j], nodes[i]];
+      pairs.push({ top, bottom, relation });
+    }
+  }
+
+  const violations = [];
+  for (const pairing of pairings) {
+    const [sideA, sideB] = pairing.colors;
+    const relation = pairing.relation || "any";
+    const context = { palette, tolerance: pairing.tolerance ?? 10, metric };
+    const inRelation = (pair) =>
+      relation === "any" || pair.relation === relation;
+    const reason = pairing.reason ? ` - ${pairing.reason}` : "";
+
+    if (pairing.type === "forbidden") {
+      const found = new Map();
+      for (const pair of pairs.filter(inRelation)) {
+        for (const [first, second] of [
+          [pair.top, pair.bottom],
+          [pair.bottom, pair.top],
+        ]) {
+          for (const a of first.colors.filter((c) =>
+            matchesSide(c, sideA, context)
+          )) {
+            for (const b of second.colors.filter((c) =>
+              matchesSide(c, sideB, context)
+            )) {
+              // Describe the pair the way it is drawn
+              const [onTop, below] = first === pair.top ? [a, b] : [b, a];
+              const key = `${onTop}|${below}|${pair.relation}`;
+              if (!found.has(key)) {
+                found.set(key, {
+                  onTop,
+                  below,
+                  relation: pair.relation,
+                  elementIds: new Set(),
+                });
+              }
+              found.get(key).elementIds.add(pair.top.id);
+              found.get(key).elementIds.add(pair.bottom.id);
+            }
+          }
+        }
+      }
+
+      for (const {
+        onTop,
+        below,
+        relation: actual,
+        elementIds,
+      } of found.values()) {
+        const contrastRatio = calculateContrastRatio(onTop, below);
+        violations.push({
+          type: "color",
+          severity:
+            actual === "overlap" && contrastRatio < LOW_CONTRAST_RATIO
+              ? "high"
+              : "medium",
+          description: `${describeColor(onTop, palette, metric)} ${
+            RELATION_WORDS[actual]
+          } ${describeColor(
+            below,
+            palette,
+            metric
+          )} is a forbidden color combination (contrast ${contrastRatio}:1)${reason}`,
+          affectedElement: `${onTop} + ${below}`,
+          suggestedFix:
+            actual === "overlap"
+              ? `Place ${onTop} on a different brand color`
+              : `Separate ${onTop} and ${below} or recolor one of them`,
+          autoFixable: false,
+          elementIds: [...elementIds],
+          details: {
+            pairing: pairing.colors,
+            relation: actual,
+            contrastRatio,
+            metric,
+          },
+        });
+      }
+      continue;
+    }
+
+    // Required: every element in the first color must meet the second
+    const unpaired = new Map();
+    for (const node of nodes) {
+      const colors = node.colors.filter((c) => matchesSide(c, sideA, context));
+      if (colors.length === 0) continue;
+
+      const paired = pairs.some(
+        (pair) =>
+          inRelation(pair) &&
+          (pair.top === node || pair.bottom === node) &&
+          (pair.top === node ? pair.bottom : pair.top).colors.some((c) =>
+            matchesSide(c, sideB, context)
+          )
+      );
+      if (paired) continue;
+
+      for (const color of colors) {
+        if (!unpaired.has(color)) unpaired.set(color, []);
+        unpaired.get(color).push(node.id);
+      }
+    }
+
+    const partner = describeSide(sideB, palette, metric);
+    for (const [color, elementIds] of unpaired) {
+      violations.push({
+        type: "color",
+        severity: "medium",
+        description: `${describeColor(color, palette, metric)} must be used ${
+          RELATION_WORDS[relation]
+        } ${partner}${reason}`,
+        affectedElement: color,
+        suggestedFix: `Place ${color} ${RELATION_WORDS[relation]} ${partner}`,
+        autoFixable: false,
+        elementIds,
+        details: { pairing: pairing.colors, relation, metric },
+      });
+    }
+  }
+
+  return {
+    violations,
+    pairsChecked: pairs.length,
+    message:
+      violations.length === 0
+        ? "Colors are combined as the brand allows"
+        : `${violations.length} color combination${
+            violations.length === 1 ? " breaks" : "s break"
+          } the brand's pairing rules`,
+  };
+};
+
+// Export service object
+export default {
+  checkColorPairings,
+  getElementRelation,
+  ADJACENT_GAP,
+};
@@ -0,0 +1,163 @@
+/**
+ * =============================================================================
+ * Epsilon - Element Mapping Service
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * Compliance checks work on flattened values (hex colors, font names, text).
+ * This service maps a violation back to the canvas nodes that produced it,
+ * using the element tree the Add-on extracts (Design.elements). The resulting
+ * element ids let the panel select and highlight the offending nodes.
+ *
+ * MATCHING RULES:
+ * - color: fill, stroke or text color (any run) equal to the affected hex
+ * - font/typography: text nodes with any run in the affected font family
+ * - accessibility/tone: text nodes whose text contains the affected text
+ * - logo: the element ids already carried by the logo image
+ */
+
+import { normalizeHex } from "./colorCheck.service.js";
+import { fontsMatch } from "./fontCheck.service.js";
+
+// ---------------------------------------------------------------------------
+// HELPERS
+// ---------------------------------------------------------------------------
+
+const TEXT_TYPES = ["Text", "StandaloneText", "ThreadedText"];
+
+/**
+ * Check whether an element is a text node
+ * @param {Object} element - Element record
+ * @returns {boolean} True for text nodes
+ */
+const isTextElement = (element) =>
+  TEXT_TYPES.includes(element.type) || !!element.textStyle?.fontFamily;
+
+/**
+ * Pull a hex color out of a violation's affectedElement
+ * @param {*} affected - affectedElement value
+ * @returns {string|null} Normalized hex or null
+ */
+const getAffectedColor = (affected) => {
+  const value =
+    typeof affected === "string"
+      ? affected
+      : affected?.color || affected?.hex || affected?.textColor;
+  if (typeof value !== "string" || !/^#?[0-9a-f]{3,6}$/i.test(value)) {
+    return null;
+  }
+  return normalizeHex(value);
+};
+
+/**
+ * Pull a font name out of a violation's affectedElement
+ * @param {*} affected - affectedElement value
+ * @returns {string|null} Font name or null
+ */
+const getAffectedFont = (affected) => {
+  if (typeof affected === "string") return affected;
+  return affected?.font || affected?.fontFamily || null;
+};
+
+/**
+ * Pull a text snippet out of a violation's affectedElement
+ * @param {*} affected - affectedElement value
+ * @returns {string|null} Text snippet (without trailing ellipsis) or null
+ */
+const getAffectedText = (affected) => {
+  const value = typeof affected === "string" ? affected : affected?.text;
+  if (typeof value !== "string" || !value.trim()) return null;
+  return value
+    .replace(/\.\.\.$/, "")
+    .trim()
+    .toLowerCase();
+};
+
+// ---------------------------------------------------------------------------
+// ELEMENT MAPPING SERVICE
+// ---------------------------------------------------------------------------
+
+/**
+ * Find the canvas elements a violation refers to
+ *
+ * @param {Object} violation - Violation object from any check
+ * @param {Array} elements - Design element records (Design.elements)
+ * @returns {Array<string>} Element ids (empty when nothing matches)
+ */
+export const findElementIdsForViolation = (violation, elements) => {
+  if (!violation || !elements || elements.length === 0) return [];
+
+  const affected = violation.affectedElement;
+  let matches = [];
+
+  switch (violation.type) {
+    case "color": {
+      const hex = getAffectedColor(affected);
+      if (!hex) break;
+      matches = elements.filter((el) =>
+        [
+          el.fillColor,
+          el.strokeColor,
+          el.textStyle?.color,
+          ...(el.textStyle?.colors || []),
+        ].some((color) => color && normalizeHex(color) === hex)
+      );
+      break;
+    }
+
+    case "font":
+    case "typography": {
+      const font = getAffectedFont(affected);
+      if (!font) break;
+      matches = elements.filter(
+        (el) =>
+          isTextElement(el) &&
+          [el.textStyle?.fontFamily, ...(el.textStyle?.fontFamilies || [])]
+            .filter(Boolean)
+            .some((family) => fontsMatch(family, font))
+      );
+      break;
+    }
+
+    case "accessibility":
+    case "tone": {
+      const text = getAffectedText(affected);
+      if (!text) break;
+      matches = elements.filter(
+        (el) => isTextElement(el) && el.text?.toLowerCase().includes(text)
+      );
+      break;
+    }
+
+    default:
+      break;
+  }
+
+  return matches.map((el) => el.id);
+};
+
+/**
+ * Attach element ids to every violation that does not already carry them
+ *
+ * @param {Array} violations - Violations from the analysis
+ * @param {Array} elements - Design element records (Design.elements)
+ * @returns {Array} The same violations, each with an elementIds array
+ */
+export const attachElementIds = (violations, elements) => {
+  return (violations || []).map((violation) => {
+    if (!violation || typeof violation !== "object") return violation;
+    if (Array.isArray(violation.elementIds) && violation.elementIds.length) {
+      return violation;
+    }
+    return {
+      ...violation,
+      elementIds: findElementIdsForViolation(violation, elements),
+    };
+  });
+};
+
+// Export service object
+export default {
+  findElementIdsForViolation,
+  attachElementIds,
+};
@@ -17,6 +17,7 @@
  */
 
 import { logger } from "../utils/logger.js";
+import { getTextRuns, truncateText } from "../utils/textRuns.js";
 
 // ---------------------------------------------------------------------------
 // FONT UTILITIES
@@ -247,6 +248,7 @@ export const checkAllFonts = (designFonts, brandFonts) => {
 
 /**
  * Check text content for font compliance
+ * Every styled run is checked, so mixed-font text nodes are caught
  *
  * @param {Array} textContent - Array of text elements with font info
  * @param {Array} brandFonts - Array of brand font objects
@@ -263,52 +265,55 @@ export const checkTextContentFonts = (textContent, brandFonts) => {
 
   const violations = [];
   const compliantCount = { heading: 0, body: 0, total: 0 };
+  let totalRuns = 0;
 
-  textContent.forEach((textElement, index) => {
-    const font = textElement.font;
-    if (!font) return;
+  textContent.forEach((textElement) => {
+    getTextRuns(textElement).forEach((run) => {
+      const font = run.font;
+      if (!font) return;
+      totalRuns++;
 
-    // Determine usage context based on font size
-    const fontSize = textElement.fontSize || 16;
-    const usageContext = fontSize >= 24 ? "heading" : "body";
+      // Determine usage context based on font size
+      const fontSize = run.fontSize || 16;
+      const usageContext = fontSize >= 24 ? "heading" : "body";
 
-    const result = checkFontCompliance(font, brandFonts, usageContext);
+      const result = checkFontCompliance(font, brandFonts, usageContext);
 
-    if (result.isCompliant) {
-      compliantCount[usageContext]++;
-      compliantCount.total++;
-    } else {
-      violations.push({
-        type: "font",
-        severity: "medium",
-        description:
-          result.reason || `Text element uses unapproved font "${font}"`,
-        affectedElement: {
-          text:
-            textElement.text?.substring(0, 50) +
-            (textElement.text?.length > 50 ? "..." : ""),
-          font: font,
-          fontSize: fontSize,
-        },
-        suggestedFix: result.suggestedFix,
-        autoFixable: true,
-      });
-    }
+      if (result.isCompliant) {
+        compliantCount[usageContext]++;
+        compliantCount.total++;
+      } else {
+        violations.push({
+          type: "font",
+          severity: "medium",
+          description:
+            result.reason || `Text element uses unapproved font "${font}"`,
+          affectedElement: {
+            text: truncateText(run.text),
+            font: font,
+            fontSize: fontSize,
+            range: { start: run.start, length: run.length },
+          },
+          suggestedFix: result.suggestedFix,
+          autoFixable: true,
+          elementIds: textElement.elementId ? [textElement.elementId] : [],
+        });
+      }
+    });
   });
 
-  const totalText = textContent.filter((t) => t.font).length;
   const score =
-    totalText > 0 ? Math.round((compliantCount.total / totalText) * 100) : 100;
+    totalRuns > 0 ? Math.round((compliantCount.total / totalRuns) * 100) : 100;
 
   return {
     score,
     violations,
     compliantCount,
-    totalChecked: totalText,
+    totalChecked: totalRuns,
     message:
       violations.length === 0
         ? "All text uses brand-compliant fonts"
-        : `${violations.length} text element(s) use non-compliant fonts`,
+        : `${violations.length} text run(s) use non-compliant fonts`,
   };
 };
 
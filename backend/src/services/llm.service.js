@@ -0,0 +1,504 @@
+/**
+ * =============================================================================
+ * Epsilon - LLM Provider Service
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * AI features (brand analysis, tone, image extraction, executive insight) talk
+ * to a provider interface instead of a specific SDK:
+ *
+ *   provider.generateJSON(prompt, { operation })                 -> JSON
+ *   provider.analyzeImage(base64, mimeType, prompt, { operation }) -> text
+ *
+ * Adapters live in ./llm/:
+ * - gemini:  Google Gemini (default)
+ * - openai:  Any OpenAI-compatible HTTP endpoint (cloud or local server)
+ * - fixture: Replays recorded responses (offline development and tests)
+ *
+ * CONFIGURATION:
+ * - LLM_PROVIDER:        gemini | openai | fixture (default: gemini)
+ * - USE_MOCK_AI=true:    No provider - callers use their canned mock responses
+ * - LLM_RECORD_FIXTURES: true to record live responses for the fixture provider
+ * - LLM_FIXTURES_DIR:    Fixture directory (default: fixtures/llm)
+ *
+ * Retries (rate limits, server errors) are handled here for every provider.
+ *
+ * SCHEMA VALIDATION:
+ * generateValidatedJSON / analyzeImageValidated check output against a schema
+ * (services/llm/schemas.js): mechanical repair first, then one re-ask with the
+ * errors, then invalid list items are dropped. Everything that happened is
+ * returned as schemaErrors; output that still fails throws an error carrying
+ * them (error.schemaErrors) so callers record it instead of using mock data.
+ */
+
+import { createGeminiProvider } from "./llm/gemini.provider.js";
+import { createOpenAICompatibleProvider } from "./llm/openaiCompatible.provider.js";
+import {
+  createFixtureProvider,
+  recordFixture,
+  getFixtureKey,
+  DEFAULT_FIXTURES_DIR,
+} from "./llm/fixture.provider.js";
+import { parseJSONResponse } from "../utils/jsonResponse.js";
+import {
+  validateSchema,
+  repairToSchema,
+  pruneInvalidItems,
+} from "../utils/schemaValidator.js";
+import { logger } from "../utils/logger.js";
+
+// ---------------------------------------------------------------------------
+// CONFIGURATION
+// ---------------------------------------------------------------------------
+const getUseMockAI = () => process.env.USE_MOCK_AI === "true";
+const getProviderName = () =>
+  (process.env.LLM_PROVIDER || "gemini").trim().toLowerCase();
+const getFixturesDir = () =>
+  process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+const getRecordFixtures = () => process.env.LLM_RECORD_FIXTURES === "true";
+
+// Retry configuration
+const RETRY_CONFIG = {
+  maxRetries: 3,
+  initialDelayMs: 1000,
+  maxDelayMs: 10000,
+  backoffMultiplier: 2,
+};
+
+// Re-asks allowed when output still fails its schema after mechanical repair
+const MAX_SCHEMA_REASKS = 1;
+
+// Schema errors kept per call - a badly broken response can produce hundreds
+const MAX_SCHEMA_ERRORS = 50;
+
+// Most important first when the list is truncated
+const RESOLUTION_PRIORITY = ["failed", "dropped", "reasked", "repaired"];
+
+/**
+ * Prompt for re-asking after a schema failure
+ */
+const SCHEMA_REPAIR_PROMPT = `
+Your previous response did not match the required JSON schema.
+
+ERRORS:
+{ERRORS}
+
+PREVIOUS RESPONSE:
+{RESPONSE}
+
+REQUIRED SCHEMA:
+{SCHEMA}
+
+Return the corrected JSON only. Keep every finding that is valid; fix or
+remove the rest. Do not add new findings.
+DO NOT include markdown or text outside JSON.
+`;
+
+/**
+ * Provider factories by LLM_PROVIDER value
+ * Each reads its own environment variables
+ */
+const PROVIDER_FACTORIES = {
+  gemini: () =>
+    createGeminiProvider({
+      apiKey: process.env.GEMINI_API_KEY,
+      model: process.env.GEMINI_MODEL || undefined,
+    }),
+  openai: () =>
+    createOpenAICompatibleProvider({
+      baseUrl: process.env.OPENAI_BASE_URL || undefined,
+      apiKey: process.env.OPENAI_API_KEY,
+      model: process.env.OPENAI_MODEL || undefined,
+    }),
+  fixture: () => createFixtureProvider({ fixturesDir: getFixturesDir() }),
+};
+
+/**
+ * Sleep for a specified number of milliseconds
+ * @param {number} ms - Milliseconds to sleep
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Execute a function with exponential backoff retry logic
+ * @param {Function} fn - Async function to execute
+ * @param {string} operationName - Name of the operation for logging
+ * @returns {Promise<any>} Result of the function
+ */
+async function withRetry(fn, operationName = "LLM call") {
+  let lastError;
+  let delay = RETRY_CONFIG.initialDelayMs;
+
+  for (let attempt = 1; attempt <= RETRY_CONFIG.maxRetries + 1; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      lastError = error;
+
+      // Check if this is a retryable error (rate limit or server error)
+      const isRateLimitError =
+        error.message?.includes("429") ||
+        error.message?.includes("Too Many Requests") ||
+        error.message?.includes("quota");
+      const isServerError = ["500", "502", "503", "504"].some((code) =>
+        error.message?.includes(code)
+      );
+
+      const isRetryable = isRateLimitError || isServerError;
+
+      if (!isRetryable || attempt > RETRY_CONFIG.maxRetries) {
+        // Not retryable or out of retries
+        if (attempt > RETRY_CONFIG.maxRetries) {
+          logger.error(
+            `${operationName} failed after ${RETRY_CONFIG.maxRetries} retries: ${error.message}`
+          );
+        }
+        throw error;
+      }
+
+      // Calculate delay with jitter to avoid thundering herd
+      const jitter = Math.random() * 0.3 * delay;
+      const waitTime = Math.min(delay + jitter, RETRY_CONFIG.maxDelayMs);
+
+      logger.warn(
+        `${operationName} failed (attempt ${attempt}/${
+          RETRY_CONFIG.maxRetries + 1
+        }): ${error.message}`
+      );
+      logger.info(`Retrying in ${Math.round(waitTime)}ms...`);
+
+      await sleep(waitTime);
+      delay *= RETRY_CONFIG.backoffMultiplier;
+    }
+  }
+
+  throw lastError;
+}
+
+// Lazy-created provider (env vars are loaded before first use)
+let provider = null;
+let initAttempted = false;
+
+// ---------------------------------------------------------------------------
+// LLM SERVICE
+// ---------------------------------------------------------------------------
+
+/**
+ * Get the configured provider (created on first call)
+ *
+ * @returns {Object|null} Provider, or null in mock mode / when not configured
+ */
+export const getProvider = () => {
+  if (initAttempted) return provider;
+  initAttempted = true;
+
+  if (getUseMockAI()) {
+    logger.info("🤖 AI running in MOCK mode");
+    return null;
+  }
+
+  const name = getProviderName();
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    logger.error(
+      `Unknown LLM_PROVIDER "${name}" - expected one of: ${Object.keys(
+        PROVIDER_FACTORIES
+      ).join(", ")}. Using mock mode`
+    );
+    return null;
+  }
+
+  try {
+    provider = factory();
+    logger.info(
+      `✅ LLM provider initialized: ${provider.name} (${provider.model})`
+    );
+  } catch (error) {
+    logger.warn(
+      `⚠️ LLM provider "${name}" unavailable - using mock mode: ${error.message}`
+    );
+    provider = null;
+  }
+  return provider;
+};
+
+/**
+ * Forget the current provider so the next call re-reads configuration
+ * (tests switch providers through environment variables)
+ */
+export const resetProvider = () => {
+  provider = null;
+  initAttempted = false;
+};
+
+/**
+ * Record a live response for the fixture provider when recording is on
+ */
+const maybeRecord = async (operation, key, response) => {
+  if (!getRecordFixtures() || provider?.name === "fixture") return;
+  try {
+    const file = await recordFixture(
+      getFixturesDir(),
+      operation,
+      key,
+      response
+    );
+    logger.debug(`Recorded LLM fixture: ${file}`);
+  } catch (error) {
+    logger.warn(`Could not record LLM fixture: ${error.message}`);
+  }
+};
+
+/**
+ * Generate a JSON response with the configured provider
+ *
+ * @param {string} prompt - Prompt text
+ * @param {Object} [options] - { operation } (names the call in logs and fixtures)
+ * @returns {Promise<*>} Parsed JSON
+ * @throws {Error} When no provider is configured or the call fails
+ */
+export const generateJSON = async (prompt, { operation = "generate" } = {}) => {
+  const llm = getProvider();
+  if (!llm) throw new Error("No LLM provider configured");
+
+  const response = await withRetry(
+    () => llm.generateJSON(prompt, { operation }),
+    `${llm.name} ${operation}`
+  );
+  await maybeRecord(operation, getFixtureKey(prompt), response);
+  return response;
+};
+
+/**
+ * Analyze an image with the configured provider
+ *
+ * @param {string} base64Image - Base64 encoded image
+ * @param {string} mimeType - Image MIME type
+ * @param {string} prompt - Prompt text
+ * @param {Object} [options] - { operation }
+ * @returns {Promise<string>} Raw model output
+ * @throws {Error} When no provider is configured or the call fails
+ */
+export const analyzeImage = async (
+  base64Image,
+  mimeType,
+  prompt,
+  { operation = "image" } = {}
+) => {
+  const llm = getProvider();
+  if (!llm) throw new Error("No LLM provider configured");
+
+  const response = await withRetry(
+    () => llm.analyzeImage(base64Image, mimeType, prompt, { operation }),
+    `${llm.name} ${operation}`
+  );
+  await maybeRecord(operation, getFixtureKey(prompt, base64Image), response);
+  return response;
+};
+
+// ---------------------------------------------------------------------------
+// SCHEMA VALIDATION
+// ---------------------------------------------------------------------------
+
+const formatSchemaErrors = (errors) =>
+  errors.map((e) => `- ${e.path}: ${e.message}`).join("\n");
+
+/**
+ * Run a provider call, capturing unparseable output instead of throwing
+ */
+const callForJSON = async (call) => {
+  try {
+    return { value: await call() };
+  } catch (error) {
+    if (!(error instanceof SyntaxError)) throw error;
+    return { parseError: error, text: error.responseText };
+  }
+};
+
+/**
+ * Repair and validate one response
+ */
+const checkResponse = (response, schema) => {
+  if (response.parseError) {
+    return {
+      value: undefined,
+      repairs: [],
+      errors: [
+        {
+          path: "$",
+          message: `is not valid JSON (${response.parseError.message})`,
+        },
+      ],
+    };
+  }
+
+  const { value, repairs } = repairToSchema(response.value, schema);
+  return { value, repairs, errors: validateSchema(value, schema) };
+};
+
+/**
+ * Validate a provider response, repairing and re-asking as needed
+ *
+ * @param {Function} call - Async function returning parsed JSON
+ * @param {Object} schema - Response schema
+ * @param {string} operation - Operation name
+ * @returns {Promise<Object>} { data, schemaErrors }
+ * @throws {Error} With error.schemaErrors when the output stays invalid
+ */
+const validateWithRepair = async (call, schema, operation) => {
+  const schemaErrors = [];
+  const record = (errors, resolution) =>
+    schemaErrors.push(
+      ...errors.map((e) => ({
+        operation,
+        path: e.path,
+        message: e.message,
+        resolution,
+      }))
+    );
+  const limited = () =>
+    [...schemaErrors]
+      .sort(
+        (a, b) =>
+          RESOLUTION_PRIORITY.indexOf(a.resolution) -
+          RESOLUTION_PRIORITY.indexOf(b.resolution)
+      )
+      .slice(0, MAX_SCHEMA_ERRORS);
+
+  let response = await callForJSON(call);
+  let checked = checkResponse(response, schema);
+
+  for (
+    let reask = 1;
+    checked.errors.length > 0 && reask <= MAX_SCHEMA_REASKS;
+    reask++
+  ) {
+    logger.warn(
+      `${operation} response failed schema validation (${checked.errors.length} error(s)) - re-asking`
+    );
+    const previous = response.parseError
+      ? response.text
+      : JSON.stringify(checked.value, null, 2);
+    const prompt = SCHEMA_REPAIR_PROMPT.replace(
+      "{ERRORS}",
+      formatSchemaErrors(checked.errors)
+    )
+      .replace("{RESPONSE}", previous || "(empty)")
+      .replace("{SCHEMA}", JSON.stringify(schema, null, 2));
+
+    try {
+      const retried = await callForJSON(() =>
+        generateJSON(prompt, { operation: `${operation}-repair` })
+      );
+      record(checked.errors, "reasked");
+      response = retried;
+      checked = checkResponse(retried, schema);
+    } catch (error) {
+      // Keep the first response - dropping invalid items may still save it
+      logger.warn(`${operation} re-ask failed: ${error.message}`);
+      break;
+    }
+  }
+
+  record(checked.repairs, "repaired");
+
+  if (checked.errors.length > 0 && checked.value !== undefined) {
+    const { value, dropped } = pruneInvalidItems(checked.value, schema);
+    record(dropped, "dropped");
+    checked = { value, errors: validateSchema(value, schema) };
+  }
+
+  if (checked.errors.length > 0) {
+    record(checked.errors, "failed");
+    const error = new Error(
+      `${operation} response does not match its schema: ${checked.errors
+        .slice(0, 3)
+        .map((e) => `${e.path} ${e.message}`)
+        .join("; ")}`
+    );
+    error.schemaErrors = limited();
+    throw error;
+  }
+
+  if (schemaErrors.length > 0) {
+    logger.info(
+      `${operation} response accepted with ${schemaErrors.length} schema fix(es)`
+    );
+  }
+
+  return { data: checked.value, schemaErrors: limited() };
+};
+
+/**
+ * Generate JSON and validate it against a response schema
+ *
+ * @param {string} prompt - Prompt text
+ * @param {Object} schema - Response schema (services/llm/schemas.js)
+ * @param {Object} [options] - { operation }
+ * @returns {Promise<Object>} { data, schemaErrors }
+ * @throws {Error} Provider errors, or error.schemaErrors for invalid output
+ */
+export const generateValidatedJSON = (
+  prompt,
+  schema,
+  { operation = "generate" } = {}
+) =>
+  validateWithRepair(
+    () => generateJSON(prompt, { operation }),
+    schema,
+    operation
+  );
+
+/**
+ * Analyze an image and validate the JSON answer against a response schema
+ *
+ * @param {string} base64Image - Base64 encoded image
+ * @param {string} mimeType - Image MIME type
+ * @param {string} prompt - Prompt text
+ * @param {Object} schema - Response schema (services/llm/schemas.js)
+ * @param {Object} [options] - { operation }
+ * @returns {Promise<Object>} { data, schemaErrors }
+ * @throws {Error} Provider errors, or error.schemaErrors for invalid output
+ */
+export const analyzeImageValidated = (
+  base64Image,
+  mimeType,
+  prompt,
+  schema,
+  { operation = "image" } = {}
+) =>
+  validateWithRepair(
+    async () =>
+      parseJSONResponse(
+        await analyzeImage(base64Image, mimeType, prompt, { operation })
+      ),
+    schema,
+    operation
+  );
+
+/**
+ * Get provider status for health checks
+ *
+ * @returns {Object} { mode, provider, model, configured }
+ */
+export const getProviderStatus = () => {
+  const llm = getProvider();
+  return {
+    mode: llm ? "live" : "mock",
+    provider: llm?.name || null,
+    model: llm?.model || null,
+    configured: !!llm,
+    recordingFixtures: getRecordFixtures(),
+  };
+};
+
+// Export service object
+export default {
+  getProvider,
+  resetProvider,
+  generateJSON,
+  analyzeImage,
+  generateValidatedJSON,
+  analyzeImageValidated,
+  getProviderStatus,
+};
@@ -0,0 +1,132 @@
+/**
+ * =============================================================================
+ * Epsilon - Fixture LLM Provider
+ * =============================================================================
+ *
+ * Deterministic provider that replays recorded responses, so every AI code
+ * path runs offline and in tests exactly as it would against a live model.
+ *
+ * FIXTURE FILES (in LLM_FIXTURES_DIR, default ./fixtures/llm):
+ * - <operation>-<hash>.json: response recorded for one exact prompt
+ * - <operation>.json:        fallback response for any prompt of an operation
+ * Each file is { operation, recordedAt, response }.
+ *
+ * RECORDING:
+ * Run against a live provider with LLM_RECORD_FIXTURES=true and every
+ * response is written here (see llm.service.js).
+ */
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+export const DEFAULT_FIXTURES_DIR = "fixtures/llm";
+
+/**
+ * Get the fixture key for a request
+ *
+ * @param {string} prompt - Prompt text
+ * @param {string} [base64Image] - Image data for image requests
+ * @returns {string} Short, stable hash
+ */
+export const getFixtureKey = (prompt, base64Image = "") =>
+  crypto
+    .createHash("sha256")
+    .update(prompt)
+    .update(base64Image)
+    .digest("hex")
+    .substring(0, 16);
+
+/**
+ * Write a recorded response
+ *
+ * @param {string} dir - Fixtures directory
+ * @param {string} operation - Operation name (analysis, tone, image...)
+ * @param {string} key - Fixture key (getFixtureKey)
+ * @param {*} response - Parsed JSON or raw text
+ * @returns {Promise<string>} Path of the written file
+ */
+export const recordFixture = async (dir, operation, key, response) => {
+  await fs.mkdir(dir, { recursive: true });
+  const file = path.join(dir, `${operation}-${key}.json`);
+  await fs.writeFile(
+    file,
+    JSON.stringify(
+      { operation, recordedAt: new Date().toISOString(), response },
+      null,
+      2
+    )
+  );
+  return file;
+};
+
+/**
+ * Create a fixture provider
+ *
+ * @param {Object} config - { fixturesDir }
+ * @returns {Object} LLM provider ({ name, model, generateJSON, analyzeImage })
+ */
+export const createFixtureProvider = ({
+  fixturesDir = DEFAULT_FIXTURES_DIR,
+}) => {
+  /**
+   * Load the exact fixture, or the operation fallback
+   */
+  const replay = async (operation, key) => {
+    const candidates = [`${operation}-${key}.json`, `${operation}.json`];
+
+    for (const candidate of candidates) {
+      try {
+        const raw = await fs.readFile(
+          path.join(fixturesDir, candidate),
+          "utf8"
+        );
+        return JSON.parse(raw).response;
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+    }
+
+    throw new Error(
+      `No recorded response for ${operation} (${key}) in ${fixturesDir}`
+    );
+  };
+
+  return {
+    name: "fixture",
+    model: "fixture",
+
+    /**
+     * Replay a JSON response
+     * @param {string} prompt - Prompt text
+     * @param {Object} [options] - { operation }
+     * @returns {Promise<*>} Recorded JSON
+     */
+    async generateJSON(prompt, { operation = "generate" } = {}) {
+      return replay(operation, getFixtureKey(prompt));
+    },
+
+    /**
+     * Replay an image analysis response
+     * @param {string} base64Image - Base64 encoded image
+     * @param {string} mimeType - Image MIME type
+     * @param {string} prompt - Prompt text
+     * @param {Object} [options] - { operation }
+     * @returns {Promise<string>} Recorded output as text
+     */
+    async analyzeImage(
+      base64Image,
+      mimeType,
+      prompt,
+      { operation = "image" } = {}
+    ) {
+      const response = await replay(
+        operation,
+        getFixtureKey(prompt, base64Image)
+      );
+      return typeof response === "string" ? response : JSON.stringify(response);
+    },
+  };
+};
+
+export default createFixtureProvider;
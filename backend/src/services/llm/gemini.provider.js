@@ -0,0 +1,65 @@
+/**
+ * =============================================================================
+ * Epsilon - Gemini LLM Provider
+ * =============================================================================
+ *
+ * Adapter for Google Gemini (@google/generative-ai).
+ *
+ * CONFIGURATION:
+ * - GEMINI_API_KEY: API key (required)
+ * - GEMINI_MODEL:   Model name (default: gemini-2.5-flash)
+ */
+
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { parseJSONResponse } from "../../utils/jsonResponse.js";
+
+const DEFAULT_MODEL = "gemini-2.5-flash";
+
+/**
+ * Create a Gemini provider
+ *
+ * @param {Object} config - { apiKey, model }
+ * @returns {Object} LLM provider ({ name, model, generateJSON, analyzeImage })
+ */
+export const createGeminiProvider = ({ apiKey, model = DEFAULT_MODEL }) => {
+  if (!apiKey) {
+    throw new Error("GEMINI_API_KEY is required for the Gemini provider");
+  }
+
+  const client = new GoogleGenerativeAI(apiKey);
+  const generativeModel = client.getGenerativeModel({ model });
+
+  return {
+    name: "gemini",
+    model,
+
+    /**
+     * Generate a JSON response for a text prompt
+     * @param {string} prompt - Prompt text
+     * @returns {Promise<*>} Parsed JSON
+     */
+    async generateJSON(prompt) {
+      const result = await generativeModel.generateContent(prompt);
+      const response = await result.response;
+      return parseJSONResponse(response.text());
+    },
+
+    /**
+     * Analyze an image with a prompt
+     * @param {string} base64Image - Base64 encoded image
+     * @param {string} mimeType - Image MIME type
+     * @param {string} prompt - Prompt text
+     * @returns {Promise<string>} Raw model output
+     */
+    async analyzeImage(base64Image, mimeType, prompt) {
+      const result = await generativeModel.generateContent([
+        prompt,
+        { inlineData: { data: base64Image, mimeType } },
+      ]);
+      const response = await result.response;
+      return response.text();
+    },
+  };
+};
+
+export default createGeminiProvider;
@@ -0,0 +1,104 @@
+/**
+ * =============================================================================
+ * Epsilon - OpenAI-Compatible LLM Provider
+ * =============================================================================
+ *
+ * Adapter for any server implementing the OpenAI Chat Completions API:
+ * OpenAI itself, or a local stand-in (llama.cpp server, Ollama, vLLM,
+ * LM Studio...) so analysis can run without a cloud key.
+ *
+ * CONFIGURATION:
+ * - OPENAI_BASE_URL: API base URL (default: https://api.openai.com/v1)
+ * - OPENAI_API_KEY:  Bearer token (optional for local servers)
+ * - OPENAI_MODEL:    Model name (default: gpt-4o-mini)
+ */
+
+import { parseJSONResponse } from "../../utils/jsonResponse.js";
+
+const DEFAULT_BASE_URL = "https://api.openai.com/v1";
+const DEFAULT_MODEL = "gpt-4o-mini";
+const REQUEST_TIMEOUT_MS = 60000;
+
+/**
+ * Create an OpenAI-compatible provider
+ *
+ * @param {Object} config - { baseUrl, apiKey, model }
+ * @returns {Object} LLM provider ({ name, model, generateJSON, analyzeImage })
+ */
+export const createOpenAICompatibleProvider = ({
+  baseUrl = DEFAULT_BASE_URL,
+  apiKey,
+  model = DEFAULT_MODEL,
+}) => {
+  const endpoint = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+  /**
+   * POST a chat completion and return the first message's content
+   */
+  const complete = async (content) => {
+    const response = await fetch(endpoint, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+      },
+      body: JSON.stringify({
+        model,
+        temperature: 0,
+        messages: [{ role: "user", content }],
+      }),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+
+    if (!response.ok) {
+      // Status code in the message so the retry logic can recognize 429/5xx
+      const body = await response.text().catch(() => "");
+      throw new Error(
+        `OpenAI-compatible request failed: ${response.status} ${body.substring(
+          0,
+          200
+        )}`
+      );
+    }
+
+    const data = await response.json();
+    const message = data.choices?.[0]?.message?.content;
+    if (typeof message !== "string") {
+      throw new Error("OpenAI-compatible response has no message content");
+    }
+    return message;
+  };
+
+  return {
+    name: "openai",
+    model,
+
+    /**
+     * Generate a JSON response for a text prompt
+     * @param {string} prompt - Prompt text
+     * @returns {Promise<*>} Parsed JSON
+     */
+    async generateJSON(prompt) {
+      return parseJSONResponse(await complete(prompt));
+    },
+
+    /**
+     * Analyze an image with a prompt
+     * @param {string} base64Image - Base64 encoded image
+     * @param {string} mimeType - Image MIME type
+     * @param {string} prompt - Prompt text
+     * @returns {Promise<string>} Raw model output
+     */
+    async analyzeImage(base64Image, mimeType, prompt) {
+      return complete([
+        { type: "text", text: prompt },
+        {
+          type: "image_url",
+          image_url: { url: `data:${mimeType};base64,${base64Image}` },
+        },
+      ]);
+    },
+  };
+};
+
+export default createOpenAICompatibleProvider;
@@ -0,0 +1,191 @@
+/**
+ * =============================================================================
+ * Epsilon - LLM Response Schemas
+ * =============================================================================
+ *
+ * Formal schemas for every JSON response the AI features ask for. Model
+ * output is repaired and validated against these (llm.service.js
+ * generateValidatedJSON) before any controller reads it, so field-name
+ * guessing and silent defaults stay out of the analysis code.
+ *
+ * Keyword reference: utils/schemaValidator.js
+ */
+
+const SEVERITIES = ["critical", "high", "medium", "low"];
+
+/**
+ * Violation types AnalysisResult accepts
+ */
+const VIOLATION_TYPES = [
+  "color",
+  "font",
+  "typography",
+  "logo",
+  "accessibility",
+  "tone",
+  "spacing",
+  "layout",
+  "other",
+];
+
+/**
+ * One violation reported by the model
+ */
+const VIOLATION_SCHEMA = {
+  type: "object",
+  required: ["type", "severity", "description", "affectedElement"],
+  properties: {
+    type: { type: "string", enum: VIOLATION_TYPES, aliases: ["category"] },
+    severity: { type: "string", enum: SEVERITIES, aliases: ["level"] },
+    description: {
+      type: "string",
+      minLength: 1,
+      aliases: ["message", "issue"],
+    },
+    affectedElement: {
+      type: ["string", "number", "object", "array"],
+      aliases: ["element", "affected"],
+    },
+    suggestedFix: {
+      type: ["string", "object", "null"],
+      aliases: ["fix", "suggestion"],
+      default: null,
+    },
+    autoFixable: { type: "boolean", default: false },
+  },
+};
+
+/**
+ * Full brand analysis ("ai" mode) - ANALYSIS_PROMPT_TEMPLATE
+ */
+export const ANALYSIS_RESPONSE_SCHEMA = {
+  type: "object",
+  required: ["violations"],
+  properties: {
+    designType: {
+      type: "string",
+      enum: ["graphic", "illustration", "text", "mixed"],
+      default: "mixed",
+    },
+    complianceScore: { type: "number", minimum: 0, maximum: 100 },
+    summary: { type: "string", maxLength: 1000, default: "" },
+    categoryScores: { type: "object" },
+    violations: { type: "array", items: VIOLATION_SCHEMA },
+    positives: { type: "array", items: { type: "string" }, default: [] },
+    limitations: { type: "array", items: { type: "string" }, default: [] },
+  },
+};
+
+/**
+ * Judgement calls ("hybrid" mode) - JUDGEMENT_PROMPT_TEMPLATE
+ */
+export const JUDGEMENT_RESPONSE_SCHEMA = {
+  type: "object",
+  required: ["violations"],
+  properties: {
+    designType: {
+      type: "string",
+      enum: ["graphic", "illustration", "text", "mixed"],
+      default: "mixed",
+    },
+    summary: { type: "string", maxLength: 1000, default: "" },
+    violations: { type: "array", items: VIOLATION_SCHEMA },
+    explanations: {
+      type: "array",
+      default: [],
+      items: {
+        type: "object",
+        required: ["index", "explanation"],
+        properties: {
+          index: { type: "integer", minimum: 0 },
+          explanation: { type: "string", minLength: 1 },
+        },
+      },
+    },
+    positives: { type: "array", items: { type: "string" }, default: [] },
+  },
+};
+
+/**
+ * Tone analysis - TONE_ANALYSIS_PROMPT
+ */
+export const TONE_RESPONSE_SCHEMA = {
+  type: "object",
+  required: ["toneMatch", "violations"],
+  properties: {
+    toneMatch: { type: "boolean" },
+    detectedTone: { type: "string", default: "" },
+    bannedWordsFound: { type: "array", items: { type: "string" }, default: [] },
+    violations: { type: "array", items: VIOLATION_SCHEMA },
+  },
+};
+
+/**
+ * Brand kit extraction from an uploaded image
+ */
+export const BRAND_EXTRACTION_SCHEMA = {
+  type: "object",
+  required: ["colors", "fonts"],
+  properties: {
+    colors: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["hex"],
+        properties: {
+          name: { type: "string", default: "Unnamed Color" },
+          hex: {
+            type: "string",
+            format: "hex-color",
+            aliases: ["color", "value"],
+          },
+          usage: { type: "string", default: "any" },
+        },
+      },
+    },
+    fonts: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["name"],
+        properties: {
+          name: { type: "string", minLength: 1, aliases: ["family", "font"] },
+          usage: { type: "string", default: "any" },
+        },
+      },
+    },
+    logoInfo: {
+      type: "object",
+      default: { hasLogo: false, description: "", colors: [] },
+      properties: {
+        hasLogo: { type: "boolean", default: false },
+        description: { type: "string", default: "" },
+        colors: {
+          type: "array",
+          items: { type: "string", format: "hex-color" },
+          default: [],
+        },
+      },
+    },
+    brandDescription: { type: "string", default: "" },
+  },
+};
+
+/**
+ * Executive summary insight
+ */
+export const EXECUTIVE_INSIGHT_SCHEMA = {
+  type: "object",
+  required: ["insight"],
+  properties: {
+    insight: { type: "string", minLength: 1, aliases: ["summary"] },
+  },
+};
+
+export default {
+  ANALYSIS_RESPONSE_SCHEMA,
+  JUDGEMENT_RESPONSE_SCHEMA,
+  TONE_RESPONSE_SCHEMA,
+  BRAND_EXTRACTION_SCHEMA,
+  EXECUTIVE_INSIGHT_SCHEMA,
+};
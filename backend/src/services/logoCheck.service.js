@@ -16,14 +16,46 @@
  * - Distorted aspect ratio
  * - Insufficient clear space around logo
  * - Placed on incompatible backgrounds
+ *
+ * Every brand kit stores logo rules, filled in with the defaults below. A kit
+ * whose rules are all defaults has given no logo guidance (hasLogoRules), and
+ * the rule engine leaves the logo check out of its score.
  */
 
 import { logger } from "../utils/logger.js";
 
+// ---------------------------------------------------------------------------
+// CONFIGURATION
+// ---------------------------------------------------------------------------
+
+/**
+ * Logo rules used where a brand kit sets none (same as BrandKit.logoRules)
+ */
+export const DEFAULT_LOGO_RULES = {
+  minWidth: 50,
+  minHeight: 50,
+  clearSpaceRatio: 0.1,
+  aspectRatioTolerance: 0.05,
+};
+
 // ---------------------------------------------------------------------------
 // LOGO CHECKING SERVICE
 // ---------------------------------------------------------------------------
 
+/**
+ * Whether a brand kit's logo rules say anything beyond the defaults
+ *
+ * @param {Object} logoRules - Brand kit logo rules
+ * @returns {boolean}
+ */
+export const hasLogoRules = (logoRules) => {
+  if (!logoRules) return false;
+  if ((logoRules.allowedBackgrounds || []).length > 0) return true;
+  return Object.entries(DEFAULT_LOGO_RULES).some(
+    ([key, value]) => logoRules[key] != null && logoRules[key] !== value
+  );
+};
+
 /**
  * Check a single logo against brand guidelines
  *
@@ -44,10 +76,13 @@ export const checkLogoCompliance = (logo, logoRules) => {
 
   // Default rules if not specified
   const rules = {
-    minWidth: logoRules?.minWidth || 50,
-    minHeight: logoRules?.minHeight || 50,
-    clearSpaceRatio: logoRules?.clearSpaceRatio || 0.1,
-    aspectRatioTolerance: logoRules?.aspectRatioTolerance || 0.05,
+    minWidth: logoRules?.minWidth || DEFAULT_LOGO_RULES.minWidth,
+    minHeight: logoRules?.minHeight || DEFAULT_LOGO_RULES.minHeight,
+    clearSpaceRatio:
+      logoRules?.clearSpaceRatio || DEFAULT_LOGO_RULES.clearSpaceRatio,
+    aspectRatioTolerance:
+      logoRules?.aspectRatioTolerance ||
+      DEFAULT_LOGO_RULES.aspectRatioTolerance,
     allowedBackgrounds: logoRules?.allowedBackgrounds || [],
   };
 
@@ -203,9 +238,10 @@ export const checkAllLogos = (images, logoRules) => {
     const result = checkLogoCompliance(logo, logoRules);
     totalScore += result.score;
 
-    // Add logo index to violations for identification
+    // Add logo index and canvas element to violations for identification
     result.violations.forEach((v) => {
-      v.logoIndex = index;
+      v.details = { ...v.details, logoIndex: index };
+      v.elementIds = logo.elementId ? [logo.elementId] : [];
       allViolations.push(v);
     });
   });
@@ -265,4 +301,6 @@ export default {
   checkLogoCompliance,
   checkAllLogos,
   getRecommendedLogoSize,
+  hasLogoRules,
+  DEFAULT_LOGO_RULES,
 };
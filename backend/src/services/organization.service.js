@@ -0,0 +1,226 @@
+/**
+ * =============================================================================
+ * Epsilon - Organization Service
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * Every authenticated request works in one organization - the user's current
+ * one (User.organizationId) while they are still a member of it, otherwise
+ * their oldest membership. Users without any membership get a personal
+ * organization, so nobody is ever left without a place to keep their work.
+ *
+ * LEGACY RECORDS:
+ * Brand kits, designs, analyses, reports and schedules created before
+ * organizations existed have no organizationId, so no organization-scoped
+ * query finds them. assignLegacyRecords() runs at startup and moves each of
+ * them into its creator's personal organization - the oldest one they
+ * created and still own, or a new one - never into a team they have joined
+ * since. Records without a creator, or whose creator was deleted, are left
+ * alone and reported in the log.
+ */
+
+import AnalysisResult from "../models/AnalysisResult.js";
+import BrandKit from "../models/BrandKit.js";
+import Design from "../models/Design.js";
+import Organization from "../models/Organization.js";
+import Report from "../models/Report.js";
+import ReportSchedule from "../models/ReportSchedule.js";
+import User from "../models/User.js";
+import { logger } from "../utils/logger.js";
+
+// ---------------------------------------------------------------------------
+// HELPERS
+// ---------------------------------------------------------------------------
+
+/**
+ * Name for a user's personal organization: their company name if they gave
+ * one, otherwise their own
+ */
+const personalOrganizationName = (user) => {
+  const company = user.organization?.trim();
+  return company && company.length >= 2 ? company : `${user.name}'s workspace`;
+};
+
+// ---------------------------------------------------------------------------
+// ORGANIZATIONS
+// ---------------------------------------------------------------------------
+
+/**
+ * Create an organization owned by a user
+ *
+ * @param {Object} user - User document
+ * @param {string} name - Organization name
+ * @returns {Promise<Object>} Organization
+ */
+export const createOrganization = (user, name) =>
+  Organization.create({
+    name,
+    createdBy: user._id,
+    members: [{ userId: user._id, role: "owner", addedBy: user._id }],
+  });
+
+/**
+ * Make an organization the user's current one
+ *
+ * @param {Object} user - User document (updated in place)
+ * @param {Object} organization - Organization the user is a member of
+ */
+export const setCurrentOrganization = async (user, organization) => {
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { organizationId: organization._id } }
+  );
+  user.organizationId = organization._id;
+};
+
+/**
+ * Create the personal organization of a user who belongs to none
+ * Concurrent first requests may both get here; the first to claim the user
+ * wins and the others drop their copy.
+ */
+const createPersonalOrganization = async (user) => {
+  const organization = await createOrganization(
+    user,
+    personalOrganizationName(user)
+  );
+
+  const claimed = await User.updateOne(
+    { _id: user._id, organizationId: user.organizationId ?? null },
+    { $set: { organizationId: organization._id } }
+  );
+  if (claimed.modifiedCount === 1) {
+    user.organizationId = organization._id;
+    logger.info(`Personal organization created for ${user.email}`);
+    return organization;
+  }
+
+  await Organization.deleteOne({ _id: organization._id });
+  const { organizationId } = await User.findById(user._id).select(
+    "organizationId"
+  );
+  user.organizationId = organizationId;
+  return Organization.findById(organizationId);
+};
+
+/**
+ * Resolve the organization a user is working in
+ *
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { organization, role }
+ */
+export const resolveOrganization = async (user) => {
+  let organization = user.organizationId
+    ? await Organization.findOne({
+        _id: user.organizationId,
+        "members.userId": user._id,
+      })
+    : null;
+
+  if (!organization) {
+    [organization] = await Organization.findByMember(user._id).limit(1);
+    if (organization) {
+      await setCurrentOrganization(user, organization);
+    }
+  }
+
+  if (!organization) {
+    organization = await createPersonalOrganization(user);
+  }
+
+  return { organization, role: organization.getMember(user._id).role };
+};
+
+// ---------------------------------------------------------------------------
+// LEGACY RECORDS
+// ---------------------------------------------------------------------------
+
+/**
+ * Models whose records belong to an organization
+ */
+const ORGANIZATION_MODELS = [
+  BrandKit,
+  Design,
+  AnalysisResult,
+  Report,
+  ReportSchedule,
+];
+
+/**
+ * The organization a user's legacy records belong in: the oldest one they
+ * created and still own, otherwise a new personal organization. A user with
+ * no membership at all gets it as their current one, as on a first request.
+ */
+const findOrCreatePersonalOrganization = async (user) => {
+  const [owned] = await Organization.find({
+    createdBy: user._id,
+    members: { $elemMatch: { userId: user._id, role: "owner" } },
+  })
+    .sort({ createdAt: 1 })
+    .limit(1);
+  if (owned) return owned;
+
+  if (!(await Organization.exists({ "members.userId": user._id }))) {
+    return (await resolveOrganization(user)).organization;
+  }
+
+  const organization = await createOrganization(
+    user,
+    personalOrganizationName(user)
+  );
+  logger.info(`Personal organization created for ${user.email}`);
+  return organization;
+};
+
+/**
+ * Assign records without an organization to their creator's personal
+ * organization
+ * Safe to run repeatedly: only records still without an organization change.
+ *
+ * @returns {Promise<Object>} { assigned, skipped } - record counts
+ */
+export const assignLegacyRecords = async () => {
+  const userIds = new Set();
+  for (const Model of ORGANIZATION_MODELS) {
+    const ids = await Model.distinct("userId", { organizationId: null });
+    ids.filter(Boolean).forEach((id) => userIds.add(String(id)));
+  }
+
+  let assigned = 0;
+  for (const userId of userIds) {
+    const user = await User.findById(userId);
+    if (!user) continue;
+
+    const organization = await findOrCreatePersonalOrganization(user);
+    for (const Model of ORGANIZATION_MODELS) {
+      const { modifiedCount } = await Model.updateMany(
+        { userId: user._id, organizationId: null },
+        { $set: { organizationId: organization._id } }
+      );
+      assigned += modifiedCount;
+    }
+  }
+
+  let skipped = 0;
+  for (const Model of ORGANIZATION_MODELS) {
+    skipped += await Model.countDocuments({ organizationId: null });
+  }
+
+  if (assigned > 0) {
+    logger.info(
+      `Assigned ${assigned} records from before organizations to their creators' personal organizations`
+    );
+  }
+  if (skipped > 0) {
+    logger.warn(
+      `${skipped} records have no organization and no existing creator - they stay hidden`
+    );
+  }
+  return { assigned, skipped };
+};
+
+export default {
+  createOrganization,
+  setCurrentOrganization,
+  resolveOrganization,
+  assignLegacyRecords,
+};
@@ -0,0 +1,126 @@
+/**
+ * =============================================================================
+ * Epsilon - Report Service
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * Reports are generated by hand (POST /api/report/generate) and by report
+ * schedules (reportScheduler.service.js). Both go through createReport() so a
+ * scheduled report reads exactly like one generated for the same range.
+ *
+ * Callers validate their input (title, brand kit) first; this service only
+ * picks the analyses, snapshots them and saves the report.
+ */
+
+import Report from "../models/Report.js";
+import AnalysisResult from "../models/AnalysisResult.js";
+
+// ---------------------------------------------------------------------------
+// CONFIGURATION
+// ---------------------------------------------------------------------------
+
+// Limit to prevent massive reports
+const MAX_REPORT_ANALYSES = 100;
+
+/**
+ * Report format flags, each defaulting to true
+ *
+ * @param {Object} [format] - { includeViolationDetails, includeSuggestions,
+ *                            includeCharts }
+ * @returns {Object} Complete format flags
+ */
+export const normalizeReportFormat = (format) => ({
+  includeViolationDetails: format?.includeViolationDetails !== false,
+  includeSuggestions: format?.includeSuggestions !== false,
+  includeCharts: format?.includeCharts !== false,
+});
+
+// ---------------------------------------------------------------------------
+// REPORT GENERATION
+// ---------------------------------------------------------------------------
+
+/**
+ * Generate and save a report over a brand kit's completed analyses
+ *
+ * @param {Object} options
+ * @param {Object} options.brandKit - BrandKit document
+ * @param {string} options.title - Report title
+ * @param {string} [options.description] - Report description
+ * @param {string} [options.analysisId] - Single analysis to include
+ * @param {Object} [options.dateRange] - { start, end } (inclusive)
+ * @param {Object} [options.format] - Format flags
+ * @param {string} [options.type] - Report type (inferred when omitted)
+ * @param {string} [options.userId] - Report owner
+ * @param {string} [options.scheduleId] - Schedule generating the report
+ * @returns {Promise<Object|null>} Saved report, or null if no analyses match
+ */
+export const createReport = async ({
+  brandKit,
+  title,
+  description,
+  analysisId,
+  dateRange,
+  format,
+  type,
+  userId,
+  scheduleId = null,
+}) => {
+  const reportFormat = normalizeReportFormat(format);
+
+  // Build query for analyses
+  const analysisQuery = { brandKitId: brandKit._id, status: "completed" };
+
+  if (analysisId) {
+    // Single analysis report
+    analysisQuery._id = analysisId;
+  } else if (dateRange) {
+    // Date range report
+    if (dateRange.start) {
+      analysisQuery.createdAt = { $gte: new Date(dateRange.start) };
+    }
+    if (dateRange.end) {
+      analysisQuery.createdAt = {
+        ...analysisQuery.createdAt,
+        $lte: new Date(dateRange.end),
+      };
+    }
+  }
+
+  const analyses = await AnalysisResult.find(analysisQuery)
+    .sort({ createdAt: -1 })
+    .limit(MAX_REPORT_ANALYSES)
+    .populate("designId", "canvasId name");
+
+  if (analyses.length === 0) return null;
+
+  const report = new Report({
+    title,
+    description,
+    userId: userId ?? brandKit.userId,
+    organizationId: brandKit.organizationId,
+    brandKitId: brandKit._id,
+    // Snapshot each analysis (violation details per the format flags)
+    analyses: analyses.map((a) =>
+      Report.buildAnalysisSnapshot(a, reportFormat)
+    ),
+    type: type || (analysisId ? "single" : dateRange ? "periodic" : "batch"),
+    dateRange: dateRange
+      ? {
+          start: dateRange.start ? new Date(dateRange.start) : null,
+          end: dateRange.end ? new Date(dateRange.end) : null,
+        }
+      : null,
+    format: reportFormat,
+    scheduleId,
+  });
+
+  report.calculateSummary();
+  await report.save();
+
+  return report;
+};
+
+export default {
+  normalizeReportFormat,
+  createReport,
+};
@@ -0,0 +1,866 @@
+/**
+ * =============================================================================
+ * Epsilon - Report Export Service
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * Reports are exported as files account managers can send to clients. Every
+ * format is rendered here, server-side, from the report's own snapshots -
+ * never from live analyses - so an export always matches the report it came
+ * from.
+ *
+ * FORMATS:
+ * - pdf: branded, paginated document (utils/pdfWriter.js)
+ *   Cover page -> summary -> score charts (format.includeCharts) ->
+ *   per-design table -> violation tables per design
+ *   (format.includeViolationDetails) -> suggestions (format.includeSuggestions)
+ * - xlsx: designs, analyses and violations sheets (tabularExport.service.js)
+ * - csv:  one of those tables
+ *
+ * New formats register in EXPORT_FORMATS.
+ */
+
+import { createPdfDocument, wrapText } from "../utils/pdfWriter.js";
+import {
+  TABULAR_FORMATS,
+  createCsvWriter,
+  createXlsxWriter,
+} from "../utils/tabularWriter.js";
+import { getScoreLabel, resolveScoringPolicy } from "./scoring.service.js";
+import tabularExportService from "./tabularExport.service.js";
+
+// ---------------------------------------------------------------------------
+// CONFIGURATION
+// ---------------------------------------------------------------------------
+
+const MARGIN = 48;
+const FOOTER_HEIGHT = 32;
+
+const COLORS = {
+  text: "#1F2937",
+  muted: "#6B7280",
+  border: "#E5E7EB",
+  panel: "#F9FAFB",
+  white: "#FFFFFF",
+  accent: "#4F46E5", // Used when the brand kit has no colors
+};
+
+const SCORE_COLORS = {
+  excellent: "#15803D",
+  good: "#65A30D",
+  needs_work: "#D97706",
+  poor: "#DC2626",
+};
+
+const SEVERITY_COLORS = {
+  critical: "#B91C1C",
+  high: "#EA580C",
+  medium: "#CA8A04",
+  low: "#2563EB",
+};
+
+const SEVERITY_ORDER = ["critical", "high", "medium", "low"];
+
+// Bars drawn in the score history chart (most recent analyses)
+const CHART_MAX_BARS = 30;
+
+// Suggestions listed in the suggestions section
+const SUGGESTIONS_LIMIT = 15;
+
+// ---------------------------------------------------------------------------
+// HELPERS
+// ---------------------------------------------------------------------------
+
+const formatDate = (value) =>
+  value ? new Date(value).toISOString().substring(0, 10) : "-";
+
+const formatLabel = (value) =>
+  String(value || "")
+    .replace(/_/g, " ")
+    .replace(/^\w/, (c) => c.toUpperCase());
+
+/**
+ * Readable text for a suggested fix (string, or object such as { width: 120 })
+ */
+const formatSuggestion = (fix) => {
+  if (fix === null || fix === undefined || fix === "") return "";
+  if (typeof fix !== "object") return String(fix);
+  return Object.entries(fix)
+    .map(([key, value]) => `${key}: ${value}`)
+    .join(", ");
+};
+
+/**
+ * Brand color for headers: the primary brand color, else the first one
+ */
+const getAccentColor = (brandKit) => {
+  const colors = brandKit?.colors || [];
+  const primary = colors.find((c) => c.usage === "primary") || colors[0];
+  return /^#[0-9a-f]{6}$/i.test(primary?.hex || "")
+    ? primary.hex
+    : COLORS.accent;
+};
+
+/**
+ * Text color readable on a background: white on dark colors, else body text
+ */
+const getTextColorOn = (background) => {
+  const value = parseInt(background.slice(1), 16);
+  const [r, g, b] = [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+  return 0.299 * r + 0.587 * g + 0.114 * b > 160 ? COLORS.text : COLORS.white;
+};
+
+/**
+ * Latest snapshot of every design in the report, worst score first
+ */
+const getLatestSnapshots = (analyses) => {
+  const latest = new Map();
+  analyses.forEach((a) => {
+    const key = String(a.designId);
+    const current = latest.get(key);
+    if (!current || new Date(a.analyzedAt) > new Date(current.analyzedAt)) {
+      latest.set(key, a);
+    }
+  });
+  return [...latest.values()].sort((a, b) => a.score - b.score);
+};
+
+/**
+ * File name: "<title-slug>-<yyyy-mm-dd>.<extension>"
+ */
+const buildFilename = (title, date, extension) => {
+  const slug =
+    String(title || "report")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .substring(0, 60)
+      .replace(/^-+|-+$/g, "") || "report";
+  return `${slug}-${formatDate(date || Date.now())}.${extension}`;
+};
+
+// ---------------------------------------------------------------------------
+// PDF LAYOUT
+// ---------------------------------------------------------------------------
+
+/**
+ * Flowing layout over a PDF document: tracks the cursor and starts a new
+ * page when content would run into the footer
+ */
+const createLayout = (doc, { accent, onAccent }) => {
+  const contentWidth = doc.width - MARGIN * 2;
+  const bottom = doc.height - MARGIN - FOOTER_HEIGHT;
+
+  const layout = {
+    y: MARGIN,
+    contentWidth,
+
+    newPage() {
+      doc.addPage();
+      layout.y = MARGIN;
+    },
+
+    /**
+     * Start a new page unless `height` points still fit
+     */
+    ensureSpace(height) {
+      if (layout.y + height > bottom) layout.newPage();
+    },
+
+    heading(text) {
+      layout.ensureSpace(48);
+      layout.y += 8;
+      doc.text(text, MARGIN, layout.y, {
+        size: 16,
+        font: "bold",
+        color: COLORS.text,
+      });
+      layout.y += 22;
+      doc.line(MARGIN, layout.y, MARGIN + contentWidth, layout.y, {
+        color: accent,
+        lineWidth: 1.5,
+      });
+      layout.y += 12;
+    },
+
+    subheading(text) {
+      layout.ensureSpace(36);
+      doc.text(text, MARGIN, layout.y, {
+        size: 12,
+        font: "bold",
+        color: COLORS.text,
+      });
+      layout.y += 18;
+    },
+
+    paragraph(text, { size = 10, color = COLORS.text } = {}) {
+      const lineHeight = size * 1.4;
+      wrapText(text, contentWidth, size).forEach((line) => {
+        layout.ensureSpace(lineHeight);
+        doc.text(line, MARGIN, layout.y, { size, color });
+        layout.y += lineHeight;
+      });
+      layout.y += 4;
+    },
+
+    /**
+     * Table with wrapped cells; the header row repeats on every page
+     *
+     * @param {Array} columns - [{ header, width (share of the content width), align? }]
+     * @param {Array<Array>} rows - Cell values; a cell may be { text, color, font }
+     */
+    table(columns, rows) {
+      const size = 8.5;
+      const lineHeight = 11;
+      const padding = 4;
+      const totalShare = columns.reduce((sum, c) => sum + c.width, 0);
+      const widths = columns.map((c) => (c.width / totalShare) * contentWidth);
+
+      const drawHeader = () => {
+        doc.rect(MARGIN, layout.y, contentWidth, lineHeight + padding * 2, {
+          fill: accent,
+        });
+        let x = MARGIN;
+        columns.forEach((column, i) => {
+          const align = column.align || "left";
+          doc.text(
+            column.header,
+            align === "right" ? x + widths[i] - padding : x + padding,
+            layout.y + padding,
+            { size, font: "bold", color: onAccent, align }
+          );
+          x += widths[i];
+        });
+        layout.y += lineHeight + padding * 2;
+      };
+
+      layout.ensureSpace((lineHeight + padding * 2) * 2);
+      drawHeader();
+
+      rows.forEach((row, rowIndex) => {
+        const cells = row.map((cell, i) => {
+          const value =
+            cell && typeof cell === "object" ? cell : { text: cell };
+          const font = value.font || "regular";
+          return {
+            ...value,
+            font,
+            lines: wrapText(
+              value.text ?? "",
+              widths[i] - padding * 2,
+              size,
+              font
+            ),
+          };
+        });
+        const rowHeight =
+          Math.max(...cells.map((c) => c.lines.length)) * lineHeight +
+          padding * 2;
+
+        if (layout.y + rowHeight > bottom) {
+          layout.newPage();
+          drawHeader();
+        }
+
+        if (rowIndex % 2 === 1) {
+          doc.rect(MARGIN, layout.y, contentWidth, rowHeight, {
+            fill: COLORS.panel,
+          });
+        }
+
+        let x = MARGIN;
+        cells.forEach((cell, i) => {
+          const align = columns[i].align || "left";
+          cell.lines.forEach((line, lineIndex) => {
+            doc.text(
+              line,
+              align === "right" ? x + widths[i] - padding : x + padding,
+              layout.y + padding + lineIndex * lineHeight,
+              { size, font: cell.font, color: cell.color || COLORS.text, align }
+            );
+          });
+          x += widths[i];
+        });
+
+        layout.y += rowHeight;
+        doc.line(MARGIN, layout.y, MARGIN + contentWidth, layout.y, {
+          color: COLORS.border,
+          lineWidth: 0.5,
+        });
+      });
+
+      layout.y += 12;
+    },
+  };
+
+  return layout;
+};
+
+// ---------------------------------------------------------------------------
+// PDF SECTIONS
+// ---------------------------------------------------------------------------
+
+/**
+ * Cover page: brand band, title, scope and the headline score
+ */
+const drawCoverPage = (doc, report, ctx) => {
+  const { accent, onAccent, brandKit, thresholds } = ctx;
+  const { summary } = report;
+  const width = doc.width - MARGIN * 2;
+
+  doc.addPage();
+  doc.rect(0, 0, doc.width, 220, { fill: accent });
+  doc.text("BRAND COMPLIANCE REPORT", MARGIN, 72, {
+    size: 11,
+    font: "bold",
+    color: onAccent,
+  });
+
+  let y = 96;
+  wrapText(report.title, width, 28, "bold")
+    .slice(0, 3)
+    .forEach((line) => {
+      doc.text(line, MARGIN, y, { size: 28, font: "bold", color: onAccent });
+      y += 34;
+    });
+
+  y = 260;
+  const details = [
+    ["Brand kit", brandKit?.name || "-"],
+    ["Report type", formatLabel(report.type)],
+    [
+      "Period",
+      report.dateRange?.start || report.dateRange?.end
+        ? `${formatDate(report.dateRange.start)} to ${formatDate(
+            report.dateRange.end
+          )}`
+        : "All included analyses",
+    ],
+    ["Analyses", String(report.analyses.length)],
+    ["Generated", formatDate(report.generatedAt)],
+  ];
+  details.forEach(([label, value]) => {
+    doc.text(label, MARGIN, y, { size: 10, color: COLORS.muted });
+    doc.text(value, MARGIN + 110, y, {
+      size: 10,
+      font: "bold",
+      color: COLORS.text,
+    });
+    y += 18;
+  });
+
+  if (report.description) {
+    y += 12;
+    wrapText(report.description, width, 10)
+      .slice(0, 8)
+      .forEach((line) => {
+        doc.text(line, MARGIN, y, { size: 10, color: COLORS.text });
+        y += 14;
+      });
+  }
+
+  // Headline score
+  const score = summary?.averageComplianceScore ?? 0;
+  const label = getScoreLabel(score, thresholds);
+  const boxY = Math.max(y + 40, 480);
+  doc.rect(MARGIN, boxY, width, 120, {
+    fill: COLORS.panel,
+    stroke: COLORS.border,
+  });
+  doc.text("Average compliance score", MARGIN + 24, boxY + 22, {
+    size: 11,
+    color: COLORS.muted,
+  });
+  doc.text(`${Math.round(score)}`, MARGIN + 24, boxY + 44, {
+    size: 48,
+    font: "bold",
+    color: SCORE_COLORS[label],
+  });
+  doc.text(formatLabel(label), MARGIN + 140, boxY + 58, {
+    size: 16,
+    font: "bold",
+    color: SCORE_COLORS[label],
+  });
+  doc.text(
+    `Trend: ${formatLabel(summary?.complianceTrend || "insufficient_data")}`,
+    MARGIN + 140,
+    boxY + 80,
+    { size: 10, color: COLORS.muted }
+  );
+};
+
+/**
+ * Summary: key figures, severity counts and top violation types
+ */
+const drawSummary = (doc, layout, report, ctx) => {
+  const { summary } = report;
+  layout.newPage();
+  layout.heading("Summary");
+
+  const figures = [
+    ["Designs analyzed", summary.totalDesignsAnalyzed],
+    ["Average score", Math.round(summary.averageComplianceScore)],
+    ["Total violations", summary.totalViolations],
+    ["Critical violations", summary.criticalViolations],
+  ];
+  const gap = 10;
+  const boxWidth =
+    (layout.contentWidth - gap * (figures.length - 1)) / figures.length;
+  figures.forEach(([label, value], i) => {
+    const x = MARGIN + i * (boxWidth + gap);
+    doc.rect(x, layout.y, boxWidth, 58, {
+      fill: COLORS.panel,
+      stroke: COLORS.border,
+    });
+    doc.text(String(value ?? 0), x + 12, layout.y + 10, {
+      size: 22,
+      font: "bold",
+      color:
+        label === "Critical violations" && value > 0
+          ? SEVERITY_COLORS.critical
+          : COLORS.text,
+    });
+    doc.text(label, x + 12, layout.y + 40, { size: 8.5, color: COLORS.muted });
+  });
+  layout.y += 74;
+
+  layout.paragraph(
+    `Compliance trend: ${formatLabel(summary.complianceTrend)}.`
+  );
+
+  layout.subheading("Violations by severity");
+  layout.table(
+    [
+      { header: "Severity", width: 3 },
+      { header: "Violations", width: 1, align: "right" },
+    ],
+    SEVERITY_ORDER.map((severity) => [
+      {
+        text: formatLabel(severity),
+        color: SEVERITY_COLORS[severity],
+        font: "bold",
+      },
+      String(summary.severityCounts?.[severity] || 0),
+    ])
+  );
+
+  if (summary.topViolationTypes?.length) {
+    layout.subheading("Top violation types");
+    layout.table(
+      [
+        { header: "Type", width: 3 },
+        { header: "Violations", width: 1, align: "right" },
+      ],
+      summary.topViolationTypes.map((t) => [
+        formatLabel(t.type),
+        String(t.count),
+      ])
+    );
+  }
+};
+
+/**
+ * Charts: score per analysis over time and average score per category
+ */
+const drawCharts = (doc, layout, report, ctx) => {
+  const chronological = [...report.analyses]
+    .sort((a, b) => new Date(a.analyzedAt) - new Date(b.analyzedAt))
+    .slice(-CHART_MAX_BARS);
+  const { categoryAverages = [] } = report.summary;
+
+  layout.heading("Score Charts");
+
+  // Score history
+  const chartHeight = 160;
+  layout.subheading("Compliance score per analysis");
+  layout.ensureSpace(chartHeight + 40);
+
+  const axisX = MARGIN + 24;
+  const chartWidth = layout.contentWidth - 24;
+  const top = layout.y;
+  [0, 50, 100].forEach((value) => {
+    const y = top + chartHeight - (value / 100) * chartHeight;
+    doc.line(axisX, y, axisX + chartWidth, y, {
+      color: COLORS.border,
+      lineWidth: 0.5,
+    });
+    doc.text(String(value), axisX - 6, y - 4, {
+      size: 7,
+      color: COLORS.muted,
+      align: "right",
+    });
+  });
+
+  const slot = chartWidth / Math.max(chronological.length, 1);
+  const barWidth = Math.min(28, slot * 0.7);
+  chronological.forEach((a, i) => {
+    const barHeight = Math.max(1, (a.score / 100) * chartHeight);
+    const x = axisX + i * slot + (slot - barWidth) / 2;
+    doc.rect(x, top + chartHeight - barHeight, barWidth, barHeight, {
+      fill: SCORE_COLORS[getScoreLabel(a.score, ctx.thresholds)],
+    });
+    if (chronological.length <= 12) {
+      doc.text(
+        formatDate(a.analyzedAt).substring(5),
+        x + barWidth / 2,
+        top + chartHeight + 4,
+        {
+          size: 7,
+          color: COLORS.muted,
+          align: "center",
+        }
+      );
+    }
+  });
+
+  // Average score line
+  const average = report.summary.averageComplianceScore || 0;
+  const averageY = top + chartHeight - (average / 100) * chartHeight;
+  doc.line(axisX, averageY, axisX + chartWidth, averageY, {
+    color: ctx.accent,
+    lineWidth: 1,
+  });
+  doc.text(`avg ${Math.round(average)}`, axisX + chartWidth, averageY - 10, {
+    size: 7,
+    font: "bold",
+    color: ctx.accent,
+    align: "right",
+  });
+  layout.y = top + chartHeight + 24;
+
+  // Category averages
+  if (categoryAverages.length > 0) {
+    layout.subheading("Average score per category");
+    const labelWidth = 110;
+    const barMax = layout.contentWidth - labelWidth - 40;
+    categoryAverages.forEach(({ category, averageScore }) => {
+      layout.ensureSpace(18);
+      doc.text(formatLabel(category), MARGIN, layout.y + 2, {
+        size: 9,
+        color: COLORS.text,
+      });
+      doc.rect(MARGIN + labelWidth, layout.y, barMax, 12, {
+        fill: COLORS.panel,
+      });
+      doc.rect(
+        MARGIN + labelWidth,
+        layout.y,
+        (Math.max(0, averageScore) / 100) * barMax,
+        12,
+        {
+          fill: SCORE_COLORS[getScoreLabel(averageScore, ctx.thresholds)],
+        }
+      );
+      doc.text(
+        String(Math.round(averageScore)),
+        MARGIN + layout.contentWidth,
+        layout.y + 2,
+        {
+          size: 9,
+          font: "bold",
+          color: COLORS.text,
+          align: "right",
+        }
+      );
+      layout.y += 18;
+    });
+    layout.y += 8;
+  }
+};
+
+/**
+ * Per-design table from the report summary
+ */
+const drawDesignBreakdown = (doc, layout, report, ctx) => {
+  const rows = report.summary.designBreakdown || [];
+  if (rows.length === 0) return;
+
+  layout.heading("Designs");
+  layout.table(
+    [
+      { header: "Design", width: 4 },
+      { header: "Analyses", width: 1.4, align: "right" },
+      { header: "Latest", width: 1.2, align: "right" },
+      { header: "Average", width: 1.4, align: "right" },
+      { header: "Violations", width: 1.6, align: "right" },
+      { header: "Critical", width: 1.3, align: "right" },
+      { header: "Top issue", width: 2 },
+    ],
+    rows.map((d) => [
+      d.designName || String(d.designId),
+      String(d.analysesCount),
+      {
+        text: String(Math.round(d.latestScore)),
+        font: "bold",
+        color: SCORE_COLORS[getScoreLabel(d.latestScore, ctx.thresholds)],
+      },
+      String(d.averageScore),
+      String(d.totalViolations),
+      {
+        text: String(d.criticalViolations),
+        color:
+          d.criticalViolations > 0 ? SEVERITY_COLORS.critical : COLORS.text,
+      },
+      formatLabel(d.topViolationType || "-"),
+    ])
+  );
+};
+
+/**
+ * Violation table for the latest analysis of every design
+ */
+const drawViolationTables = (doc, layout, report, ctx) => {
+  const { includeSuggestions = true } = report.format || {};
+  layout.heading("Violations by Design");
+
+  const latest = getLatestSnapshots(report.analyses);
+  if (!latest.some((a) => Array.isArray(a.violations))) {
+    layout.paragraph(
+      "Violation details were not included when this report was generated.",
+      {
+        color: COLORS.muted,
+      }
+    );
+    return;
+  }
+
+  const columns = [
+    { header: "Severity", width: 1.3 },
+    { header: "Type", width: 1.4 },
+    { header: "Description", width: includeSuggestions ? 4.5 : 7 },
+    ...(includeSuggestions ? [{ header: "Suggested fix", width: 3 }] : []),
+    { header: "Status", width: 1.2 },
+  ];
+
+  latest.forEach((a) => {
+    const violations = [...(a.violations || [])].sort(
+      (x, y) =>
+        SEVERITY_ORDER.indexOf(x.severity) - SEVERITY_ORDER.indexOf(y.severity)
+    );
+
+    layout.subheading(
+      `${a.designName || String(a.designId)} - score ${Math.round(
+        a.score
+      )} (${formatDate(a.analyzedAt)})`
+    );
+    if (violations.length === 0) {
+      layout.paragraph("No violations found.", { color: COLORS.muted });
+      return;
+    }
+
+    layout.table(
+      columns,
+      violations.map((v) => [
+        {
+          text: formatLabel(v.severity),
+          font: "bold",
+          color: SEVERITY_COLORS[v.severity],
+        },
+        formatLabel(v.type),
+        v.description || "-",
+        ...(includeSuggestions
+          ? [formatSuggestion(v.suggestedFix) || "-"]
+          : []),
+        v.resolved ? "Resolved" : "Open",
+      ])
+    );
+  });
+};
+
+/**
+ * Suggested fixes for open violations, most severe and most common first
+ */
+const drawSuggestions = (doc, layout, report, ctx) => {
+  const bySuggestion = new Map();
+  getLatestSnapshots(report.analyses).forEach((a) =>
+    (a.violations || [])
+      .filter((v) => !v.resolved)
+      .forEach((v) => {
+        const text = formatSuggestion(v.suggestedFix);
+        if (!text) return;
+        const entry = bySuggestion.get(text) || {
+          text,
+          severity: v.severity,
+          type: v.type,
+          count: 0,
+        };
+        entry.count++;
+        if (
+          SEVERITY_ORDER.indexOf(v.severity) <
+          SEVERITY_ORDER.indexOf(entry.severity)
+        ) {
+          entry.severity = v.severity;
+        }
+        bySuggestion.set(text, entry);
+      })
+  );
+
+  const suggestions = [...bySuggestion.values()]
+    .sort(
+      (a, b) =>
+        SEVERITY_ORDER.indexOf(a.severity) -
+          SEVERITY_ORDER.indexOf(b.severity) || b.count - a.count
+    )
+    .slice(0, SUGGESTIONS_LIMIT);
+  if (suggestions.length === 0) return;
+
+  layout.heading("Suggestions");
+  layout.table(
+    [
+      { header: "Priority", width: 1.3 },
+      { header: "Area", width: 1.4 },
+      { header: "Suggestion", width: 6 },
+      { header: "Occurrences", width: 1.6, align: "right" },
+    ],
+    suggestions.map((s) => [
+      {
+        text: formatLabel(s.severity),
+        font: "bold",
+        color: SEVERITY_COLORS[s.severity],
+      },
+      formatLabel(s.type),
+      s.text,
+      String(s.count),
+    ])
+  );
+};
+
+/**
+ * Footer with report title and page numbers on every page
+ */
+const drawFooters = (doc, report) => {
+  const y = doc.height - MARGIN + 8;
+  const [firstLine, ...rest] = wrapText(report.title, 300, 8);
+  const title = rest.length > 0 ? `${firstLine}...` : firstLine;
+  for (let i = 0; i < doc.pageCount; i++) {
+    doc.switchToPage(i);
+    doc.line(MARGIN, y - 8, doc.width - MARGIN, y - 8, {
+      color: COLORS.border,
+      lineWidth: 0.5,
+    });
+    doc.text(`Epsilon  |  ${title}`, MARGIN, y, {
+      size: 8,
+      color: COLORS.muted,
+    });
+    doc.text(`Page ${i + 1} of ${doc.pageCount}`, doc.width - MARGIN, y, {
+      size: 8,
+      color: COLORS.muted,
+      align: "right",
+    });
+  }
+};
+
+// ---------------------------------------------------------------------------
+// EXPORT SERVICE
+// ---------------------------------------------------------------------------
+
+/**
+ * Render a report as a PDF
+ *
+ * @param {Object} report - Report document (brandKitId populated with at least
+ *                          name, colors and scoringPolicy for branding)
+ * @returns {Buffer} PDF file contents
+ */
+export const renderReportPdf = (report) => {
+  const brandKit =
+    report.brandKitId &&
+    typeof report.brandKitId === "object" &&
+    report.brandKitId.name
+      ? report.brandKitId
+      : null;
+  const format = report.format || {};
+  const accent = getAccentColor(brandKit);
+  const ctx = {
+    brandKit,
+    accent,
+    onAccent: getTextColorOn(accent),
+    thresholds: resolveScoringPolicy(brandKit).labelThresholds,
+  };
+
+  const doc = createPdfDocument({ title: report.title, author: "Epsilon" });
+  const layout = createLayout(doc, ctx);
+
+  drawCoverPage(doc, report, ctx);
+  drawSummary(doc, layout, report, ctx);
+  if (format.includeCharts !== false) drawCharts(doc, layout, report, ctx);
+  drawDesignBreakdown(doc, layout, report, ctx);
+  if (format.includeViolationDetails !== false) {
+    drawViolationTables(doc, layout, report, ctx);
+  }
+  if (format.includeSuggestions !== false)
+    drawSuggestions(doc, layout, report, ctx);
+  drawFooters(doc, report);
+
+  return doc.toBuffer();
+};
+
+/**
+ * Write a report's tables as a spreadsheet
+ * CSV holds one table (options.table, default "analyses"); XLSX holds all
+ */
+const writeReportSpreadsheet = async (writer, report, { table } = {}) => {
+  await tabularExportService.writeReportTables(
+    writer,
+    report,
+    table ? [table] : tabularExportService.REPORT_TABLES
+  );
+  await writer.end();
+};
+
+/**
+ * Export formats: content type, file extension and writer
+ * write(report, output, options) streams the file to `output` and ends it
+ */
+export const EXPORT_FORMATS = {
+  pdf: {
+    contentType: "application/pdf",
+    extension: "pdf",
+    write: async (report, output) => output.end(renderReportPdf(report)),
+  },
+  csv: {
+    ...TABULAR_FORMATS.csv,
+    write: (report, output, { table = "analyses" } = {}) =>
+      writeReportSpreadsheet(createCsvWriter(output), report, { table }),
+  },
+  xlsx: {
+    ...TABULAR_FORMATS.xlsx,
+    write: (report, output, options) =>
+      writeReportSpreadsheet(createXlsxWriter(output), report, options),
+  },
+};
+
+/**
+ * Export file name: "<title-slug>-<yyyy-mm-dd>.<extension>"
+ *
+ * @param {Object} report - Report document
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @returns {string} File name
+ */
+export const getExportFilename = (report, format) =>
+  buildFilename(
+    report.title,
+    report.generatedAt,
+    EXPORT_FORMATS[format].extension
+  );
+
+/**
+ * Stream a report export
+ *
+ * @param {Object} report - Report document (see renderReportPdf)
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Writable} output - Stream to write to (e.g. the HTTP response)
+ * @param {Object} [options] - { table } - single table for CSV
+ *                             (REPORT_TABLES entry)
+ * @returns {Promise<void>} Resolves once the export is written
+ */
+export const exportReport = async (report, format, output, options = {}) => {
+  const exporter = EXPORT_FORMATS[format];
+  if (!exporter) throw new Error(`Unsupported export format "${format}"`);
+  await exporter.write(report, output, options);
+};
+
+export default {
+  EXPORT_FORMATS,
+  renderReportPdf,
+  getExportFilename,
+  exportReport,
+};
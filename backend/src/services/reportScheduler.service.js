@@ -0,0 +1,343 @@
+/**
+ * =============================================================================
+ * Epsilon - Report Scheduler Service
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * Periodic reports are generated by an in-process timer rather than an
+ * external cron, so a single `npm start` is a complete deployment. Every tick
+ * claims due schedules one at a time and generates the report for the period
+ * that just ended (see models/ReportSchedule.js for the claim/lease rules
+ * that keep restarts and multiple instances from running a period twice).
+ *
+ * TIMING (UTC):
+ * - weekly:    on dayOfWeek at hour, covering the 7 days before that day
+ * - monthly:   on dayOfMonth at hour, covering the previous calendar month
+ * - quarterly: on dayOfMonth of Jan/Apr/Jul/Oct at hour, covering the
+ *              previous calendar quarter
+ *
+ * If the server was down through several occurrences, only the latest one
+ * is run; the run records how many were missed.
+ */
+
+import crypto from "crypto";
+import os from "os";
+import BrandKit from "../models/BrandKit.js";
+import Report from "../models/Report.js";
+import ReportSchedule from "../models/ReportSchedule.js";
+import { createReport } from "./report.service.js";
+import { logger } from "../utils/logger.js";
+
+// ---------------------------------------------------------------------------
+// CONFIGURATION
+// ---------------------------------------------------------------------------
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How often to look for due schedules
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+// How long a claimed run may take before another instance may retry it
+const LEASE_MS = 10 * 60 * 1000;
+
+// Runs kept in a schedule's history
+const RUN_HISTORY_LIMIT = 50;
+
+// Schedules run per tick (the rest wait for the next tick)
+const MAX_RUNS_PER_TICK = 100;
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Identifies this process in schedule leases
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto
+  .randomBytes(4)
+  .toString("hex")}`;
+
+// ---------------------------------------------------------------------------
+// TIMING
+// ---------------------------------------------------------------------------
+
+/**
+ * Months between occurrences of a monthly or quarterly schedule
+ */
+const monthStep = (frequency) => (frequency === "quarterly" ? 3 : 1);
+
+/**
+ * First occurrence of a schedule strictly after a date
+ *
+ * @param {Object} schedule - { frequency, dayOfWeek, dayOfMonth, hour }
+ * @param {Date} [after] - Reference date (default: now)
+ * @returns {Date} Next run time
+ */
+export const getNextRunAt = (schedule, after = new Date()) => {
+  const { frequency, dayOfWeek = 1, dayOfMonth = 1, hour = 6 } = schedule;
+  const year = after.getUTCFullYear();
+  const month = after.getUTCMonth();
+
+  if (frequency === "weekly") {
+    const candidate = new Date(Date.UTC(year, month, after.getUTCDate(), hour));
+    candidate.setUTCDate(
+      candidate.getUTCDate() + ((dayOfWeek - candidate.getUTCDay() + 7) % 7)
+    );
+    if (candidate <= after) candidate.setUTCDate(candidate.getUTCDate() + 7);
+    return candidate;
+  }
+
+  if (frequency !== "monthly" && frequency !== "quarterly") {
+    throw new Error(`Unknown schedule frequency: ${frequency}`);
+  }
+
+  const step = monthStep(frequency);
+  const periodMonth = month - (month % step);
+  const candidate = new Date(Date.UTC(year, periodMonth, dayOfMonth, hour));
+  return candidate > after
+    ? candidate
+    : new Date(Date.UTC(year, periodMonth + step, dayOfMonth, hour));
+};
+
+/**
+ * Period a run reports on: the week, month or quarter before the occurrence
+ *
+ * @param {Object} schedule - { frequency }
+ * @param {Date} occurrence - Run time
+ * @returns {Object} { start, end } (end exclusive)
+ */
+export const getReportPeriod = (schedule, occurrence) => {
+  const year = occurrence.getUTCFullYear();
+  const month = occurrence.getUTCMonth();
+
+  if (schedule.frequency === "weekly") {
+    const end = new Date(Date.UTC(year, month, occurrence.getUTCDate()));
+    return { start: new Date(end.getTime() - 7 * DAY_MS), end };
+  }
+
+  const step = monthStep(schedule.frequency);
+  const periodMonth = month - (month % step);
+  return {
+    start: new Date(Date.UTC(year, periodMonth - step, 1)),
+    end: new Date(Date.UTC(year, periodMonth, 1)),
+  };
+};
+
+/**
+ * Period as text for report titles, e.g. "2026-10-12 to 2026-10-18"
+ */
+export const formatPeriod = ({ start, end }) => {
+  const lastDay = new Date(end.getTime() - DAY_MS);
+  return `${start.toISOString().slice(0, 10)} to ${lastDay
+    .toISOString()
+    .slice(0, 10)}`;
+};
+
+// ---------------------------------------------------------------------------
+// RUNS
+// ---------------------------------------------------------------------------
+
+/**
+ * Claim the most overdue schedule that no live lease holds
+ *
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} Claimed ReportSchedule
+ */
+const claimDueSchedule = (now) =>
+  ReportSchedule.findOneAndUpdate(
+    {
+      enabled: true,
+      nextRunAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    {
+      $set: {
+        lockedUntil: new Date(now.getTime() + LEASE_MS),
+        lockedBy: INSTANCE_ID,
+      },
+    },
+    { new: true, sort: { nextRunAt: 1 } }
+  );
+
+/**
+ * Generate a schedule's report for its latest elapsed occurrence
+ *
+ * @param {Object} schedule - Claimed ReportSchedule
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Run record (never throws; failures are recorded)
+ */
+export const executeScheduleRun = async (schedule, now) => {
+  // Catch up to the latest occurrence if the server was down
+  let scheduledFor = schedule.nextRunAt;
+  let missedRuns = 0;
+  for (
+    let next = getNextRunAt(schedule, scheduledFor);
+    next <= now;
+    next = getNextRunAt(schedule, next)
+  ) {
+    scheduledFor = next;
+    missedRuns++;
+  }
+
+  const period = getReportPeriod(schedule, scheduledFor);
+  const run = {
+    scheduledFor,
+    periodStart: period.start,
+    periodEnd: period.end,
+    missedRuns,
+    startedAt: new Date(),
+  };
+
+  try {
+    const brandKit = await BrandKit.findById(schedule.brandKitId);
+    if (!brandKit) {
+      throw new Error("Brand kit not found");
+    }
+
+    let report;
+    try {
+      report = await createReport({
+        brandKit,
+        title: `${schedule.title} (${formatPeriod(period)})`,
+        description: schedule.description,
+        // Inclusive range: up to the last millisecond of the period
+        dateRange: {
+          start: period.start,
+          end: new Date(period.end.getTime() - 1),
+        },
+        format: schedule.format,
+        type: "periodic",
+        userId: schedule.userId,
+        scheduleId: schedule._id,
+      });
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY_ERROR) throw error;
+      // An earlier, interrupted attempt already generated this period
+      report = await Report.findOne({
+        scheduleId: schedule._id,
+        "dateRange.start": period.start,
+      });
+    }
+
+    if (report) {
+      run.status = "completed";
+      run.reportId = report._id;
+      run.analysesCount = report.analyses.length;
+    } else {
+      run.status = "skipped";
+    }
+  } catch (error) {
+    run.status = "failed";
+    run.error = error.message;
+  }
+
+  run.finishedAt = new Date();
+  return run;
+};
+
+/**
+ * Record a run and release the schedule's lease
+ * Matches on the lease so an instance whose lease expired cannot overwrite
+ * a newer run
+ */
+const completeScheduleRun = (schedule, run) =>
+  ReportSchedule.updateOne(
+    { _id: schedule._id, lockedBy: INSTANCE_ID },
+    {
+      $set: {
+        nextRunAt: getNextRunAt(schedule, run.scheduledFor),
+        lastRunAt: run.finishedAt,
+        lockedUntil: null,
+        lockedBy: null,
+      },
+      $push: { runs: { $each: [run], $slice: -RUN_HISTORY_LIMIT } },
+    }
+  );
+
+/**
+ * Run every due schedule
+ *
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Array>} Runs performed
+ */
+export const runDueSchedules = async (now = new Date()) => {
+  const runs = [];
+
+  for (let i = 0; i < MAX_RUNS_PER_TICK; i++) {
+    const schedule = await claimDueSchedule(now);
+    if (!schedule) break;
+
+    const run = await executeScheduleRun(schedule, now);
+    await completeScheduleRun(schedule, run);
+    runs.push(run);
+
+    const message = `Report schedule ${schedule._id} (${schedule.title}): ${run.status}`;
+    if (run.status === "failed") {
+      logger.error(`${message} - ${run.error}`);
+    } else {
+      logger.info(message);
+    }
+  }
+
+  return runs;
+};
+
+// ---------------------------------------------------------------------------
+// SCHEDULER
+// ---------------------------------------------------------------------------
+
+let timer = null;
+let currentTick = null;
+
+const tick = () => {
+  // Skip if the previous tick is still generating reports
+  if (currentTick) return currentTick;
+
+  currentTick = runDueSchedules()
+    .catch((error) => {
+      logger.error("Report scheduler tick failed:", error);
+      return [];
+    })
+    .finally(() => {
+      currentTick = null;
+    });
+  return currentTick;
+};
+
+/**
+ * Start checking for due schedules (runs overdue ones immediately)
+ *
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - Check interval
+ */
+export const startReportScheduler = ({
+  intervalMs = DEFAULT_INTERVAL_MS,
+} = {}) => {
+  if (timer) return;
+
+  timer = setInterval(tick, intervalMs);
+  // Do not keep the process alive just for the scheduler
+  timer.unref();
+  tick();
+
+  logger.info(`Report scheduler started (every ${intervalMs / 1000}s)`);
+};
+
+/**
+ * Stop the scheduler, waiting for a tick in progress to finish
+ */
+export const stopReportScheduler = async () => {
+  if (!timer) return;
+
+  clearInterval(timer);
+  timer = null;
+  await currentTick;
+
+  logger.info("Report scheduler stopped");
+};
+
+export default {
+  getNextRunAt,
+  getReportPeriod,
+  formatPeriod,
+  executeScheduleRun,
+  runDueSchedules,
+  startReportScheduler,
+  stopReportScheduler,
+};
@@ -0,0 +1,187 @@
+/**
+ * =============================================================================
+ * Epsilon - Risk Scoring Service
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * Compliance score answers "how on-brand is this design?". Risk scores answer
+ * "what could this cost us?" along three axes stakeholders ask about:
+ * - brandRisk:         dilution of the visual identity (colors, fonts, logo)
+ * - accessibilityRisk: designs some people cannot read
+ * - legalRisk:         exposure from accessibility law, trademark misuse, claims
+ *
+ * RISK MODEL:
+ * Every violation is worth points by severity. Its type decides which risks
+ * receive those points and in what share (an accessibility violation counts
+ * fully towards accessibility risk and half towards legal risk). Brand kits
+ * add risk tags on top - e.g. a "trademark" tag routing logo violations to
+ * legal risk. Each risk is the sum of its points, capped at 100.
+ *
+ * Every point is kept as a risk factor naming the violation behind it, so a
+ * score can always be explained.
+ */
+
+// ---------------------------------------------------------------------------
+// CONFIGURATION
+// ---------------------------------------------------------------------------
+
+export const RISK_TYPES = ["brand", "accessibility", "legal"];
+
+/**
+ * Points per violation and the share of them each risk receives, by
+ * violation type
+ */
+export const DEFAULT_RISK_MODEL = {
+  severityPoints: {
+    critical: 25,
+    high: 15,
+    medium: 8,
+    low: 3,
+  },
+  typeExposure: {
+    color: { brand: 1 },
+    font: { brand: 1 },
+    typography: { brand: 1 },
+    logo: { brand: 1, legal: 0.3 },
+    accessibility: { accessibility: 1, legal: 0.5 },
+    tone: { brand: 0.5, legal: 0.3 },
+    layout: { brand: 0.5 },
+    spacing: { brand: 0.5 },
+    other: { brand: 0.3 },
+  },
+};
+
+const MAX_RISK = 100;
+
+const roundPoints = (points) => Math.round(points * 10) / 10;
+
+// ---------------------------------------------------------------------------
+// RISK TAGS
+// ---------------------------------------------------------------------------
+
+/**
+ * Plain-object risk tags of a brand kit
+ */
+const getRiskTags = (brandKit) =>
+  (brandKit?.riskTags || []).map((tag) =>
+    typeof tag.toObject === "function" ? tag.toObject() : tag
+  );
+
+/**
+ * Lower-cased text a violation is about: its description and what it names
+ * (a word, hex color or font - not the whole text node it was found in)
+ */
+const getViolationText = (violation) => {
+  const affected = violation.affectedElement;
+  const named = [].concat(
+    affected && typeof affected === "object" && !Array.isArray(affected)
+      ? [affected.color, affected.font]
+      : affected
+  );
+  return [violation.description, ...named]
+    .filter((value) => typeof value === "string")
+    .join(" ")
+    .toLowerCase();
+};
+
+/**
+ * Check whether a brand kit risk tag applies to a violation
+ * Any listed type, rule id or term is enough
+ *
+ * @param {Object} tag - BrandKit.riskTags entry
+ * @param {Object} violation - Violation
+ * @returns {boolean} True if the tag applies
+ */
+export const matchesRiskTag = (tag, violation) => {
+  if ((tag.types || []).includes(violation.type)) return true;
+  if (violation.ruleId && (tag.ruleIds || []).includes(violation.ruleId)) {
+    return true;
+  }
+
+  const terms = (tag.terms || []).filter(Boolean);
+  if (terms.length === 0) return false;
+  const text = getViolationText(violation);
+  return terms.some((term) => text.includes(term.toLowerCase()));
+};
+
+// ---------------------------------------------------------------------------
+// RISK SCORING
+// ---------------------------------------------------------------------------
+
+/**
+ * Score brand, accessibility and legal risk for a set of violations
+ *
+ * @param {Array} violations - Analysis violations (resolved ones are skipped)
+ * @param {Object} brandKit - Brand kit (for riskTags)
+ * @param {Object} [model] - Risk model (defaults to DEFAULT_RISK_MODEL)
+ * @returns {Object} { riskScores: { brandRisk, accessibilityRisk, legalRisk },
+ *                     riskFactors: [{ risk, points, violationId, violationIndex,
+ *                                     type, severity, ruleId, description, tag }] }
+ */
+export const scoreRisks = (
+  violations,
+  brandKit,
+  model = DEFAULT_RISK_MODEL
+) => {
+  const riskTags = getRiskTags(brandKit);
+  const riskFactors = [];
+
+  (violations || []).forEach((violation, violationIndex) => {
+    if (!violation || violation.resolved) return;
+
+    const points =
+      model.severityPoints[violation.severity] ?? model.severityPoints.medium;
+    const factor = (risk, share, tag = null) => ({
+      risk,
+      points: roundPoints(points * share),
+      violationId: violation._id ? String(violation._id) : null,
+      violationIndex,
+      type: violation.type,
+      severity: violation.severity,
+      ruleId: violation.ruleId || null,
+      description: violation.description,
+      tag,
+    });
+
+    const exposure =
+      model.typeExposure[violation.type] || model.typeExposure.other;
+    Object.entries(exposure).forEach(([risk, share]) => {
+      riskFactors.push(factor(risk, share));
+    });
+
+    riskTags
+      .filter((tag) => matchesRiskTag(tag, violation))
+      .forEach((tag) => {
+        riskFactors.push(factor(tag.risk, tag.weight ?? 1, tag.name));
+      });
+  });
+
+  const totals = Object.fromEntries(RISK_TYPES.map((risk) => [risk, 0]));
+  riskFactors.forEach((f) => {
+    totals[f.risk] += f.points;
+  });
+  const capped = (risk) => Math.min(MAX_RISK, Math.round(totals[risk]));
+
+  return {
+    riskScores: {
+      brandRisk: capped("brand"),
+      accessibilityRisk: capped("accessibility"),
+      legalRisk: capped("legal"),
+    },
+    // Biggest contributors first within each risk
+    riskFactors: riskFactors
+      .filter((f) => f.points > 0)
+      .sort(
+        (a, b) =>
+          RISK_TYPES.indexOf(a.risk) - RISK_TYPES.indexOf(b.risk) ||
+          b.points - a.points
+      ),
+  };
+};
+
+export default {
+  RISK_TYPES,
+  DEFAULT_RISK_MODEL,
+  matchesRiskTag,
+  scoreRisks,
+};
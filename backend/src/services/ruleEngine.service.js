@@ -0,0 +1,545 @@
+/**
+ * =============================================================================
+ * Epsilon - Rule Engine Service
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * Every compliance check is a rule in one registry instead of a fixed call
+ * sequence in the analysis controller. A rule declares:
+ * - id:            Unique rule id (e.g. "color.palette")
+ * - category:      Score category the rule contributes to
+ * - defaultWeight: Share of the overall score when the brand kit sets none
+ * - severityMap:   Default severity remapping ({ medium: "high" })
+ * - appliesTo:     Optional (brandKit) => boolean; rules a kit gives nothing
+ *                  to check are left out instead of scoring 100
+ * - run:           (designInput, brandKit) => { violations }
+ *
+ * Brand kits configure the rule set through BrandKit.rules
+ * ([{ ruleId, enabled, weight, severityMap }]). Rules without an entry run
+ * with their defaults. A category weight in BrandKit.scoringPolicy replaces
+ * the combined weight of that category's rules. Weights of the enabled rules
+ * are normalized to sum to 1.
+ *
+ * Rule scores are not taken from the checks - scoring.service.js derives them
+ * from the violations using the kit's scoring policy.
+ *
+ * HYBRID MODE:
+ * The rules are authoritative for everything measurable. Gemini only adds
+ * judgement calls (JUDGEMENT_TYPES) and explanations; mergeAIJudgements()
+ * de-duplicates its findings against the measured ones. Every violation
+ * records the engine that produced it in `source` ("rules" or "ai").
+ *
+ * ADDING A RULE:
+ * Call registerRule() with the definition above. The rule is picked up by
+ * every analysis (modular and Gemini) without touching the controller.
+ */
+
+import colorCheckService from "./colorCheck.service.js";
+import colorPairingService from "./colorPairing.service.js";
+import fontCheckService from "./fontCheck.service.js";
+import logoCheckService from "./logoCheck.service.js";
+import accessibilityService from "./accessibility.service.js";
+import toneCheckService from "./toneCheck.service.js";
+import scoringService from "./scoring.service.js";
+import { logger } from "../utils/logger.js";
+
+// ---------------------------------------------------------------------------
+// CONFIGURATION
+// ---------------------------------------------------------------------------
+
+/**
+ * Categories a rule can report into (AnalysisResult.categoryScores)
+ */
+export const RULE_CATEGORIES = [
+  "color",
+  "typography",
+  "logo",
+  "accessibility",
+  "tone",
+];
+
+const SEVERITIES = ["critical", "high", "medium", "low"];
+
+/**
+ * Violation types Gemini may report in hybrid mode (judgement calls)
+ */
+export const JUDGEMENT_TYPES = ["tone", "layout", "logo"];
+
+// Registered rules, keyed by id (insertion order = execution order)
+const registry = new Map();
+
+// ---------------------------------------------------------------------------
+// REGISTRY
+// ---------------------------------------------------------------------------
+
+/**
+ * Register a compliance rule
+ *
+ * @param {Object} rule - { id, category, defaultWeight, severityMap?, description?, appliesTo?, run }
+ * @returns {Object} The registered rule
+ */
+export const registerRule = (rule) => {
+  if (!rule?.id || typeof rule.run !== "function") {
+    throw new Error("A rule needs an id and a run function");
+  }
+  if (!RULE_CATEGORIES.includes(rule.category)) {
+    throw new Error(
+      `Rule "${rule.id}" has unknown category "${rule.category}"`
+    );
+  }
+  if (registry.has(rule.id)) {
+    logger.warn(`Rule "${rule.id}" is already registered - replacing it`);
+  }
+
+  const registered = {
+    description: "",
+    severityMap: {},
+    ...rule,
+    defaultWeight: Math.max(0, rule.defaultWeight ?? 0),
+  };
+  registry.set(rule.id, registered);
+  return registered;
+};
+
+/**
+ * Get a registered rule by id
+ *
+ * @param {string} ruleId - Rule id
+ * @returns {Object|null} Rule definition or null
+ */
+export const getRule = (ruleId) => registry.get(ruleId) || null;
+
+/**
+ * List registered rules (without their functions)
+ *
+ * @returns {Array} [{ id, category, defaultWeight, severityMap, description }]
+ */
+export const listRules = () =>
+  [...registry.values()].map(({ run, appliesTo, ...definition }) => definition);
+
+// ---------------------------------------------------------------------------
+// RULE SET RESOLUTION
+// ---------------------------------------------------------------------------
+
+/**
+ * Convert a stored severity map (Mongoose Map or plain object) to an object
+ */
+const toPlainMap = (map) => {
+  if (!map) return {};
+  if (map instanceof Map) return Object.fromEntries(map);
+  return { ...map };
+};
+
+// Keep stored weights readable (0.2083 rather than 0.20833333333333334)
+const roundWeight = (weight) => Math.round(weight * 10000) / 10000;
+
+/**
+ * Resolve the rules to run for a brand kit
+ * Applies the kit's enable/disable flags, weights and severity overrides,
+ * drops rules that do not apply to the kit, then the scoring policy's
+ * category weights, then normalizes weights of the enabled rules to sum to 1
+ *
+ * @param {Object} brandKit - Brand kit (document or plain object)
+ * @returns {Array} [{ rule, weight, severityMap }] in registry order
+ */
+export const resolveRuleSet = (brandKit) => {
+  const configs = new Map(
+    (brandKit?.rules || []).map((config) => [config.ruleId, config])
+  );
+
+  const ruleSet = [...registry.values()]
+    .map((rule) => {
+      const config = configs.get(rule.id) || {};
+      return {
+        rule,
+        enabled: config.enabled !== false,
+        weight: config.weight ?? rule.defaultWeight,
+        severityMap: {
+          ...rule.severityMap,
+          ...toPlainMap(config.severityMap),
+        },
+      };
+    })
+    .filter((entry) => entry.enabled && entry.weight > 0)
+    .filter((entry) => !entry.rule.appliesTo || entry.rule.appliesTo(brandKit));
+
+  // Policy category weights are split across the category's rules
+  const { categoryWeights } = scoringService.resolveScoringPolicy(brandKit);
+  Object.entries(categoryWeights).forEach(([category, categoryWeight]) => {
+    const entries = ruleSet.filter((e) => e.rule.category === category);
+    const ruleTotal = entries.reduce((sum, e) => sum + e.weight, 0);
+    entries.forEach((e) => {
+      e.weight = ruleTotal > 0 ? (categoryWeight * e.weight) / ruleTotal : 0;
+    });
+  });
+
+  const totalWeight = ruleSet.reduce((sum, entry) => sum + entry.weight, 0);
+
+  return ruleSet.map(({ rule, weight, severityMap }) => ({
+    rule,
+    weight: totalWeight > 0 ? roundWeight(weight / totalWeight) : 0,
+    severityMap,
+  }));
+};
+
+/**
+ * Get the overall-score weight of each category for a resolved rule set
+ *
+ * @param {Array} ruleSet - Result of resolveRuleSet()
+ * @returns {Object} { color: 0.3, ... } (only categories with enabled rules)
+ */
+export const getCategoryWeights = (ruleSet) => {
+  return ruleSet.reduce((weights, { rule, weight }) => {
+    weights[rule.category] = (weights[rule.category] || 0) + weight;
+    return weights;
+  }, {});
+};
+
+// ---------------------------------------------------------------------------
+// EXECUTION
+// ---------------------------------------------------------------------------
+
+/**
+ * Bring a check's violation into the common shape
+ *
+ * @param {Object} violation - Violation from a check service or Gemini
+ * @param {Object} entry - Resolved rule set entry ({ rule, severityMap })
+ * @returns {Object} Normalized violation
+ */
+export const normalizeViolation = (violation, { rule, severityMap }) => {
+  const severity = SEVERITIES.includes(violation.severity)
+    ? violation.severity
+    : "medium";
+  const mapped = severityMap?.[severity];
+
+  return {
+    ruleId: violation.ruleId || rule.id,
+    type: violation.type || rule.category,
+    severity: SEVERITIES.includes(mapped) ? mapped : severity,
+    description: violation.description || "Violation detected",
+    affectedElement: violation.affectedElement ?? null,
+    suggestedFix: violation.suggestedFix ?? null,
+    autoFixable: violation.autoFixable ?? false,
+    elementIds: violation.elementIds || [],
+    details: violation.details ?? null,
+    source: violation.source || "rules",
+  };
+};
+
+/**
+ * Run a brand kit's rule set against one analysis input
+ *
+ * @param {Object} brandKit - Brand kit document
+ * @param {Object} designInput - Design document or artboard analysis input
+ * @returns {Promise<Object>} { complianceScore, categoryScores, ruleResults, violations }
+ */
+export const runRules = async (brandKit, designInput) => {
+  const ruleSet = resolveRuleSet(brandKit);
+  const policy = scoringService.resolveScoringPolicy(brandKit);
+  const ruleResults = [];
+  const violations = [];
+
+  // Sequential on purpose - some rules call Gemini
+  for (const entry of ruleSet) {
+    const { rule, weight } = entry;
+    const result = await rule.run(designInput, brandKit);
+    const ruleViolations = (result.violations || [])
+      .filter((v) => v && typeof v === "object")
+      .map((v) => normalizeViolation({ ...v, source: "rules" }, entry));
+
+    ruleResults.push({ ruleId: rule.id, category: rule.category, weight });
+    violations.push(...ruleViolations);
+  }
+
+  return scoringService.scoreRuleResults(ruleResults, violations, policy);
+};
+
+/**
+ * Apply a brand kit's rule set to a Gemini analysis
+ * Gemini reports violations for the five built-in categories; this drops
+ * disabled categories, normalizes violations to the common shape and scores
+ * them with the kit's scoring policy (Gemini's own scores are not used)
+ *
+ * @param {Object} brandKit - Brand kit document
+ * @param {Object} aiResult - Gemini result
+ * @returns {Object} { complianceScore, categoryScores, ruleResults, violations, appliedCaps }
+ */
+export const applyRuleSetToAIResult = (brandKit, aiResult) => {
+  const ruleSet = resolveRuleSet(brandKit);
+  const policy = scoringService.resolveScoringPolicy(brandKit);
+  const aiViolations = (aiResult?.violations || []).filter(
+    (v) => v && typeof v === "object"
+  );
+
+  const categoryOf = (violation) =>
+    violation.type === "font" ? "typography" : violation.type;
+
+  const violations = [];
+  const ruleResults = ruleSet.map((entry) => {
+    const { rule, weight } = entry;
+    // Category-level AI output is attributed to the category's first rule
+    const isFirstInCategory =
+      ruleSet.find((e) => e.rule.category === rule.category) === entry;
+    const ruleViolations = isFirstInCategory
+      ? aiViolations
+          .filter((v) => categoryOf(v) === rule.category)
+          .map((v) => normalizeViolation({ ...v, source: "ai" }, entry))
+      : [];
+    violations.push(...ruleViolations);
+
+    return { ruleId: rule.id, category: rule.category, weight };
+  });
+
+  // Violations Gemini could not place in a category are kept as-is
+  aiViolations
+    .filter((v) => !RULE_CATEGORIES.includes(categoryOf(v)))
+    .forEach((v) =>
+      violations.push(
+        normalizeViolation(
+          { ...v, source: "ai" },
+          { rule: { id: null, category: "other" } }
+        )
+      )
+    );
+
+  return scoringService.scoreRuleResults(ruleResults, violations, policy);
+};
+
+/**
+ * Lower-cased terms a violation is about, for de-duplication
+ * ("cheap", ["cheap", "free"], { text: "Buy now..." } ...)
+ */
+const getAffectedTerms = (violation) => {
+  const affected = violation.affectedElement;
+  const values = Array.isArray(affected)
+    ? affected
+    : [
+        typeof affected === "object" && affected !== null
+          ? affected.text || affected.color || affected.font || null
+          : affected,
+      ];
+  return values
+    .filter((value) => typeof value === "string" && value.trim())
+    .map((value) =>
+      value
+        .replace(/\.\.\.$/, "")
+        .trim()
+        .toLowerCase()
+    );
+};
+
+/**
+ * Check whether an AI finding repeats a measured one
+ * Same category and an overlapping affected term
+ */
+const isDuplicateFinding = (aiViolation, measuredViolations) => {
+  const category = (v) => (v.type === "font" ? "typography" : v.type);
+  const aiTerms = getAffectedTerms(aiViolation);
+
+  return measuredViolations.some((measured) => {
+    if (category(measured) !== category(aiViolation)) return false;
+    // Same category without comparable terms - the measured finding wins
+    const measuredTerms = getAffectedTerms(measured);
+    if (aiTerms.length === 0 || measuredTerms.length === 0) {
+      return measured.description === aiViolation.description;
+    }
+    return aiTerms.some((a) =>
+      measuredTerms.some((m) => a.includes(m) || m.includes(a))
+    );
+  });
+};
+
+/**
+ * Merge Gemini's judgement calls into a rule set result (hybrid mode)
+ * Measured violations stay authoritative; AI violations outside
+ * JUDGEMENT_TYPES or repeating a measured finding are dropped
+ *
+ * @param {Object} brandKit - Brand kit document
+ * @param {Object} ruleSetResult - Result of runRules()
+ * @param {Object} judgement - Result of geminiService.runJudgementAnalysis()
+ * @returns {Object} Re-scored result with merged violations
+ */
+export const mergeAIJudgements = (brandKit, ruleSetResult, judgement) => {
+  const ruleSet = resolveRuleSet(brandKit);
+  const policy = scoringService.resolveScoringPolicy(brandKit);
+
+  // Explanations refer to measured violations by index
+  const explanations = new Map(
+    (judgement?.explanations || [])
+      .filter((e) => e && Number.isInteger(e.index) && e.explanation)
+      .map((e) => [e.index, String(e.explanation)])
+  );
+  const measured = ruleSetResult.violations.map((violation, index) => ({
+    ...violation,
+    explanation: explanations.get(index) || null,
+  }));
+
+  const judgements = (judgement?.violations || [])
+    .filter((v) => v && typeof v === "object")
+    .filter((v) => JUDGEMENT_TYPES.includes(v.type))
+    .filter((v) => !isDuplicateFinding(v, measured))
+    .map((v) => {
+      // Attribute to the category's rule so the policy scores it;
+      // a disabled category drops the finding
+      const entry = ruleSet.find((e) => e.rule.category === v.type);
+      if (!entry && RULE_CATEGORIES.includes(v.type)) return null;
+      return normalizeViolation(
+        { ...v, source: "ai" },
+        entry || { rule: { id: null, category: v.type } }
+      );
+    })
+    .filter(Boolean);
+
+  return scoringService.scoreRuleResults(
+    ruleSetResult.ruleResults,
+    [...measured, ...judgements],
+    policy
+  );
+};
+
+// ---------------------------------------------------------------------------
+// BUILT-IN RULES
+// ---------------------------------------------------------------------------
+
+registerRule({
+  id: "color.palette",
+  category: "color",
+  defaultWeight: 0.3,
+  description:
+    "Rendered colors and gradients must match the brand palette and the roles they are approved for",
+  run: (designInput, brandKit) => {
+    const options = { metric: brandKit.colorMetric };
+    const usages = designInput.colorUsages || [];
+    const gradients = colorCheckService.checkGradients(
+      usages,
+      brandKit.gradients,
+      options
+    );
+    // Approved gradients may use colors outside the palette
+    const checkedUsages = usages.filter(
+      (usage) => !gradients.approvedUsages.includes(usage)
+    );
+
+    // Rendered colors when the Add-on sent per-element color usages
+    const palette = colorCheckService.checkAllColors(
+      usages.length > 0
+        ? colorCheckService.getRenderedColors(checkedUsages)
+        : designInput.colorsUsed,
+      brandKit.colors,
+      options
+    );
+    const roles = colorCheckService.checkColorRoles(
+      checkedUsages,
+      brandKit.colors,
+      options
+    );
+    return {
+      ...palette,
+      violations: [
+        ...palette.violations,
+        ...gradients.violations,
+        ...roles.violations,
+      ],
+    };
+  },
+});
+
+registerRule({
+  id: "color.proportion",
+  category: "color",
+  defaultWeight: 0.1,
+  description: "Brand colors must cover the share of the canvas the kit allows",
+  appliesTo: (brandKit) =>
+    (brandKit?.colors || []).some(
+      (c) => c.minCoverage != null || c.maxCoverage != null
+    ),
+  run: (designInput, brandKit) =>
+    colorCheckService.checkColorProportions(
+      designInput.colorUsages,
+      brandKit.colors,
+      { metric: brandKit.colorMetric }
+    ),
+});
+
+registerRule({
+  id: "color.pairing",
+  category: "color",
+  defaultWeight: 0.1,
+  description:
+    "Colors that touch on the canvas must follow the kit's forbidden and required pairings",
+  appliesTo: (brandKit) => (brandKit?.colorPairings || []).length > 0,
+  run: (designInput, brandKit) =>
+    colorPairingService.checkColorPairings(
+      designInput.elements,
+      designInput.colorUsages,
+      brandKit
+    ),
+});
+
+registerRule({
+  id: "typography.fonts",
+  category: "typography",
+  defaultWeight: 0.25,
+  description: "Text must use approved brand fonts",
+  run: (designInput, brandKit) => {
+    // Per styled text run when the Add-on sent runs, so a single off-brand
+    // word inside a text node is caught
+    const hasTextRuns = (designInput.textContent || []).some(
+      (text) => text.runs?.length > 0
+    );
+    return hasTextRuns && brandKit.fonts?.length > 0
+      ? fontCheckService.checkTextContentFonts(
+          designInput.textContent,
+          brandKit.fonts
+        )
+      : fontCheckService.checkAllFonts(designInput.fontsUsed, brandKit.fonts);
+  },
+});
+
+registerRule({
+  id: "logo.usage",
+  category: "logo",
+  defaultWeight: 0.2,
+  description: "Logos must meet size and aspect ratio rules",
+  appliesTo: (brandKit) => logoCheckService.hasLogoRules(brandKit?.logoRules),
+  run: (designInput, brandKit) =>
+    logoCheckService.checkAllLogos(designInput.images, brandKit.logoRules),
+});
+
+registerRule({
+  id: "accessibility.wcag",
+  category: "accessibility",
+  defaultWeight: 0.15,
+  description: "Text contrast, text size and image alt text (WCAG)",
+  run: (designInput, brandKit) =>
+    accessibilityService.checkDesignAccessibility(
+      designInput,
+      brandKit.accessibilityRules
+    ),
+});
+
+registerRule({
+  id: "tone.voice",
+  category: "tone",
+  defaultWeight: 0.1,
+  description: "Copy must match the brand voice and avoid banned words",
+  run: (designInput, brandKit) => {
+    const allText = designInput.textContent?.map((t) => t.text).join(" ") || "";
+    return toneCheckService.checkToneCompliance(allText, brandKit.toneRules);
+  },
+});
+
+// Export service object
+export default {
+  RULE_CATEGORIES,
+  registerRule,
+  getRule,
+  listRules,
+  resolveRuleSet,
+  getCategoryWeights,
+  normalizeViolation,
+  runRules,
+  applyRuleSetToAIResult,
+  mergeAIJudgements,
+  JUDGEMENT_TYPES,
+};
@@ -0,0 +1,368 @@
+/**
+ * =============================================================================
+ * Epsilon - Scoring Service
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * This service turns check results into scores and summaries. It is shared by
+ * the modular and Gemini analysis paths so both are scored the same way:
+ * - Scoring policy resolution (BrandKit.scoringPolicy over the defaults)
+ * - Rule scores from violation severity penalties
+ * - Score caps ("any critical violation caps the score at N")
+ * - Score labels and summaries from the policy's thresholds
+ * - Page roll-up: per-artboard results into one document result
+ *
+ * RULE SCORE:
+ * Every rule starts at 100 and loses the policy's penalty for each violation
+ * it reports (floored at 0). Check services and Gemini only decide which
+ * violations exist and how severe they are - never the score itself.
+ *
+ * DOCUMENT SCORE:
+ * A multi-page design scores the mean of its page scores. Category scores and
+ * rule results are averaged the same way, and violations keep the page
+ * they were found on. Weights come from the brand kit's rule set
+ * (ruleEngine.service.js).
+ */
+
+// ---------------------------------------------------------------------------
+// CONFIGURATION
+// ---------------------------------------------------------------------------
+
+/**
+ * Scoring policy used when a brand kit does not override a value
+ * Label thresholds are minimum scores; pages below "good" need attention
+ */
+export const DEFAULT_SCORING_POLICY = {
+  categoryWeights: {},
+  severityPenalties: {
+    critical: 40,
+    high: 25,
+    medium: 10,
+    low: 5,
+  },
+  labelThresholds: {
+    excellent: 90,
+    good: 70,
+    needsWork: 50,
+  },
+  scoreCaps: [],
+};
+
+/**
+ * Convert a Mongoose subdocument/Map (or plain value) to a plain object
+ * Unset (null/undefined) fields are dropped so they don't mask defaults
+ */
+const toPlain = (value) => {
+  if (!value) return {};
+  let plain = value;
+  if (value instanceof Map) plain = Object.fromEntries(value);
+  else if (typeof value.toObject === "function") plain = value.toObject();
+  return Object.fromEntries(
+    Object.entries(plain).filter(([, v]) => v !== null && v !== undefined)
+  );
+};
+
+// ---------------------------------------------------------------------------
+// SCORING SERVICE
+// ---------------------------------------------------------------------------
+
+/**
+ * Resolve a brand kit's scoring policy over the defaults
+ *
+ * @param {Object} brandKit - Brand kit (document or plain object)
+ * @returns {Object} Complete policy { categoryWeights, severityPenalties, labelThresholds, scoreCaps }
+ */
+export const resolveScoringPolicy = (brandKit) => {
+  const policy = toPlain(brandKit?.scoringPolicy);
+
+  return {
+    categoryWeights: {
+      ...DEFAULT_SCORING_POLICY.categoryWeights,
+      ...toPlain(policy.categoryWeights),
+    },
+    severityPenalties: {
+      ...DEFAULT_SCORING_POLICY.severityPenalties,
+      ...toPlain(policy.severityPenalties),
+    },
+    labelThresholds: {
+      ...DEFAULT_SCORING_POLICY.labelThresholds,
+      ...toPlain(policy.labelThresholds),
+    },
+    scoreCaps: (policy.scoreCaps || DEFAULT_SCORING_POLICY.scoreCaps).map(
+      (cap) => ({ category: null, ...toPlain(cap) })
+    ),
+  };
+};
+
+/**
+ * Score a set of violations: 100 minus the policy penalty for each one
+ *
+ * @param {Array} violations - Violations reported by one rule
+ * @param {Object} policy - Resolved scoring policy
+ * @returns {number} Score (0-100)
+ */
+export const scoreViolations = (violations, policy) => {
+  const penalty = (violations || []).reduce(
+    (sum, v) =>
+      sum +
+      (policy.severityPenalties[v.severity] ?? policy.severityPenalties.medium),
+    0
+  );
+  return Math.max(0, Math.round(100 - penalty));
+};
+
+/**
+ * Apply the policy's score caps
+ *
+ * @param {number} score - Uncapped score
+ * @param {Array} violations - Violations behind the score
+ * @param {Object} policy - Resolved scoring policy
+ * @returns {Object} { score, appliedCaps }
+ */
+export const applyScoreCaps = (score, violations, policy) => {
+  const categoryOf = (v) => (v.type === "font" ? "typography" : v.type);
+
+  const appliedCaps = policy.scoreCaps.filter((cap) =>
+    (violations || []).some(
+      (v) =>
+        v.severity === cap.severity &&
+        (!cap.category || categoryOf(v) === cap.category)
+    )
+  );
+
+  const capped = appliedCaps.reduce(
+    (result, cap) => Math.min(result, cap.maxScore),
+    score
+  );
+
+  return { score: capped, appliedCaps: capped < score ? appliedCaps : [] };
+};
+
+/**
+ * Combine per-rule results into per-category scores
+ *
+ * @param {Array} ruleResults - [{ ruleId, category, score, weight, violations }]
+ * @returns {Array} [{ category, score, weight, violations }]
+ */
+export const toCategoryScores = (ruleResults) => {
+  const byCategory = new Map();
+
+  ruleResults.forEach((result) => {
+    const entry = byCategory.get(result.category) || {
+      category: result.category,
+      weightedScore: 0,
+      weight: 0,
+      violations: 0,
+    };
+    entry.weightedScore += result.score * result.weight;
+    entry.weight += result.weight;
+    entry.violations += result.violations;
+    byCategory.set(result.category, entry);
+  });
+
+  return [...byCategory.values()].map((entry) => ({
+    category: entry.category,
+    score: Math.round(
+      entry.weight > 0 ? entry.weightedScore / entry.weight : 100
+    ),
+    weight: Math.round(entry.weight * 10000) / 10000,
+    violations: entry.violations,
+  }));
+};
+
+/**
+ * Score a rule set run with a scoring policy
+ * Used by both analysis paths, so Gemini and modular results are comparable
+ *
+ * @param {Array} ruleResults - [{ ruleId, category, weight }] (weights sum to 1)
+ * @param {Array} violations - Normalized violations carrying ruleId
+ * @param {Object} policy - Resolved scoring policy
+ * @returns {Object} { complianceScore, categoryScores, ruleResults, violations, appliedCaps }
+ */
+export const scoreRuleResults = (ruleResults, violations, policy) => {
+  const scoredRules = ruleResults.map((result) => {
+    const ruleViolations = violations.filter((v) => v.ruleId === result.ruleId);
+    return {
+      ...result,
+      score: scoreViolations(ruleViolations, policy),
+      violations: ruleViolations.length,
+    };
+  });
+
+  const weightedScore = Math.round(
+    scoredRules.length > 0
+      ? scoredRules.reduce((sum, r) => sum + r.score * r.weight, 0)
+      : 100
+  );
+  const { score, appliedCaps } = applyScoreCaps(
+    weightedScore,
+    violations,
+    policy
+  );
+
+  return {
+    complianceScore: score,
+    categoryScores: toCategoryScores(scoredRules),
+    ruleResults: scoredRules,
+    violations,
+    appliedCaps,
+  };
+};
+
+/**
+ * Map a score to its label using the policy's thresholds
+ *
+ * @param {number} score - Compliance score (0-100)
+ * @param {Object} [thresholds] - { excellent, good, needsWork }
+ * @returns {string} "excellent" | "good" | "needs_work" | "poor"
+ */
+export const getScoreLabel = (
+  score,
+  thresholds = DEFAULT_SCORING_POLICY.labelThresholds
+) => {
+  if (score >= thresholds.excellent) return "excellent";
+  if (score >= thresholds.good) return "good";
+  if (score >= thresholds.needsWork) return "needs_work";
+  return "poor";
+};
+
+/**
+ * Get a human-readable summary for a compliance score
+ *
+ * @param {number} score - Compliance score (0-100)
+ * @param {Object} [thresholds] - { excellent, good, needsWork }
+ * @returns {string} Summary sentence
+ */
+export const getScoreSummary = (score, thresholds) => {
+  switch (getScoreLabel(score, thresholds)) {
+    case "excellent":
+      return "Excellent brand compliance. The design follows brand guidelines with minimal deviations.";
+    case "good":
+      return "Good brand compliance with some minor issues to address.";
+    case "needs_work":
+      return "Design needs attention. Multiple brand guideline violations detected.";
+    default:
+      return "Significant brand compliance issues found. Major revisions recommended.";
+  }
+};
+
+/**
+ * Average category scores (or rule results) across several results
+ *
+ * @param {Array<Array>} scoreLists - One list per page
+ * @param {string} [key="category"] - Field identifying an entry ("ruleId" for rule results)
+ * @returns {Array} Averaged entries (violations are summed)
+ */
+export const averageCategoryScores = (scoreLists, key = "category") => {
+  const byKey = new Map();
+
+  scoreLists.forEach((list) => {
+    (list || []).forEach((entry) => {
+      const total = byKey.get(entry[key]) || {
+        ...entry,
+        total: 0,
+        count: 0,
+        violations: 0,
+      };
+      total.total += entry.score;
+      total.count += 1;
+      total.violations += entry.violations || 0;
+      byKey.set(entry[key], total);
+    });
+  });
+
+  return [...byKey.values()].map(({ total, count, ...entry }) => ({
+    ...entry,
+    score: Math.round(total / count),
+  }));
+};
+
+/**
+ * Roll per-page analysis results up into one document result
+ *
+ * @param {Array} pageAnalyses - [{ page: { pageId, pageName, ... }, result }]
+ *        where result has complianceScore, categoryScores (array), violations
+ * @param {Object} [policy] - Resolved scoring policy (caps and thresholds)
+ * @returns {Object} Document-level analysis result with pageResults
+ */
+export const rollUpPageResults = (
+  pageAnalyses,
+  policy = DEFAULT_SCORING_POLICY
+) => {
+  const pageResults = pageAnalyses.map(({ page, result }) => ({
+    pageId: page.pageId,
+    pageIndex: page.pageIndex,
+    pageName: page.pageName,
+    artboardId: page.artboardId,
+    artboardIndex: page.artboardIndex,
+    backgroundColor: page.backgroundColor,
+    complianceScore: Math.round(result.complianceScore || 0),
+    categoryScores: result.categoryScores,
+    violationsCount: result.violations.length,
+    summary: result.summary,
+  }));
+
+  const meanScore = pageResults.length
+    ? Math.round(
+        pageResults.reduce((sum, p) => sum + p.complianceScore, 0) /
+          pageResults.length
+      )
+    : 0;
+
+  // A capped page must also cap the document
+  const violations = pageAnalyses.flatMap(({ result }) => result.violations);
+  const { score: complianceScore, appliedCaps } = applyScoreCaps(
+    meanScore,
+    violations,
+    policy
+  );
+
+  const failingPages = pageResults.filter(
+    (p) => p.complianceScore < policy.labelThresholds.good
+  );
+
+  let summary = getScoreSummary(complianceScore, policy.labelThresholds);
+  if (pageResults.length > 1 && failingPages.length > 0) {
+    summary += ` ${failingPages.length} of ${
+      pageResults.length
+    } pages need attention: ${failingPages
+      .map((p) => p.pageName || `Page ${p.pageIndex + 1}`)
+      .join(", ")}.`;
+  }
+
+  const positives = [
+    ...new Set(pageAnalyses.flatMap(({ result }) => result.positives || [])),
+  ];
+
+  return {
+    complianceScore,
+    summary,
+    categoryScores: averageCategoryScores(
+      pageAnalyses.map(({ result }) => result.categoryScores)
+    ),
+    ruleResults: averageCategoryScores(
+      pageAnalyses.map(({ result }) => result.ruleResults),
+      "ruleId"
+    ),
+    violations,
+    appliedCaps,
+    positives,
+    designType: pageAnalyses[0]?.result.designType,
+    usedAI: pageAnalyses.some(({ result }) => result.usedAI),
+    pageResults,
+  };
+};
+
+// Export service object
+export default {
+  DEFAULT_SCORING_POLICY,
+  resolveScoringPolicy,
+  scoreViolations,
+  applyScoreCaps,
+  toCategoryScores,
+  scoreRuleResults,
+  getScoreLabel,
+  getScoreSummary,
+  averageCategoryScores,
+  rollUpPageResults,
+};
@@ -0,0 +1,423 @@
+/**
+ * =============================================================================
+ * Epsilon - Tabular Export Service
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * Brand ops work in spreadsheets, so analysis history, violations and report
+ * contents can be exported as CSV or XLSX (utils/tabularWriter.js). This
+ * service owns the columns of each table; controllers only choose the rows
+ * and the format.
+ *
+ * Rows are read from async iterables (Mongoose cursors) and written one at a
+ * time, so an export over a long date range never holds every analysis in
+ * memory.
+ *
+ * TABLES:
+ * - analyses:   one row per analysis (scores, counts by severity, risks)
+ * - violations: one row per violation, with its analysis, design and brand kit
+ * - designs:    a report's per-design breakdown (report exports only)
+ */
+
+import { getRule } from "./ruleEngine.service.js";
+
+// ---------------------------------------------------------------------------
+// HELPERS
+// ---------------------------------------------------------------------------
+
+const SEVERITIES = ["critical", "high", "medium", "low"];
+
+const idOf = (value) => (value?._id ?? value ?? null)?.toString() ?? null;
+
+// Names are only there when the reference was populated
+const designNameOf = (design) => design?.name || design?.canvasId || null;
+
+const brandKitNameOf = (brandKit) => brandKit?.name || null;
+
+const countSeverity = (violations, severity) =>
+  (violations || []).filter((v) => v.severity === severity).length;
+
+/**
+ * Score category of a violation: its rule's category, else its type
+ * ("font" violations count towards typography)
+ */
+export const getViolationCategory = (violation) => {
+  const rule = violation.ruleId ? getRule(violation.ruleId) : null;
+  if (rule) return rule.category;
+  return violation.type === "font" ? "typography" : violation.type;
+};
+
+/**
+ * Text of a suggested fix (string, or object such as { width: 120 })
+ */
+const formatSuggestion = (fix) => {
+  if (fix === null || fix === undefined || fix === "") return null;
+  if (typeof fix !== "object") return String(fix);
+  return Object.entries(fix)
+    .map(([key, value]) => `${key}: ${value}`)
+    .join(", ");
+};
+
+/**
+ * Text of an affected element (a word, hex color, font or element details)
+ */
+const formatAffectedElement = (element) => {
+  if (element === null || element === undefined) return null;
+  return typeof element === "object" ? JSON.stringify(element) : element;
+};
+
+// ---------------------------------------------------------------------------
+// COLUMNS
+// ---------------------------------------------------------------------------
+
+/**
+ * One row per analysis (AnalysisResult, designId/brandKitId populated)
+ */
+export const ANALYSIS_COLUMNS = [
+  { header: "Analysis ID", width: 26, value: (a) => idOf(a._id) },
+  { header: "Analyzed At", width: 18, value: (a) => a.createdAt },
+  { header: "Design ID", width: 26, value: (a) => idOf(a.designId) },
+  { header: "Design", width: 28, value: (a) => designNameOf(a.designId) },
+  { header: "Brand Kit ID", width: 26, value: (a) => idOf(a.brandKitId) },
+  {
+    header: "Brand Kit",
+    width: 22,
+    value: (a) => brandKitNameOf(a.brandKitId),
+  },
+  { header: "Mode", width: 10, value: (a) => a.analysisMode ?? null },
+  { header: "Compliance Score", width: 10, value: (a) => a.complianceScore },
+  { header: "Score Label", width: 12, value: (a) => a.scoreLabel ?? null },
+  {
+    header: "Violations",
+    width: 10,
+    value: (a) => (a.violations || []).length,
+  },
+  ...SEVERITIES.map((severity) => ({
+    header: severity.charAt(0).toUpperCase() + severity.slice(1),
+    width: 9,
+    value: (a) => countSeverity(a.violations, severity),
+  })),
+  {
+    header: "Open Violations",
+    width: 10,
+    value: (a) => (a.violations || []).filter((v) => !v.resolved).length,
+  },
+  {
+    header: "Brand Risk",
+    width: 10,
+    value: (a) => a.riskScores?.brandRisk ?? null,
+  },
+  {
+    header: "Accessibility Risk",
+    width: 10,
+    value: (a) => a.riskScores?.accessibilityRisk ?? null,
+  },
+  {
+    header: "Legal Risk",
+    width: 10,
+    value: (a) => a.riskScores?.legalRisk ?? null,
+  },
+  { header: "Used AI", width: 8, value: (a) => a.usedAI ?? null },
+  {
+    header: "Processing Time (ms)",
+    width: 12,
+    value: (a) => a.processingTime ?? null,
+  },
+];
+
+/**
+ * One row per violation ({ analysis, violation })
+ */
+export const VIOLATION_COLUMNS = [
+  {
+    header: "Analysis ID",
+    width: 26,
+    value: ({ analysis }) => idOf(analysis._id),
+  },
+  {
+    header: "Analyzed At",
+    width: 18,
+    value: ({ analysis }) => analysis.createdAt,
+  },
+  {
+    header: "Design ID",
+    width: 26,
+    value: ({ analysis }) => idOf(analysis.designId),
+  },
+  {
+    header: "Design",
+    width: 28,
+    value: ({ analysis }) => designNameOf(analysis.designId),
+  },
+  {
+    header: "Brand Kit",
+    width: 22,
+    value: ({ analysis }) => brandKitNameOf(analysis.brandKitId),
+  },
+  {
+    header: "Severity",
+    width: 10,
+    value: ({ violation }) => violation.severity,
+  },
+  { header: "Type", width: 14, value: ({ violation }) => violation.type },
+  {
+    header: "Category",
+    width: 14,
+    value: ({ violation }) => getViolationCategory(violation),
+  },
+  {
+    header: "Rule",
+    width: 20,
+    value: ({ violation }) => violation.ruleId ?? null,
+  },
+  {
+    header: "Description",
+    width: 60,
+    value: ({ violation }) => violation.description ?? null,
+  },
+  {
+    header: "Affected Element",
+    width: 24,
+    value: ({ violation }) => formatAffectedElement(violation.affectedElement),
+  },
+  {
+    header: "Suggested Fix",
+    width: 40,
+    value: ({ violation }) => formatSuggestion(violation.suggestedFix),
+  },
+  {
+    header: "Page",
+    width: 14,
+    value: ({ violation }) => violation.pageId ?? null,
+  },
+  {
+    header: "Source",
+    width: 10,
+    value: ({ violation }) => violation.source ?? null,
+  },
+  {
+    header: "Auto-fixable",
+    width: 10,
+    value: ({ violation }) => violation.autoFixable ?? false,
+  },
+  {
+    header: "Resolved",
+    width: 10,
+    value: ({ violation }) => violation.resolved ?? false,
+  },
+];
+
+/**
+ * One row per analysis snapshot of a report
+ */
+const REPORT_ANALYSIS_COLUMNS = [
+  { header: "Analysis ID", width: 26, value: (a) => idOf(a.analysisId) },
+  { header: "Analyzed At", width: 18, value: (a) => a.analyzedAt },
+  { header: "Design ID", width: 26, value: (a) => idOf(a.designId) },
+  { header: "Design", width: 28, value: (a) => a.designName ?? null },
+  { header: "Compliance Score", width: 10, value: (a) => a.score },
+  { header: "Violations", width: 10, value: (a) => a.violationsCount },
+  ...SEVERITIES.map((severity) => ({
+    header: severity.charAt(0).toUpperCase() + severity.slice(1),
+    width: 9,
+    value: (a) => a.severityCounts?.[severity] ?? 0,
+  })),
+];
+
+/**
+ * One row per violation stored in a report snapshot ({ analysis, violation })
+ */
+const REPORT_VIOLATION_COLUMNS = [
+  {
+    header: "Analysis ID",
+    width: 26,
+    value: ({ analysis }) => idOf(analysis.analysisId),
+  },
+  {
+    header: "Analyzed At",
+    width: 18,
+    value: ({ analysis }) => analysis.analyzedAt,
+  },
+  {
+    header: "Design ID",
+    width: 26,
+    value: ({ analysis }) => idOf(analysis.designId),
+  },
+  {
+    header: "Design",
+    width: 28,
+    value: ({ analysis }) => analysis.designName ?? null,
+  },
+  {
+    header: "Severity",
+    width: 10,
+    value: ({ violation }) => violation.severity,
+  },
+  { header: "Type", width: 14, value: ({ violation }) => violation.type },
+  {
+    header: "Category",
+    width: 14,
+    value: ({ violation }) => getViolationCategory(violation),
+  },
+  {
+    header: "Rule",
+    width: 20,
+    value: ({ violation }) => violation.ruleId ?? null,
+  },
+  {
+    header: "Description",
+    width: 60,
+    value: ({ violation }) => violation.description ?? null,
+  },
+  {
+    header: "Suggested Fix",
+    width: 40,
+    value: ({ violation }) => formatSuggestion(violation.suggestedFix),
+  },
+  {
+    header: "Page",
+    width: 14,
+    value: ({ violation }) => violation.pageId ?? null,
+  },
+  {
+    header: "Resolved",
+    width: 10,
+    value: ({ violation }) => violation.resolved ?? false,
+  },
+];
+
+/**
+ * One row per design of a report (summary.designBreakdown)
+ */
+const REPORT_DESIGN_COLUMNS = [
+  { header: "Design ID", width: 26, value: (d) => idOf(d.designId) },
+  { header: "Design", width: 28, value: (d) => d.designName ?? null },
+  { header: "Analyses", width: 10, value: (d) => d.analysesCount },
+  { header: "Latest Score", width: 10, value: (d) => d.latestScore },
+  { header: "Average Score", width: 10, value: (d) => d.averageScore },
+  { header: "Violations", width: 10, value: (d) => d.totalViolations },
+  { header: "Critical", width: 10, value: (d) => d.criticalViolations },
+  {
+    header: "Top Violation Type",
+    width: 16,
+    value: (d) => d.topViolationType ?? null,
+  },
+  { header: "Last Analyzed At", width: 18, value: (d) => d.lastAnalyzedAt },
+];
+
+/**
+ * Tables a report export can contain, in workbook order
+ */
+export const REPORT_TABLES = ["designs", "analyses", "violations"];
+
+// ---------------------------------------------------------------------------
+// EXPORT SERVICE
+// ---------------------------------------------------------------------------
+
+const toRow = (columns, item) => columns.map((column) => column.value(item));
+
+/**
+ * Write a table of items
+ *
+ * @param {Object} writer - Tabular writer (utils/tabularWriter.js)
+ * @param {string} name - Sheet name
+ * @param {Array} columns - Column definitions
+ * @param {AsyncIterable|Iterable} items - Rows (e.g. a Mongoose cursor)
+ * @returns {Promise<number>} Rows written
+ */
+const writeTable = async (writer, name, columns, items) => {
+  await writer.startSheet(name, columns);
+  let rows = 0;
+  for await (const item of items) {
+    await writer.writeRow(toRow(columns, item));
+    rows++;
+  }
+  return rows;
+};
+
+/**
+ * Flatten analyses into { analysis, violation } pairs
+ */
+async function* flattenViolations(analyses) {
+  for await (const analysis of analyses) {
+    for (const violation of analysis.violations || []) {
+      yield { analysis, violation };
+    }
+  }
+}
+
+/**
+ * Write the analysis history table
+ *
+ * @param {Object} writer - Tabular writer
+ * @param {AsyncIterable} analyses - AnalysisResults (designId and brandKitId
+ *                                   populated for names)
+ * @returns {Promise<number>} Rows written
+ */
+export const writeAnalyses = (writer, analyses) =>
+  writeTable(writer, "Analyses", ANALYSIS_COLUMNS, analyses);
+
+/**
+ * Write the flattened violations table
+ *
+ * @param {Object} writer - Tabular writer
+ * @param {AsyncIterable} analyses - AnalysisResults (designId and brandKitId
+ *                                   populated for names)
+ * @returns {Promise<number>} Rows written
+ */
+export const writeViolations = (writer, analyses) =>
+  writeTable(
+    writer,
+    "Violations",
+    VIOLATION_COLUMNS,
+    flattenViolations(analyses)
+  );
+
+/**
+ * Write a report's contents from its snapshots
+ * Violations are only present when the report stored violation details
+ *
+ * @param {Object} writer - Tabular writer
+ * @param {Object} report - Report document
+ * @param {Array<string>} [tables] - REPORT_TABLES entries to include
+ */
+export const writeReportTables = async (
+  writer,
+  report,
+  tables = REPORT_TABLES
+) => {
+  for (const table of tables) {
+    if (table === "designs") {
+      await writeTable(
+        writer,
+        "Designs",
+        REPORT_DESIGN_COLUMNS,
+        report.summary?.designBreakdown || []
+      );
+    } else if (table === "analyses") {
+      await writeTable(
+        writer,
+        "Analyses",
+        REPORT_ANALYSIS_COLUMNS,
+        report.analyses
+      );
+    } else if (table === "violations") {
+      await writeTable(
+        writer,
+        "Violations",
+        REPORT_VIOLATION_COLUMNS,
+        flattenViolations(report.analyses)
+      );
+    }
+  }
+};
+
+export default {
+  ANALYSIS_COLUMNS,
+  VIOLATION_COLUMNS,
+  REPORT_TABLES,
+  getViolationCategory,
+  writeAnalyses,
+  writeViolations,
+  writeReportTables,
+};
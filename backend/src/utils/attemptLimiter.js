@@ -0,0 +1,83 @@
+/**
+ * =============================================================================
+ * Epsilon - Failed Attempt Limiter
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * Counts failed attempts per key (a share token, a client IP) in a fixed
+ * window and blocks the key once it reaches the limit, until the window ends.
+ * Only failures are counted, so normal use never gets near the limit.
+ *
+ * Counters live in process memory: one API instance needs no extra
+ * infrastructure, and a restart only gives an attacker a fresh window. Several
+ * instances behind a load balancer each keep their own counters.
+ */
+
+// Expired windows are swept once this many keys are tracked
+const SWEEP_THRESHOLD = 10000;
+
+/**
+ * Create a limiter
+ *
+ * @param {Object} config - { maxAttempts, windowMs }
+ * @returns {Object} Limiter ({ check, recordFailure })
+ */
+export const createAttemptLimiter = ({ maxAttempts, windowMs }) => {
+  const windows = new Map();
+
+  /**
+   * The key's current window, or null if it has none or it has ended
+   */
+  const getWindow = (key, now) => {
+    const window = windows.get(key);
+    if (window && window.resetAt <= now) {
+      windows.delete(key);
+      return null;
+    }
+    return window || null;
+  };
+
+  const sweep = (now) => {
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  };
+
+  return {
+    /**
+     * Whether the key may try again
+     *
+     * @param {string} key - Limited key
+     * @returns {Object} { blocked, retryAfterMs }
+     */
+    check(key, now = Date.now()) {
+      const window = getWindow(key, now);
+      if (!window || window.failures < maxAttempts) {
+        return { blocked: false, retryAfterMs: 0 };
+      }
+      return { blocked: true, retryAfterMs: window.resetAt - now };
+    },
+
+    /**
+     * Count a failed attempt (the window starts with the first failure)
+     *
+     * @param {string} key - Limited key
+     * @returns {number} Failures in the current window
+     */
+    recordFailure(key, now = Date.now()) {
+      if (windows.size >= SWEEP_THRESHOLD) sweep(now);
+
+      const window = getWindow(key, now) || {
+        failures: 0,
+        resetAt: now + windowMs,
+      };
+      window.failures += 1;
+      windows.set(key, window);
+      return window.failures;
+    },
+  };
+};
+
+export default {
+  createAttemptLimiter,
+};
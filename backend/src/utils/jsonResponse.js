@@ -0,0 +1,58 @@
+/**
+ * =============================================================================
+ * Epsilon - LLM JSON Response Utilities
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * Every LLM provider is asked for JSON, but models still wrap it in markdown
+ * fences or add a sentence around it. Parsing lives here so every provider
+ * (and the fixture recorder) extracts JSON the same way.
+ */
+
+/**
+ * Strip markdown code fences and surrounding prose from a model response
+ *
+ * @param {string} text - Raw model output
+ * @returns {string} The JSON part of the response
+ */
+export const extractJSONText = (text) => {
+  if (typeof text !== "string") return "";
+  let jsonText = text.trim();
+
+  if (jsonText.includes("```json")) {
+    jsonText = jsonText.split("```json")[1].split("```")[0].trim();
+  } else if (jsonText.includes("```")) {
+    jsonText = jsonText.split("```")[1].split("```")[0].trim();
+  }
+
+  // Drop prose before/after the outermost JSON value
+  const start = jsonText.search(/[[{]/);
+  const end = Math.max(jsonText.lastIndexOf("}"), jsonText.lastIndexOf("]"));
+  if (start > 0 || (end >= 0 && end < jsonText.length - 1)) {
+    jsonText = jsonText.slice(Math.max(start, 0), end + 1);
+  }
+
+  return jsonText;
+};
+
+/**
+ * Parse a model response as JSON
+ *
+ * @param {string} text - Raw model output
+ * @returns {*} Parsed JSON value
+ * @throws {SyntaxError} When the response contains no valid JSON
+ *                       (error.responseText holds the raw output for re-asking)
+ */
+export const parseJSONResponse = (text) => {
+  try {
+    return JSON.parse(extractJSONText(text));
+  } catch (error) {
+    error.responseText = text;
+    throw error;
+  }
+};
+
+export default {
+  extractJSONText,
+  parseJSONResponse,
+};
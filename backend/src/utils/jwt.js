@@ -0,0 +1,154 @@
+/**
+ * =============================================================================
+ * Epsilon - JSON Web Tokens
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * Only two JWT shapes are needed - our own HS256 access tokens and Google's
+ * RS256 ID tokens - so this small implementation on Node's crypto module
+ * replaces a general-purpose JWT dependency. Verification is strict: the
+ * algorithm must be one the caller allows (never "none"), and exp/nbf, issuer
+ * and audience are checked when present or required.
+ */
+
+import crypto from "crypto";
+
+// Tolerated clock difference with token issuers
+const CLOCK_SKEW_SECONDS = 60;
+
+const ALGORITHMS = {
+  HS256: {
+    sign: (input, secret) =>
+      crypto.createHmac("sha256", secret).update(input).digest(),
+    verify: (input, signature, secret) => {
+      const expected = crypto
+        .createHmac("sha256", secret)
+        .update(input)
+        .digest();
+      return (
+        signature.length === expected.length &&
+        crypto.timingSafeEqual(signature, expected)
+      );
+    },
+  },
+  RS256: {
+    verify: (input, signature, publicKey) =>
+      crypto.verify("RSA-SHA256", Buffer.from(input), publicKey, signature),
+  },
+};
+
+// ---------------------------------------------------------------------------
+// HELPERS
+// ---------------------------------------------------------------------------
+
+const encodeJson = (value) =>
+  Buffer.from(JSON.stringify(value)).toString("base64url");
+
+const decodeJson = (part) => JSON.parse(Buffer.from(part, "base64url"));
+
+/**
+ * Split a token into its parts without verifying it
+ *
+ * @param {string} token - Compact JWT
+ * @returns {Object} { header, payload, signingInput, signature }
+ */
+export const decodeJwt = (token) => {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) {
+    throw new Error("Malformed token");
+  }
+
+  try {
+    return {
+      header: decodeJson(parts[0]),
+      payload: decodeJson(parts[1]),
+      signingInput: `${parts[0]}.${parts[1]}`,
+      signature: Buffer.from(parts[2], "base64url"),
+    };
+  } catch {
+    throw new Error("Malformed token");
+  }
+};
+
+// ---------------------------------------------------------------------------
+// SIGN / VERIFY
+// ---------------------------------------------------------------------------
+
+/**
+ * Sign an HS256 token
+ *
+ * @param {Object} payload - Claims (iat and exp are added)
+ * @param {string} secret - HMAC secret
+ * @param {Object} options - { expiresIn } in seconds
+ * @returns {string} Compact JWT
+ */
+export const signJwt = (payload, secret, { expiresIn }) => {
+  const now = Math.floor(Date.now() / 1000);
+  const signingInput = `${encodeJson({
+    alg: "HS256",
+    typ: "JWT",
+  })}.${encodeJson({ ...payload, iat: now, exp: now + expiresIn })}`;
+  const signature = ALGORITHMS.HS256.sign(signingInput, secret);
+  return `${signingInput}.${signature.toString("base64url")}`;
+};
+
+/**
+ * Verify a token's signature and claims
+ *
+ * @param {string} token - Compact JWT
+ * @param {string|crypto.KeyObject|Function} key - Secret or public key, or
+ *        (header) => key (may be async) to pick one by kid
+ * @param {Object} [options]
+ * @param {Array<string>} [options.algorithms=["HS256"]] - Allowed algorithms
+ * @param {string|Array<string>} [options.issuer] - Accepted issuer(s)
+ * @param {string} [options.audience] - Required audience
+ * @returns {Promise<Object>} Verified payload
+ */
+export const verifyJwt = async (
+  token,
+  key,
+  { algorithms = ["HS256"], issuer, audience } = {}
+) => {
+  const { header, payload, signingInput, signature } = decodeJwt(token);
+
+  if (!algorithms.includes(header.alg) || !ALGORITHMS[header.alg]?.verify) {
+    throw new Error("Unsupported token algorithm");
+  }
+
+  const verificationKey = typeof key === "function" ? await key(header) : key;
+  if (
+    !verificationKey ||
+    !ALGORITHMS[header.alg].verify(signingInput, signature, verificationKey)
+  ) {
+    throw new Error("Invalid token signature");
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (
+    typeof payload.exp !== "number" ||
+    payload.exp + CLOCK_SKEW_SECONDS < now
+  ) {
+    throw new Error("Token has expired");
+  }
+  if (
+    typeof payload.nbf === "number" &&
+    payload.nbf - CLOCK_SKEW_SECONDS > now
+  ) {
+    throw new Error("Token is not valid yet");
+  }
+
+  if (issuer && ![].concat(issuer).includes(payload.iss)) {
+    throw new Error("Invalid token issuer");
+  }
+  if (audience && ![].concat(payload.aud).includes(audience)) {
+    throw new Error("Invalid token audience");
+  }
+
+  return payload;
+};
+
+export default {
+  decodeJwt,
+  signJwt,
+  verifyJwt,
+};
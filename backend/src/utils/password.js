@@ -0,0 +1,58 @@
+/**
+ * =============================================================================
+ * Epsilon - Password Hashing
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * Passwords are hashed with scrypt from Node's crypto module (no native
+ * dependency). Each hash is stored as one self-describing string:
+ *
+ *   scrypt$<salt base64>$<hash base64>
+ *
+ * so the parameters can change later without a migration of stored values.
+ */
+
+import crypto from "crypto";
+import { promisify } from "util";
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+/**
+ * Hash a password
+ *
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} Stored hash ("scrypt$salt$hash")
+ */
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = await scrypt(String(password), salt, KEY_LENGTH);
+  return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+};
+
+/**
+ * Check a password against a stored hash (constant-time comparison)
+ *
+ * @param {string} password - Plain-text password
+ * @param {string} stored - Hash from hashPassword()
+ * @returns {Promise<boolean>} True if the password matches
+ */
+export const verifyPassword = async (password, stored) => {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scrypt(
+    String(password ?? ""),
+    Buffer.from(salt, "base64"),
+    expected.length
+  );
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+export default {
+  hashPassword,
+  verifyPassword,
+};
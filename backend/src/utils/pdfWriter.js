@@ -0,0 +1,398 @@
+/**
+ * =============================================================================
+ * Epsilon - Minimal PDF Writer
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * Report exports are rendered server-side without a PDF library or an
+ * external rendering service. PDF 1.4 with the standard Helvetica fonts
+ * needs no font embedding, so text, filled/stroked rectangles and lines -
+ * all a compliance report uses - fit in a small writer.
+ *
+ * COORDINATES:
+ * Drawing calls take points from the TOP-left corner of the page (y grows
+ * downwards), like the layout code reads. The writer flips them to PDF's
+ * bottom-left origin.
+ *
+ * TEXT:
+ * Text is written in WinAnsiEncoding. Typographic quotes and dashes are
+ * mapped to their ASCII forms; other characters outside Latin-1 become "?".
+ */
+
+import zlib from "zlib";
+
+// ---------------------------------------------------------------------------
+// CONSTANTS
+// ---------------------------------------------------------------------------
+
+export const PAGE_SIZES = {
+  A4: { width: 595.28, height: 841.89 },
+  LETTER: { width: 612, height: 792 },
+};
+
+const FONTS = {
+  regular: { resource: "F1", baseFont: "Helvetica" },
+  bold: { resource: "F2", baseFont: "Helvetica-Bold" },
+};
+
+/**
+ * Glyph widths (1/1000 em) for characters 32-126, from the standard AFM files
+ */
+const GLYPH_WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278,
+    278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584,
+    584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556,
+    833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+    278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222,
+    500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500,
+    500, 334, 260, 334, 584,
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278,
+    278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584,
+    584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611,
+    833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333,
+    278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278,
+    556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556,
+    500, 389, 280, 389, 584,
+  ],
+};
+
+// Width used for Latin-1 characters above 126
+const DEFAULT_GLYPH_WIDTH = 556;
+
+const CHARACTER_REPLACEMENTS = {
+  "\u2018": "'",
+  "\u2019": "'",
+  "\u201C": '"',
+  "\u201D": '"',
+  "\u2013": "-",
+  "\u2014": "-",
+  "\u2022": "*",
+  "\u2026": "...",
+  "\u00A0": " ",
+};
+
+// ---------------------------------------------------------------------------
+// HELPERS
+// ---------------------------------------------------------------------------
+
+/**
+ * Reduce text to single-line WinAnsi-safe characters
+ */
+const toPdfText = (value) =>
+  String(value ?? "")
+    .replace(/[\r\n\t]+/g, " ")
+    .replace(
+      /[\u2018\u2019\u201C\u201D\u2013\u2014\u2022\u2026\u00A0]/g,
+      (c) => CHARACTER_REPLACEMENTS[c]
+    )
+    .replace(/[^\x20-\x7E\xA1-\xFF]/g, "?");
+
+/**
+ * Escape text for a PDF string literal
+ */
+const escapePdfString = (text) => text.replace(/([\\()])/g, "\\$1");
+
+/**
+ * Format a number for a content stream
+ */
+const num = (value) => String(Math.round(value * 100) / 100);
+
+/**
+ * Convert "#RRGGBB" to PDF "r g b" components (0-1)
+ */
+const toRgb = (hex) => {
+  const match = /^#?([0-9a-f]{6})$/i.exec(String(hex || "").trim());
+  const value = match ? parseInt(match[1], 16) : 0;
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255]
+    .map((c) => num(c / 255))
+    .join(" ");
+};
+
+/**
+ * Width of a text in points
+ *
+ * @param {string} text - Text
+ * @param {number} size - Font size in points
+ * @param {string} [font="regular"] - "regular" or "bold"
+ * @returns {number} Width in points
+ */
+export const measureText = (text, size, font = "regular") => {
+  const widths = GLYPH_WIDTHS[font] || GLYPH_WIDTHS.regular;
+  let units = 0;
+  for (const char of toPdfText(text)) {
+    const code = char.charCodeAt(0);
+    units +=
+      code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_GLYPH_WIDTH;
+  }
+  return (units * size) / 1000;
+};
+
+/**
+ * Break text into lines that fit a width (long words are split)
+ *
+ * @param {string} text - Text
+ * @param {number} maxWidth - Line width in points
+ * @param {number} size - Font size in points
+ * @param {string} [font="regular"] - "regular" or "bold"
+ * @returns {Array<string>} Lines (at least one)
+ */
+export const wrapText = (text, maxWidth, size, font = "regular") => {
+  const lines = [];
+  let line = "";
+
+  const pushWord = (word) => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (measureText(candidate, size, font) <= maxWidth) {
+      line = candidate;
+      return;
+    }
+    if (line) lines.push(line);
+    line = "";
+
+    // Split words wider than a whole line
+    let rest = word;
+    while (measureText(rest, size, font) > maxWidth && rest.length > 1) {
+      let cut = rest.length - 1;
+      while (
+        cut > 1 &&
+        measureText(rest.slice(0, cut), size, font) > maxWidth
+      ) {
+        cut--;
+      }
+      lines.push(rest.slice(0, cut));
+      rest = rest.slice(cut);
+    }
+    line = rest;
+  };
+
+  toPdfText(text).split(" ").filter(Boolean).forEach(pushWord);
+  if (line || lines.length === 0) lines.push(line);
+
+  return lines;
+};
+
+// ---------------------------------------------------------------------------
+// DOCUMENT
+// ---------------------------------------------------------------------------
+
+/**
+ * Create a PDF document
+ *
+ * @param {Object} [options] - { size: "A4" | "LETTER", title, author }
+ * @returns {Object} Document with page and drawing methods; call toBuffer()
+ *                   when done
+ */
+export const createPdfDocument = ({
+  size = "A4",
+  title = "",
+  author = "",
+} = {}) => {
+  const { width, height } = PAGE_SIZES[size] || PAGE_SIZES.A4;
+  const pages = [];
+  let current = null;
+
+  const requirePage = () => {
+    if (!current) throw new Error("addPage() must be called before drawing");
+    return current;
+  };
+
+  const doc = {
+    width,
+    height,
+
+    /**
+     * Start a new page; drawing goes to it until the next addPage()
+     * @returns {number} Page index
+     */
+    addPage() {
+      current = [];
+      pages.push(current);
+      return pages.length - 1;
+    },
+
+    /**
+     * Make an existing page the drawing target (e.g. for footers)
+     * @param {number} index - Page index
+     */
+    switchToPage(index) {
+      if (!pages[index]) throw new Error(`Page ${index} does not exist`);
+      current = pages[index];
+    },
+
+    get pageCount() {
+      return pages.length;
+    },
+
+    /**
+     * Draw one line of text; y is the top of the line
+     * @param {string} text - Text
+     * @param {number} x - Left edge (or right edge with align "right",
+     *                     center with "center")
+     * @param {number} y - Top of the text line
+     * @param {Object} [options] - { size, font, color, align }
+     */
+    text(
+      text,
+      x,
+      y,
+      {
+        size: fontSize = 10,
+        font = "regular",
+        color = "#000000",
+        align = "left",
+      } = {}
+    ) {
+      const page = requirePage();
+      const value = toPdfText(text);
+      const textWidth = measureText(value, fontSize, font);
+      const left =
+        align === "right"
+          ? x - textWidth
+          : align === "center"
+          ? x - textWidth / 2
+          : x;
+      // Baseline sits roughly 80% of the font size below the top of the line
+      const baseline = height - y - fontSize * 0.8;
+
+      page.push(
+        `BT /${(FONTS[font] || FONTS.regular).resource} ${num(fontSize)} Tf ` +
+          `${toRgb(color)} rg ${num(left)} ${num(baseline)} Td ` +
+          `(${escapePdfString(value)}) Tj ET`
+      );
+    },
+
+    /**
+     * Draw a rectangle
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     * @param {number} w - Width
+     * @param {number} h - Height
+     * @param {Object} [options] - { fill, stroke, lineWidth } (hex colors)
+     */
+    rect(x, y, w, h, { fill = null, stroke = null, lineWidth = 1 } = {}) {
+      const page = requirePage();
+      const ops = [];
+      if (fill) ops.push(`${toRgb(fill)} rg`);
+      if (stroke) ops.push(`${toRgb(stroke)} RG ${num(lineWidth)} w`);
+      ops.push(`${num(x)} ${num(height - y - h)} ${num(w)} ${num(h)} re`);
+      ops.push(fill && stroke ? "B" : fill ? "f" : "S");
+      page.push(`q ${ops.join(" ")} Q`);
+    },
+
+    /**
+     * Draw a straight line
+     * @param {number} x1 - Start x
+     * @param {number} y1 - Start y
+     * @param {number} x2 - End x
+     * @param {number} y2 - End y
+     * @param {Object} [options] - { color, lineWidth }
+     */
+    line(x1, y1, x2, y2, { color = "#000000", lineWidth = 1 } = {}) {
+      const page = requirePage();
+      page.push(
+        `q ${toRgb(color)} RG ${num(lineWidth)} w ` +
+          `${num(x1)} ${num(height - y1)} m ${num(x2)} ${num(
+            height - y2
+          )} l S Q`
+      );
+    },
+
+    /**
+     * Serialize the document
+     * @returns {Buffer} PDF file contents
+     */
+    toBuffer() {
+      if (pages.length === 0) doc.addPage();
+
+      // Object numbers: 1 catalog, 2 page tree, 3-4 fonts, 5 info,
+      // then a page object and its content stream per page
+      const objects = [];
+      const pageIds = pages.map((_, i) => 6 + i * 2);
+
+      objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+      objects[2] =
+        `<< /Type /Pages /Count ${pages.length} ` +
+        `/Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] >>`;
+      Object.values(FONTS).forEach(({ baseFont }, i) => {
+        objects[3 + i] =
+          `<< /Type /Font /Subtype /Type1 /BaseFont /${baseFont} ` +
+          "/Encoding /WinAnsiEncoding >>";
+      });
+      objects[5] =
+        `<< /Title (${escapePdfString(toPdfText(title))}) ` +
+        `/Author (${escapePdfString(toPdfText(author))}) /Producer (Epsilon) ` +
+        `/CreationDate (D:${new Date()
+          .toISOString()
+          .replace(/[-:T]/g, "")
+          .substring(0, 14)}Z) >>`;
+
+      const fontResources = Object.values(FONTS)
+        .map(({ resource }, i) => `/${resource} ${3 + i} 0 R`)
+        .join(" ");
+
+      pages.forEach((ops, i) => {
+        const stream = zlib.deflateSync(Buffer.from(ops.join("\n"), "latin1"));
+        objects[pageIds[i]] =
+          `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(width)} ${num(
+            height
+          )}] ` +
+          `/Resources << /Font << ${fontResources} >> >> /Contents ${
+            pageIds[i] + 1
+          } 0 R >>`;
+        objects[pageIds[i] + 1] = Buffer.concat([
+          Buffer.from(
+            `<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`,
+            "latin1"
+          ),
+          stream,
+          Buffer.from("\nendstream", "latin1"),
+        ]);
+      });
+
+      const chunks = [Buffer.from("%PDF-1.4\n%\xE2\xE3\xCF\xD3\n", "latin1")];
+      const offsets = [];
+      let length = chunks[0].length;
+
+      for (let id = 1; id < objects.length; id++) {
+        offsets[id] = length;
+        const body = objects[id];
+        const chunk = Buffer.concat([
+          Buffer.from(`${id} 0 obj\n`, "latin1"),
+          Buffer.isBuffer(body) ? body : Buffer.from(body, "latin1"),
+          Buffer.from("\nendobj\n", "latin1"),
+        ]);
+        chunks.push(chunk);
+        length += chunk.length;
+      }
+
+      const xref = [
+        "xref",
+        `0 ${objects.length}`,
+        "0000000000 65535 f ",
+        ...offsets
+          .slice(1)
+          .map((offset) => `${String(offset).padStart(10, "0")} 00000 n `),
+        "trailer",
+        `<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>`,
+        "startxref",
+        String(length),
+        "%%EOF",
+      ].join("\n");
+      chunks.push(Buffer.from(`${xref}\n`, "latin1"));
+
+      return Buffer.concat(chunks);
+    },
+  };
+
+  return doc;
+};
+
+export default {
+  PAGE_SIZES,
+  measureText,
+  wrapText,
+  createPdfDocument,
+};
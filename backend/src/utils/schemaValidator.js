@@ -0,0 +1,375 @@
+/**
+ * =============================================================================
+ * Epsilon - JSON Schema Validation & Repair
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * LLM output is validated against a formal schema before anything reads it.
+ * This is a small JSON Schema subset (no dependency) covering what the
+ * response schemas in services/llm/schemas.js use:
+ *
+ *   type (string or array of types), properties, required, items, enum,
+ *   minimum, maximum, minLength, maxLength, pattern, default
+ *
+ * Plus two repair hints that plain JSON Schema validators ignore:
+ * - aliases: other property names models use for a field ("message" for
+ *            "description")
+ * - format:  "hex-color" normalizes "ff5733" / "#f53" to "#FF5733"
+ *
+ * REPAIR vs VALIDATION:
+ * repairToSchema() makes only safe, mechanical fixes (renamed fields, enum
+ * casing, numeric strings, clamping, defaults) and reports each one.
+ * validateSchema() never changes anything. pruneInvalidItems() drops array
+ * items that still fail, so one bad violation does not discard a whole
+ * response.
+ */
+
+// ---------------------------------------------------------------------------
+// HELPERS
+// ---------------------------------------------------------------------------
+
+/**
+ * JSON type name of a value ("integer" values also match "number")
+ */
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+};
+
+/**
+ * Check a value against a schema type (or list of types)
+ */
+const matchesType = (value, type) => {
+  if (!type) return true;
+  const types = Array.isArray(type) ? type : [type];
+  const actual = typeOf(value);
+
+  return types.some((t) => {
+    if (t === "integer") return Number.isInteger(value);
+    if (t === "number") return actual === "number" && Number.isFinite(value);
+    return t === actual;
+  });
+};
+
+const allowsType = (schema, type) =>
+  (Array.isArray(schema.type) ? schema.type : [schema.type]).includes(type);
+
+/**
+ * Normalize a hex color string ("ff5733", "#f53") to "#FF5733"
+ */
+const normalizeHexColor = (value) => {
+  let hex = value.trim().replace(/^#/, "");
+  if (/^[0-9a-f]{3}$/i.test(hex)) {
+    hex = hex
+      .split("")
+      .map((c) => c + c)
+      .join("");
+  }
+  return /^[0-9a-f]{6}$/i.test(hex) ? `#${hex.toUpperCase()}` : value;
+};
+
+const HEX_COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+
+// ---------------------------------------------------------------------------
+// VALIDATION
+// ---------------------------------------------------------------------------
+
+/**
+ * Validate a value against a schema
+ *
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema (see file header for supported keywords)
+ * @param {string} [path="$"] - Path of the value, used in error messages
+ * @returns {Array} Errors: [{ path, message }] (empty when valid)
+ */
+export const validateSchema = (value, schema, path = "$") => {
+  const errors = [];
+
+  if (value === undefined) {
+    return [{ path, message: "is missing" }];
+  }
+
+  if (!matchesType(value, schema.type)) {
+    const expected = [].concat(schema.type).join(" or ");
+    return [{ path, message: `must be ${expected}, got ${typeOf(value)}` }];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({
+      path,
+      message: `must be one of: ${schema.enum.join(", ")}`,
+    });
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (typeof value === "string") {
+    if (
+      schema.minLength !== undefined &&
+      value.trim().length < schema.minLength
+    ) {
+      errors.push({
+        path,
+        message: `must have at least ${schema.minLength} non-blank character(s)`,
+      });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({
+        path,
+        message: `must be at most ${schema.maxLength} characters`,
+      });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match ${schema.pattern}` });
+    }
+    if (schema.format === "hex-color" && !HEX_COLOR_PATTERN.test(value)) {
+      errors.push({ path, message: "must be a hex color (#RRGGBB)" });
+    }
+  }
+
+  if (typeOf(value) === "object" && schema.properties) {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        errors.push({ path: `${path}.${key}`, message: "is required" });
+      }
+    });
+
+    Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        errors.push(
+          ...validateSchema(value[key], propertySchema, `${path}.${key}`)
+        );
+      }
+    });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+};
+
+// ---------------------------------------------------------------------------
+// REPAIR
+// ---------------------------------------------------------------------------
+
+/**
+ * Coerce a scalar towards its schema (enum casing, numeric strings, clamping)
+ */
+const repairScalar = (value, schema, path, repairs) => {
+  if (typeof value === "string") {
+    const trimmed = value.trim();
+
+    if (schema.format === "hex-color") {
+      const hex = normalizeHexColor(trimmed);
+      if (hex !== value) {
+        repairs.push({ path, message: `normalized hex color "${value}"` });
+      }
+      return hex;
+    }
+
+    if (schema.enum) {
+      const match = schema.enum.find(
+        (option) =>
+          typeof option === "string" &&
+          option.toLowerCase() === trimmed.toLowerCase()
+      );
+      if (match !== undefined && match !== value) {
+        repairs.push({ path, message: `normalized "${value}" to "${match}"` });
+        return match;
+      }
+    }
+
+    if (
+      (allowsType(schema, "number") || allowsType(schema, "integer")) &&
+      !allowsType(schema, "string") &&
+      trimmed !== "" &&
+      Number.isFinite(Number(trimmed))
+    ) {
+      repairs.push({ path, message: "converted numeric string to number" });
+      return repairScalar(Number(trimmed), schema, path, repairs);
+    }
+
+    if (
+      allowsType(schema, "boolean") &&
+      !allowsType(schema, "string") &&
+      ["true", "false"].includes(trimmed.toLowerCase())
+    ) {
+      repairs.push({ path, message: "converted string to boolean" });
+      return trimmed.toLowerCase() === "true";
+    }
+  }
+
+  if (typeof value === "number" && Number.isFinite(value)) {
+    let number = value;
+    if (allowsType(schema, "integer") && !Number.isInteger(number)) {
+      number = Math.round(number);
+    }
+    if (schema.minimum !== undefined && number < schema.minimum) {
+      number = schema.minimum;
+    }
+    if (schema.maximum !== undefined && number > schema.maximum) {
+      number = schema.maximum;
+    }
+    if (number !== value) {
+      repairs.push({ path, message: `adjusted ${value} to ${number}` });
+    }
+    return number;
+  }
+
+  return value;
+};
+
+/**
+ * Apply safe, mechanical repairs to a value
+ *
+ * @param {*} value - Parsed model output
+ * @param {Object} schema - Schema to repair towards
+ * @param {string} [path="$"] - Path of the value
+ * @returns {Object} { value, repairs: [{ path, message }] }
+ */
+export const repairToSchema = (value, schema, path = "$") => {
+  const repairs = [];
+
+  const repair = (current, currentSchema, currentPath) => {
+    if (current === undefined || current === null) {
+      if (
+        currentSchema.default !== undefined &&
+        !matchesType(current, currentSchema.type)
+      ) {
+        if (current === null) {
+          repairs.push({
+            path: currentPath,
+            message: "replaced null with default",
+          });
+        }
+        return structuredClone(currentSchema.default);
+      }
+      return current;
+    }
+
+    // A single item where a list was expected
+    if (
+      allowsType(currentSchema, "array") &&
+      !Array.isArray(current) &&
+      currentSchema.items &&
+      matchesType(current, currentSchema.items.type)
+    ) {
+      repairs.push({
+        path: currentPath,
+        message: "wrapped single value in an array",
+      });
+      current = [current];
+    }
+
+    if (Array.isArray(current)) {
+      return currentSchema.items
+        ? current.map((item, index) =>
+            repair(item, currentSchema.items, `${currentPath}[${index}]`)
+          )
+        : current;
+    }
+
+    if (typeOf(current) === "object") {
+      if (!currentSchema.properties) return current;
+      const result = { ...current };
+
+      Object.entries(currentSchema.properties).forEach(
+        ([key, propertySchema]) => {
+          if (result[key] === undefined) {
+            const alias = (propertySchema.aliases || []).find(
+              (name) => result[name] !== undefined
+            );
+            if (alias) {
+              result[key] = result[alias];
+              delete result[alias];
+              repairs.push({
+                path: `${currentPath}.${key}`,
+                message: `renamed field "${alias}"`,
+              });
+            }
+          }
+
+          const repaired = repair(
+            result[key],
+            propertySchema,
+            `${currentPath}.${key}`
+          );
+          if (repaired !== undefined) result[key] = repaired;
+        }
+      );
+
+      return result;
+    }
+
+    return repairScalar(current, currentSchema, currentPath, repairs);
+  };
+
+  return { value: repair(value, schema, path), repairs };
+};
+
+/**
+ * Drop array items that still fail validation
+ *
+ * @param {*} value - Repaired value
+ * @param {Object} schema - Schema
+ * @param {string} [path="$"] - Path of the value
+ * @returns {Object} { value, dropped: [{ path, message }] }
+ */
+export const pruneInvalidItems = (value, schema, path = "$") => {
+  const dropped = [];
+
+  const prune = (current, currentSchema, currentPath) => {
+    if (Array.isArray(current) && currentSchema.items) {
+      return current
+        .map((item, index) => ({ item, index }))
+        .filter(({ item, index }) => {
+          const itemPath = `${currentPath}[${index}]`;
+          const errors = validateSchema(item, currentSchema.items, itemPath);
+          if (errors.length > 0) {
+            dropped.push(...errors);
+            return false;
+          }
+          return true;
+        })
+        .map(({ item }) => item);
+    }
+
+    if (typeOf(current) === "object" && currentSchema.properties) {
+      const result = { ...current };
+      Object.entries(currentSchema.properties).forEach(
+        ([key, propertySchema]) => {
+          if (result[key] !== undefined) {
+            result[key] = prune(
+              result[key],
+              propertySchema,
+              `${currentPath}.${key}`
+            );
+          }
+        }
+      );
+      return result;
+    }
+
+    return current;
+  };
+
+  return { value: prune(value, schema, path), dropped };
+};
+
+export default {
+  validateSchema,
+  repairToSchema,
+  pruneInvalidItems,
+};
@@ -0,0 +1,557 @@
+/**
+ * =============================================================================
+ * Epsilon - Streaming CSV / XLSX Writer
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * Spreadsheet exports can cover thousands of analyses, so rows are written
+ * to the response as they are read from a database cursor - nothing waits
+ * for the whole result set. Both formats share one writer interface:
+ *
+ *   await writer.startSheet("Violations", [{ header, width? }])
+ *   await writer.writeRow([...values])
+ *   await writer.end()
+ *
+ * Every write honours the output stream's backpressure.
+ *
+ * FORMATS:
+ * - csv:  RFC 4180, UTF-8 with BOM (so Excel detects the encoding), one sheet
+ * - xlsx: Office Open XML workbook written as a streamed zip (no dependency).
+ *         Cells are inline strings, numbers, booleans and dates; the header
+ *         row is bold and frozen.
+ *
+ * SECURITY:
+ * Text starting with =, +, -, @ (a spreadsheet formula) is prefixed with an
+ * apostrophe in CSV, so opening an export never runs a formula from a design.
+ * XLSX cells are typed, so text is never read as a formula there.
+ */
+
+import { once } from "events";
+import zlib from "zlib";
+
+// ---------------------------------------------------------------------------
+// CONFIGURATION
+// ---------------------------------------------------------------------------
+
+export const TABULAR_FORMATS = {
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    extension: "csv",
+  },
+  xlsx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+};
+
+// Rows buffered before a write to the output (or deflate) stream
+const ROWS_PER_CHUNK = 200;
+
+// ---------------------------------------------------------------------------
+// HELPERS
+// ---------------------------------------------------------------------------
+
+/**
+ * Write to a stream, waiting for "drain" when its buffer is full
+ * Rejects when the stream closes first (e.g. the client disconnected)
+ */
+const writeTo = async (stream, chunk) => {
+  if (stream.destroyed) throw new Error("Output stream closed");
+  if (stream.write(chunk)) return;
+
+  const controller = new AbortController();
+  try {
+    await Promise.race([
+      once(stream, "drain", { signal: controller.signal }),
+      once(stream, "close", { signal: controller.signal }).then(() => {
+        throw new Error("Output stream closed");
+      }),
+    ]);
+  } finally {
+    controller.abort();
+  }
+};
+
+/**
+ * Normalize a cell value: dates stay dates, objects become JSON text
+ */
+const toCellValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date)
+    return Number.isNaN(value.getTime()) ? null : value;
+  if (typeof value === "object") return JSON.stringify(value);
+  return value;
+};
+
+// ---------------------------------------------------------------------------
+// CSV
+// ---------------------------------------------------------------------------
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a CSV field when it needs it
+ */
+const toCsvField = (value) => {
+  const cell = toCellValue(value);
+  if (cell === null) return "";
+  if (cell instanceof Date) return cell.toISOString();
+  if (typeof cell !== "string") return String(cell);
+
+  const text = FORMULA_PREFIX.test(cell) ? `'${cell}` : cell;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Create a CSV writer (a single table)
+ *
+ * @param {Writable} output - Stream to write to (e.g. the HTTP response)
+ * @returns {Object} Writer ({ startSheet, writeRow, end })
+ */
+export const createCsvWriter = (output) => {
+  let started = false;
+  let buffer = [];
+
+  const flush = async () => {
+    if (buffer.length === 0) return;
+    const chunk = buffer.join("");
+    buffer = [];
+    await writeTo(output, chunk);
+  };
+
+  return {
+    async startSheet(name, columns) {
+      if (started) throw new Error("A CSV export holds a single table");
+      started = true;
+      buffer.push(
+        "\uFEFF" + columns.map((c) => toCsvField(c.header)).join(",") + "\r\n"
+      );
+    },
+
+    async writeRow(values) {
+      buffer.push(values.map(toCsvField).join(",") + "\r\n");
+      if (buffer.length >= ROWS_PER_CHUNK) await flush();
+    },
+
+    async end() {
+      await flush();
+      output.end();
+    },
+  };
+};
+
+// ---------------------------------------------------------------------------
+// ZIP (for XLSX)
+// ---------------------------------------------------------------------------
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+/**
+ * Continue a CRC-32 over another chunk
+ */
+const crc32 = (chunk, crc = 0) => {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < chunk.length; i++) {
+    c = CRC_TABLE[(c ^ chunk[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * MS-DOS time and date fields for zip headers
+ */
+const toDosDateTime = (date) => ({
+  time:
+    (date.getHours() << 11) |
+    (date.getMinutes() << 5) |
+    Math.floor(date.getSeconds() / 2),
+  date:
+    ((date.getFullYear() - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate(),
+});
+
+/**
+ * Minimal streaming zip writer: deflated entries with data descriptors, so
+ * an entry can be written before its size and CRC are known
+ */
+const createZipWriter = (output) => {
+  const entries = [];
+  const modified = toDosDateTime(new Date());
+  let offset = 0;
+
+  const write = async (chunk) => {
+    offset += chunk.length;
+    await writeTo(output, chunk);
+  };
+
+  const localHeader = (nameBuffer) => {
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4); // Version needed
+    header.writeUInt16LE(0x0808, 6); // Data descriptor + UTF-8 names
+    header.writeUInt16LE(8, 8); // Deflate
+    header.writeUInt16LE(modified.time, 10);
+    header.writeUInt16LE(modified.date, 12);
+    // CRC and sizes follow the data (data descriptor)
+    header.writeUInt16LE(nameBuffer.length, 26);
+    return Buffer.concat([header, nameBuffer]);
+  };
+
+  return {
+    /**
+     * Stream one file into the archive
+     *
+     * @param {string} name - Path inside the archive
+     * @returns {Object} { write(chunk), close() } - write strings or Buffers
+     */
+    async openEntry(name) {
+      const nameBuffer = Buffer.from(name, "utf8");
+      const entry = { nameBuffer, offset, crc: 0, size: 0, compressedSize: 0 };
+      await write(localHeader(nameBuffer));
+
+      const deflate = zlib.createDeflateRaw();
+      const pump = (async () => {
+        for await (const chunk of deflate) {
+          entry.compressedSize += chunk.length;
+          await write(chunk);
+        }
+      })();
+      // Failures surface through write() and close()
+      pump.catch(() => {});
+
+      return {
+        async write(data) {
+          const chunk = Buffer.isBuffer(data)
+            ? data
+            : Buffer.from(data, "utf8");
+          entry.crc = crc32(chunk, entry.crc);
+          entry.size += chunk.length;
+          if (!deflate.write(chunk)) {
+            await Promise.race([once(deflate, "drain"), pump]);
+          }
+        },
+
+        async close() {
+          deflate.end();
+          await pump;
+
+          const descriptor = Buffer.alloc(16);
+          descriptor.writeUInt32LE(0x08074b50, 0);
+          descriptor.writeUInt32LE(entry.crc, 4);
+          descriptor.writeUInt32LE(entry.compressedSize, 8);
+          descriptor.writeUInt32LE(entry.size, 12);
+          await write(descriptor);
+          entries.push(entry);
+        },
+      };
+    },
+
+    /**
+     * Add a small file in one go
+     */
+    async addEntry(name, content) {
+      const entry = await this.openEntry(name);
+      await entry.write(content);
+      await entry.close();
+    },
+
+    /**
+     * Write the central directory
+     */
+    async finish() {
+      const directoryOffset = offset;
+      const records = entries.map((entry) => {
+        const record = Buffer.alloc(46);
+        record.writeUInt32LE(0x02014b50, 0);
+        record.writeUInt16LE(20, 4); // Version made by
+        record.writeUInt16LE(20, 6); // Version needed
+        record.writeUInt16LE(0x0808, 8);
+        record.writeUInt16LE(8, 10);
+        record.writeUInt16LE(modified.time, 12);
+        record.writeUInt16LE(modified.date, 14);
+        record.writeUInt32LE(entry.crc, 16);
+        record.writeUInt32LE(entry.compressedSize, 20);
+        record.writeUInt32LE(entry.size, 24);
+        record.writeUInt16LE(entry.nameBuffer.length, 28);
+        record.writeUInt32LE(entry.offset, 42);
+        return Buffer.concat([record, entry.nameBuffer]);
+      });
+      const directory = Buffer.concat(records);
+
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(entries.length, 8);
+      end.writeUInt16LE(entries.length, 10);
+      end.writeUInt32LE(directory.length, 12);
+      end.writeUInt32LE(directoryOffset, 16);
+
+      await write(Buffer.concat([directory, end]));
+    },
+  };
+};
+
+// ---------------------------------------------------------------------------
+// XLSX
+// ---------------------------------------------------------------------------
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const SPREADSHEET_NS =
+  "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const RELATIONSHIP_NS =
+  "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+
+// Cell styles (index into cellXfs of STYLES_XML)
+const STYLE_HEADER = 1;
+const STYLE_DATE = 2;
+
+const STYLES_XML =
+  XML_HEADER +
+  `<styleSheet xmlns="${SPREADSHEET_NS}">` +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+  '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill>' +
+  '<fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '<xf numFmtId="22" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>' +
+  '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+  "</styleSheet>";
+
+/**
+ * Escape text for XML, dropping characters XML cannot hold
+ */
+const escapeXml = (text) =>
+  String(text)
+    .replace(
+      /[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu,
+      ""
+    )
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Column letters for a zero-based index (0 -> A, 26 -> AA)
+ */
+const toColumnName = (index) => {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+/**
+ * Excel serial date (days since 1899-12-30, UTC)
+ */
+const toExcelDate = (date) => date.getTime() / 86400000 + 25569;
+
+/**
+ * XML for one cell
+ */
+const toXlsxCell = (value, ref, style = 0) => {
+  const cell = toCellValue(value);
+  const s = style ? ` s="${style}"` : "";
+  if (cell === null) return "";
+  if (cell instanceof Date) {
+    return `<c r="${ref}" s="${STYLE_DATE}"><v>${toExcelDate(cell)}</v></c>`;
+  }
+  if (typeof cell === "number" && Number.isFinite(cell)) {
+    return `<c r="${ref}"${s}><v>${cell}</v></c>`;
+  }
+  if (typeof cell === "boolean") {
+    return `<c r="${ref}"${s} t="b"><v>${cell ? 1 : 0}</v></c>`;
+  }
+  return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${escapeXml(
+    cell
+  )}</t></is></c>`;
+};
+
+/**
+ * Valid, unique worksheet name (max 31 characters, no []:*?/\)
+ */
+const toSheetName = (name, taken) => {
+  const base =
+    String(name || "Sheet")
+      .replace(/[[\]:*?/\\]/g, " ")
+      .trim()
+      .substring(0, 31) || "Sheet";
+  let candidate = base;
+  for (let i = 2; taken.has(candidate.toLowerCase()); i++) {
+    const suffix = ` (${i})`;
+    candidate = base.substring(0, 31 - suffix.length) + suffix;
+  }
+  taken.add(candidate.toLowerCase());
+  return candidate;
+};
+
+/**
+ * Create an XLSX writer (one worksheet per startSheet call)
+ *
+ * @param {Writable} output - Stream to write to (e.g. the HTTP response)
+ * @returns {Object} Writer ({ startSheet, writeRow, end })
+ */
+export const createXlsxWriter = (output) => {
+  const zip = createZipWriter(output);
+  const sheets = [];
+  const takenNames = new Set();
+  let sheet = null;
+  let buffer = [];
+
+  const flush = async () => {
+    if (buffer.length === 0) return;
+    const chunk = buffer.join("");
+    buffer = [];
+    await sheet.entry.write(chunk);
+  };
+
+  const closeSheet = async () => {
+    if (!sheet) return;
+    buffer.push("</sheetData></worksheet>");
+    await flush();
+    await sheet.entry.close();
+    sheet = null;
+  };
+
+  const pushRow = (values, style = 0) => {
+    sheet.rowCount++;
+    const cells = values
+      .map((value, i) =>
+        toXlsxCell(value, `${toColumnName(i)}${sheet.rowCount}`, style)
+      )
+      .join("");
+    buffer.push(`<row r="${sheet.rowCount}">${cells}</row>`);
+  };
+
+  return {
+    async startSheet(name, columns) {
+      await closeSheet();
+
+      const index = sheets.length + 1;
+      const sheetName = toSheetName(name, takenNames);
+      sheets.push(sheetName);
+      sheet = {
+        rowCount: 0,
+        entry: await zip.openEntry(`xl/worksheets/sheet${index}.xml`),
+      };
+
+      const cols = columns
+        .map(
+          (c, i) =>
+            `<col min="${i + 1}" max="${i + 1}" width="${
+              c.width || 16
+            }" customWidth="1"/>`
+        )
+        .join("");
+      buffer.push(
+        XML_HEADER +
+          `<worksheet xmlns="${SPREADSHEET_NS}">` +
+          '<sheetViews><sheetView workbookViewId="0">' +
+          '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+          "</sheetView></sheetViews>" +
+          `<cols>${cols}</cols><sheetData>`
+      );
+      pushRow(
+        columns.map((c) => c.header),
+        STYLE_HEADER
+      );
+    },
+
+    async writeRow(values) {
+      if (!sheet) throw new Error("startSheet() must be called first");
+      pushRow(values);
+      if (buffer.length >= ROWS_PER_CHUNK) await flush();
+    },
+
+    async end() {
+      await closeSheet();
+      if (sheets.length === 0) throw new Error("An XLSX export needs a sheet");
+
+      const sheetEntries = sheets.map((name, i) => ({ name, id: i + 1 }));
+      await zip.addEntry(
+        "[Content_Types].xml",
+        XML_HEADER +
+          '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+          '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+          '<Default Extension="xml" ContentType="application/xml"/>' +
+          '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+          '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+          sheetEntries
+            .map(
+              ({ id }) =>
+                `<Override PartName="/xl/worksheets/sheet${id}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+            )
+            .join("") +
+          "</Types>"
+      );
+      await zip.addEntry(
+        "_rels/.rels",
+        XML_HEADER +
+          '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+          `<Relationship Id="rId1" Type="${RELATIONSHIP_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+          "</Relationships>"
+      );
+      await zip.addEntry(
+        "xl/workbook.xml",
+        XML_HEADER +
+          `<workbook xmlns="${SPREADSHEET_NS}" xmlns:r="${RELATIONSHIP_NS}"><sheets>` +
+          sheetEntries
+            .map(
+              ({ name, id }) =>
+                `<sheet name="${escapeXml(
+                  name
+                )}" sheetId="${id}" r:id="rId${id}"/>`
+            )
+            .join("") +
+          "</sheets></workbook>"
+      );
+      await zip.addEntry(
+        "xl/_rels/workbook.xml.rels",
+        XML_HEADER +
+          '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+          sheetEntries
+            .map(
+              ({ id }) =>
+                `<Relationship Id="rId${id}" Type="${RELATIONSHIP_NS}/worksheet" Target="worksheets/sheet${id}.xml"/>`
+            )
+            .join("") +
+          `<Relationship Id="rId${
+            sheetEntries.length + 1
+          }" Type="${RELATIONSHIP_NS}/styles" Target="styles.xml"/>` +
+          "</Relationships>"
+      );
+      await zip.addEntry("xl/styles.xml", STYLES_XML);
+      await zip.finish();
+      output.end();
+    },
+  };
+};
+
+/**
+ * Create a writer for a format
+ *
+ * @param {string} format - Key of TABULAR_FORMATS
+ * @param {Writable} output - Stream to write to
+ * @returns {Object} Writer ({ startSheet, writeRow, end })
+ */
+export const createTabularWriter = (format, output) => {
+  if (format === "xlsx") return createXlsxWriter(output);
+  if (format === "csv") return createCsvWriter(output);
+  throw new Error(`Unsupported tabular format "${format}"`);
+};
+
+export default {
+  TABULAR_FORMATS,
+  createCsvWriter,
+  createXlsxWriter,
+  createTabularWriter,
+};
@@ -0,0 +1,68 @@
+/**
+ * =============================================================================
+ * Epsilon - Text Run Utilities
+ * =============================================================================
+ *
+ * ARCHITECTURE DECISION:
+ * A single text node can mix fonts, sizes and colors. The Add-on records each
+ * styled range as a run (textContent[].runs). Checks iterate runs so a bold
+ * off-brand word inside an otherwise compliant heading is still caught.
+ * Designs extracted before runs existed only carry node-level values, which
+ * are treated as one run spanning the whole text.
+ */
+
+/**
+ * Get the styled runs of a text element
+ *
+ * @param {Object} textElement - Text element from Design.textContent
+ * @returns {Array<Object>} Runs with start, length, text, font, fontSize,
+ *   fontWeight, color and isItalic
+ */
+export const getTextRuns = (textElement) => {
+  if (!textElement) return [];
+
+  const runs = textElement.runs?.length ? textElement.runs : null;
+  if (!runs) {
+    return [
+      {
+        start: 0,
+        length: textElement.text?.length || 0,
+        text: textElement.text || "",
+        font: textElement.font,
+        fontSize: textElement.fontSize,
+        fontWeight: textElement.isBold ? 700 : 400,
+        color: textElement.color,
+        isItalic: textElement.isItalic || false,
+      },
+    ];
+  }
+
+  // Runs inherit node-level values for anything the Add-on could not read
+  return runs.map((run) => ({
+    start: run.start ?? 0,
+    length: run.length ?? run.text?.length ?? 0,
+    text: run.text || "",
+    font: run.font && run.font !== "Unknown" ? run.font : textElement.font,
+    fontSize: run.fontSize || textElement.fontSize,
+    fontWeight: run.fontWeight || (textElement.isBold ? 700 : 400),
+    color: run.color || textElement.color,
+    isItalic: run.isItalic ?? textElement.isItalic ?? false,
+  }));
+};
+
+/**
+ * Shorten run text for use in a violation's affectedElement
+ *
+ * @param {string} text - Run text
+ * @param {number} [maxLength=50] - Maximum characters to keep
+ * @returns {string} Trimmed text with an ellipsis when cut
+ */
+export const truncateText = (text, maxLength = 50) => {
+  if (!text) return "";
+  return text.length > maxLength ? `${text.substring(0, maxLength)}...` : text;
+};
+
+export default {
+  getTextRuns,
+  truncateText,
+};
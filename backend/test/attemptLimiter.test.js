@@ -0,0 +1,41 @@
+/**
+ * =============================================================================
+ * Epsilon - Failed Attempt Limiter Tests
+ * =============================================================================
+ *
+ * Per-key failure windows used to limit share link password guessing.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createAttemptLimiter } from "../src/utils/attemptLimiter.js";
+
+const WINDOW_MS = 60 * 1000;
+
+test("a key is blocked once it reaches the limit, until its window ends", () => {
+  const limiter = createAttemptLimiter({ maxAttempts: 3, windowMs: WINDOW_MS });
+  const start = 1000000;
+
+  assert.equal(limiter.recordFailure("token", start), 1);
+  assert.equal(limiter.recordFailure("token", start + 10), 2);
+  assert.equal(limiter.check("token", start + 20).blocked, false);
+
+  assert.equal(limiter.recordFailure("token", start + 30), 3);
+  assert.deepEqual(limiter.check("token", start + 40), {
+    blocked: true,
+    retryAfterMs: WINDOW_MS - 40,
+  });
+
+  // The window runs from the first failure
+  assert.equal(limiter.check("token", start + WINDOW_MS).blocked, false);
+  assert.equal(limiter.recordFailure("token", start + WINDOW_MS), 1);
+});
+
+test("keys are counted independently", () => {
+  const limiter = createAttemptLimiter({ maxAttempts: 1, windowMs: WINDOW_MS });
+
+  limiter.recordFailure("203.0.113.7");
+
+  assert.equal(limiter.check("203.0.113.7").blocked, true);
+  assert.equal(limiter.check("198.51.100.2").blocked, false);
+});
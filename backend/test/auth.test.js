@@ -0,0 +1,341 @@
+/**
+ * =============================================================================
+ * Epsilon - Authentication Tests
+ * =============================================================================
+ *
+ * Token verification (signatures, algorithms, expiry), refresh token
+ * rotation and reuse, and Google sign-in against existing accounts.
+ *
+ * Session and User queries are answered from memory through mock.method, so
+ * the tests run without MongoDB.
+ */
+
+import { test, mock, before, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import Session from "../src/models/Session.js";
+import User from "../src/models/User.js";
+import { signJwt, verifyJwt } from "../src/utils/jwt.js";
+import {
+  authenticateAccessToken,
+  createSession,
+  findOrCreateGoogleUser,
+  refreshSession,
+  verifyGoogleIdToken,
+} from "../src/services/auth.service.js";
+
+const SECRET = "test-secret";
+const GOOGLE_CLIENT_ID = "epsilon-test.apps.googleusercontent.com";
+
+const googleKey = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const otherKey = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+before(() => {
+  process.env.JWT_SECRET = SECRET;
+  process.env.GOOGLE_CLIENT_ID = GOOGLE_CLIENT_ID;
+});
+
+afterEach(() => mock.restoreAll());
+
+// ---------------------------------------------------------------------------
+// HELPERS
+// ---------------------------------------------------------------------------
+
+const encode = (value) =>
+  Buffer.from(JSON.stringify(value)).toString("base64url");
+
+/**
+ * Sign a token the way an issuer would, with any header
+ */
+const signToken = (header, payload, sign) => {
+  const signingInput = `${encode(header)}.${encode(payload)}`;
+  return `${signingInput}.${sign(signingInput).toString("base64url")}`;
+};
+
+const signRs256 = (payload, privateKey = googleKey.privateKey) =>
+  signToken({ alg: "RS256", typ: "JWT", kid: "google-key" }, payload, (input) =>
+    crypto.sign("RSA-SHA256", Buffer.from(input), privateKey)
+  );
+
+const googleClaims = (overrides = {}) => {
+  const now = Math.floor(Date.now() / 1000);
+  return {
+    iss: "https://accounts.google.com",
+    aud: GOOGLE_CLIENT_ID,
+    sub: "google-user-1",
+    email: "ada@example.com",
+    email_verified: true,
+    iat: now,
+    exp: now + 3600,
+    ...overrides,
+  };
+};
+
+/**
+ * Serve googleKey from Google's certs endpoint
+ */
+const mockGoogleCerts = () =>
+  mock.method(globalThis, "fetch", async () => ({
+    ok: true,
+    headers: { get: () => "public, max-age=3600" },
+    json: async () => ({
+      keys: [
+        {
+          ...googleKey.publicKey.export({ format: "jwk" }),
+          kid: "google-key",
+          alg: "RS256",
+          use: "sig",
+        },
+      ],
+    }),
+  }));
+
+/**
+ * Keep sessions in memory, applying the same filters as the real queries
+ */
+const mockSessionStore = () => {
+  const sessions = new Map();
+  const matches = (session, filter) =>
+    session &&
+    (filter.refreshTokenHash === undefined ||
+      session.refreshTokenHash === filter.refreshTokenHash) &&
+    (filter.revokedAt !== null || !session.revokedAt);
+
+  mock.method(Session, "create", async (data) => {
+    const session = new Session(data);
+    sessions.set(session._id.toString(), session);
+    return session;
+  });
+  mock.method(
+    Session,
+    "findById",
+    async (id) => sessions.get(String(id)) || null
+  );
+  mock.method(Session, "findOneAndUpdate", async (filter, update) => {
+    const session = sessions.get(String(filter._id));
+    if (!matches(session, filter)) return null;
+    session.set(update.$set);
+    return session;
+  });
+  mock.method(Session, "updateOne", async (filter, update) => {
+    const session = sessions.get(String(filter._id));
+    if (matches(session, filter)) session.set(update.$set);
+    return { modifiedCount: session ? 1 : 0 };
+  });
+
+  return sessions;
+};
+
+const signedInUser = () => {
+  const user = new User({ email: "ada@example.com", name: "Ada" });
+  mock.method(user, "save", async () => user);
+  mock.method(User, "findById", async () => user);
+  return user;
+};
+
+// ---------------------------------------------------------------------------
+// TOKENS
+// ---------------------------------------------------------------------------
+
+test("a signed token verifies; a tampered one does not", async () => {
+  const token = signJwt({ sub: "user_1", typ: "access" }, SECRET, {
+    expiresIn: 60,
+  });
+  assert.equal((await verifyJwt(token, SECRET)).sub, "user_1");
+
+  const [header, payload, signature] = token.split(".");
+
+  // Another payload under the original signature
+  const forgedPayload = encode({
+    ...JSON.parse(Buffer.from(payload, "base64url")),
+    sub: "admin",
+  });
+  await assert.rejects(
+    verifyJwt(`${header}.${forgedPayload}.${signature}`, SECRET),
+    /Invalid token signature/
+  );
+
+  // A flipped signature byte
+  const bytes = Buffer.from(signature, "base64url");
+  bytes[0] ^= 1;
+  await assert.rejects(
+    verifyJwt(`${header}.${payload}.${bytes.toString("base64url")}`, SECRET),
+    /Invalid token signature/
+  );
+
+  // The right signature under another secret
+  await assert.rejects(
+    verifyJwt(token, "another-secret"),
+    /Invalid token signature/
+  );
+  await assert.rejects(verifyJwt("not.a-token", SECRET), /Malformed token/);
+});
+
+test("only the algorithms the caller allows are accepted", async () => {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = { sub: "user_1", typ: "access", exp: now + 60 };
+
+  // Unsigned tokens
+  const unsigned = `${encode({ alg: "none", typ: "JWT" })}.${encode(payload)}.`;
+  await assert.rejects(
+    verifyJwt(unsigned, SECRET),
+    /Unsupported token algorithm/
+  );
+  await assert.rejects(
+    verifyJwt(unsigned, SECRET, { algorithms: ["none"] }),
+    /Unsupported token algorithm/
+  );
+
+  // An RS256 header is refused where HS256 is expected, even if it verifies
+  const rs256 = signRs256(payload);
+  await assert.rejects(
+    verifyJwt(rs256, googleKey.publicKey),
+    /Unsupported token algorithm/
+  );
+
+  // HS256 signed with the public key as secret is refused where RS256 is expected
+  const publicPem = googleKey.publicKey.export({ type: "spki", format: "pem" });
+  const confused = signToken({ alg: "HS256", typ: "JWT" }, payload, (input) =>
+    crypto.createHmac("sha256", publicPem).update(input).digest()
+  );
+  await assert.rejects(
+    verifyJwt(confused, publicPem, { algorithms: ["RS256"] }),
+    /Unsupported token algorithm/
+  );
+});
+
+test("expired tokens and tokens without an expiry are refused", async () => {
+  // Within the 60 second clock skew
+  const justExpired = signJwt({ sub: "user_1" }, SECRET, { expiresIn: -30 });
+  assert.equal((await verifyJwt(justExpired, SECRET)).sub, "user_1");
+
+  const expired = signJwt({ sub: "user_1" }, SECRET, { expiresIn: -120 });
+  await assert.rejects(verifyJwt(expired, SECRET), /Token has expired/);
+
+  const noExpiry = signToken(
+    { alg: "HS256", typ: "JWT" },
+    { sub: "user_1" },
+    (input) => crypto.createHmac("sha256", SECRET).update(input).digest()
+  );
+  await assert.rejects(verifyJwt(noExpiry, SECRET), /Token has expired/);
+
+  const notYetValid = signJwt(
+    { sub: "user_1", nbf: Math.floor(Date.now() / 1000) + 600 },
+    SECRET,
+    { expiresIn: 3600 }
+  );
+  await assert.rejects(verifyJwt(notYetValid, SECRET), /not valid yet/);
+});
+
+// ---------------------------------------------------------------------------
+// SESSIONS
+// ---------------------------------------------------------------------------
+
+test("refresh tokens rotate, and reusing an old one revokes the session", async () => {
+  const sessions = mockSessionStore();
+  const user = signedInUser();
+
+  const signedIn = await createSession(user, "password");
+  const refreshed = await refreshSession(signedIn.refreshToken);
+  assert.ok(refreshed);
+  assert.notEqual(refreshed.refreshToken, signedIn.refreshToken);
+  assert.ok(await authenticateAccessToken(refreshed.accessToken));
+
+  // The rotated-out token is presented again (e.g. stolen and replayed)
+  assert.equal(await refreshSession(signedIn.refreshToken), null);
+
+  const [session] = sessions.values();
+  assert.ok(session.revokedAt);
+
+  // The whole session is gone, including the newest tokens
+  assert.equal(await refreshSession(refreshed.refreshToken), null);
+  await assert.rejects(
+    authenticateAccessToken(refreshed.accessToken),
+    /Session has ended/
+  );
+});
+
+test("revoked, expired and malformed refresh tokens are refused", async () => {
+  const sessions = mockSessionStore();
+  const user = signedInUser();
+
+  const revoked = await createSession(user, "password");
+  const [session] = sessions.values();
+  session.revokedAt = new Date();
+  assert.equal(await refreshSession(revoked.refreshToken), null);
+
+  const expired = await createSession(user, "password");
+  [...sessions.values()][1].expiresAt = new Date(Date.now() - 1000);
+  assert.equal(await refreshSession(expired.refreshToken), null);
+
+  assert.equal(await refreshSession("not-a-token"), null);
+  assert.equal(await refreshSession(`${session._id}.wrong-secret`), null);
+});
+
+// ---------------------------------------------------------------------------
+// GOOGLE SIGN-IN
+// ---------------------------------------------------------------------------
+
+test("Google ID tokens must be signed by Google for this client", async () => {
+  mockGoogleCerts();
+
+  const claims = await verifyGoogleIdToken(signRs256(googleClaims()));
+  assert.equal(claims.email, "ada@example.com");
+
+  await assert.rejects(
+    verifyGoogleIdToken(signRs256(googleClaims(), otherKey.privateKey)),
+    /Invalid token signature/
+  );
+  await assert.rejects(
+    verifyGoogleIdToken(signRs256(googleClaims({ aud: "another-client" }))),
+    /Invalid token audience/
+  );
+  await assert.rejects(
+    verifyGoogleIdToken(signRs256(googleClaims({ iss: "evil.example.com" }))),
+    /Invalid token issuer/
+  );
+  await assert.rejects(
+    verifyGoogleIdToken(signRs256(googleClaims({ email_verified: false }))),
+    /email is not verified/
+  );
+});
+
+test("Google sign-in does not take over an unverified password account", async () => {
+  const account = new User({
+    email: "ada@example.com",
+    name: "Someone else",
+    passwordHash: "scrypt$c2FsdA==$aGFzaA==",
+    emailVerified: false,
+  });
+  const save = mock.method(account, "save", async () => account);
+  mock.method(User, "findOne", (filter) =>
+    filter.googleId ? Promise.resolve(null) : { select: async () => account }
+  );
+
+  assert.equal(await findOrCreateGoogleUser(googleClaims()), null);
+  assert.equal(account.googleId, undefined);
+  assert.equal(save.mock.callCount(), 0);
+});
+
+test("Google sign-in joins a verified or password-less account", async () => {
+  for (const existing of [
+    { passwordHash: "scrypt$c2FsdA==$aGFzaA==", emailVerified: true },
+    { passwordHash: null, emailVerified: false },
+  ]) {
+    const account = new User({
+      email: "ada@example.com",
+      name: "Ada",
+      ...existing,
+    });
+    mock.method(account, "save", async () => account);
+    mock.method(User, "findOne", (filter) =>
+      filter.googleId ? Promise.resolve(null) : { select: async () => account }
+    );
+
+    const user = await findOrCreateGoogleUser(googleClaims());
+    assert.equal(user, account);
+    assert.equal(user.googleId, "google-user-1");
+    assert.equal(user.emailVerified, true);
+    mock.restoreAll();
+  }
+});
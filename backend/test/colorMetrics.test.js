@@ -0,0 +1,109 @@
+/**
+ * =============================================================================
+ * Epsilon - Color Difference Metric Tests
+ * =============================================================================
+ *
+ * CIEDE2000 against the 34 reference pairs published with Sharma, Wu & Dalal
+ * (2005), which cover the hue wrap-around, zero-chroma and blue-rotation
+ * branches, and CIE94 against hand-checked values.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  deltaE76,
+  deltaE94,
+  deltaE2000,
+} from "../src/services/colorCheck.service.js";
+
+const lab = ([l, a, b]) => ({ l, a, b });
+
+// [L1, a1, b1], [L2, a2, b2], ΔE00 (Sharma, Wu & Dalal 2005, Table 1)
+const SHARMA_PAIRS = [
+  [[50.0, 2.6772, -79.7751], [50.0, 0.0, -82.7485], 2.0425],
+  [[50.0, 3.1571, -77.2803], [50.0, 0.0, -82.7485], 2.8615],
+  [[50.0, 2.8361, -74.02], [50.0, 0.0, -82.7485], 3.4412],
+  [[50.0, -1.3802, -84.2814], [50.0, 0.0, -82.7485], 1.0],
+  [[50.0, -1.1848, -84.8006], [50.0, 0.0, -82.7485], 1.0],
+  [[50.0, -0.9009, -85.5211], [50.0, 0.0, -82.7485], 1.0],
+  [[50.0, 0.0, 0.0], [50.0, -1.0, 2.0], 2.3669],
+  [[50.0, -1.0, 2.0], [50.0, 0.0, 0.0], 2.3669],
+  [[50.0, 2.49, -0.001], [50.0, -2.49, 0.0009], 7.1792],
+  [[50.0, 2.49, -0.001], [50.0, -2.49, 0.001], 7.1792],
+  [[50.0, 2.49, -0.001], [50.0, -2.49, 0.0011], 7.2195],
+  [[50.0, 2.49, -0.001], [50.0, -2.49, 0.0012], 7.2195],
+  [[50.0, -0.001, 2.49], [50.0, 0.0009, -2.49], 4.8045],
+  [[50.0, -0.001, 2.49], [50.0, 0.001, -2.49], 4.8045],
+  [[50.0, -0.001, 2.49], [50.0, 0.0011, -2.49], 4.7461],
+  [[50.0, 2.5, 0.0], [50.0, 0.0, -2.5], 4.3065],
+  [[50.0, 2.5, 0.0], [73.0, 25.0, -18.0], 27.1492],
+  [[50.0, 2.5, 0.0], [61.0, -5.0, 29.0], 22.8977],
+  [[50.0, 2.5, 0.0], [56.0, -27.0, -3.0], 31.903],
+  [[50.0, 2.5, 0.0], [58.0, 24.0, 15.0], 19.4535],
+  [[50.0, 2.5, 0.0], [50.0, 3.1736, 0.5854], 1.0],
+  [[50.0, 2.5, 0.0], [50.0, 3.2972, 0.0], 1.0],
+  [[50.0, 2.5, 0.0], [50.0, 1.8634, 0.5757], 1.0],
+  [[50.0, 2.5, 0.0], [50.0, 3.2592, 0.335], 1.0],
+  [[60.2574, -34.0099, 36.2677], [60.4626, -34.1751, 39.4387], 1.2644],
+  [[63.0109, -31.0961, -5.8663], [62.8187, -29.7946, -4.0864], 1.263],
+  [[61.2901, 3.7196, -5.3901], [61.4292, 2.248, -4.962], 1.8731],
+  [[35.0831, -44.1164, 3.7933], [35.0232, -40.0716, 1.5901], 1.8645],
+  [[22.7233, 20.0904, -46.694], [23.0331, 14.973, -42.5619], 2.0373],
+  [[36.4612, 47.858, 18.3852], [36.2715, 50.5065, 21.2231], 1.4146],
+  [[90.8027, -2.0831, 1.441], [91.1528, -1.6435, 0.0447], 1.4441],
+  [[90.9257, -0.5406, -0.9208], [88.6381, -0.8985, -0.7239], 1.5381],
+  [[6.7747, -0.2908, -2.4247], [5.8714, -0.0985, -2.2286], 0.6377],
+  [[2.0776, 0.0795, -1.135], [0.9033, -0.0636, -0.5514], 0.9082],
+];
+
+test("CIEDE2000 matches the Sharma et al. reference pairs", () => {
+  SHARMA_PAIRS.forEach(([first, second, expected], i) => {
+    const difference = deltaE2000(lab(first), lab(second));
+    assert.ok(
+      Math.abs(difference - expected) < 1e-4,
+      `pair ${i + 1}: expected ${expected}, got ${difference.toFixed(4)}`
+    );
+  });
+});
+
+test("CIEDE2000 is symmetric, including across the hue wrap", () => {
+  SHARMA_PAIRS.forEach(([first, second], i) => {
+    assert.ok(
+      Math.abs(
+        deltaE2000(lab(first), lab(second)) -
+          deltaE2000(lab(second), lab(first))
+      ) < 1e-9,
+      `pair ${i + 1}`
+    );
+  });
+  assert.equal(deltaE2000(lab([50, 10, 10]), lab([50, 10, 10])), 0);
+});
+
+test("CIE94 scales chroma and hue with the reference color", () => {
+  const close = (actual, expected) =>
+    assert.ok(
+      Math.abs(actual - expected) < 1e-4,
+      `expected ${expected}, got ${actual}`
+    );
+
+  // A neutral reference applies no weighting: ΔC 5, ΔH 0
+  close(deltaE94(lab([50, 0, 0]), lab([50, 3, 4])), 5);
+  // The same pair the other way round: ΔC 5 / SC 1.225
+  close(deltaE94(lab([50, 3, 4]), lab([50, 0, 0])), 4.0816);
+
+  close(deltaE94(lab([50, 2.5, 0]), lab([73, 25, -18])), 34.6892);
+  close(deltaE94(lab([73, 25, -18]), lab([50, 2.5, 0])), 26.1398);
+  close(
+    deltaE94(
+      lab([60.2574, -34.0099, 36.2677]),
+      lab([60.4626, -34.1751, 39.4387])
+    ),
+    1.391
+  );
+
+  // Lightness differences are unweighted, as in CIE76
+  close(
+    deltaE94(lab([40, 20, -30]), lab([55, 20, -30])),
+    deltaE76(lab([40, 20, -30]), lab([55, 20, -30]))
+  );
+});
@@ -0,0 +1,74 @@
+/**
+ * =============================================================================
+ * Epsilon - Color Pairing Tests
+ * =============================================================================
+ *
+ * Pairing violations carry details (pairing, relation, contrast ratio,
+ * metric) that must survive the rule engine and be stored on the analysis.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import AnalysisResult from "../src/models/AnalysisResult.js";
+import { checkColorPairings } from "../src/services/colorPairing.service.js";
+import {
+  getRule,
+  normalizeViolation,
+} from "../src/services/ruleEngine.service.js";
+
+const brandKit = {
+  colors: [
+    { name: "Red", hex: "#E53935" },
+    { name: "Green", hex: "#43A047" },
+  ],
+  colorPairings: [
+    { type: "forbidden", colors: ["#E53935", "#43A047"], relation: "overlap" },
+  ],
+};
+
+const elements = [
+  {
+    id: "background",
+    fillColor: "#43A047",
+    bounds: { x: 0, y: 0, width: 400, height: 400 },
+  },
+  {
+    id: "badge",
+    fillColor: "#E53935",
+    bounds: { x: 50, y: 50, width: 100, height: 100 },
+  },
+];
+
+test("forbidden pairing violations keep their details through the rule engine", () => {
+  const { violations } = checkColorPairings(elements, [], brandKit);
+  assert.equal(violations.length, 1);
+
+  const [violation] = violations.map((v) =>
+    normalizeViolation(v, { rule: getRule("color.pairing") })
+  );
+  assert.equal(violation.ruleId, "color.pairing");
+  assert.deepEqual(violation.details.pairing, ["#E53935", "#43A047"]);
+  assert.equal(violation.details.relation, "overlap");
+  assert.equal(typeof violation.details.contrastRatio, "number");
+  assert.deepEqual(violation.elementIds.sort(), ["background", "badge"]);
+});
+
+test("analysis results store and return violation details", () => {
+  const { violations } = checkColorPairings(elements, [], brandKit);
+  const result = new AnalysisResult({
+    designId: new mongoose.Types.ObjectId(),
+    brandKitId: new mongoose.Types.ObjectId(),
+    complianceScore: 80,
+    violations: violations.map((v) =>
+      normalizeViolation(v, { rule: getRule("color.pairing") })
+    ),
+  });
+
+  const [stored] = result.toClientResponse().violations;
+  assert.equal(stored.details.relation, "overlap");
+  assert.equal(
+    stored.details.contrastRatio,
+    violations[0].details.contrastRatio
+  );
+});
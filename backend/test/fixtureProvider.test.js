@@ -0,0 +1,165 @@
+/**
+ * =============================================================================
+ * Epsilon - Fixture Provider Tests
+ * =============================================================================
+ *
+ * Runs the AI code paths offline against the committed fallback fixtures
+ * (fixtures/llm/<operation>.json) with LLM_PROVIDER=fixture.
+ */
+
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const FIXTURES_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "fixtures",
+  "llm"
+);
+
+const brandKit = {
+  name: "Acme",
+  colors: [{ name: "Brand Blue", hex: "#1A73E8", tolerance: 10 }],
+  fonts: [{ name: "Roboto" }],
+  toneRules: { style: "professional", bannedWords: ["cheap"] },
+};
+
+const design = {
+  canvasId: "fixture_canvas",
+  colorsUsed: ["#1A73E8", "#FF5733"],
+  fontsUsed: ["Roboto", "Comic Sans"],
+  textContent: [{ text: "Buy our cheap products!", font: "Comic Sans" }],
+  images: [],
+};
+
+let geminiService;
+let llmService;
+
+before(async () => {
+  process.env.LLM_PROVIDER = "fixture";
+  process.env.LLM_FIXTURES_DIR = FIXTURES_DIR;
+  process.env.LLM_RECORD_FIXTURES = "false";
+  ({ default: geminiService } = await import(
+    "../src/services/gemini.service.js"
+  ));
+  ({ default: llmService } = await import("../src/services/llm.service.js"));
+});
+
+test("runBrandAnalysis replays the analysis fixture", async () => {
+  const result = await geminiService.runBrandAnalysis(brandKit, design);
+
+  assert.equal(result.usedAI, true);
+  assert.equal(result.schemaFailed, undefined);
+  assert.equal(result.complianceScore, 72);
+  assert.deepEqual(
+    result.violations.map((v) => [v.type, v.affectedElement]),
+    [
+      ["color", "#FF5733"],
+      ["font", "Comic Sans"],
+    ]
+  );
+});
+
+test("runJudgementAnalysis replays the judgement fixture", async () => {
+  const result = await geminiService.runJudgementAnalysis(brandKit, design, [
+    {
+      type: "color",
+      severity: "high",
+      description: "Color #FF5733 is not in the approved brand palette",
+    },
+  ]);
+
+  assert.equal(result.usedAI, true);
+  assert.equal(result.violations[0].type, "tone");
+  assert.equal(result.explanations[0].index, 0);
+});
+
+test("analyzeTone replays the tone fixture", async () => {
+  const result = await geminiService.analyzeTone(
+    "Buy our cheap products!",
+    brandKit.toneRules
+  );
+
+  assert.equal(result.usedAI, true);
+  assert.equal(result.toneMatch, false);
+  assert.deepEqual(result.bannedWordsFound, ["cheap"]);
+});
+
+test("generateExecutiveInsight replays the executive-summary fixture", async () => {
+  const result = await geminiService.generateExecutiveInsight({
+    period: "30 days",
+    totalScans: 12,
+    averageScore: 81,
+  });
+
+  assert.equal(result.usedAI, true);
+  assert.match(result.insight, /Color mismatches/);
+});
+
+test("extractBrandData replays the image fixture", async () => {
+  const result = await geminiService.extractBrandData(
+    Buffer.from("not a real image").toString("base64"),
+    "image/png",
+    "Extract the brand kit"
+  );
+
+  assert.equal(result.usedAI, true);
+  assert.deepEqual(
+    result.data.colors.map((c) => c.hex),
+    ["#1A73E8", "#FFFFFF"]
+  );
+  assert.equal(result.data.logoInfo.hasLogo, true);
+});
+
+test("analyzeTone reports a schema failure instead of a tone verdict", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "llm-fixtures-"));
+  await fs.writeFile(
+    path.join(dir, "tone.json"),
+    JSON.stringify({ operation: "tone", response: { violations: [] } })
+  );
+  process.env.LLM_FIXTURES_DIR = dir;
+  llmService.resetProvider();
+
+  try {
+    const result = await geminiService.analyzeTone(
+      "Buy our cheap products!",
+      brandKit.toneRules
+    );
+
+    assert.equal(result.schemaFailed, true);
+    assert.equal(result.toneMatch, null);
+    assert.equal(result.detectedTone, null);
+    assert.deepEqual(result.bannedWordsFound, ["cheap"]);
+    assert.ok(result.schemaErrors.length > 0);
+  } finally {
+    process.env.LLM_FIXTURES_DIR = FIXTURES_DIR;
+    llmService.resetProvider();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("runBrandAnalysis reports a provider failure instead of mock data", async () => {
+  // No fixtures at all - the provider call itself fails
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "llm-fixtures-"));
+  process.env.LLM_FIXTURES_DIR = dir;
+  llmService.resetProvider();
+
+  try {
+    const result = await geminiService.runBrandAnalysis(brandKit, design);
+
+    assert.equal(result.failed, true);
+    assert.equal(result.schemaFailed, false);
+    assert.equal(result.complianceScore, undefined);
+    assert.deepEqual(result.violations, []);
+    assert.deepEqual(result.schemaErrors, []);
+    assert.match(result.error, /No recorded response for analysis/);
+  } finally {
+    process.env.LLM_FIXTURES_DIR = FIXTURES_DIR;
+    llmService.resetProvider();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
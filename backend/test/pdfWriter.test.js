@@ -0,0 +1,147 @@
+/**
+ * =============================================================================
+ * Epsilon - PDF Writer Tests
+ * =============================================================================
+ *
+ * Structural validity of the generated files (cross-reference table,
+ * trailer, stream lengths) and the text that ends up in the content streams.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import zlib from "zlib";
+import {
+  createPdfDocument,
+  measureText,
+  wrapText,
+} from "../src/utils/pdfWriter.js";
+
+/**
+ * Read a PDF the way a viewer does: from startxref to the xref table, then
+ * every object from its recorded offset
+ */
+const parsePdf = (buffer) => {
+  const text = buffer.toString("latin1");
+  const startxref = Number(/startxref\n(\d+)\n%%EOF\n$/.exec(text)[1]);
+  assert.equal(text.slice(startxref, startxref + 5), "xref\n");
+
+  const [, first, count] = /^xref\n(\d+) (\d+)\n/.exec(text.slice(startxref));
+  assert.equal(Number(first), 0);
+
+  // Entries are fixed-width: 20 bytes each, end of line included
+  const entriesStart = text.indexOf("\n", startxref + 5) + 1;
+  const entries = [];
+  for (let i = 0; i < Number(count); i++) {
+    const entry = text.slice(
+      entriesStart + i * 20,
+      entriesStart + (i + 1) * 20
+    );
+    assert.match(entry, /^\d{10} \d{5} [fn] \n$/);
+    entries.push(entry);
+  }
+  assert.equal(entries[0], "0000000000 65535 f \n");
+
+  const trailer = text.slice(entriesStart + Number(count) * 20);
+  assert.match(trailer, /^trailer\n/);
+
+  const objects = {};
+  entries.slice(1).forEach((entry, i) => {
+    const id = i + 1;
+    const offset = Number(entry.slice(0, 10));
+    const header = `${id} 0 obj\n`;
+    assert.equal(text.slice(offset, offset + header.length), header);
+    const end = text.indexOf("\nendobj\n", offset);
+    objects[id] = {
+      body: text.slice(offset + header.length, end),
+      offset: offset + header.length,
+    };
+  });
+
+  return { text, count: Number(count), trailer, objects };
+};
+
+/**
+ * Inflate a content stream object, checking its declared length
+ */
+const readStream = (buffer, object) => {
+  const length = Number(/\/Length (\d+)/.exec(object.body)[1]);
+  const start = object.offset + object.body.indexOf("stream\n") + 7;
+  assert.equal(
+    buffer.toString("latin1", start + length, start + length + 10),
+    "\nendstream"
+  );
+  return zlib
+    .inflateSync(buffer.subarray(start, start + length))
+    .toString("latin1");
+};
+
+test("the xref table points at every object and the trailer sizes it", () => {
+  const doc = createPdfDocument({ title: "Q3 (draft)", author: "Epsilon" });
+  doc.addPage();
+  doc.text("First page", 40, 40, { size: 18, font: "bold" });
+  doc.rect(40, 80, 200, 20, { fill: "#1A73E8" });
+  doc.addPage();
+  doc.line(40, 40, 200, 40, { color: "#CCCCCC" });
+
+  const buffer = doc.toBuffer();
+  assert.equal(buffer.toString("latin1", 0, 9), "%PDF-1.4\n");
+
+  const { count, trailer, objects } = parsePdf(buffer);
+
+  // Catalog, pages, two fonts, info, and a page + content stream per page
+  assert.equal(count, 10);
+  assert.match(trailer, /\/Size 10 /);
+  assert.match(trailer, /\/Root 1 0 R/);
+  assert.match(objects[1].body, /\/Type \/Catalog \/Pages 2 0 R/);
+  assert.match(objects[2].body, /\/Count 2 \/Kids \[6 0 R 8 0 R\]/);
+  assert.match(objects[6].body, /\/Contents 7 0 R/);
+  assert.match(objects[8].body, /\/Contents 9 0 R/);
+  assert.match(objects[5].body, /\/Title \(Q3 \\\(draft\\\)\)/);
+
+  assert.match(readStream(buffer, objects[7]), /\(First page\) Tj/);
+  assert.match(readStream(buffer, objects[9]), / l S Q$/);
+});
+
+test("an empty document still gets one page", () => {
+  const { objects } = parsePdf(createPdfDocument().toBuffer());
+  assert.match(objects[2].body, /\/Count 1 \/Kids \[6 0 R\]/);
+});
+
+test("text is reduced to escaped WinAnsi", () => {
+  const doc = createPdfDocument({ size: "LETTER" });
+  doc.addPage();
+  doc.text("Café “bold” – (50%) \\ 中", 40, 40);
+
+  const buffer = doc.toBuffer();
+  const { objects } = parsePdf(buffer);
+  assert.match(objects[6].body, /\/MediaBox \[0 0 612 792\]/);
+  assert.ok(
+    readStream(buffer, objects[7]).includes(
+      '(Café "bold" - \\(50%\\) \\\\ ?) Tj'
+    )
+  );
+});
+
+test("drawing needs a page and pages must exist", () => {
+  const doc = createPdfDocument();
+  assert.throws(() => doc.text("x", 0, 0), /addPage\(\) must be called/);
+  doc.addPage();
+  assert.throws(() => doc.switchToPage(3), /Page 3 does not exist/);
+});
+
+test("text is measured with Helvetica widths and wrapped to fit", () => {
+  // "Hi": H 722 + i 222 in regular, H 722 + i 278 in bold
+  assert.equal(measureText("Hi", 10), 9.44);
+  assert.equal(measureText("Hi", 10, "bold"), 10);
+
+  const lines = wrapText("brand compliance report for the quarter", 80, 10);
+  assert.ok(lines.length > 1);
+  assert.ok(lines.every((line) => measureText(line, 10) <= 80));
+  assert.equal(lines.join(" "), "brand compliance report for the quarter");
+
+  // Words wider than a line are split
+  const split = wrapText("W".repeat(20), 50, 10);
+  assert.ok(split.length > 1);
+  assert.equal(split.join(""), "W".repeat(20));
+  assert.deepEqual(wrapText("", 50, 10), [""]);
+});
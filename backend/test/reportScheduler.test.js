@@ -0,0 +1,212 @@
+/**
+ * =============================================================================
+ * Epsilon - Report Scheduler Tests
+ * =============================================================================
+ *
+ * Occurrence and period arithmetic (month ends, quarter and year rollover,
+ * DST and host time zones), missed-run catch-up and the lease a run claims.
+ *
+ * The claim is a single findOneAndUpdate; these tests check the query and
+ * update it sends, not MongoDB's atomicity between instances.
+ */
+
+import { test, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import BrandKit from "../src/models/BrandKit.js";
+import ReportSchedule from "../src/models/ReportSchedule.js";
+import {
+  executeScheduleRun,
+  formatPeriod,
+  getNextRunAt,
+  getReportPeriod,
+  runDueSchedules,
+} from "../src/services/reportScheduler.service.js";
+
+const at = (iso) => new Date(iso);
+const iso = (date) => date.toISOString();
+
+const weekly = { frequency: "weekly", dayOfWeek: 1, hour: 6 };
+const monthly = { frequency: "monthly", dayOfMonth: 28, hour: 6 };
+const quarterly = { frequency: "quarterly", dayOfMonth: 1, hour: 6 };
+
+afterEach(() => mock.restoreAll());
+
+test("monthly schedules run on their day at month ends and across years", () => {
+  assert.equal(
+    iso(getNextRunAt(monthly, at("2026-01-28T06:00:00Z"))),
+    "2026-02-28T06:00:00.000Z"
+  );
+  assert.equal(
+    iso(getNextRunAt(monthly, at("2026-02-28T05:59:59Z"))),
+    "2026-02-28T06:00:00.000Z"
+  );
+  assert.equal(
+    iso(getNextRunAt(monthly, at("2026-12-31T23:00:00Z"))),
+    "2027-01-28T06:00:00.000Z"
+  );
+});
+
+test("monthly reports cover the previous calendar month", () => {
+  const period = getReportPeriod(monthly, at("2026-03-28T06:00:00Z"));
+  assert.equal(iso(period.start), "2026-02-01T00:00:00.000Z");
+  assert.equal(iso(period.end), "2026-03-01T00:00:00.000Z");
+  assert.equal(formatPeriod(period), "2026-02-01 to 2026-02-28");
+
+  // Leap year, and January reaching back into December
+  assert.equal(
+    formatPeriod(getReportPeriod(monthly, at("2028-03-28T06:00:00Z"))),
+    "2028-02-01 to 2028-02-29"
+  );
+  assert.equal(
+    formatPeriod(getReportPeriod(monthly, at("2027-01-28T06:00:00Z"))),
+    "2026-12-01 to 2026-12-31"
+  );
+});
+
+test("quarterly schedules roll over into the next quarter and year", () => {
+  assert.equal(
+    iso(getNextRunAt(quarterly, at("2026-01-01T05:00:00Z"))),
+    "2026-01-01T06:00:00.000Z"
+  );
+  assert.equal(
+    iso(getNextRunAt(quarterly, at("2026-01-01T06:00:00Z"))),
+    "2026-04-01T06:00:00.000Z"
+  );
+  assert.equal(
+    iso(getNextRunAt(quarterly, at("2026-11-15T00:00:00Z"))),
+    "2027-01-01T06:00:00.000Z"
+  );
+  assert.equal(
+    iso(
+      getNextRunAt({ ...quarterly, dayOfMonth: 15 }, at("2026-02-20T00:00:00Z"))
+    ),
+    "2026-04-15T06:00:00.000Z"
+  );
+
+  const period = getReportPeriod(quarterly, at("2027-01-01T06:00:00Z"));
+  assert.equal(formatPeriod(period), "2026-10-01 to 2026-12-31");
+  assert.equal(
+    formatPeriod(getReportPeriod(quarterly, at("2026-07-01T06:00:00Z"))),
+    "2026-04-01 to 2026-06-30"
+  );
+});
+
+test("weekly schedules run on their weekday and cover the 7 days before", () => {
+  // 2026-10-18 is a Sunday
+  const next = getNextRunAt(weekly, at("2026-10-18T12:00:00Z"));
+  assert.equal(iso(next), "2026-10-19T06:00:00.000Z");
+  assert.equal(iso(getNextRunAt(weekly, next)), "2026-10-26T06:00:00.000Z");
+  assert.equal(
+    iso(getNextRunAt(weekly, at("2026-12-29T00:00:00Z"))),
+    "2027-01-04T06:00:00.000Z"
+  );
+  assert.equal(
+    formatPeriod(getReportPeriod(weekly, next)),
+    "2026-10-12 to 2026-10-18"
+  );
+});
+
+test("run times stay in UTC across DST changes, whatever the host time zone", () => {
+  const runTimes = () => {
+    const runs = [];
+    // Spans the US (Mar 8) and EU (Mar 29) spring-forward dates
+    for (
+      let next = getNextRunAt(weekly, at("2026-03-01T00:00:00Z"));
+      runs.length < 6;
+      next = getNextRunAt(weekly, next)
+    ) {
+      runs.push(iso(next));
+    }
+    return runs;
+  };
+
+  const originalTz = process.env.TZ;
+  try {
+    process.env.TZ = "UTC";
+    const utc = runTimes();
+    assert.ok(utc.every((time) => time.endsWith("T06:00:00.000Z")));
+
+    for (const tz of [
+      "America/New_York",
+      "Europe/Berlin",
+      "Australia/Lord_Howe",
+    ]) {
+      process.env.TZ = tz;
+      assert.deepEqual(runTimes(), utc, tz);
+      assert.equal(
+        formatPeriod(getReportPeriod(monthly, at("2026-04-28T06:00:00Z"))),
+        "2026-03-01 to 2026-03-31",
+        tz
+      );
+    }
+  } finally {
+    if (originalTz === undefined) delete process.env.TZ;
+    else process.env.TZ = originalTz;
+  }
+});
+
+test("a run after downtime catches up to the latest occurrence only", async () => {
+  mock.method(BrandKit, "findById", async () => null);
+
+  const run = await executeScheduleRun(
+    { ...monthly, dayOfMonth: 1, nextRunAt: at("2026-07-01T06:00:00Z") },
+    at("2026-10-19T09:00:00Z")
+  );
+
+  assert.equal(iso(run.scheduledFor), "2026-10-01T06:00:00.000Z");
+  assert.equal(run.missedRuns, 3);
+  assert.equal(iso(run.periodStart), "2026-09-01T00:00:00.000Z");
+  assert.equal(iso(run.periodEnd), "2026-10-01T00:00:00.000Z");
+
+  // Failures are recorded on the run, not thrown
+  assert.equal(run.status, "failed");
+  assert.equal(run.error, "Brand kit not found");
+});
+
+test("due schedules are claimed with a lease and released by its holder", async () => {
+  const now = at("2026-10-19T06:00:30Z");
+  const schedule = {
+    _id: "schedule_1",
+    title: "Weekly brand report",
+    ...weekly,
+    nextRunAt: at("2026-10-19T06:00:00Z"),
+  };
+
+  const claims = [];
+  mock.method(ReportSchedule, "findOneAndUpdate", async (...args) => {
+    claims.push(args);
+    return claims.length === 1 ? schedule : null;
+  });
+  const completions = [];
+  mock.method(ReportSchedule, "updateOne", async (...args) => {
+    completions.push(args);
+    return { modifiedCount: 1 };
+  });
+  mock.method(BrandKit, "findById", async () => null);
+
+  const runs = await runDueSchedules(now);
+  assert.equal(runs.length, 1);
+  assert.equal(claims.length, 2);
+
+  // Only enabled, due schedules without a live lease; most overdue first
+  const [filter, update, options] = claims[0];
+  assert.equal(filter.enabled, true);
+  assert.equal(filter.nextRunAt.$lte, now);
+  assert.deepEqual(filter.$or, [
+    { lockedUntil: null },
+    { lockedUntil: { $lte: now } },
+  ]);
+  assert.deepEqual(options.sort, { nextRunAt: 1 });
+
+  const lockedBy = update.$set.lockedBy;
+  assert.equal(typeof lockedBy, "string");
+  assert.equal(iso(update.$set.lockedUntil), "2026-10-19T06:10:30.000Z");
+
+  // Completion matches the lease holder, so an expired holder cannot overwrite
+  const [completionFilter, completion] = completions[0];
+  assert.deepEqual(completionFilter, { _id: "schedule_1", lockedBy });
+  assert.equal(iso(completion.$set.nextRunAt), "2026-10-26T06:00:00.000Z");
+  assert.equal(completion.$set.lockedUntil, null);
+  assert.equal(completion.$set.lockedBy, null);
+  assert.equal(completion.$push.runs.$each[0].status, "failed");
+});
@@ -0,0 +1,110 @@
+/**
+ * =============================================================================
+ * Epsilon - Risk Scoring Tests
+ * =============================================================================
+ *
+ * Brand, accessibility and legal risk from violation severities, type
+ * exposure and brand kit risk tags.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { matchesRiskTag, scoreRisks } from "../src/services/risk.service.js";
+
+test("violations add points to the risks their type is exposed to", () => {
+  const { riskScores, riskFactors } = scoreRisks(
+    [
+      { type: "accessibility", severity: "high", description: "Low contrast" },
+      { type: "color", severity: "medium", description: "Off-brand color" },
+    ],
+    null
+  );
+
+  // accessibility: 15 in full; legal: half of it; brand: the color's 8
+  assert.deepEqual(riskScores, {
+    brandRisk: 8,
+    accessibilityRisk: 15,
+    legalRisk: 8,
+  });
+  assert.deepEqual(
+    riskFactors.map(({ risk, points, violationIndex }) => ({
+      risk,
+      points,
+      violationIndex,
+    })),
+    [
+      { risk: "brand", points: 8, violationIndex: 1 },
+      { risk: "accessibility", points: 15, violationIndex: 0 },
+      { risk: "legal", points: 7.5, violationIndex: 0 },
+    ]
+  );
+});
+
+test("resolved violations carry no risk", () => {
+  const { riskScores, riskFactors } = scoreRisks(
+    [{ type: "logo", severity: "critical", resolved: true }],
+    null
+  );
+
+  assert.deepEqual(riskScores, {
+    brandRisk: 0,
+    accessibilityRisk: 0,
+    legalRisk: 0,
+  });
+  assert.deepEqual(riskFactors, []);
+});
+
+test("brand kit risk tags route matching violations to another risk", () => {
+  const brandKit = {
+    riskTags: [
+      { name: "trademark", risk: "legal", types: ["logo"], weight: 2 },
+      { name: "claims", risk: "legal", terms: ["Guaranteed"] },
+    ],
+  };
+  const { riskScores, riskFactors } = scoreRisks(
+    [
+      { type: "logo", severity: "high", description: "Logo stretched" },
+      {
+        type: "tone",
+        severity: "low",
+        description: "Banned word",
+        affectedElement: "guaranteed",
+      },
+    ],
+    brandKit
+  );
+
+  // logo: 15 x 0.3 + 15 x 2 (trademark); tone: 3 x 0.3 + 3 (claims)
+  assert.equal(riskScores.legalRisk, 38);
+  assert.deepEqual(
+    riskFactors.filter((f) => f.tag).map((f) => [f.tag, f.points]),
+    [
+      ["trademark", 30],
+      ["claims", 3],
+    ]
+  );
+});
+
+test("each risk is capped at 100", () => {
+  const violations = Array.from({ length: 6 }, () => ({
+    type: "color",
+    severity: "critical",
+  }));
+
+  assert.equal(scoreRisks(violations, null).riskScores.brandRisk, 100);
+});
+
+test("risk tags match by type, rule id or term", () => {
+  const violation = {
+    type: "color",
+    ruleId: "color.palette",
+    description: "Off-brand color",
+    affectedElement: { color: "#FF0000" },
+  };
+
+  assert.ok(matchesRiskTag({ types: ["color"] }, violation));
+  assert.ok(matchesRiskTag({ ruleIds: ["color.palette"] }, violation));
+  assert.ok(matchesRiskTag({ terms: ["#ff0000"] }, violation));
+  assert.ok(!matchesRiskTag({ terms: ["logo"] }, violation));
+  assert.ok(!matchesRiskTag({}, violation));
+});
@@ -0,0 +1,117 @@
+/**
+ * =============================================================================
+ * Epsilon - Rule Engine Tests
+ * =============================================================================
+ *
+ * Rule set resolution from a brand kit (enabled rules, weights, rules that do
+ * not apply to the kit) and the scores a run produces from it.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import BrandKit from "../src/models/BrandKit.js";
+import {
+  normalizeViolation,
+  resolveRuleSet,
+  runRules,
+} from "../src/services/ruleEngine.service.js";
+
+const kitData = {
+  name: "Acme",
+  colors: [{ name: "Brand Blue", hex: "#1A73E8" }],
+  fonts: [{ name: "Roboto" }],
+};
+
+// One off-brand font, nothing else to find
+const design = {
+  colorsUsed: ["#1A73E8"],
+  fontsUsed: ["Comic Sans"],
+  textContent: [],
+  images: [],
+};
+
+const ruleIds = (ruleSet) => ruleSet.map((entry) => entry.rule.id);
+const totalWeight = (ruleSet) =>
+  ruleSet.reduce((sum, entry) => sum + entry.weight, 0);
+
+test("a kit without logo rules leaves logo.usage out of the rule set", () => {
+  const ruleSet = resolveRuleSet(new BrandKit(kitData));
+
+  assert.ok(!ruleIds(ruleSet).includes("logo.usage"));
+  assert.ok(Math.abs(totalWeight(ruleSet) - 1) < 0.001);
+});
+
+test("a kit with its own logo rules runs logo.usage", () => {
+  const withMinWidth = new BrandKit({
+    ...kitData,
+    logoRules: { minWidth: 120 },
+  });
+  const withBackgrounds = new BrandKit({
+    ...kitData,
+    logoRules: { allowedBackgrounds: ["#FFFFFF"] },
+  });
+
+  assert.ok(ruleIds(resolveRuleSet(withMinWidth)).includes("logo.usage"));
+  assert.ok(ruleIds(resolveRuleSet(withBackgrounds)).includes("logo.usage"));
+});
+
+test("a kit without logo rules is scored without a logo category", async () => {
+  const withoutLogo = await runRules(new BrandKit(kitData), design);
+  const withLogo = await runRules(
+    new BrandKit({ ...kitData, logoRules: { minWidth: 120 } }),
+    design
+  );
+
+  assert.ok(!withoutLogo.ruleResults.some((r) => r.ruleId === "logo.usage"));
+  assert.ok(!withoutLogo.categoryScores.some((c) => c.category === "logo"));
+
+  // The logo rule would add a free 100 for a design without logos
+  assert.ok(withoutLogo.complianceScore < withLogo.complianceScore);
+  assert.equal(
+    withoutLogo.complianceScore,
+    Math.round(
+      withoutLogo.ruleResults.reduce((sum, r) => sum + r.score * r.weight, 0)
+    )
+  );
+});
+
+test("disabled rules are dropped and the remaining weights sum to 1", () => {
+  const ruleSet = resolveRuleSet(
+    new BrandKit({
+      ...kitData,
+      rules: [
+        { ruleId: "tone.voice", enabled: false },
+        { ruleId: "color.palette", weight: 0.5 },
+      ],
+    })
+  );
+
+  assert.ok(!ruleIds(ruleSet).includes("tone.voice"));
+  assert.ok(Math.abs(totalWeight(ruleSet) - 1) < 0.001);
+
+  // 0.5 against typography 0.25 and accessibility 0.15
+  const palette = ruleSet.find((entry) => entry.rule.id === "color.palette");
+  assert.equal(palette.weight, 0.5556);
+});
+
+test("severity maps remap violations and unknown severities become medium", () => {
+  const entry = {
+    rule: { id: "typography.fonts", category: "typography" },
+    severityMap: { medium: "high" },
+  };
+
+  const remapped = normalizeViolation(
+    { severity: "medium", description: "Off-brand font" },
+    entry
+  );
+  assert.equal(remapped.severity, "high");
+  assert.equal(remapped.ruleId, "typography.fonts");
+  assert.equal(remapped.type, "typography");
+
+  const unknown = normalizeViolation(
+    { severity: "catastrophic" },
+    { ...entry, severityMap: {} }
+  );
+  assert.equal(unknown.severity, "medium");
+  assert.deepEqual(unknown.elementIds, []);
+});
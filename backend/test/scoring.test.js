@@ -0,0 +1,165 @@
+/**
+ * =============================================================================
+ * Epsilon - Scoring Policy Tests
+ * =============================================================================
+ *
+ * Per-kit scoring policies: severity penalties, score caps, label thresholds
+ * and the page roll-up of multi-page designs.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  applyScoreCaps,
+  getScoreLabel,
+  resolveScoringPolicy,
+  rollUpPageResults,
+  scoreRuleResults,
+  scoreViolations,
+} from "../src/services/scoring.service.js";
+
+const defaults = resolveScoringPolicy(null);
+
+test("a kit's policy overrides only the values it sets", () => {
+  const policy = resolveScoringPolicy({
+    scoringPolicy: {
+      severityPenalties: { high: 30, low: null },
+      labelThresholds: { good: 80 },
+    },
+  });
+
+  assert.deepEqual(policy.severityPenalties, {
+    critical: 40,
+    high: 30,
+    medium: 10,
+    low: 5,
+  });
+  assert.deepEqual(policy.labelThresholds, {
+    excellent: 90,
+    good: 80,
+    needsWork: 50,
+  });
+  assert.deepEqual(policy.scoreCaps, []);
+});
+
+test("rule scores lose the penalty of each violation, floored at 0", () => {
+  assert.equal(scoreViolations([], defaults), 100);
+  assert.equal(
+    scoreViolations([{ severity: "high" }, { severity: "low" }], defaults),
+    70
+  );
+  // Unknown severities cost a medium penalty
+  assert.equal(scoreViolations([{ severity: "odd" }], defaults), 90);
+  assert.equal(
+    scoreViolations(
+      [
+        { severity: "critical" },
+        { severity: "critical" },
+        { severity: "high" },
+      ],
+      defaults
+    ),
+    0
+  );
+});
+
+test("score caps apply to matching severities and categories only", () => {
+  const policy = resolveScoringPolicy({
+    scoringPolicy: {
+      scoreCaps: [
+        { severity: "critical", maxScore: 40 },
+        { severity: "high", category: "typography", maxScore: 60 },
+      ],
+    },
+  });
+
+  const critical = applyScoreCaps(85, [{ severity: "critical" }], policy);
+  assert.equal(critical.score, 40);
+  assert.equal(critical.appliedCaps.length, 1);
+
+  // "font" violations count as typography
+  const font = applyScoreCaps(85, [{ type: "font", severity: "high" }], policy);
+  assert.equal(font.score, 60);
+
+  const color = applyScoreCaps(
+    85,
+    [{ type: "color", severity: "high" }],
+    policy
+  );
+  assert.equal(color.score, 85);
+  assert.deepEqual(color.appliedCaps, []);
+
+  // A cap above the score changes nothing and is not reported
+  const low = applyScoreCaps(30, [{ severity: "critical" }], policy);
+  assert.equal(low.score, 30);
+  assert.deepEqual(low.appliedCaps, []);
+});
+
+test("rule results are weighted into the compliance and category scores", () => {
+  const result = scoreRuleResults(
+    [
+      { ruleId: "color.palette", category: "color", weight: 0.6 },
+      { ruleId: "typography.fonts", category: "typography", weight: 0.4 },
+    ],
+    [
+      { ruleId: "color.palette", type: "color", severity: "high" },
+      { ruleId: "color.palette", type: "color", severity: "medium" },
+    ],
+    defaults
+  );
+
+  // color 65 * 0.6 + typography 100 * 0.4
+  assert.equal(result.complianceScore, 79);
+  assert.deepEqual(
+    result.categoryScores.map(({ category, score, violations }) => ({
+      category,
+      score,
+      violations,
+    })),
+    [
+      { category: "color", score: 65, violations: 2 },
+      { category: "typography", score: 100, violations: 0 },
+    ]
+  );
+});
+
+test("labels follow the policy's thresholds", () => {
+  assert.equal(getScoreLabel(90), "excellent");
+  assert.equal(getScoreLabel(89), "good");
+  assert.equal(getScoreLabel(50), "needs_work");
+  assert.equal(getScoreLabel(49), "poor");
+  assert.equal(
+    getScoreLabel(75, { excellent: 95, good: 80, needsWork: 60 }),
+    "needs_work"
+  );
+});
+
+test("multi-page designs score the mean of their pages, capped by any page", () => {
+  const page = (pageIndex, complianceScore, violations = []) => ({
+    page: { pageId: `page_${pageIndex}`, pageIndex, pageName: null },
+    result: {
+      complianceScore,
+      categoryScores: [
+        { category: "color", score: complianceScore, weight: 1, violations: 0 },
+      ],
+      ruleResults: [],
+      violations,
+    },
+  });
+
+  const rolledUp = rollUpPageResults([page(0, 100), page(1, 61)]);
+  assert.equal(rolledUp.complianceScore, 81);
+  assert.equal(rolledUp.pageResults.length, 2);
+  assert.deepEqual(rolledUp.categoryScores[0].score, 81);
+  assert.match(rolledUp.summary, /1 of 2 pages need attention: Page 2/);
+
+  const policy = resolveScoringPolicy({
+    scoringPolicy: { scoreCaps: [{ severity: "critical", maxScore: 40 }] },
+  });
+  const capped = rollUpPageResults(
+    [page(0, 100), page(1, 90, [{ type: "logo", severity: "critical" }])],
+    policy
+  );
+  assert.equal(capped.complianceScore, 40);
+  assert.equal(capped.appliedCaps.length, 1);
+});
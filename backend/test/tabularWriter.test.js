@@ -0,0 +1,256 @@
+/**
+ * =============================================================================
+ * Epsilon - CSV / XLSX Writer Tests
+ * =============================================================================
+ *
+ * CSV quoting and formula escaping, and the structure of the streamed XLSX
+ * zip: local headers, data descriptors, central directory and CRC-32s.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Writable } from "stream";
+import zlib from "zlib";
+import {
+  createCsvWriter,
+  createTabularWriter,
+  createXlsxWriter,
+} from "../src/utils/tabularWriter.js";
+
+/**
+ * Output stream that collects everything written to it
+ * A small buffer and an asynchronous sink make every writer wait for "drain"
+ */
+const collect = () => {
+  const chunks = [];
+  const output = new Writable({
+    highWaterMark: 256,
+    write(chunk, encoding, callback) {
+      chunks.push(Buffer.from(chunk));
+      setImmediate(callback);
+    },
+  });
+  const done = new Promise((resolve) => output.on("finish", resolve));
+  return { output, result: () => done.then(() => Buffer.concat(chunks)) };
+};
+
+/**
+ * CRC-32 as gzip computes it (the last 8 bytes are CRC and size)
+ */
+const referenceCrc32 = (data) => {
+  const gzip = zlib.gzipSync(data);
+  return gzip.readUInt32LE(gzip.length - 8);
+};
+
+/**
+ * Read a zip through its central directory, checking every local entry
+ */
+const readZip = (zip) => {
+  const end = zip.length - 22;
+  assert.equal(zip.readUInt32LE(end), 0x06054b50);
+  const count = zip.readUInt16LE(end + 10);
+  assert.equal(zip.readUInt16LE(end + 8), count);
+  const directorySize = zip.readUInt32LE(end + 12);
+  const directoryOffset = zip.readUInt32LE(end + 16);
+  assert.equal(directoryOffset + directorySize, end);
+
+  const files = new Map();
+  let position = directoryOffset;
+  let expectedOffset = 0;
+  for (let i = 0; i < count; i++) {
+    assert.equal(zip.readUInt32LE(position), 0x02014b50);
+    const crc = zip.readUInt32LE(position + 16);
+    const compressedSize = zip.readUInt32LE(position + 20);
+    const size = zip.readUInt32LE(position + 24);
+    const nameLength = zip.readUInt16LE(position + 28);
+    const offset = zip.readUInt32LE(position + 42);
+    const name = zip.toString(
+      "utf8",
+      position + 46,
+      position + 46 + nameLength
+    );
+    position += 46 + nameLength;
+
+    // Entries follow each other with nothing in between
+    assert.equal(offset, expectedOffset, name);
+    assert.equal(zip.readUInt32LE(offset), 0x04034b50, name);
+    assert.equal(zip.readUInt16LE(offset + 8), 8, name);
+    assert.equal(
+      zip.toString("utf8", offset + 30, offset + 30 + nameLength),
+      name
+    );
+
+    const dataStart = offset + 30 + nameLength;
+    const data = zlib.inflateRawSync(
+      zip.subarray(dataStart, dataStart + compressedSize)
+    );
+    assert.equal(data.length, size, name);
+    assert.equal(crc, referenceCrc32(data), name);
+
+    // The data descriptor repeats CRC and sizes
+    const descriptor = dataStart + compressedSize;
+    assert.equal(zip.readUInt32LE(descriptor), 0x08074b50, name);
+    assert.equal(zip.readUInt32LE(descriptor + 4), crc, name);
+    assert.equal(zip.readUInt32LE(descriptor + 8), compressedSize, name);
+    assert.equal(zip.readUInt32LE(descriptor + 12), size, name);
+    expectedOffset = descriptor + 16;
+
+    files.set(name, data.toString("utf8"));
+  }
+  assert.equal(position, end);
+  assert.equal(expectedOffset, directoryOffset);
+
+  return files;
+};
+
+// ---------------------------------------------------------------------------
+// CSV
+// ---------------------------------------------------------------------------
+
+test("CSV fields are quoted only when they need it", async () => {
+  const { output, result } = collect();
+  const writer = createCsvWriter(output);
+
+  await writer.startSheet("Violations", [
+    { header: "Design" },
+    { header: "Note" },
+  ]);
+  await writer.writeRow(["Plain", 'Says "hello", twice']);
+  await writer.writeRow(["Two\nlines", "Carriage\rreturn"]);
+  await writer.writeRow([42, true]);
+  await writer.writeRow([null, undefined]);
+  await writer.writeRow([new Date("2026-10-19T06:00:00Z"), { hex: "#FFF" }]);
+  await writer.end();
+
+  const csv = (await result()).toString("utf8");
+  assert.ok(csv.startsWith("\uFEFFDesign,Note\r\n"));
+  assert.deepEqual(csv.slice(1).split("\r\n"), [
+    "Design,Note",
+    'Plain,"Says ""hello"", twice"',
+    '"Two\nlines","Carriage\rreturn"',
+    "42,true",
+    ",",
+    '2026-10-19T06:00:00.000Z,"{""hex"":""#FFF""}"',
+    "",
+  ]);
+});
+
+test("CSV text that a spreadsheet would run as a formula is escaped", async () => {
+  const { output, result } = collect();
+  const writer = createCsvWriter(output);
+
+  await writer.startSheet("Violations", [{ header: "Text" }]);
+  for (const text of [
+    "=1+1",
+    "+SUM(A1:A2)",
+    "-2+3",
+    "@cmd",
+    "\tTab",
+    '=HYPERLINK("http://evil.example","click")',
+    "A = B",
+  ]) {
+    await writer.writeRow([text]);
+  }
+  await writer.writeRow([-5]);
+  await writer.end();
+
+  const rows = (await result()).toString("utf8").slice(1).split("\r\n");
+  assert.deepEqual(rows, [
+    "Text",
+    "'=1+1",
+    "'+SUM(A1:A2)",
+    "'-2+3",
+    "'@cmd",
+    "'\tTab",
+    `"'=HYPERLINK(""http://evil.example"",""click"")"`,
+    "A = B",
+    // Numbers are not formulas
+    "-5",
+    "",
+  ]);
+});
+
+test("a CSV export holds a single table", async () => {
+  const { output } = collect();
+  const writer = createCsvWriter(output);
+  await writer.startSheet("One", [{ header: "A" }]);
+  await assert.rejects(
+    writer.startSheet("Two", [{ header: "A" }]),
+    /single table/
+  );
+});
+
+// ---------------------------------------------------------------------------
+// XLSX
+// ---------------------------------------------------------------------------
+
+test("XLSX exports are valid zips with matching CRCs and directory", async () => {
+  const { output, result } = collect();
+  const writer = createXlsxWriter(output);
+
+  await writer.startSheet("Violations", [
+    { header: "Design", width: 30 },
+    { header: "Score" },
+  ]);
+  // Enough rows to flush in several chunks
+  for (let i = 1; i <= 450; i++) {
+    await writer.writeRow([`Design ${i}`, i]);
+  }
+  await writer.startSheet("Violations", [{ header: "Checked" }]);
+  await writer.writeRow([new Date("2026-10-19T00:00:00Z")]);
+  await writer.end();
+
+  const files = readZip(await result());
+  assert.deepEqual(
+    [...files.keys()],
+    [
+      "xl/worksheets/sheet1.xml",
+      "xl/worksheets/sheet2.xml",
+      "[Content_Types].xml",
+      "_rels/.rels",
+      "xl/workbook.xml",
+      "xl/_rels/workbook.xml.rels",
+      "xl/styles.xml",
+    ]
+  );
+
+  const sheet = files.get("xl/worksheets/sheet1.xml");
+  assert.ok(sheet.endsWith("</sheetData></worksheet>"));
+  assert.match(sheet, /<row r="451"><c r="A451" t="inlineStr">/);
+  assert.match(sheet, /<c r="B451"><v>450<\/v><\/c>/);
+
+  // Duplicate sheet names are made unique; dates are Excel serials
+  assert.match(files.get("xl/workbook.xml"), /<sheet name="Violations \(2\)"/);
+  assert.match(
+    files.get("xl/worksheets/sheet2.xml"),
+    /<c r="A2" s="2"><v>46314<\/v><\/c>/
+  );
+});
+
+test("XLSX cells are typed, so text is never a formula", async () => {
+  const { output, result } = collect();
+  const writer = createTabularWriter("xlsx", output);
+
+  await writer.startSheet("Sheet", [{ header: "Text" }]);
+  await writer.writeRow(["=1+1"]);
+  await writer.writeRow(["<b> & \u0007"]);
+  await writer.end();
+
+  const sheet = readZip(await result()).get("xl/worksheets/sheet1.xml");
+  assert.ok(!sheet.includes("<f>"));
+  assert.match(sheet, /<t xml:space="preserve">=1\+1<\/t>/);
+  assert.match(sheet, /<t xml:space="preserve">&lt;b&gt; &amp; <\/t>/);
+});
+
+test("writers refuse unknown formats and writes to closed streams", async () => {
+  const { output } = collect();
+  assert.throws(
+    () => createTabularWriter("ods", output),
+    /Unsupported tabular format/
+  );
+
+  const writer = createCsvWriter(output);
+  output.destroy();
+  await writer.startSheet("Sheet", [{ header: "A" }]);
+  await assert.rejects(writer.end(), /Output stream closed/);
+});
@@ -11,9 +11,22 @@
  * - Fonts used in text elements
  * - Text content
  * - Image/media dimensions
+ * - Per-node element records (id, type, bounds, page/artboard, styles)
+ * - Per-artboard breakdown (own background, colors, fonts, text, images) so
+ *   multi-page decks and carousels can be scored page by page
+ * - Color usages with the role, opacity and rendered color (blended over the
+ *   artboard background) of every fill, stroke and text
+ *
+ * express-document-sdk only exposes solid color fills, so the Add-on never
+ * sends gradient stops; gradients are checked only for API clients that send
+ * colorUsages[].gradientStops themselves.
+ *
+ * It also applies auto-fix plans from the backend directly to the canvas
+ * (recoloring fills/strokes/text, swapping font families and sizes), and
+ * selects/scrolls to elements referenced by violations.
  */
 
-import { editor } from "express-document-sdk";
+import { editor, colorUtils, fonts, viewport } from "express-document-sdk";
 import addOnSandboxSdk from "add-on-sdk-document-sandbox";
 
 const { runtime } = addOnSandboxSdk.instance;
@@ -40,9 +53,45 @@ function colorToHex(color) {
     return colorToHex(color.color);
   }
 
+  // Plain Color object { red, green, blue, alpha } (fills, strokes, text styles)
+  if (typeof color.red === "number") {
+    return colorToHex({ colorValue: color });
+  }
+
   return null;
 }
 
+/**
+ * Get the alpha (0-1) of a color or color fill
+ */
+function getColorAlpha(color) {
+  const value = color && (color.colorValue || color.color || color);
+  return value && typeof value.alpha === "number" ? value.alpha : 1;
+}
+
+/**
+ * Get a node's own opacity (0-1)
+ */
+function getNodeOpacity(node) {
+  return typeof node.opacity === "number" ? node.opacity : 1;
+}
+
+/**
+ * Blend a color over a backdrop at an opacity (normal blend mode)
+ */
+function blendOver(hex, opacity, backdropHex) {
+  if (opacity >= 1 || !backdropHex) return hex;
+
+  const channel = (i) => {
+    const color = parseInt(hex.substr(1 + i * 2, 2), 16);
+    const backdrop = parseInt(backdropHex.substr(1 + i * 2, 2), 16);
+    return Math.round(color * opacity + backdrop * (1 - opacity))
+      .toString(16)
+      .padStart(2, "0");
+  };
+  return `#${channel(0)}${channel(1)}${channel(2)}`.toUpperCase();
+}
+
 /**
  * Extract colors from a node's fill
  */
@@ -80,10 +129,78 @@ function extractFillColors(node, colors) {
   }
 }
 
+// Font style names -> CSS font weights
+const FONT_STYLE_WEIGHTS = {
+  thin: 100,
+  hairline: 100,
+  extralight: 200,
+  ultralight: 200,
+  light: 300,
+  regular: 400,
+  normal: 400,
+  book: 400,
+  medium: 500,
+  semibold: 600,
+  demibold: 600,
+  bold: 700,
+  extrabold: 800,
+  ultrabold: 800,
+  black: 900,
+  heavy: 900,
+};
+
+/**
+ * Get the numeric weight for a font style name ("Semibold Italic" -> 600)
+ */
+function getFontWeight(styleName) {
+  if (!styleName) return 400;
+  const key = styleName.toLowerCase().replace(/italic|oblique|[\s_-]/g, "");
+  return FONT_STYLE_WEIGHTS[key] || 400;
+}
+
+/**
+ * Get every styled run of a text node
+ * Ranges are character offsets into the node's full text
+ */
+function getTextRuns(node, text) {
+  const runs = [];
+
+  let ranges = null;
+  try {
+    ranges = node.fullContent?.characterStyleRanges || node.characterStyles;
+  } catch (e) {
+    // Character styles may not be accessible
+  }
+  if (!ranges) return runs;
+
+  let start = 0;
+  for (const range of ranges) {
+    const runStart = range.start ?? start;
+    const length = range.length ?? text.length - runStart;
+    const styleName = range.font?.style || range.fontStyle || "";
+
+    runs.push({
+      start: runStart,
+      length,
+      text: text.substring(runStart, runStart + length),
+      font: range.font?.family || range.fontFamily || "Unknown",
+      fontWeight: range.fontWeight || getFontWeight(styleName),
+      fontSize: range.fontSize || null,
+      color: colorToHex(range.color),
+      isItalic: /italic|oblique/i.test(styleName),
+    });
+    start = runStart + length;
+  }
+
+  // Whitespace-only runs can't carry a visible violation
+  return runs.filter((run) => run.text.trim());
+}
+
 /**
  * Extract text data from a TextNode
+ * Returns the text info that was recorded (or null for non-text nodes)
  */
-function extractTextData(node, textContent, fonts) {
+function extractTextData(node, textContent, fontsUsed, elementId = null) {
   try {
     if (
       node.type === "Text" ||
@@ -91,54 +208,50 @@ function extractTextData(node, textContent, fonts) {
       node.type === "ThreadedText"
     ) {
       // Get text content
-      const text = node.text || node.fullContent || "";
-      if (text && text.trim()) {
+      const fullText = node.text || node.fullContent?.text || "";
+      if (fullText && fullText.trim()) {
         const textInfo = {
-          text: text.trim(),
+          text: fullText.trim(),
           font: "Unknown",
           fontSize: 16,
           color: "#000000",
+          isBold: false,
+          isItalic: false,
+          runs: getTextRuns(node, fullText),
+          elementId,
         };
 
-        // Try to extract font info
-        try {
-          if (node.characterStyles) {
-            for (const style of node.characterStyles) {
-              if (style.fontFamily) {
-                textInfo.font = style.fontFamily;
-                if (!fonts.includes(style.fontFamily)) {
-                  fonts.push(style.fontFamily);
-                }
-              }
-              if (style.fontSize) {
-                textInfo.fontSize = style.fontSize;
-              }
-              if (style.color) {
-                const hex = colorToHex(style.color);
-                if (hex) {
-                  textInfo.color = hex;
-                }
-              }
-              break; // Just get first style for simplicity
-            }
+        // Node-level values come from the first run; runs keep the rest
+        const firstRun = textInfo.runs[0];
+        if (firstRun) {
+          textInfo.font = firstRun.font;
+          textInfo.fontSize = firstRun.fontSize || textInfo.fontSize;
+          textInfo.color = firstRun.color || textInfo.color;
+          textInfo.isBold = firstRun.fontWeight >= 700;
+          textInfo.isItalic = firstRun.isItalic;
+        }
+
+        for (const run of textInfo.runs) {
+          if (run.font !== "Unknown" && !fontsUsed.includes(run.font)) {
+            fontsUsed.push(run.font);
           }
-        } catch (styleError) {
-          // Character styles may not be accessible
         }
 
         textContent.push(textInfo);
+        return textInfo;
       }
     }
   } catch (e) {
     // Text extraction failed for this node
   }
+  return null;
 }
 
 /**
  * Extract image/media data and classify type
  * Types: logo, photo, graphic, icon, background
  */
-function extractImageData(node, images) {
+function extractImageData(node, images, elementId = null) {
   try {
     // Check for media containers or image nodes
     if (
@@ -177,6 +290,7 @@ function extractImageData(node, images) {
         width: width,
         height: height,
         isDecorativePhoto: imageType === "photo" || imageType === "background",
+        elementId,
       });
     }
 
@@ -188,6 +302,7 @@ function extractImageData(node, images) {
         width: bounds.width || 100,
         height: bounds.height || 100,
         isDecorativePhoto: true,
+        elementId,
       });
     }
   } catch (e) {
@@ -195,24 +310,176 @@ function extractImageData(node, images) {
   }
 }
 
+/**
+ * Round a coordinate to 2 decimal places
+ */
+function roundCoord(value) {
+  return Math.round((value || 0) * 100) / 100;
+}
+
+/**
+ * Get a node's bounds in its artboard's coordinate space
+ */
+function getNodeBounds(node, artboard) {
+  const local = node.boundsLocal;
+  if (!local) return null;
+
+  let topLeft = { x: local.x, y: local.y };
+  try {
+    if (artboard && node !== artboard && node.localPointInNode) {
+      topLeft = node.localPointInNode(topLeft, artboard);
+    }
+  } catch (e) {
+    // Fall back to local coordinates
+  }
+
+  return {
+    x: roundCoord(topLeft.x),
+    y: roundCoord(topLeft.y),
+    width: roundCoord(local.width),
+    height: roundCoord(local.height),
+  };
+}
+
+/**
+ * Record an element entry for a node so violations can be traced back to it
+ * Returns the node id (or null if the node has none)
+ */
+function extractElementData(node, elements, context) {
+  if (!node || !node.id) return null;
+
+  const element = {
+    id: node.id,
+    type: node.type || "Unknown",
+    pageId: context.pageId || null,
+    artboardId: context.artboard?.id || null,
+    parentId: context.parentId || null,
+    bounds: getNodeBounds(node, context.artboard),
+    fillColor: null,
+    strokeColor: null,
+  };
+
+  try {
+    if (node.fill && node.fill.type !== "image") {
+      element.fillColor = colorToHex(node.fill.color || node.fill);
+    }
+    if (node.stroke && node.stroke.color) {
+      element.strokeColor = colorToHex(node.stroke.color);
+    }
+  } catch (e) {
+    // Some nodes may not have fill/stroke properties
+  }
+
+  elements.push(element);
+  return element;
+}
+
+/**
+ * Record how a node uses color: text, fill, stroke or artboard background
+ * Fills carry the share of the artboard they cover, so the backend can treat
+ * large fills as backgrounds. Translucent colors carry the color they render
+ * as over the artboard background (context.backdrop).
+ */
+function extractColorUsages(node, element, textInfo, colorUsages, context) {
+  if (!element) return;
+
+  const isArtboard = context.artboard && element.id === context.artboard.id;
+  // The artboard background is blended over white
+  const backdrop = isArtboard ? "#FFFFFF" : context.backdrop;
+  const usage = (color, role, opacity, extra = {}) => {
+    const rounded = Math.round(opacity * 100) / 100;
+    const renderedColor = blendOver(color, opacity, backdrop);
+    colorUsages.push({
+      color,
+      role,
+      elementId: element.id,
+      opacity: rounded,
+      renderedColor: renderedColor !== color ? renderedColor : null,
+      ...extra,
+    });
+  };
+
+  if (textInfo) {
+    for (const color of element.textStyle.colors) {
+      usage(color, "text", context.opacity);
+    }
+    return;
+  }
+
+  if (element.fillColor) {
+    let coverage = null;
+    if (isArtboard) {
+      coverage = 1;
+    } else if (element.bounds && context.artboardArea) {
+      const area = element.bounds.width * element.bounds.height;
+      const share = Math.min(1, area / context.artboardArea);
+      coverage = Math.round(share * 100) / 100;
+    }
+    const role = isArtboard ? "background" : "fill";
+    usage(
+      element.fillColor,
+      role,
+      getColorAlpha(node.fill) * context.opacity,
+      { coverage }
+    );
+  }
+  if (element.strokeColor) {
+    usage(
+      element.strokeColor,
+      "stroke",
+      getColorAlpha(node.stroke.color) * context.opacity
+    );
+  }
+}
+
 /**
  * Traverse all nodes and extract design data
  */
-function traverseNodes(node, data) {
+function traverseNodes(node, data, context = {}) {
   try {
+    // Opacity multiplies down the tree
+    const opacity = (context.opacity ?? 1) * getNodeOpacity(node);
+
     // Extract from current node
+    const element = extractElementData(node, data.elements, context);
+    const elementId = element ? element.id : null;
+
     extractFillColors(node, data.colorsUsed);
-    extractTextData(node, data.textContent, data.fontsUsed);
-    extractImageData(node, data.images);
+    const textInfo = extractTextData(
+      node,
+      data.textContent,
+      data.fontsUsed,
+      elementId
+    );
+    extractImageData(node, data.images, elementId);
+
+    if (element && textInfo) {
+      element.text = textInfo.text.substring(0, 200);
+      element.textStyle = {
+        fontFamily: textInfo.font,
+        fontSize: textInfo.fontSize,
+        color: textInfo.color,
+        // Distinct values across all runs, for mapping violations to nodes
+        fontFamilies: [...new Set(textInfo.runs.map((r) => r.font))],
+        colors: [...new Set(textInfo.runs.map((r) => r.color).filter(Boolean))],
+      };
+    }
+
+    extractColorUsages(node, element, textInfo, data.colorUsages, {
+      ...context,
+      opacity,
+    });
+
+    const childContext = { ...context, parentId: elementId, opacity };
 
     // Traverse children if available
     if (node.allChildren) {
       for (const child of node.allChildren) {
-        traverseNodes(child, data);
+        traverseNodes(child, data, childContext);
       }
     } else if (node.children) {
       for (const child of node.children) {
-        traverseNodes(child, data);
+        traverseNodes(child, data, childContext);
       }
     }
   } catch (e) {
@@ -220,6 +487,30 @@ function traverseNodes(node, data) {
   }
 }
 
+/**
+ * Merge one artboard's extracted data into the document-level data
+ * and record the artboard in data.artboards
+ */
+function mergeArtboardData(data, artboardData) {
+  for (const color of artboardData.colorsUsed) {
+    if (!data.colorsUsed.includes(color)) {
+      data.colorsUsed.push(color);
+    }
+  }
+  for (const font of artboardData.fontsUsed) {
+    if (!data.fontsUsed.includes(font)) {
+      data.fontsUsed.push(font);
+    }
+  }
+  data.colorUsages.push(...artboardData.colorUsages);
+  data.textContent.push(...artboardData.textContent);
+  data.images.push(...artboardData.images);
+
+  // Elements are shared with the document - don't duplicate them per artboard
+  const { elements, ...artboard } = artboardData;
+  data.artboards.push(artboard);
+}
+
 /**
  * Main function to extract all design data from the current document
  */
@@ -228,9 +519,12 @@ function extractDesignData() {
     canvasId: `express_canvas_${Date.now()}`,
     name: "Adobe Express Design",
     colorsUsed: [],
+    colorUsages: [],
     fontsUsed: [],
     textContent: [],
     images: [],
+    elements: [],
+    artboards: [],
     layout: "unknown",
     backgroundColor: "#FFFFFF",
   };
@@ -251,22 +545,59 @@ function extractDesignData() {
     }
 
     // Traverse each page
+    let pageIndex = 0;
     for (const page of pages) {
       // Get artboards on this page
       if (page.allChildren) {
+        let artboardIndex = 0;
         for (const artboard of page.allChildren) {
+          const artboardData = {
+            id: artboard.id || null,
+            pageId: page.id || null,
+            pageIndex,
+            pageName: page.name || `Page ${pageIndex + 1}`,
+            index: artboardIndex,
+            backgroundColor: null,
+            dimensions: {
+              width: page.width || null,
+              height: page.height || null,
+            },
+            colorsUsed: [],
+            colorUsages: [],
+            fontsUsed: [],
+            textContent: [],
+            images: [],
+            elements: data.elements,
+          };
+
           // Extract background color from artboard if available
           if (artboard.fill) {
-            const bgHex = colorToHex(artboard.fill);
-            if (bgHex) {
-              data.backgroundColor = bgHex;
-            }
+            artboardData.backgroundColor = colorToHex(
+              artboard.fill.color || artboard.fill
+            );
           }
 
           // Traverse all elements in the artboard
-          traverseNodes(artboard, data);
+          traverseNodes(artboard, artboardData, {
+            pageId: artboardData.pageId,
+            artboard,
+            artboardArea:
+              (artboardData.dimensions.width || 0) *
+              (artboardData.dimensions.height || 0),
+            backdrop: artboardData.backgroundColor || "#FFFFFF",
+          });
+
+          mergeArtboardData(data, artboardData);
+          artboardIndex++;
         }
       }
+      pageIndex++;
+    }
+
+    // The document background is the first artboard's background
+    const firstBackground = data.artboards.find((ab) => ab.backgroundColor);
+    if (firstBackground) {
+      data.backgroundColor = firstBackground.backgroundColor;
     }
 
     console.log("Extracted design data:", JSON.stringify(data, null, 2));
@@ -282,6 +613,309 @@ function extractDesignData() {
   return data;
 }
 
+// =============================================================================
+// AUTO-FIX APPLICATION
+// =============================================================================
+
+/**
+ * Visit a node and all of its descendants
+ */
+function visitNodes(node, visitor) {
+  try {
+    visitor(node);
+
+    const children = node.allChildren || node.children;
+    if (children) {
+      for (const child of children) {
+        visitNodes(child, visitor);
+      }
+    }
+  } catch (e) {
+    // Node traversal error
+  }
+}
+
+/**
+ * Visit every artboard (and its descendants) on every page
+ */
+function visitDocument(visitor) {
+  const documentRoot = editor.documentRoot;
+  if (!documentRoot || !documentRoot.pages) return;
+
+  for (const page of documentRoot.pages) {
+    if (page.allChildren) {
+      for (const artboard of page.allChildren) {
+        visitNodes(artboard, visitor);
+      }
+    }
+  }
+}
+
+/**
+ * Normalize a hex color for comparison ("#abc" -> "#AABBCC")
+ */
+function normalizeHex(hex) {
+  if (typeof hex !== "string") return null;
+  let clean = hex.replace(/^#/, "").toUpperCase();
+  if (clean.length === 3) {
+    clean = clean
+      .split("")
+      .map((c) => c + c)
+      .join("");
+  }
+  return /^[0-9A-F]{6}$/.test(clean) ? `#${clean}` : null;
+}
+
+/**
+ * Group a fix plan into lookup tables keyed by the original value
+ */
+function indexFixPlan(fixPlan) {
+  const fixes = Array.isArray(fixPlan) ? fixPlan : fixPlan?.fixes || [];
+  const plan = {
+    colors: new Map(),
+    fonts: new Map(),
+    minFontSize: null,
+    skipped: [],
+  };
+
+  for (const fix of fixes) {
+    if (!fix) continue;
+
+    if (fix.type === "color") {
+      const original = normalizeHex(fix.original);
+      const replacement = normalizeHex(fix.replacement);
+      if (original && replacement) {
+        plan.colors.set(original, replacement);
+      } else {
+        plan.skipped.push({ fix, reason: "Invalid color value" });
+      }
+    } else if (fix.type === "font") {
+      if (typeof fix.original === "string" && typeof fix.replacement === "string") {
+        plan.fonts.set(fix.original.trim().toLowerCase(), fix.replacement.trim());
+      } else {
+        plan.skipped.push({ fix, reason: "Invalid font value" });
+      }
+    } else if (fix.type === "fontSize") {
+      const size = Number(fix.replacement);
+      if (size > 0) {
+        plan.minFontSize = Math.max(plan.minFontSize || 0, size);
+      }
+    } else {
+      plan.skipped.push({ fix, reason: `Unsupported fix type: ${fix.type}` });
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Resolve replacement font families to AvailableFont objects.
+ * Font lookup is async, so this must run before the edit is queued.
+ */
+async function resolveReplacementFonts(plan) {
+  const resolved = new Map();
+
+  for (const family of new Set(plan.fonts.values())) {
+    const compact = family.replace(/\s+/g, "");
+    const candidates = [`${compact}-Regular`, compact, family];
+    let font = null;
+
+    for (const postscriptName of candidates) {
+      try {
+        font = await fonts.fromPostscriptName(postscriptName);
+      } catch (e) {
+        font = null;
+      }
+      if (font && font.availableForEditing !== false) break;
+      font = null;
+    }
+
+    if (font) {
+      resolved.set(family, font);
+    } else {
+      console.warn(`BrandGuard: Font "${family}" is not available for editing`);
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Recolor a node's fill and stroke according to the plan
+ */
+function applyShapeColorFixes(node, plan, changes) {
+  if (plan.colors.size === 0) return;
+
+  try {
+    if (node.fill && node.fill.type !== "image") {
+      const before = colorToHex(node.fill.color || node.fill);
+      const after = plan.colors.get(before);
+      if (after) {
+        node.fill = editor.makeColorFill(colorUtils.fromHex(after));
+        changes.push({ property: "fill", before, after });
+      }
+    }
+
+    if (node.stroke && node.stroke.color) {
+      const before = colorToHex(node.stroke.color);
+      const after = plan.colors.get(before);
+      if (after) {
+        node.stroke = editor.makeStroke({
+          color: colorUtils.fromHex(after),
+          width: node.stroke.width,
+        });
+        changes.push({ property: "stroke", before, after });
+      }
+    }
+  } catch (e) {
+    // Some nodes may not have fill/stroke properties
+  }
+}
+
+/**
+ * Rewrite color, font family and font size on each styled run of a text node
+ */
+function applyTextFixes(node, plan, fontMap, changes) {
+  const content = node.fullContent;
+  if (!content || !content.characterStyleRanges) return;
+
+  try {
+    // Ranges only carry a length - offsets are cumulative
+    let start = 0;
+    for (const range of content.characterStyleRanges) {
+      const styles = {};
+      const rangeStart = range.start ?? start;
+      start = rangeStart + range.length;
+
+      const colorBefore = colorToHex(range.color);
+      const colorAfter = plan.colors.get(colorBefore);
+      if (colorAfter) {
+        styles.color = colorUtils.fromHex(colorAfter);
+        changes.push({ property: "textColor", before: colorBefore, after: colorAfter });
+      }
+
+      const familyBefore = range.font?.family;
+      const familyAfter = familyBefore
+        ? plan.fonts.get(familyBefore.trim().toLowerCase())
+        : null;
+      if (familyAfter && fontMap.has(familyAfter)) {
+        styles.font = fontMap.get(familyAfter);
+        changes.push({ property: "fontFamily", before: familyBefore, after: familyAfter });
+      }
+
+      if (plan.minFontSize && range.fontSize < plan.minFontSize) {
+        styles.fontSize = plan.minFontSize;
+        changes.push({ property: "fontSize", before: range.fontSize, after: plan.minFontSize });
+      }
+
+      if (Object.keys(styles).length > 0) {
+        content.applyCharacterStyles(styles, {
+          start: rangeStart,
+          length: range.length,
+        });
+      }
+    }
+  } catch (e) {
+    console.warn("BrandGuard: Could not restyle text node:", e);
+  }
+}
+
+/**
+ * Apply a fix plan (from POST /api/autofix/apply) to the live document
+ *
+ * @param {Object|Array} fixPlan - { fixes: [{ type, original, replacement }] }
+ * @param {Object} options
+ * @param {Array} options.elementIds - Only edit these nodes (a single
+ *   violation's elementIds); the whole document when empty
+ * @returns {Object} { changedNodes, changeCount, skipped }
+ */
+async function applyFixes(fixPlan, { elementIds = [] } = {}) {
+  const plan = indexFixPlan(fixPlan);
+  const targetIds = elementIds.length > 0 ? new Set(elementIds) : null;
+  const fontMap = await resolveReplacementFonts(plan);
+
+  for (const [original, family] of plan.fonts) {
+    if (!fontMap.has(family)) {
+      plan.skipped.push({
+        fix: { type: "font", original, replacement: family },
+        reason: "Replacement font is not available in Adobe Express",
+      });
+    }
+  }
+
+  const changedNodes = [];
+
+  // Edits made after an await must be queued to be applied to the document
+  await editor.queueAsyncEdit(() => {
+    visitDocument((node) => {
+      if (targetIds && !targetIds.has(node.id)) return;
+      const changes = [];
+
+      if (
+        node.type === "Text" ||
+        node.type === "StandaloneText" ||
+        node.type === "ThreadedText"
+      ) {
+        applyTextFixes(node, plan, fontMap, changes);
+      } else {
+        applyShapeColorFixes(node, plan, changes);
+      }
+
+      if (changes.length > 0) {
+        changedNodes.push({ id: node.id, type: node.type, changes });
+      }
+    });
+  });
+
+  return {
+    changedNodes,
+    changeCount: changedNodes.reduce((sum, n) => sum + n.changes.length, 0),
+    skipped: plan.skipped,
+  };
+}
+
+// =============================================================================
+// ELEMENT SELECTION
+// =============================================================================
+
+/**
+ * Find a node anywhere in the document by its id
+ */
+function findNodeById(elementId) {
+  let found = null;
+  visitDocument((node) => {
+    if (!found && node.id === elementId) {
+      found = node;
+    }
+  });
+  return found;
+}
+
+/**
+ * Select a node on the canvas and scroll it into view
+ *
+ * @param {string} elementId - Node id from Design.elements / violation.elementIds
+ * @returns {Object} { found, id, type }
+ */
+function selectElement(elementId) {
+  const node = findNodeById(elementId);
+  if (!node) {
+    return { found: false, id: elementId, type: null };
+  }
+
+  // Navigates to the node's page/artboard if needed
+  viewport.bringIntoView(node);
+
+  try {
+    editor.context.selection = node;
+  } catch (e) {
+    // Locked nodes or nodes outside the current artboard cannot be selected
+    console.warn("BrandGuard: Could not select node", elementId, e);
+  }
+
+  return { found: true, id: node.id, type: node.type };
+}
+
 /**
  * Expose the API to the panel
  */
@@ -297,7 +931,24 @@ runtime.exposeApi({
       throw error;
     }
   },
+
+  applyFixes: async (fixPlan, options) => {
+    console.log("BrandGuard: applyFixes() called from panel");
+    try {
+      const result = await applyFixes(fixPlan, options);
+      console.log("BrandGuard: Changed", result.changedNodes.length, "nodes,", result.changeCount, "properties");
+      return result;
+    } catch (error) {
+      console.error("BrandGuard: Error in applyFixes:", error);
+      throw error;
+    }
+  },
+
+  selectElement: (elementId) => {
+    console.log("BrandGuard: selectElement() called from panel:", elementId);
+    return selectElement(elementId);
+  },
 });
 
 console.log("Epsilon Document Sandbox initialized");
-console.log("BrandGuard: API exposed - extractDesignData() is ready");
+console.log("BrandGuard: API exposed - extractDesignData(), applyFixes(), selectElement() are ready");
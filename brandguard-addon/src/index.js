@@ -25,6 +25,8 @@ let uploadedBrandKitFile = null; // User-uploaded brand kit for comparison
 let currentDesignId = null;
 let currentAnalysisId = null;
 let currentViolations = [];
+let violationElementCursors = {}; // Violation index -> last shown element position
+let currentPageResults = []; // Per-page scores for multi-page designs
 let brandKits = [];
 let currentUser = null;
 // let uploadedBrandKitFile = null; // Optional: User can upload brand kit file instead of using backend brand kits
@@ -32,6 +34,9 @@ let currentUser = null;
 // =============================================================================
 // AUTHENTICATION
 // =============================================================================
+// Sign-in returns a short-lived access token and a refresh token, stored next
+// to the user profile. Admin and premium access come from the user's role on
+// the backend - the add-on never decides them itself.
 
 function getStoredUser() {
   try {
@@ -52,55 +57,101 @@ function storeUser(user) {
 
 function clearStoredUser() {
   localStorage.removeItem("brandguard_user");
+  localStorage.removeItem("brandguard_auth");
   currentUser = null;
 }
 
-// List of admin emails with premium access
-const ADMIN_EMAILS = [
-  "admin@epsilon.com",
-  "saransh@epsilon.com",
-  "anuj@epsilon.com",
-  "demo@epsilon.com"
-];
+function getStoredTokens() {
+  try {
+    return JSON.parse(localStorage.getItem("brandguard_auth"));
+  } catch (e) {
+    return null;
+  }
+}
 
-function isAdminUser(email) {
-  return ADMIN_EMAILS.includes(email.toLowerCase());
+function withAccessFlags(user) {
+  const isAdmin = user.role === "admin";
+  return { ...user, isAdmin, isPremium: isAdmin || user.role === "enterprise" };
 }
 
-async function loginUser(email, name, organization) {
-  // First, try to find existing user or create new one
-  try {
-    const response = await fetch(`${API_BASE_URL}/api/user/login`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ email, name, organization }),
-    });
+// Store the tokens and user returned by any /api/auth sign-in endpoint
+function storeSession({ user, accessToken, refreshToken }) {
+  localStorage.setItem(
+    "brandguard_auth",
+    JSON.stringify({ accessToken, refreshToken })
+  );
+  storeUser(withAccessFlags(user));
+  return currentUser;
+}
 
-    const result = await response.json();
-    if (result.success) {
-      const user = result.data.user;
-      // Check if user is admin and grant premium access
-      user.isPremium = isAdminUser(user.email);
-      user.isAdmin = isAdminUser(user.email);
-      return user;
-    }
-  } catch (e) {
-    console.log("Backend login not available, using local auth");
+async function postAuth(endpoint, body) {
+  const response = await fetch(`${API_BASE_URL}/api/auth/${endpoint}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+  const result = await response.json();
+  if (!result.success) {
+    throw new Error(result.message || "Authentication failed");
+  }
+  return result.data;
+}
+
+async function loginUser(email, password) {
+  return storeSession(await postAuth("login", { email, password }));
+}
+
+async function registerUser(email, password, name, organization) {
+  return storeSession(
+    await postAuth("register", { email, password, name, organization })
+  );
+}
+
+// Requests that fail with 401 at the same time share one refresh
+let refreshPromise = null;
+
+function refreshTokens() {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const tokens = getStoredTokens();
+      if (!tokens?.refreshToken) return false;
+
+      try {
+        storeSession(await postAuth("refresh", { refreshToken: tokens.refreshToken }));
+        return true;
+      } catch (e) {
+        console.warn("Session refresh failed:", e.message);
+        return false;
+      }
+    })().finally(() => {
+      refreshPromise = null;
+    });
   }
+  return refreshPromise;
+}
 
-  // Fallback: Create local user session
-  const user = {
-    _id: `local_${Date.now()}`,
-    email,
-    name,
-    organization,
-    isLocal: true,
-    isPremium: isAdminUser(email),
-    isAdmin: isAdminUser(email),
-    createdAt: new Date().toISOString(),
+/**
+ * fetch() with the access token attached. On 401 the tokens are refreshed
+ * once and the request retried; a 401 after that means the session is over.
+ */
+async function authFetch(url, options = {}) {
+  const send = () => {
+    const tokens = getStoredTokens();
+    return fetch(url, {
+      ...options,
+      headers: {
+        ...options.headers,
+        ...(tokens?.accessToken && { Authorization: `Bearer ${tokens.accessToken}` }),
+      },
+    });
   };
-  
-  return user;
+
+  const response = await send();
+  if (response.status === 401 && (await refreshTokens())) {
+    return send();
+  }
+  return response;
 }
 
 // Google OAuth Configuration
@@ -124,6 +175,18 @@ async function initGoogleAuth() {
   });
 }
 
+function showGoogleSignInUnavailable() {
+  // Adobe add-on iframes don't support browser prompt() or popups
+  const loginEmail = document.getElementById("loginEmail");
+  const loginError = document.getElementById("loginError");
+
+  if (loginEmail && loginError) {
+    loginError.textContent = "Google Sign-In unavailable in add-on. Please use email sign-in above.";
+    loginError.classList.remove("hidden");
+    loginEmail.focus();
+  }
+}
+
 async function handleGoogleSignIn() {
   try {
     await initGoogleAuth();
@@ -135,73 +198,30 @@ async function handleGoogleSignIn() {
       auto_select: false,
     });
     
-    // Prompt user to sign in
+    // Prompt user to sign in. Only the ID token from this prompt can be
+    // verified by the backend, so there is no access-token popup fallback.
     google.accounts.id.prompt((notification) => {
       console.log("Google prompt notification:", notification);
       if (notification.isNotDisplayed() || notification.isSkippedMoment()) {
-        console.log("Google prompt not displayed, trying OAuth popup...");
-        // Fallback: Use popup
-        try {
-          google.accounts.oauth2.initTokenClient({
-            client_id: GOOGLE_CLIENT_ID,
-            scope: "email profile",
-            callback: async (response) => {
-              if (response.access_token) {
-                await fetchGoogleUserInfo(response.access_token);
-              }
-            },
-          }).requestAccessToken();
-        } catch (popupError) {
-          console.error("OAuth popup failed:", popupError);
-          throw new Error("Google Sign-In not available in this environment");
-        }
+        showGoogleSignInUnavailable();
       }
     });
   } catch (error) {
     console.error("Google Sign-In error:", error);
-    // Fallback: Use email login with a Google-style message
-    // Adobe add-on iframes don't support browser prompt() or popups
-    const loginEmail = document.getElementById("loginEmail");
-    const loginName = document.getElementById("loginName");
-    const loginError = document.getElementById("loginError");
-    
-    if (loginEmail && loginError) {
-      loginError.textContent = "Google Sign-In unavailable in add-on. Please use email sign-in above.";
-      loginError.classList.remove("hidden");
-      loginEmail.focus();
-    }
+    showGoogleSignInUnavailable();
   }
 }
 
 async function handleGoogleCredentialResponse(response) {
   try {
-    // Decode JWT token to get user info
-    const payload = JSON.parse(atob(response.credential.split(".")[1]));
-    
-    const user = await loginUser(payload.email, payload.name, "");
-    user.authProvider = "google";
-    user.picture = payload.picture;
-    storeUser(user);
+    // The backend verifies the ID token with Google and returns our session
+    storeSession(await postAuth("google", { credential: response.credential }));
     showUploadSection();
   } catch (error) {
     console.error("Error processing Google credential:", error);
-  }
-}
-
-async function fetchGoogleUserInfo(accessToken) {
-  try {
-    const response = await fetch("https://www.googleapis.com/oauth2/v2/userinfo", {
-      headers: { Authorization: `Bearer ${accessToken}` },
-    });
-    const data = await response.json();
-    
-    const user = await loginUser(data.email, data.name, "");
-    user.authProvider = "google";
-    user.picture = data.picture;
-    storeUser(user);
-    showUploadSection();
-  } catch (error) {
-    console.error("Error fetching Google user info:", error);
+    const loginError = document.getElementById("loginError");
+    loginError.textContent = error.message || "Google Sign-In failed. Please try again.";
+    loginError.classList.remove("hidden");
   }
 }
 
@@ -230,7 +250,8 @@ function showUploadSection() {
   }
 }
 
-function handleSignout() {
+// Forget the session locally and return to the login screen
+function endLocalSession() {
   clearStoredUser();
   showLoginSection();
   // Reset state
@@ -240,10 +261,30 @@ function handleSignout() {
   currentViolations = [];
 }
 
+async function handleSignout() {
+  if (getStoredTokens()) {
+    try {
+      // Revoke the session on the backend, not just in this panel
+      await authFetch(`${API_BASE_URL}/api/auth/logout`, { method: "POST" });
+    } catch (e) {
+      console.warn("Logout request failed:", e.message);
+    }
+  }
+  endLocalSession();
+}
+
 // =============================================================================
 // API HELPER FUNCTIONS
 // =============================================================================
 
+// Throws after signing out if the backend no longer accepts the session
+function assertAuthenticated(response) {
+  if (response.status === 401) {
+    endLocalSession();
+    throw new Error("Your session has expired. Please sign in again.");
+  }
+}
+
 async function apiRequest(endpoint, method = "GET", data = null) {
   const options = {
     method,
@@ -257,7 +298,8 @@ async function apiRequest(endpoint, method = "GET", data = null) {
   }
 
   try {
-    const response = await fetch(`${API_BASE_URL}${endpoint}`, options);
+    const response = await authFetch(`${API_BASE_URL}${endpoint}`, options);
+    assertAuthenticated(response);
     const result = await response.json();
 
     if (!result.success) {
@@ -295,7 +337,7 @@ async function processBrandKitFile(file) {
 
     // Step 2: Send to backend for AI analysis
     console.log("🤖 Sending to backend for AI brand extraction...");
-    const response = await fetch(`${API_BASE_URL}/api/brandkit/extract`, {
+    const response = await authFetch(`${API_BASE_URL}/api/brandkit/extract`, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify({
@@ -307,6 +349,7 @@ async function processBrandKitFile(file) {
         extractLogos: true,
       }),
     });
+    assertAuthenticated(response);
 
     const result = await response.json();
     
@@ -350,6 +393,20 @@ function readFileAsBase64(file) {
 // DESIGN EXTRACTION
 // =============================================================================
 
+/**
+ * Get the Document Sandbox API exposed by code.js
+ * runtime.apiProxy is a function in current SDKs and an object in older ones
+ */
+async function getSandboxApi() {
+  const runtime = addOnUISdk.instance.runtime;
+  if (!runtime?.apiProxy) return null;
+
+  if (typeof runtime.apiProxy === "function") {
+    return runtime.apiProxy("documentSandbox");
+  }
+  return runtime.apiProxy;
+}
+
 async function extractDesignData() {
   try {
     const sdk = addOnUISdk.instance;
@@ -358,11 +415,12 @@ async function extractDesignData() {
 
     // Try multiple ways to access the Document Sandbox API
     let designData = null;
+    const sandboxApi = await getSandboxApi().catch(() => null);
     
     // Method 1: runtime.apiProxy (preferred - Document Sandbox)
-    if (sdk.runtime?.apiProxy?.extractDesignData) {
+    if (sandboxApi?.extractDesignData) {
       console.log("Using runtime.apiProxy.extractDesignData...");
-      designData = await sdk.runtime.apiProxy.extractDesignData();
+      designData = await sandboxApi.extractDesignData();
     }
     // Method 2: app.document API (direct canvas access)
     else if (sdk.app?.document) {
@@ -498,7 +556,8 @@ async function runAnalysis(brandKitId) {
   const result = await apiRequest("/api/analysis/run", "POST", {
     brandKitId: brandKitId,
     designId: currentDesignId,
-    useAI: true,
+    // Deterministic checks decide measurable issues; Gemini adds judgement calls
+    mode: "hybrid",
   });
 
   currentAnalysisId = result.analysisId;
@@ -507,19 +566,54 @@ async function runAnalysis(brandKitId) {
   return result;
 }
 
-async function applyAutoFix(violationType = null) {
+/**
+ * Apply auto-fixes to the analysis and the live canvas.
+ * Without a violation every auto-fixable violation is fixed; with one, only
+ * that violation, on the nodes it names.
+ */
+async function applyAutoFix(violation = null) {
   if (!currentAnalysisId) throw new Error("No analysis to fix");
 
   const payload = { analysisId: currentAnalysisId };
-  if (violationType) {
-    payload.fixTypes = [violationType];
+  if (violation) {
+    payload.violationIds = [violation.id];
   }
 
   const result = await apiRequest("/api/autofix/apply", "POST", payload);
   console.log("Auto-fix applied:", result);
+
+  // Apply the same fixes to the live canvas
+  result.canvasChanges = await applyFixesToCanvas(
+    result.fixPlan,
+    violation?.elementIds || []
+  );
   return result;
 }
 
+async function applyFixesToCanvas(fixPlan, elementIds = []) {
+  if (!fixPlan?.fixes?.length) return null;
+
+  const sandboxApi = await getSandboxApi();
+  if (!sandboxApi?.applyFixes) {
+    throw new Error("Document Sandbox not available - cannot edit the canvas");
+  }
+
+  const canvasChanges = await sandboxApi.applyFixes(fixPlan, { elementIds });
+  console.log("🖌️ Canvas updated:", canvasChanges);
+  if (canvasChanges.skipped?.length) {
+    console.warn("Some fixes could not be applied to the canvas:", canvasChanges.skipped);
+  }
+  return canvasChanges;
+}
+
+async function selectElementOnCanvas(elementId) {
+  const sandboxApi = await getSandboxApi();
+  if (!sandboxApi?.selectElement) {
+    throw new Error("Document Sandbox not available - cannot select elements");
+  }
+  return sandboxApi.selectElement(elementId);
+}
+
 // =============================================================================
 // UI UPDATES
 // =============================================================================
@@ -593,7 +687,52 @@ function updateCategoryScores(categoryScores) {
     .join("");
 }
 
-function updateRiskScores(riskScores) {
+function getPageLabel(page) {
+  return page.pageName || `Page ${(page.pageIndex ?? 0) + 1}`;
+}
+
+function updatePageScores(pageResults) {
+  const container = document.getElementById("pageScores");
+  if (!container) return;
+
+  // A single page is already represented by the overall score
+  if (!pageResults || pageResults.length < 2) {
+    container.classList.add("hidden");
+    container.innerHTML = "";
+    return;
+  }
+
+  container.innerHTML = `
+    <div class="text-[8px] uppercase tracking-[0.15em] text-neutral-black/30 mb-2">Pages</div>
+    <div class="space-y-2">
+      ${pageResults
+        .map((page) => {
+          const score = Math.round(page.complianceScore);
+          const color =
+            score >= 80
+              ? "text-green-600"
+              : score >= 60
+              ? "text-amber-600"
+              : "text-primary";
+          return `
+        <div class="flex items-center justify-between">
+          <span class="text-xs text-neutral-black/60 truncate">${getPageLabel(page)}</span>
+          <span class="flex items-center gap-2">
+            <span class="text-[9px] uppercase tracking-[0.1em] text-neutral-black/30">${
+              page.violationsCount
+            } issue${page.violationsCount === 1 ? "" : "s"}</span>
+            <span class="editorial-title text-lg ${color}">${score}</span>
+          </span>
+        </div>
+      `;
+        })
+        .join("")}
+    </div>
+  `;
+  container.classList.remove("hidden");
+}
+
+function updateRiskScores(riskScores, riskFactors = []) {
   const risks = [
     { id: "brand", value: riskScores?.brandRisk || 0 },
     { id: "accessibility", value: riskScores?.accessibilityRisk || 0 },
@@ -603,6 +742,17 @@ function updateRiskScores(riskScores) {
   risks.forEach((risk) => {
     const valueEl = document.getElementById(`${risk.id}Risk`);
     const barEl = document.getElementById(`${risk.id}RiskBar`);
+    const factorsEl = document.getElementById(`${risk.id}RiskFactors`);
+
+    // Explain the score with its biggest contributing violations
+    if (factorsEl) {
+      const topFactors = riskFactors
+        .filter((f) => f.risk === risk.id)
+        .slice(0, 2)
+        .map((f) => (f.tag ? `${f.description} (${f.tag})` : f.description));
+      factorsEl.textContent = topFactors.join(" · ");
+      factorsEl.classList.toggle("hidden", topFactors.length === 0);
+    }
 
     if (valueEl && barEl) {
       valueEl.textContent = `${Math.round(risk.value)}%`;
@@ -678,6 +828,7 @@ function updateViolationsList(violations) {
   if (!issuesList) return;
 
   issuesList.innerHTML = "";
+  violationElementCursors = {};
 
   if (violations.length === 0) {
     issuesList.innerHTML = `
@@ -704,6 +855,11 @@ function updateViolationsList(violations) {
       : "bg-amber-100 text-amber-700";
     const badgeText = isCritical ? "CRITICAL" : "WARNING";
 
+    const page =
+      currentPageResults.length > 1 && violation.artboardId
+        ? currentPageResults.find((p) => p.artboardId === violation.artboardId)
+        : null;
+
     const card = document.createElement("div");
     card.className = `card border-l-4 ${borderColor} overflow-hidden`;
     card.innerHTML = `
@@ -716,16 +872,46 @@ function updateViolationsList(violations) {
             violation.type
           )}</span>
           <span class="text-[8px] ${badgeColor} px-2 py-1 rounded-full font-bold uppercase tracking-[0.1em]">${badgeText}</span>
+          ${
+            page
+              ? `<span class="text-[8px] bg-black/[0.04] text-neutral-black/50 px-2 py-1 rounded-full font-bold uppercase tracking-[0.1em]">${getPageLabel(page)}</span>`
+              : ""
+          }
+          ${
+            violation.source === "ai"
+              ? `<span class="text-[8px] bg-black/[0.04] text-neutral-black/50 px-2 py-1 rounded-full font-bold uppercase tracking-[0.1em]" title="Judgement call by AI review">AI</span>`
+              : ""
+          }
         </div>
         <span class="material-symbols-outlined text-neutral-black/40 transition-transform duration-300 chevron-icon">expand_more</span>
       </button>
       <div class="issue-details hidden px-4 pb-4">
         <div class="pt-2 border-t border-black/[0.04]">
           <p class="text-xs text-neutral-black/60 mb-3 font-light leading-relaxed">${violation.description}</p>
+          ${
+            violation.explanation
+              ? `<p class="text-[11px] text-neutral-black/40 mb-3 font-light leading-relaxed italic">${violation.explanation}</p>`
+              : ""
+          }
           <div class="flex items-center justify-between">
             <span class="text-[9px] uppercase tracking-[0.1em] text-neutral-black/30">${formatAffectedElement(
               violation.affectedElement
             )}</span>
+            <div class="flex items-center gap-2">
+            ${
+              violation.elementIds?.length
+                ? `
+              <button data-index="${index}" class="locate-btn text-[9px] bg-black/[0.04] text-neutral-black/60 px-3 py-1.5 rounded-lg font-bold uppercase tracking-[0.1em] hover:bg-neutral-black hover:text-white transition-all duration-500 flex items-center gap-2">
+                <span class="material-symbols-outlined text-sm">center_focus_strong</span>
+                <span class="locate-label">Show me${
+                  violation.elementIds.length > 1
+                    ? ` (${violation.elementIds.length})`
+                    : ""
+                }</span>
+              </button>
+            `
+                : ""
+            }
             ${
               violation.autoFixable
                 ? `
@@ -736,6 +922,7 @@ function updateViolationsList(violations) {
             `
                 : ""
             }
+            </div>
           </div>
         </div>
       </div>
@@ -766,6 +953,11 @@ function updateViolationsList(violations) {
   document.querySelectorAll(".autofix-btn").forEach((btn) => {
     btn.addEventListener("click", handleAutoFix);
   });
+
+  // Attach "Show me" handlers
+  document.querySelectorAll(".locate-btn").forEach((btn) => {
+    btn.addEventListener("click", handleShowElement);
+  });
 }
 
 // =============================================================================
@@ -826,7 +1018,9 @@ async function handleAutoFix(e) {
   btn.disabled = true;
 
   try {
-    await applyAutoFix();
+    const violation = currentViolations[btn.dataset.index];
+    if (!violation) throw new Error("Violation not found");
+    await applyAutoFix(violation);
     btn.innerHTML = '<span class="material-symbols-outlined text-sm">check</span> Fixed';
     btn.classList.add("bg-green-100", "text-green-700");
     btn.classList.remove("bg-primary/10", "text-primary");
@@ -839,6 +1033,39 @@ async function handleAutoFix(e) {
   }
 }
 
+/**
+ * Select the next offending element of a violation on the canvas.
+ * Repeated clicks cycle through all elements referenced by the violation.
+ */
+async function handleShowElement(e) {
+  const btn = e.currentTarget;
+  const index = btn.dataset.index;
+  const elementIds = currentViolations[index]?.elementIds || [];
+  const label = btn.querySelector(".locate-label");
+  if (elementIds.length === 0) return;
+
+  const previous = violationElementCursors[index] ?? -1;
+  const position = (previous + 1) % elementIds.length;
+  violationElementCursors[index] = position;
+
+  btn.disabled = true;
+  try {
+    const result = await selectElementOnCanvas(elementIds[position]);
+    if (!result?.found) {
+      label.textContent = "Not on canvas";
+    } else if (elementIds.length > 1) {
+      label.textContent = `Show me (${position + 1}/${elementIds.length})`;
+    } else {
+      label.textContent = "Show me";
+    }
+  } catch (error) {
+    console.error("Failed to select element:", error);
+    label.textContent = "Unavailable";
+  } finally {
+    btn.disabled = false;
+  }
+}
+
 // =============================================================================
 // BRAND KIT COMPARISON (MOCK DATA)
 // =============================================================================
@@ -1055,9 +1282,12 @@ addOnUISdk.ready.then(() => {
   const profileBtn = document.getElementById("profileBtn");
   const loginBtn = document.getElementById("loginBtn");
   const loginEmail = document.getElementById("loginEmail");
+  const loginPassword = document.getElementById("loginPassword");
   const loginName = document.getElementById("loginName");
   const loginOrg = document.getElementById("loginOrg");
   const loginError = document.getElementById("loginError");
+  const registerFields = document.getElementById("registerFields");
+  const toggleRegisterBtn = document.getElementById("toggleRegisterBtn");
 
   // Comparison state
   let comparisonBrandKitFile = null;
@@ -1112,22 +1342,43 @@ addOnUISdk.ready.then(() => {
 
   // Check for existing session
   const storedUser = getStoredUser();
-  if (storedUser) {
+  if (storedUser && getStoredTokens()) {
     currentUser = storedUser;
     showUploadSection();
   } else {
+    // Profiles saved before token sign-in have no session to resume
+    clearStoredUser();
     showLoginSection();
   }
 
+  // Sign in, or create an account when the register fields are shown
+  let isRegistering = false;
+
+  const loginBtnLabel = () =>
+    isRegistering
+      ? '<span class="material-symbols-outlined">person_add</span> Create Account'
+      : '<span class="material-symbols-outlined">login</span> Sign In';
+
+  toggleRegisterBtn.addEventListener("click", () => {
+    isRegistering = !isRegistering;
+    registerFields.classList.toggle("hidden", !isRegistering);
+    toggleRegisterBtn.textContent = isRegistering
+      ? "Already have an account? Sign in"
+      : "New to Epsilon? Create an account";
+    loginBtn.innerHTML = loginBtnLabel();
+    loginError.classList.add("hidden");
+  });
+
   // Login handler
   loginBtn.addEventListener("click", async () => {
     const email = loginEmail.value.trim();
+    const password = loginPassword.value;
     const name = loginName.value.trim();
     const org = loginOrg.value.trim();
 
     // Validation
-    if (!email || !name) {
-      loginError.textContent = "Please enter your email and name";
+    if (!email || !password) {
+      loginError.textContent = "Please enter your email and password";
       loginError.classList.remove("hidden");
       return;
     }
@@ -1138,14 +1389,23 @@ addOnUISdk.ready.then(() => {
       return;
     }
 
+    if (isRegistering && !name) {
+      loginError.textContent = "Please enter your name";
+      loginError.classList.remove("hidden");
+      return;
+    }
+
     loginError.classList.add("hidden");
     loginBtn.disabled = true;
-    loginBtn.innerHTML =
-      '<span class="material-symbols-outlined loading-spinner text-base">progress_activity</span> Signing in...';
+    loginBtn.innerHTML = isRegistering
+      ? '<span class="material-symbols-outlined loading-spinner text-base">progress_activity</span> Creating account...'
+      : '<span class="material-symbols-outlined loading-spinner text-base">progress_activity</span> Signing in...';
 
     try {
-      const user = await loginUser(email, name, org);
-      storeUser(user);
+      const user = isRegistering
+        ? await registerUser(email, password, name, org)
+        : await loginUser(email, password);
+      loginPassword.value = "";
       
       // Show premium access message for admins
       if (user.isPremium || user.isAdmin) {
@@ -1154,17 +1414,16 @@ addOnUISdk.ready.then(() => {
       
       showUploadSection();
     } catch (error) {
-      loginError.textContent = "Login failed. Please try again.";
+      loginError.textContent = error.message || "Login failed. Please try again.";
       loginError.classList.remove("hidden");
     } finally {
       loginBtn.disabled = false;
-      loginBtn.innerHTML =
-        '<span class="material-symbols-outlined">login</span> Sign In';
+      loginBtn.innerHTML = loginBtnLabel();
     }
   });
 
   // Allow Enter key to submit login
-  [loginEmail, loginName, loginOrg].forEach((input) => {
+  [loginEmail, loginPassword, loginName, loginOrg].forEach((input) => {
     input.addEventListener("keypress", (e) => {
       if (e.key === "Enter") {
         loginBtn.click();
@@ -1564,11 +1823,8 @@ addOnUISdk.ready.then(() => {
       console.log("   Compliance Score:", result.complianceScore);
       console.log("   Violations Found:", result.violations?.length || 0);
 
-      // Calculate risk scores based on violations
-      const riskScores = calculateRiskScores(result.violations);
-
-      // Show results
-      showResults(result, riskScores);
+      // Show results (risk scores are computed and stored by the backend)
+      showResults(result);
       
       console.log("🎉 Analysis flow completed successfully!");
     } catch (error) {
@@ -1583,35 +1839,7 @@ addOnUISdk.ready.then(() => {
     }
   }
 
-  function calculateRiskScores(violations) {
-    let brandRisk = 0,
-      accessibilityRisk = 0,
-      legalRisk = 0;
-
-    violations.forEach((v) => {
-      const weight =
-        v.severity === "critical" ? 25 : v.severity === "high" ? 15 : 8;
-
-      if (v.type === "color" || v.type === "font" || v.type === "logo") {
-        brandRisk += weight;
-      }
-      if (v.type === "accessibility") {
-        accessibilityRisk += weight;
-        legalRisk += weight * 0.5; // Accessibility issues have legal implications
-      }
-      if (v.type === "logo" || v.type === "tone") {
-        legalRisk += weight * 0.3;
-      }
-    });
-
-    return {
-      brandRisk: Math.min(100, brandRisk),
-      accessibilityRisk: Math.min(100, accessibilityRisk),
-      legalRisk: Math.min(100, legalRisk),
-    };
-  }
-
-  function showResults(analysisResult, riskScores) {
+  function showResults(analysisResult) {
     uploadSection.classList.add("hidden");
     resultsSection.classList.remove("hidden");
     // Keep profile button visible
@@ -1623,8 +1851,10 @@ addOnUISdk.ready.then(() => {
       analysisResult.scoreLabel,
       analysisResult.violations
     );
+    currentPageResults = analysisResult.pageResults || [];
     updateCategoryScores(analysisResult.categoryScores);
-    updateRiskScores(riskScores);
+    updatePageScores(currentPageResults);
+    updateRiskScores(analysisResult.riskScores, analysisResult.riskFactors);
     updateViolationsList(analysisResult.violations);
     updateExecutiveInsight(analysisResult.summary, analysisResult.positives);
   }
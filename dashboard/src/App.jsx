@@ -1,22 +1,54 @@
-import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
+import { useEffect, useState } from 'react';
+import { BrowserRouter, Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import Layout from './components/Layout/Layout';
 import Dashboard from './pages/Dashboard';
 import Reports from './pages/Reports';
 import DesignAnalysis from './pages/DesignAnalysis';
 import Analytics from './pages/Analytics';
 import BrandKits from './pages/BrandKits';
+import ApiKeys from './pages/ApiKeys';
+import Login from './pages/Login';
+import { AUTH_EXPIRED_EVENT, getStoredAuth } from './api/client';
 import './index.css';
 
+/**
+ * Send signed-out users to the login page, and back here after signing in
+ */
+function RequireAuth({ children }) {
+  const location = useLocation();
+  const [signedIn, setSignedIn] = useState(() => Boolean(getStoredAuth()));
+
+  useEffect(() => {
+    const handleExpired = () => setSignedIn(false);
+    window.addEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+    return () => window.removeEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+  }, []);
+
+  if (!signedIn) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+  return children;
+}
+
 function App() {
   return (
     <BrowserRouter>
       <Routes>
-        <Route path="/" element={<Layout />}>
+        <Route path="/login" element={<Login />} />
+        <Route
+          path="/"
+          element={
+            <RequireAuth>
+              <Layout />
+            </RequireAuth>
+          }
+        >
           <Route index element={<Dashboard />} />
           <Route path="reports" element={<Reports />} />
           <Route path="analysis/:id" element={<DesignAnalysis />} />
           <Route path="analytics" element={<Analytics />} />
           <Route path="brand-kits" element={<BrandKits />} />
+          <Route path="api-keys" element={<ApiKeys />} />
           <Route path="*" element={<Navigate to="/" replace />} />
         </Route>
       </Routes>
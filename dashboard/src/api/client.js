@@ -5,22 +5,96 @@
 
 const API_BASE_URL = "http://localhost:3000/api";
 
+const AUTH_STORAGE_KEY = "epsilon_auth";
+
+/**
+ * Fired on window when the session can no longer be refreshed
+ */
+export const AUTH_EXPIRED_EVENT = "epsilon:auth-expired";
+
+/**
+ * Stored session: { user, accessToken, refreshToken }
+ */
+export function getStoredAuth() {
+  try {
+    return JSON.parse(localStorage.getItem(AUTH_STORAGE_KEY));
+  } catch {
+    return null;
+  }
+}
+
+function storeAuth({ user, accessToken, refreshToken }) {
+  localStorage.setItem(
+    AUTH_STORAGE_KEY,
+    JSON.stringify({ user, accessToken, refreshToken })
+  );
+}
+
+function clearStoredAuth() {
+  localStorage.removeItem(AUTH_STORAGE_KEY);
+}
+
+// Requests that fail with 401 at the same time share one refresh
+let refreshPromise = null;
+
+/**
+ * Exchange the refresh token for new tokens
+ * @returns {Promise<boolean>} Whether the session was renewed
+ */
+function refreshSession() {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = getStoredAuth()?.refreshToken;
+      if (!refreshToken) return false;
+
+      try {
+        const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ refreshToken }),
+        });
+        if (!response.ok) return false;
+
+        storeAuth((await response.json()).data);
+        return true;
+      } catch {
+        return false;
+      }
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+}
+
 /**
  * Generic fetch wrapper with error handling
+ * Sends the access token, refreshing it once if the API rejects it
  */
-async function apiRequest(endpoint, options = {}) {
+async function apiRequest(endpoint, options = {}, retry = true) {
   const url = `${API_BASE_URL}${endpoint}`;
+  const accessToken = getStoredAuth()?.accessToken;
 
   const config = {
+    ...options,
     headers: {
       "Content-Type": "application/json",
+      ...(accessToken && { Authorization: `Bearer ${accessToken}` }),
       ...options.headers,
     },
-    ...options,
   };
 
   try {
     const response = await fetch(url, config);
+
+    if (response.status === 401 && accessToken) {
+      if (retry && (await refreshSession())) {
+        return apiRequest(endpoint, options, false);
+      }
+      clearStoredAuth();
+      window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+    }
+
     const data = await response.json();
 
     if (!response.ok) {
@@ -34,6 +108,92 @@ async function apiRequest(endpoint, options = {}) {
   }
 }
 
+/**
+ * Store the session from a sign-in response
+ */
+async function signIn(request) {
+  const response = await request;
+  storeAuth(response.data);
+  return response;
+}
+
+/**
+ * Auth API
+ */
+export const authAPI = {
+  login: (email, password) =>
+    signIn(
+      apiRequest("/auth/login", {
+        method: "POST",
+        body: JSON.stringify({ email, password }),
+      })
+    ),
+  register: (data) =>
+    signIn(
+      apiRequest("/auth/register", {
+        method: "POST",
+        body: JSON.stringify(data),
+      })
+    ),
+  logout: () =>
+    apiRequest("/auth/logout", { method: "POST" }).finally(clearStoredAuth),
+  me: () => apiRequest("/auth/me"),
+};
+
+/**
+ * Organization API
+ */
+export const organizationAPI = {
+  get: () => apiRequest("/organization"),
+  mine: () => apiRequest("/organization/mine"),
+  create: (name) =>
+    apiRequest("/organization", {
+      method: "POST",
+      body: JSON.stringify({ name }),
+    }),
+  update: (name) =>
+    apiRequest("/organization", {
+      method: "PUT",
+      body: JSON.stringify({ name }),
+    }),
+  switch: (id) => apiRequest(`/organization/${id}/switch`, { method: "POST" }),
+  invite: (email, role) =>
+    apiRequest("/organization/invitations", {
+      method: "POST",
+      body: JSON.stringify({ email, role }),
+    }),
+  cancelInvitation: (userId) =>
+    apiRequest(`/organization/invitations/${userId}`, { method: "DELETE" }),
+  myInvitations: () => apiRequest("/organization/invitations/mine"),
+  acceptInvitation: (id) =>
+    apiRequest(`/organization/${id}/accept`, { method: "POST" }),
+  declineInvitation: (id) =>
+    apiRequest(`/organization/${id}/decline`, { method: "POST" }),
+  updateMember: (userId, role) =>
+    apiRequest(`/organization/members/${userId}`, {
+      method: "PUT",
+      body: JSON.stringify({ role }),
+    }),
+  removeMember: (userId) =>
+    apiRequest(`/organization/members/${userId}`, { method: "DELETE" }),
+};
+
+/**
+ * API Keys API
+ */
+export const apiKeysAPI = {
+  list: () => apiRequest("/api-keys"),
+  create: (data) =>
+    apiRequest("/api-keys", { method: "POST", body: JSON.stringify(data) }),
+  update: (id, data) =>
+    apiRequest(`/api-keys/${id}`, {
+      method: "PUT",
+      body: JSON.stringify(data),
+    }),
+  rotate: (id) => apiRequest(`/api-keys/${id}/rotate`, { method: "POST" }),
+  revoke: (id) => apiRequest(`/api-keys/${id}`, { method: "DELETE" }),
+};
+
 /**
  * Brand Kit API
  */
@@ -95,6 +255,19 @@ export const reportsAPI = {
       body: JSON.stringify(data),
     }),
   delete: (id) => apiRequest(`/report/${id}`, { method: "DELETE" }),
+  listShares: (id) => apiRequest(`/report/${id}/share`),
+  createShare: (id, data) =>
+    apiRequest(`/report/${id}/share`, {
+      method: "POST",
+      body: JSON.stringify(data),
+    }),
+  updateShare: (id, linkId, data) =>
+    apiRequest(`/report/${id}/share/${linkId}`, {
+      method: "PUT",
+      body: JSON.stringify(data),
+    }),
+  revokeShare: (id, linkId) =>
+    apiRequest(`/report/${id}/share/${linkId}`, { method: "DELETE" }),
 };
 
 /**
@@ -140,6 +313,9 @@ export const designsAPI = {
 };
 
 export default {
+  auth: authAPI,
+  organization: organizationAPI,
+  apiKeys: apiKeysAPI,
   brandKit: brandKitAPI,
   analysis: analysisAPI,
   analytics: analyticsAPI,
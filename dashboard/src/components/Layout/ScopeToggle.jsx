@@ -0,0 +1,23 @@
+const SCOPES = [
+  { value: 'organization', label: '🏢 Organization' },
+  { value: 'personal', label: '👤 My work' },
+];
+
+/**
+ * Switch between organization-wide figures and only what the current user created
+ */
+export default function ScopeToggle({ scope, onChange }) {
+  return (
+    <div className="flex gap-sm">
+      {SCOPES.map(option => (
+        <button
+          key={option.value}
+          className={`btn ${scope === option.value ? 'btn-primary' : 'btn-secondary'}`}
+          onClick={() => onChange(option.value)}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -1,13 +1,56 @@
-import { NavLink } from 'react-router-dom';
+import { useEffect, useState } from 'react';
+import { NavLink, useNavigate } from 'react-router-dom';
+import { authAPI, getStoredAuth, organizationAPI } from '../../api/client';
+
+const ROLE_LABELS = {
+  owner: 'Owner',
+  brand_manager: 'Brand manager',
+  designer: 'Designer',
+  viewer: 'Viewer',
+};
 
 const navItems = [
   { path: '/', icon: '📊', label: 'Dashboard' },
   { path: '/reports', icon: '📋', label: 'Reports' },
   { path: '/analytics', icon: '📈', label: 'Analytics' },
   { path: '/brand-kits', icon: '🎨', label: 'Brand Kits' },
+  { path: '/api-keys', icon: '🔑', label: 'API Keys' },
 ];
 
 export default function Sidebar() {
+  const navigate = useNavigate();
+  const user = getStoredAuth()?.user;
+  const userId = user?.id;
+  const [organizations, setOrganizations] = useState([]);
+
+  useEffect(() => {
+    if (!userId) return;
+    organizationAPI.mine()
+      .then(response => setOrganizations(response.data.organizations))
+      .catch(err => console.error('Failed to load organizations:', err));
+  }, [userId]);
+
+  const currentOrganization = organizations.find(org => org.current);
+
+  async function handleSwitchOrganization(id) {
+    try {
+      await organizationAPI.switch(id);
+      // Every page shows organization data - start over in the new one
+      window.location.reload();
+    } catch (err) {
+      console.error('Failed to switch organization:', err);
+    }
+  }
+
+  async function handleSignOut() {
+    try {
+      await authAPI.logout();
+    } catch (err) {
+      console.error('Failed to end session:', err);
+    }
+    navigate('/login', { replace: true });
+  }
+
   return (
     <aside className="sidebar">
       <div className="sidebar-logo">
@@ -30,6 +73,46 @@ export default function Sidebar() {
       </nav>
       
       <div className="sidebar-footer" style={{ marginTop: 'auto', paddingTop: 'var(--space-lg)', borderTop: '1px solid var(--border-color)' }}>
+        {user && (
+          <div className="mb-md">
+            <div style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-primary)' }}>{user.name}</div>
+            <div style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-muted)', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+              {user.email}
+            </div>
+            {currentOrganization && (
+              <div className="mt-sm">
+                {organizations.length > 1 ? (
+                  <select
+                    value={currentOrganization.id}
+                    onChange={e => handleSwitchOrganization(e.target.value)}
+                    style={{
+                      width: '100%',
+                      padding: 'var(--space-xs)',
+                      background: 'var(--bg-primary)',
+                      color: 'var(--text-primary)',
+                      border: '1px solid var(--border-color)',
+                      borderRadius: 'var(--border-radius-sm)',
+                    }}
+                  >
+                    {organizations.map(org => (
+                      <option key={org.id} value={org.id}>{org.name}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <div style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)' }}>
+                    {currentOrganization.name}
+                  </div>
+                )}
+                <div style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-muted)', marginTop: 'var(--space-xs)' }}>
+                  {ROLE_LABELS[currentOrganization.role] || currentOrganization.role}
+                </div>
+              </div>
+            )}
+            <button className="btn btn-secondary mt-sm" style={{ width: '100%' }} onClick={handleSignOut}>
+              Sign out
+            </button>
+          </div>
+        )}
         <div style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-muted)' }}>
           Enterprise Brand Governance
         </div>
@@ -0,0 +1,247 @@
+import { useState, useEffect } from 'react';
+import { reportsAPI } from '../../api/client';
+import { formatDateTime } from '../../hooks/useApi';
+
+const EXPIRY_OPTIONS = [
+  { label: '1 day', days: 1 },
+  { label: '7 days', days: 7 },
+  { label: '30 days', days: 30 },
+  { label: 'Never', days: null },
+];
+
+const STATUS_COLORS = {
+  active: 'var(--color-success)',
+  expired: 'var(--color-warning)',
+  revoked: 'var(--color-danger)',
+};
+
+const inputStyle = {
+  width: '100%',
+  padding: 'var(--space-sm)',
+  background: 'var(--bg-primary)',
+  color: 'var(--text-primary)',
+  border: '1px solid var(--border-color)',
+  borderRadius: 'var(--border-radius-sm)',
+};
+
+const labelStyle = {
+  display: 'block',
+  fontSize: 'var(--font-size-sm)',
+  color: 'var(--text-secondary)',
+  marginBottom: 'var(--space-xs)',
+};
+
+export default function ShareReportModal({ report, onClose }) {
+  const [links, setLinks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState(null);
+  const [copiedId, setCopiedId] = useState(null);
+  const [label, setLabel] = useState('');
+  const [expiryDays, setExpiryDays] = useState(7);
+  const [password, setPassword] = useState('');
+
+  useEffect(() => {
+    async function fetchLinks() {
+      try {
+        const res = await reportsAPI.listShares(report.id);
+        setLinks(res.data?.links || []);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    }
+    fetchLinks();
+  }, [report.id]);
+
+  const replaceLink = (link) =>
+    setLinks((current) => current.map((l) => (l.id === link.id ? link : l)));
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    setError(null);
+    try {
+      const res = await reportsAPI.createShare(report.id, {
+        label: label || undefined,
+        expiresInDays: expiryDays ?? undefined,
+        password: password || undefined,
+      });
+      setLinks((current) => [res.data.link, ...current]);
+      setLabel('');
+      setPassword('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleExpireNow = async (link) => {
+    try {
+      const res = await reportsAPI.updateShare(report.id, link.id, {
+        expiresAt: new Date().toISOString(),
+      });
+      replaceLink(res.data.link);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRevoke = async (link) => {
+    if (!window.confirm('Revoke this link? Anyone using it will lose access.')) return;
+    try {
+      const res = await reportsAPI.revokeShare(report.id, link.id);
+      replaceLink(res.data.link);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleCopy = async (link) => {
+    try {
+      await navigator.clipboard.writeText(link.url);
+      setCopiedId(link.id);
+      setTimeout(() => setCopiedId(null), 2000);
+    } catch {
+      window.prompt('Copy this link:', link.url);
+    }
+  };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: 'rgba(0,0,0,0.8)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000,
+    }} onClick={onClose}>
+      <div className="card" style={{ maxWidth: 640, width: '90%', maxHeight: '80vh', overflow: 'auto' }} onClick={e => e.stopPropagation()}>
+        <div className="card-header">
+          <h3 className="card-title">Share: {report.title}</h3>
+          <button className="btn btn-secondary" onClick={onClose}>✕</button>
+        </div>
+
+        {/* New link */}
+        <form onSubmit={handleCreate} style={{ display: 'flex', flexDirection: 'column', gap: 'var(--space-md)' }}>
+          <div>
+            <label style={labelStyle}>Label (optional)</label>
+            <input
+              style={inputStyle}
+              value={label}
+              maxLength={100}
+              placeholder="e.g. Agency review"
+              onChange={e => setLabel(e.target.value)}
+            />
+          </div>
+          <div className="flex gap-md">
+            <div style={{ flex: 1 }}>
+              <label style={labelStyle}>Expires after</label>
+              <select
+                style={inputStyle}
+                value={expiryDays ?? ''}
+                onChange={e => setExpiryDays(e.target.value ? Number(e.target.value) : null)}
+              >
+                {EXPIRY_OPTIONS.map(option => (
+                  <option key={option.label} value={option.days ?? ''}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <div style={{ flex: 1 }}>
+              <label style={labelStyle}>Password (optional)</label>
+              <input
+                type="password"
+                style={inputStyle}
+                value={password}
+                minLength={6}
+                placeholder="At least 6 characters"
+                onChange={e => setPassword(e.target.value)}
+              />
+            </div>
+          </div>
+          <button type="submit" className="btn btn-primary" disabled={creating}>
+            {creating ? 'Creating...' : '🔗 Create Share Link'}
+          </button>
+        </form>
+
+        {error && (
+          <p style={{ color: 'var(--color-danger)', fontSize: 'var(--font-size-sm)', marginTop: 'var(--space-md)' }}>
+            {error}
+          </p>
+        )}
+
+        {/* Existing links */}
+        <div style={{ marginTop: 'var(--space-lg)' }}>
+          {loading ? (
+            <div className="loading">
+              <div className="loading-spinner" />
+            </div>
+          ) : links.length > 0 ? (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: 'var(--space-md)' }}>
+              {links.map(link => (
+                <div key={link.id} style={{
+                  padding: 'var(--space-md)',
+                  background: 'var(--bg-hover)',
+                  borderRadius: 'var(--border-radius-md)',
+                  opacity: link.status === 'active' ? 1 : 0.6,
+                }}>
+                  <div className="flex flex-between items-center">
+                    <div className="flex items-center gap-sm">
+                      <span style={{ fontWeight: 600 }}>{link.label || 'Share link'}</span>
+                      {link.passwordProtected && <span title="Password protected">🔒</span>}
+                      <span style={{
+                        fontSize: 'var(--font-size-xs)',
+                        padding: '2px 8px',
+                        background: STATUS_COLORS[link.status],
+                        borderRadius: 4,
+                        textTransform: 'capitalize',
+                      }}>
+                        {link.status}
+                      </span>
+                    </div>
+                    <span style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-muted)' }}>
+                      {link.viewCount} view{link.viewCount === 1 ? '' : 's'}
+                    </span>
+                  </div>
+                  <p style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)', marginTop: 'var(--space-xs)' }}>
+                    Created {formatDateTime(link.createdAt)}
+                    {link.status === 'revoked'
+                      ? ` • Revoked ${formatDateTime(link.revokedAt)}`
+                      : link.expiresAt
+                        ? ` • ${link.status === 'expired' ? 'Expired' : 'Expires'} ${formatDateTime(link.expiresAt)}`
+                        : ' • Never expires'}
+                    {link.lastViewedAt && ` • Last viewed ${formatDateTime(link.lastViewedAt)}`}
+                  </p>
+                  {link.status === 'active' && (
+                    <div className="flex gap-sm" style={{ marginTop: 'var(--space-sm)' }}>
+                      <input style={{ ...inputStyle, flex: 1 }} value={link.url} readOnly onFocus={e => e.target.select()} />
+                      <button className="btn btn-secondary" style={{ fontSize: 'var(--font-size-xs)' }} onClick={() => handleCopy(link)}>
+                        {copiedId === link.id ? '✓ Copied' : 'Copy'}
+                      </button>
+                      <button className="btn btn-secondary" style={{ fontSize: 'var(--font-size-xs)' }} onClick={() => handleExpireNow(link)}>
+                        Expire
+                      </button>
+                      <button className="btn btn-secondary" style={{ fontSize: 'var(--font-size-xs)', color: 'var(--color-danger)' }} onClick={() => handleRevoke(link)}>
+                        Revoke
+                      </button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div className="empty-state">
+              <p>No share links yet</p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -2,15 +2,18 @@ import { useState, useEffect } from 'react';
 import { analyticsAPI } from '../api/client';
 import { formatPercent } from '../hooks/useApi';
 import ScoreGauge from '../components/Charts/ScoreGauge';
+import ScopeToggle from '../components/Layout/ScopeToggle';
 
 export default function Analytics() {
   const [analytics, setAnalytics] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [scope, setScope] = useState('organization');
 
   useEffect(() => {
     async function fetchData() {
+      setLoading(true);
       try {
-        const res = await analyticsAPI.get();
+        const res = await analyticsAPI.get({ scope });
         setAnalytics(res.data);
       } catch (err) {
         console.error('Failed to load analytics:', err);
@@ -19,7 +22,7 @@ export default function Analytics() {
       }
     }
     fetchData();
-  }, []);
+  }, [scope]);
 
   if (loading) {
     return (
@@ -37,8 +40,13 @@ export default function Analytics() {
   return (
     <div>
       <header className="page-header">
-        <h1 className="page-title">Analytics</h1>
-        <p className="page-subtitle">Brand compliance trends and insights</p>
+        <div className="flex flex-between items-center">
+          <div>
+            <h1 className="page-title">Analytics</h1>
+            <p className="page-subtitle">Brand compliance trends and insights</p>
+          </div>
+          <ScopeToggle scope={scope} onChange={setScope} />
+        </div>
       </header>
 
       {/* Overview Stats */}
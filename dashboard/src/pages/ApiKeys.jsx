@@ -0,0 +1,292 @@
+import { useState, useEffect } from 'react';
+import { apiKeysAPI } from '../api/client';
+import { formatDateTime } from '../hooks/useApi';
+
+const SCOPES = [
+  { value: 'read', label: 'Read', description: 'Read analyses, reports and analytics' },
+  { value: 'analyze', label: 'Analyze', description: 'Also submit designs and run analyses' },
+  { value: 'admin', label: 'Admin', description: 'Also manage brand kits, reports and schedules' },
+];
+
+const inputStyle = {
+  padding: 'var(--space-sm)',
+  background: 'var(--bg-primary)',
+  color: 'var(--text-primary)',
+  border: '1px solid var(--border-color)',
+  borderRadius: 'var(--border-radius-sm)',
+};
+
+const labelStyle = {
+  display: 'block',
+  fontSize: 'var(--font-size-sm)',
+  color: 'var(--text-secondary)',
+  marginBottom: 'var(--space-xs)',
+};
+
+/**
+ * Requests per day over the last 30 days
+ */
+function UsageBars({ daily }) {
+  const max = Math.max(1, ...daily.map(day => day.count));
+  return (
+    <div style={{ display: 'flex', alignItems: 'flex-end', gap: 2, height: 32 }}>
+      {daily.map(day => (
+        <div
+          key={day.date}
+          title={`${day.date}: ${day.count} request${day.count === 1 ? '' : 's'}`}
+          style={{
+            flex: 1,
+            height: `${Math.max(4, (day.count / max) * 100)}%`,
+            background: day.count > 0 ? 'var(--color-primary)' : 'var(--border-color)',
+            borderRadius: 1,
+          }}
+        />
+      ))}
+    </div>
+  );
+}
+
+export default function ApiKeys() {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [name, setName] = useState('');
+  const [scope, setScope] = useState('read');
+  const [creating, setCreating] = useState(false);
+  const [newKey, setNewKey] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    async function fetchKeys() {
+      try {
+        const res = await apiKeysAPI.list();
+        setApiKeys(res.data?.apiKeys || []);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    }
+    fetchKeys();
+  }, []);
+
+  const replaceKey = (apiKey) =>
+    setApiKeys((current) => current.map((k) => (k.id === apiKey.id ? apiKey : k)));
+
+  const showNewKey = (apiKey, key) => {
+    setNewKey({ name: apiKey.name, key });
+    setCopied(false);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    setError(null);
+    try {
+      const res = await apiKeysAPI.create({ name, scope });
+      setApiKeys((current) => [res.data.apiKey, ...current]);
+      showNewKey(res.data.apiKey, res.data.key);
+      setName('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleScopeChange = async (apiKey, value) => {
+    try {
+      const res = await apiKeysAPI.update(apiKey.id, { scope: value });
+      replaceKey(res.data.apiKey);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRotate = async (apiKey) => {
+    if (!window.confirm(`Rotate "${apiKey.name}"? The current key stops working immediately.`)) return;
+    try {
+      const res = await apiKeysAPI.rotate(apiKey.id);
+      replaceKey(res.data.apiKey);
+      showNewKey(res.data.apiKey, res.data.key);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Integrations using it will lose access.`)) return;
+    try {
+      const res = await apiKeysAPI.revoke(apiKey.id);
+      replaceKey(res.data.apiKey);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(newKey.key);
+      setCopied(true);
+    } catch {
+      window.prompt('Copy this key:', newKey.key);
+    }
+  };
+
+  return (
+    <div>
+      <header className="page-header">
+        <h1 className="page-title">API Keys</h1>
+        <p className="page-subtitle">
+          Let CI jobs and DAM systems call the API with "Authorization: Bearer &lt;key&gt;"
+        </p>
+      </header>
+
+      {/* New key */}
+      <div className="card mb-lg">
+        <div className="card-header">
+          <h3 className="card-title">Create a key</h3>
+        </div>
+        <form onSubmit={handleCreate} className="flex gap-md" style={{ alignItems: 'flex-end', flexWrap: 'wrap' }}>
+          <div style={{ flex: 2, minWidth: 200 }}>
+            <label style={labelStyle}>Name</label>
+            <input
+              style={{ ...inputStyle, width: '100%' }}
+              value={name}
+              required
+              maxLength={100}
+              placeholder="e.g. CI pipeline"
+              onChange={e => setName(e.target.value)}
+            />
+          </div>
+          <div style={{ flex: 1, minWidth: 160 }}>
+            <label style={labelStyle}>Scope</label>
+            <select style={{ ...inputStyle, width: '100%' }} value={scope} onChange={e => setScope(e.target.value)}>
+              {SCOPES.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <button type="submit" className="btn btn-primary" disabled={creating}>
+            {creating ? 'Creating...' : '🔑 Create Key'}
+          </button>
+        </form>
+        <p style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-muted)', marginTop: 'var(--space-sm)' }}>
+          {SCOPES.find(option => option.value === scope).description}
+        </p>
+
+        {newKey && (
+          <div style={{
+            marginTop: 'var(--space-md)',
+            padding: 'var(--space-md)',
+            background: 'rgba(34, 197, 94, 0.1)',
+            border: '1px solid rgba(34, 197, 94, 0.3)',
+            borderRadius: 'var(--border-radius-md)',
+          }}>
+            <p style={{ fontSize: 'var(--font-size-sm)', marginBottom: 'var(--space-sm)' }}>
+              Copy the key for <strong>{newKey.name}</strong> now - it will not be shown again.
+            </p>
+            <div className="flex gap-sm">
+              <input
+                style={{ ...inputStyle, flex: 1, fontFamily: 'monospace' }}
+                value={newKey.key}
+                readOnly
+                onFocus={e => e.target.select()}
+              />
+              <button className="btn btn-secondary" onClick={handleCopy}>
+                {copied ? '✓ Copied' : 'Copy'}
+              </button>
+              <button className="btn btn-secondary" onClick={() => setNewKey(null)}>Done</button>
+            </div>
+          </div>
+        )}
+
+        {error && (
+          <p style={{ color: 'var(--color-danger)', fontSize: 'var(--font-size-sm)', marginTop: 'var(--space-md)' }}>
+            {error}
+          </p>
+        )}
+      </div>
+
+      {/* Existing keys */}
+      {loading ? (
+        <div className="loading">
+          <div className="loading-spinner" />
+        </div>
+      ) : apiKeys.length > 0 ? (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 'var(--space-md)' }}>
+          {apiKeys.map(apiKey => (
+            <div key={apiKey.id} className="card" style={{ opacity: apiKey.active ? 1 : 0.6 }}>
+              <div className="flex flex-between items-center">
+                <div>
+                  <div className="flex items-center gap-sm">
+                    <span style={{ fontWeight: 600 }}>{apiKey.name}</span>
+                    <code style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-muted)' }}>{apiKey.prefix}…</code>
+                    {!apiKey.active && (
+                      <span style={{
+                        fontSize: 'var(--font-size-xs)',
+                        padding: '2px 8px',
+                        background: 'rgba(239, 68, 68, 0.2)',
+                        borderRadius: 4,
+                      }}>
+                        Revoked
+                      </span>
+                    )}
+                  </div>
+                  <p style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)', marginTop: 'var(--space-xs)' }}>
+                    Created {formatDateTime(apiKey.createdAt)}
+                    {apiKey.rotatedAt && ` • Rotated ${formatDateTime(apiKey.rotatedAt)}`}
+                    {apiKey.revokedAt && ` • Revoked ${formatDateTime(apiKey.revokedAt)}`}
+                    {' • '}
+                    {apiKey.lastUsedAt ? `Last used ${formatDateTime(apiKey.lastUsedAt)}` : 'Never used'}
+                  </p>
+                </div>
+                {apiKey.active ? (
+                  <div className="flex gap-sm">
+                    <select
+                      style={inputStyle}
+                      value={apiKey.scope}
+                      onChange={e => handleScopeChange(apiKey, e.target.value)}
+                    >
+                      {SCOPES.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                    <button className="btn btn-secondary" onClick={() => handleRotate(apiKey)}>
+                      Rotate
+                    </button>
+                    <button className="btn btn-secondary" style={{ color: 'var(--color-danger)' }} onClick={() => handleRevoke(apiKey)}>
+                      Revoke
+                    </button>
+                  </div>
+                ) : (
+                  <span style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-muted)', textTransform: 'capitalize' }}>
+                    {apiKey.scope}
+                  </span>
+                )}
+              </div>
+
+              <div className="flex gap-md items-center mt-md">
+                <div style={{ minWidth: 140 }}>
+                  <div style={{ fontWeight: 600 }}>{apiKey.usage.last30Days}</div>
+                  <div style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-muted)' }}>
+                    requests, last 30 days ({apiKey.usage.total} total)
+                  </div>
+                </div>
+                <div style={{ flex: 1 }}>
+                  <UsageBars daily={apiKey.usage.daily} />
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="card">
+          <div className="empty-state">
+            <p>No API keys yet</p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
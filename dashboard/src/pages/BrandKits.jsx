@@ -2,6 +2,14 @@ import { useState, useEffect } from 'react';
 import { brandKitAPI } from '../api/client';
 import { formatDateTime } from '../hooks/useApi';
 
+/**
+ * Coverage limits of a brand color for its tooltip (" • 60-100% of canvas")
+ */
+function formatCoverage(color) {
+  if (color.minCoverage == null && color.maxCoverage == null) return '';
+  return ` • ${color.minCoverage ?? 0}-${color.maxCoverage ?? 100}% of canvas`;
+}
+
 export default function BrandKits() {
   const [brandKits, setBrandKits] = useState([]);
   const [selectedKit, setSelectedKit] = useState(null);
@@ -84,13 +92,13 @@ export default function BrandKits() {
               {/* Colors */}
               <div style={{ marginBottom: 'var(--space-md)' }}>
                 <div style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-muted)', marginBottom: 'var(--space-xs)' }}>
-                  Colors ({kit.colors?.length || 0})
+                  Colors ({kit.colors?.length || 0}) • Matched with {(kit.colorMetric || 'cie76').toUpperCase()}
                 </div>
                 <div className="flex gap-sm" style={{ flexWrap: 'wrap' }}>
                   {kit.colors?.slice(0, 6).map((color, i) => (
                     <div 
                       key={i}
-                      title={`${color.name}: ${color.hex}`}
+                      title={`${color.name}: ${color.hex}${formatCoverage(color)}`}
                       style={{ 
                         width: 28, 
                         height: 28, 
@@ -108,6 +116,32 @@ export default function BrandKits() {
                 </div>
               </div>
 
+              {/* Gradients */}
+              {kit.gradients?.length > 0 && (
+                <div style={{ marginBottom: 'var(--space-md)' }}>
+                  <div style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-muted)', marginBottom: 'var(--space-xs)' }}>
+                    Gradients ({kit.gradients.length})
+                  </div>
+                  <div className="flex gap-sm" style={{ flexWrap: 'wrap' }}>
+                    {kit.gradients.map((gradient, i) => (
+                      <div
+                        key={i}
+                        title={`${gradient.name}: ${gradient.stops.map(stop => stop.hex).join(' → ')}`}
+                        style={{
+                          width: 64,
+                          height: 28,
+                          borderRadius: 4,
+                          background: `linear-gradient(90deg, ${gradient.stops
+                            .map(stop => `${stop.hex} ${stop.position}%`)
+                            .join(', ')})`,
+                          border: '2px solid var(--border-color)',
+                        }}
+                      />
+                    ))}
+                  </div>
+                </div>
+              )}
+
               {/* Fonts */}
               <div style={{ marginBottom: 'var(--space-md)' }}>
                 <div style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-muted)', marginBottom: 'var(--space-xs)' }}>
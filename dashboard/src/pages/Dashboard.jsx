@@ -4,20 +4,23 @@ import { analyticsAPI, executiveSummaryAPI, analysisAPI } from '../api/client';
 import { formatPercent, formatDateTime, getScoreClass, getScoreLabel } from '../hooks/useApi';
 import ScoreGauge from '../components/Charts/ScoreGauge';
 import StatsCard from '../components/Cards/StatsCard';
+import ScopeToggle from '../components/Layout/ScopeToggle';
 
 export default function Dashboard() {
   const [summary, setSummary] = useState(null);
   const [analytics, setAnalytics] = useState(null);
   const [recentAnalyses, setRecentAnalyses] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [scope, setScope] = useState('organization');
 
   useEffect(() => {
     async function fetchData() {
+      setLoading(true);
       try {
         const [summaryRes, analyticsRes, analysesRes] = await Promise.all([
-          executiveSummaryAPI.get({ period: 'week' }).catch(() => null),
-          analyticsAPI.get().catch(() => null),
-          analysisAPI.history({ limit: 5 }).catch(() => null),
+          executiveSummaryAPI.get({ period: 'week', scope }).catch(() => null),
+          analyticsAPI.get({ scope }).catch(() => null),
+          analysisAPI.history({ limit: 5, scope }).catch(() => null),
         ]);
         
         if (summaryRes?.data) setSummary(summaryRes.data.executiveSummary);
@@ -30,7 +33,7 @@ export default function Dashboard() {
       }
     }
     fetchData();
-  }, []);
+  }, [scope]);
 
   if (loading) {
     return (
@@ -47,8 +50,15 @@ export default function Dashboard() {
   return (
     <div>
       <header className="page-header">
-        <h1 className="page-title">Brand Governance Dashboard</h1>
-        <p className="page-subtitle">Enterprise-wide brand compliance overview</p>
+        <div className="flex flex-between items-center">
+          <div>
+            <h1 className="page-title">Brand Governance Dashboard</h1>
+            <p className="page-subtitle">
+              {scope === 'personal' ? 'Your brand compliance overview' : 'Enterprise-wide brand compliance overview'}
+            </p>
+          </div>
+          <ScopeToggle scope={scope} onChange={setScope} />
+        </div>
       </header>
 
       {/* Executive Insight */}
@@ -0,0 +1,123 @@
+import { useState } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { authAPI, getStoredAuth } from '../api/client';
+
+const inputStyle = {
+  width: '100%',
+  padding: 'var(--space-sm)',
+  background: 'var(--bg-primary)',
+  color: 'var(--text-primary)',
+  border: '1px solid var(--border-color)',
+  borderRadius: 'var(--border-radius-sm)',
+};
+
+const labelStyle = {
+  display: 'block',
+  fontSize: 'var(--font-size-sm)',
+  color: 'var(--text-secondary)',
+  marginBottom: 'var(--space-xs)',
+};
+
+export default function Login() {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [isRegistering, setIsRegistering] = useState(false);
+  const [form, setForm] = useState({ email: '', password: '', name: '', organization: '' });
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const redirectTo = location.state?.from?.pathname || '/';
+
+  if (getStoredAuth()) {
+    return <Navigate to={redirectTo} replace />;
+  }
+
+  const updateField = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      if (isRegistering) {
+        await authAPI.register(form);
+      } else {
+        await authAPI.login(form.email, form.password);
+      }
+      navigate(redirectTo, { replace: true });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  return (
+    <div className="flex flex-center" style={{ minHeight: '100vh', padding: 'var(--space-lg)' }}>
+      <div className="card" style={{ maxWidth: 400, width: '100%' }}>
+        <div className="card-header">
+          <h3 className="card-title">🛡️ {isRegistering ? 'Create your Epsilon account' : 'Sign in to Epsilon'}</h3>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="mb-md">
+            <label style={labelStyle}>Email</label>
+            <input
+              type="email"
+              style={inputStyle}
+              value={form.email}
+              onChange={updateField('email')}
+              autoComplete="email"
+              required
+            />
+          </div>
+          <div className="mb-md">
+            <label style={labelStyle}>Password</label>
+            <input
+              type="password"
+              style={inputStyle}
+              value={form.password}
+              onChange={updateField('password')}
+              autoComplete={isRegistering ? 'new-password' : 'current-password'}
+              minLength={isRegistering ? 8 : undefined}
+              required
+            />
+          </div>
+          {isRegistering && (
+            <>
+              <div className="mb-md">
+                <label style={labelStyle}>Name</label>
+                <input style={inputStyle} value={form.name} onChange={updateField('name')} required />
+              </div>
+              <div className="mb-md">
+                <label style={labelStyle}>Organization (optional)</label>
+                <input style={inputStyle} value={form.organization} onChange={updateField('organization')} />
+              </div>
+            </>
+          )}
+          <button type="submit" className="btn btn-primary" style={{ width: '100%' }} disabled={submitting}>
+            {submitting ? 'Please wait...' : isRegistering ? 'Create Account' : 'Sign In'}
+          </button>
+        </form>
+
+        {error && (
+          <p style={{ color: 'var(--color-danger)', fontSize: 'var(--font-size-sm)', marginTop: 'var(--space-md)' }}>
+            {error}
+          </p>
+        )}
+
+        <button
+          type="button"
+          className="btn btn-secondary mt-md"
+          style={{ width: '100%' }}
+          onClick={() => {
+            setIsRegistering(!isRegistering);
+            setError(null);
+          }}
+        >
+          {isRegistering ? 'Already have an account? Sign in' : 'New to Epsilon? Create an account'}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -2,6 +2,8 @@ import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { analysisAPI, reportsAPI } from '../api/client';
 import { formatDateTime, getScoreClass, getScoreLabel } from '../hooks/useApi';
+import ShareReportModal from '../components/Modals/ShareReportModal';
+import ScopeToggle from '../components/Layout/ScopeToggle';
 
 export default function Reports() {
   const [analyses, setAnalyses] = useState([]);
@@ -10,13 +12,15 @@ export default function Reports() {
   const [activeTab, setActiveTab] = useState('analyses');
   const [page, setPage] = useState(1);
   const [pagination, setPagination] = useState({});
+  const [sharingReport, setSharingReport] = useState(null);
+  const [scope, setScope] = useState('organization');
 
   useEffect(() => {
     async function fetchData() {
       setLoading(true);
       try {
         if (activeTab === 'analyses') {
-          const res = await analysisAPI.history({ page, limit: 10 });
+          const res = await analysisAPI.history({ page, limit: 10, scope });
           setAnalyses(res.data?.analyses || []);
           setPagination(res.data?.pagination || {});
         } else {
@@ -31,7 +35,7 @@ export default function Reports() {
       }
     }
     fetchData();
-  }, [activeTab, page]);
+  }, [activeTab, page, scope]);
 
   return (
     <div>
@@ -54,7 +58,10 @@ export default function Reports() {
         >
           📊 Reports
         </button>
-        <div style={{ marginLeft: 'auto' }}>
+        <div className="flex gap-md" style={{ marginLeft: 'auto' }}>
+          {activeTab === 'analyses' && (
+            <ScopeToggle scope={scope} onChange={value => { setScope(value); setPage(1); }} />
+          )}
           <button className="btn btn-secondary">
             📥 Export (Mock)
           </button>
@@ -166,9 +173,18 @@ export default function Reports() {
                           {formatDateTime(report.createdAt)}
                         </td>
                         <td>
-                          <button className="btn btn-secondary" style={{ fontSize: 'var(--font-size-xs)' }}>
-                            View Report
-                          </button>
+                          <div className="flex gap-sm">
+                            <button className="btn btn-secondary" style={{ fontSize: 'var(--font-size-xs)' }}>
+                              View Report
+                            </button>
+                            <button
+                              className="btn btn-secondary"
+                              style={{ fontSize: 'var(--font-size-xs)' }}
+                              onClick={() => setSharingReport(report)}
+                            >
+                              🔗 Share
+                            </button>
+                          </div>
                         </td>
                       </tr>
                     ))}
@@ -209,6 +225,11 @@ export default function Reports() {
           </div>
         )}
       </div>
+
+      {/* Share Modal */}
+      {sharingReport && (
+        <ShareReportModal report={sharingReport} onClose={() => setSharingReport(null)} />
+      )}
     </div>
   );
 }